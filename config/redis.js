@@ -223,8 +223,12 @@ const expireAsync = async (key, seconds) => {
   }
 };
 
+// Whether commands are currently going to Redis rather than the memory fallback
+const isRedisAvailable = () => redisAvailable && client.isReady;
+
 module.exports = {
   client,
+  isRedisAvailable,
   getAsync,
   setAsync,
   delAsync,
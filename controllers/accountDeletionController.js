@@ -0,0 +1,64 @@
+const asyncHandler = require('express-async-handler');
+const {
+  GRACE_PERIOD_DAYS,
+  sendDeletionOtp,
+  requestDeletion,
+  getReceipt
+} = require('../services/accountDeletionService');
+
+/**
+ * @desc    Send the code that confirms deleting my account
+ * @route   POST /api/users/me/delete/otp
+ * @access  Private
+ */
+const requestDeletionCode = asyncHandler(async (req, res) => {
+  const { channel, expiresIn } = await sendDeletionOtp(req.user, req);
+
+  res.status(200).json({
+    success: true,
+    message: `Confirmation code sent by ${channel}`,
+    data: { channel, expiresIn }
+  });
+});
+
+/**
+ * @desc    Delete my account - confirmed by OTP, purged after the grace period
+ * @route   POST /api/users/me/delete
+ * @access  Private
+ */
+const deleteMyAccount = asyncHandler(async (req, res) => {
+  const { otp, reason } = req.body;
+
+  if (!otp) {
+    res.status(400);
+    throw new Error('Confirmation code is required');
+  }
+
+  const deletion = await requestDeletion(req.user, { otp, reason });
+
+  res.status(200).json({
+    success: true,
+    message: `Your account will be deleted in ${GRACE_PERIOD_DAYS} days. Sign in before then to cancel.`,
+    data: deletion
+  });
+});
+
+/**
+ * @desc    Deletion receipt - what was removed and when
+ * @route   GET /api/users/deletion-receipts/:receiptId
+ * @access  Public (the receipt id is only known to the user)
+ */
+const getDeletionReceipt = asyncHandler(async (req, res) => {
+  const receipt = await getReceipt(req.params.receiptId);
+
+  res.status(200).json({
+    success: true,
+    data: receipt
+  });
+});
+
+module.exports = {
+  requestDeletionCode,
+  deleteMyAccount,
+  getDeletionReceipt
+};
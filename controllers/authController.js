@@ -1,6 +1,9 @@
 const User = require('../models/userModel');
 const AIInstance = require('../models/aiInstanceModel');
-const { generateToken } = require('../utils/generateToken');
+const { createSession } = require('../services/sessionService');
+const { issueChallenge, verifyChallenge, verifySecondFactor, PURPOSE_LOGIN } = require('../services/twoFactorService');
+const { cancelDeletion } = require('../services/accountDeletionService');
+const { ApiError } = require('../utils/errorClasses');
 const { normalizePhoneNumber, isValidPhoneNumber } = require('../utils/phoneUtils');
 const LogSanitizer = require('../utils/logSanitizer');
 
@@ -250,9 +253,13 @@ const registerUser = async (req, res) => {
         // The user can still use the app, and AI instance can be created later
       }
 
-      // Generate token
+      // Start a session for this device (access + refresh token)
       console.log('🔑 [REGISTER] Generating authentication token...');
-      const token = generateToken(user._id, user.userId);
+      const tokens = await createSession(user, req, {
+        deviceId: req.body.deviceId,
+        deviceName: req.body.deviceName,
+        platform: req.body.platform
+      });
       console.log('✅ [REGISTER] Token generated successfully');
       
       const responseData = {
@@ -265,7 +272,7 @@ const registerUser = async (req, res) => {
           status: user.status,
           dateOfBirth: user.dateOfBirth,
           gender: user.gender,
-          token
+          ...tokens
         }
       };
       
@@ -289,6 +296,47 @@ const registerUser = async (req, res) => {
   }
 };
 
+/**
+ * Start a session for this device (access + refresh token) and send the login response
+ */
+const sendLoginResponse = async (user, req, res) => {
+  // Signing in during the grace period keeps the account
+  const cancelledDeletion = await cancelDeletion(user.userId, 'login');
+
+  console.log('🎫 [AUTH CONTROLLER] Generating token...');
+  const tokens = await createSession(user, req, {
+    deviceId: req.body.deviceId,
+    deviceName: req.body.deviceName,
+    platform: req.body.platform
+  });
+  console.log('✅ [AUTH CONTROLLER] Token generated');
+
+  console.log('📤 [AUTH CONTROLLER] Sending success response...');
+  const responseData = {
+    success: true,
+    data: {
+      userId: user.userId,
+      name: user.name,
+      phoneNumber: user.phoneNumber,
+      email: user.email,
+      status: user.status,
+      customStatus: user.customStatus,
+      statusUntil: user.statusUntil,
+      dateOfBirth: user.dateOfBirth,
+      gender: user.gender,
+      accountDeletionCancelled: !!cancelledDeletion,
+      ...tokens
+    }
+  };
+  console.log('📦 [AUTH CONTROLLER] Response data:', JSON.stringify({
+    ...responseData,
+    data: { ...responseData.data, token: '***', accessToken: '***', refreshToken: '***' }
+  }, null, 2));
+
+  res.json(responseData);
+  console.log('✅ [AUTH CONTROLLER] Response sent successfully');
+};
+
 /**
  * @desc    Login user and get token
  * @route   POST /api/auth/login
@@ -371,31 +419,17 @@ const loginUser = async (req, res) => {
       console.log('✅ [AUTH CONTROLLER] Status reset complete');
     }
 
-    // Generate token
-    console.log('🎫 [AUTH CONTROLLER] Generating token...');
-    const token = generateToken(user._id, user.userId);
-    console.log('✅ [AUTH CONTROLLER] Token generated');
+    // Second step required - the session is only created once the code checks out
+    if (user.twoFactor?.enabled) {
+      console.log('🔐 [AUTH CONTROLLER] 2FA enabled, issuing challenge');
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        data: issueChallenge('user', user._id, PURPOSE_LOGIN)
+      });
+    }
 
-    console.log('📤 [AUTH CONTROLLER] Sending success response...');
-    const responseData = {
-      success: true,
-      data: {
-        userId: user.userId,
-        name: user.name,
-        phoneNumber: user.phoneNumber,
-        email: user.email,
-        status: user.status,
-        customStatus: user.customStatus,
-        statusUntil: user.statusUntil,
-        dateOfBirth: user.dateOfBirth,
-        gender: user.gender,
-        token
-      }
-    };
-    console.log('📦 [AUTH CONTROLLER] Response data:', JSON.stringify(responseData, null, 2));
-    
-    res.json(responseData);
-    console.log('✅ [AUTH CONTROLLER] Response sent successfully');
+    await sendLoginResponse(user, req, res);
   } catch (error) {
     console.error('❌ [AUTH CONTROLLER] Login error:', error);
     console.error('❌ [AUTH CONTROLLER] Error stack:', error.stack);
@@ -407,6 +441,54 @@ const loginUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Second login step - exchange the challenge token and a 2FA code for a session
+ * @route   POST /api/auth/2fa/verify-login
+ * @access  Public (challenge token)
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a verification code or recovery code'
+      });
+    }
+
+    const accountId = verifyChallenge(challengeToken, 'user', PURPOSE_LOGIN);
+    const user = await User.findById(accountId);
+    if (!user || user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found or deactivated'
+      });
+    }
+
+    const { method, recoveryCodesRemaining } = await verifySecondFactor('user', user._id, { code, recoveryCode });
+    console.log(`✅ [AUTH CONTROLLER] 2FA passed for ${user.userId} (${method})`);
+
+    if (method === 'recovery_code') {
+      res.set('X-Recovery-Codes-Remaining', String(recoveryCodesRemaining));
+    }
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ [AUTH CONTROLLER] 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Check if user exists by phone number
  * @route   POST /api/auth/check
@@ -446,5 +528,6 @@ const checkUserExists = async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   checkUserExists
 };
@@ -1,6 +1,10 @@
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const Call = require('../models/callModel');
+const GroupCall = require('../models/GroupCall');
+const GroupMember = require('../models/groupMemberModel');
 const User = require('../models/userModel');
+const { formatRoster, getActiveCallForGroup, MAX_GROUP_CALL_PARTICIPANTS } = require('../services/groupCallService');
 
 // @desc    Get call history for current user with detailed statistics
 // @route   GET /api/calls/history
@@ -317,6 +321,115 @@ const saveCallToHistory = asyncHandler(async (req, res) => {
   });
 });
 
+// Group call history entry as seen by one participant
+const formatGroupCall = (call, userId) => {
+  const me = call.participants.find(participant => participant.userId === userId);
+  return {
+    callId: call.callId,
+    groupId: call.groupId,
+    groupName: call.groupName,
+    initiatorId: call.initiatorId,
+    initiatorName: call.initiatorName,
+    callType: call.callType,
+    status: call.status,
+    isOutgoing: call.initiatorId === userId,
+    myStatus: me ? me.status : null,
+    myDuration: me ? me.duration : 0,
+    startTime: call.startTime,
+    endTime: call.endTime,
+    duration: call.duration,
+    maxConcurrentParticipants: call.maxConcurrentParticipants,
+    participants: formatRoster(call),
+    createdAt: call.createdAt
+  };
+};
+
+// @desc    Get group call history for current user
+// @route   GET /api/calls/group/history
+// @access  Private
+const getGroupCallHistory = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const limit = parseInt(req.query.limit) || 50;
+  const page = parseInt(req.query.page) || 1;
+  const skip = (page - 1) * limit;
+
+  const filter = { 'participants.userId': userId };
+  if (req.query.groupId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.groupId)) {
+      res.status(400);
+      throw new Error('Invalid group ID');
+    }
+    filter.groupId = req.query.groupId;
+  }
+
+  const [calls, total] = await Promise.all([
+    GroupCall.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .lean(),
+    GroupCall.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    calls: calls.map(call => formatGroupCall(call, userId)),
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    }
+  });
+});
+
+// @desc    Get the ongoing call in a group (to join mid-call)
+// @route   GET /api/calls/group/active/:groupId
+// @access  Private
+const getActiveGroupCall = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const call = await getActiveCallForGroup(groupId);
+
+  res.json({
+    success: true,
+    call: call ? formatGroupCall(call, userId) : null,
+    maxParticipants: MAX_GROUP_CALL_PARTICIPANTS
+  });
+});
+
+// @desc    Get single group call details
+// @route   GET /api/calls/group/:callId
+// @access  Private
+const getGroupCallDetails = asyncHandler(async (req, res) => {
+  const { callId } = req.params;
+  const userId = req.user.userId;
+
+  const call = await GroupCall.findOne({ callId, 'participants.userId': userId }).lean();
+
+  if (!call) {
+    res.status(404);
+    throw new Error('Call not found');
+  }
+
+  res.json({
+    success: true,
+    call: formatGroupCall(call, userId)
+  });
+});
+
 module.exports = {
   getCallHistory,
   getMissedCalls,
@@ -325,5 +438,8 @@ module.exports = {
   deleteCall,
   getCallStats,
   getCallDetails,
-  saveCallToHistory
+  saveCallToHistory,
+  getGroupCallHistory,
+  getActiveGroupCall,
+  getGroupCallDetails
 };
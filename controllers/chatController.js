@@ -3,8 +3,17 @@ const User = require('../models/userModel');
 const Block = require('../models/blockModel');
 // const ContinuousTimerState = require('../models/ContinuousTimerState'); // ⚠️ DISABLED: File not on server
 const { broadcastToUser } = require('../socketManager');
-const enhancedNotificationService = require('../services/enhancedNotificationService');
+const { deliverDirectMessage } = require('../services/messageDeliveryService');
 const LogSanitizer = require('../utils/logSanitizer');
+const { isWithinEditWindow, EDIT_WINDOW_MINUTES } = require('../utils/messageEditing');
+const StarredMessage = require('../models/StarredMessage');
+const { deleteVotesFor } = require('../services/pollService');
+const { getMediaInfo } = require('../services/mediaProcessingService');
+const { replyIfAway } = require('../services/awayReplyService');
+const { removeEntries: removeOutboxEntries } = require('../services/deliveryOutboxService');
+
+// Maximum pinned messages per conversation
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES, 10) || 3;
 
 // Send a message
 const sendMessage = async (req, res) => {
@@ -198,109 +207,24 @@ const sendMessage = async (req, res) => {
       messageData.ghostSessionId = ghostSessionId;
     }
 
+    // Dimensions and resized copies of an attached image/video
+    const mediaInfo = await getMediaInfo(imageUrl || fileMetadata?.fileUrl);
+    if (mediaInfo) {
+      messageData.mediaInfo = mediaInfo;
+    }
+
     const newMessage = new Message(messageData);
 
     // Save message to database
     const savedMessage = await newMessage.save();
     console.log('✅ Message saved to database:', savedMessage._id);
 
-    // ENHANCED: Multi-device notification broadcast
-    try {
-      console.log('📡 Attempting to broadcast message to receiver...');
-      console.log('🔍 Broadcasting to receiverId (userId):', receiverId);
-      console.log('🔍 Receiver MongoDB ObjectId:', receiverObjectId);
-      
-      // CRITICAL FIX: Get sender information for notifications
-      const sender = await User.findOne({ userId: senderId }).select('name profileImage');
-      const senderName = sender ? sender.name : 'Unknown User';
-      const senderProfileImage = sender ? sender.profileImage : null;
-      
-      console.log('👤 Sender info for notification:', { senderId, senderName, senderProfileImage });
-      
-      const messageData = {
-        _id: savedMessage._id,
-        senderId: savedMessage.senderId,
-        receiverId: savedMessage.receiverId,
-        senderName: senderName, // ✅ ADDED for notifications
-        senderProfileImage: senderProfileImage, // ✅ ADDED for notifications
-        message: savedMessage.message,
-        messageType: savedMessage.messageType,
-        timestamp: savedMessage.timestamp,
-        status: 'sent', // ✅ Start with 'sent', will update to 'delivered' if broadcast succeeds
-        sharedPost: savedMessage.sharedPost,     // ✅ Include shared post
-        imageUrl: savedMessage.imageUrl,         // ✅ Include image URL
-        fileMetadata: savedMessage.fileMetadata, // ✅ Include file metadata
-        // ✅ FIX: Include ghost mode fields
-        isGhost: savedMessage.isGhost,
-        ghostSessionId: savedMessage.ghostSessionId,
-        viewedBy: savedMessage.viewedBy || [],
-        // E2EE Phase 2 - Include encrypted payload
-        e2ee: savedMessage.e2ee || { enabled: false }
-      };
-      
-      // E2EE Phase 2 - Log encrypted message relay
-      if (savedMessage.e2ee && savedMessage.e2ee.enabled) {
-        console.log('🔐 [E2EE] Relaying encrypted message (server cannot decrypt)');
-      }
-      
-      // Strategy 1: Primary WebSocket broadcast
-      console.log('📡 [BROADCAST] Attempting to broadcast message:new to receiver:', receiverId);
-      console.log('📡 [BROADCAST] Message data:', {
-        messageId: messageData._id,
-        status: messageData.status,
-        messageType: messageData.messageType
-      });
-      
-      const broadcastSuccess = broadcastToUser(receiverId, 'message:new', messageData);
-      console.log('📡 [BROADCAST] Broadcast result:', broadcastSuccess ? 'SUCCESS' : 'FAILED');
-      
-      // CRITICAL: Send notification via enhancedNotificationService
-      try {
-        console.log('🔔 [NOTIFICATION] Sending chat message notification...');
-        await enhancedNotificationService.sendChatMessageNotification(
-          senderId,
-          receiverId,
-          savedMessage
-        );
-        console.log('✅ [NOTIFICATION] Notification sent successfully');
-      } catch (notifError) {
-        console.error('❌ [NOTIFICATION] Error sending notification:', notifError);
-        // Don't fail the message send if notification fails
-      }
-      
-      if (broadcastSuccess) {
-        console.log('✅ [STATUS UPDATE] Message successfully broadcasted via primary WebSocket');
-        console.log('✅ [STATUS UPDATE] Updating message status from "sent" to "delivered"');
-        savedMessage.status = 'delivered';
-        await savedMessage.save();
-        console.log('✅ [STATUS UPDATE] Message status saved to database as "delivered"');
-        
-        // ✅ Emit delivery confirmation to sender
-        console.log('📤 [DELIVERY CONFIRM] Emitting message:delivered to sender:', senderId);
-        console.log('📤 [DELIVERY CONFIRM] Message ID:', savedMessage._id.toString());
-        
-        const deliveryConfirmation = broadcastToUser(senderId, 'message:delivered', { 
-          messageId: savedMessage._id.toString() 
-        });
-        
-        console.log('📤 [DELIVERY CONFIRM] Delivery confirmation result:', deliveryConfirmation ? 'SUCCESS' : 'FAILED');
-        
-        if (deliveryConfirmation) {
-          console.log('✅ [DELIVERY CONFIRM] Delivery confirmation sent to sender:', senderId);
-        } else {
-          console.log('⚠️ [DELIVERY CONFIRM] Failed to send delivery confirmation - sender may be offline');
-        }
-      } else {
-        console.log('⚠️ [BROADCAST] Primary WebSocket failed - receiver offline');
-        console.log('⚠️ [STATUS UPDATE] Message status remains "sent" (not delivered)');
-        // FCM notification already sent by enhancedNotificationService
-        // No need for additional device-specific broadcasts
-        console.log('📱 [MESSAGE] FCM notification will wake the app when delivered');
-      }
-    } catch (socketError) {
-      console.error('❌ Error broadcasting message:', socketError);
-      // Message is still saved, just not delivered in real-time
-    }
+    // ENHANCED: Multi-device notification broadcast (WebSocket + FCM wakeup)
+    await deliverDirectMessage(savedMessage);
+
+    // Receiver's away message, if their status has one; not awaited so the
+    // sender's response isn't held up
+    replyIfAway(savedMessage);
 
     // ✅ CRITICAL: Log the response being sent to frontend
     console.log('📤 [RESPONSE] Sending response to frontend:', {
@@ -652,6 +576,12 @@ const deleteMessage = async (req, res) => {
 
     console.log('✅ Message deleted successfully');
 
+    await StarredMessage.removeForMessage(deletedMessage._id);
+    await removeOutboxEntries(deletedMessage._id);
+    if (deletedMessage.messageType === 'poll') {
+      await deleteVotesFor('message', deletedMessage._id);
+    }
+
     // Find receiver and get MongoDB _id for broadcasting
     try {
       const receiver = await User.findOne({ userId: deletedMessage.receiverId }).select('_id userId name');
@@ -695,6 +625,326 @@ const deleteMessage = async (req, res) => {
   }
 };
 
+// Edit a message (sender only, within the edit window)
+const editMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { message, e2ee } = req.body;
+    const userId = req.user.userId;
+
+    console.log('✏️ Chat Controller - Edit Message:', {
+      userId,
+      messageId,
+      messageLength: message?.length,
+      hasE2EE: !!e2ee
+    });
+
+    // Validate input
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'New message content is required'
+      });
+    }
+
+    const existingMessage = await Message.findOne({
+      _id: messageId,
+      senderId: userId,
+      deletedFor: { $ne: userId }
+    });
+
+    if (!existingMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or you are not authorized to edit it'
+      });
+    }
+
+    if (existingMessage.messageType !== 'text') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only text messages can be edited'
+      });
+    }
+
+    if (existingMessage.privacyMode === 'burn' || existingMessage.isGhost) {
+      return res.status(400).json({
+        success: false,
+        message: 'Burn and ghost messages cannot be edited'
+      });
+    }
+
+    if (!isWithinEditWindow(existingMessage.timestamp)) {
+      return res.status(403).json({
+        success: false,
+        message: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`
+      });
+    }
+
+    // An encrypted message must be replaced by a new ciphertext, never by plaintext
+    const wasEncrypted = existingMessage.e2ee && existingMessage.e2ee.enabled;
+    if (wasEncrypted && !(e2ee && e2ee.enabled && e2ee.ciphertext)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Encrypted messages must be edited with a new encrypted payload'
+      });
+    }
+
+    existingMessage.applyEdit(message, e2ee);
+    const updatedMessage = await existingMessage.save();
+    await StarredMessage.refreshSnapshot(updatedMessage._id, updatedMessage.message);
+
+    console.log('✅ Message edited successfully:', updatedMessage._id);
+
+    // Broadcast edit to the other participant
+    try {
+      const editData = {
+        messageId: updatedMessage._id.toString(),
+        senderId: updatedMessage.senderId,
+        receiverId: updatedMessage.receiverId,
+        message: updatedMessage.message,
+        messagePreview: updatedMessage.messagePreview,
+        e2ee: updatedMessage.e2ee || { enabled: false },
+        isEdited: true,
+        editedAt: updatedMessage.editedAt
+      };
+
+      const broadcastSuccess = broadcastToUser(updatedMessage.receiverId, 'message:edited', editData);
+      if (!broadcastSuccess) {
+        console.log('⚠️ Message edit not delivered via WebSocket (receiver offline)');
+      }
+    } catch (socketError) {
+      console.error('❌ Error broadcasting message edit:', socketError);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedMessage,
+      message: 'Message edited successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error editing message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit message',
+      error: error.message
+    });
+  }
+};
+
+// Get revision history of an edited message
+const getMessageRevisions = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+
+    const existingMessage = await Message.findOne({
+      _id: messageId,
+      $or: [{ senderId: userId }, { receiverId: userId }],
+      deletedFor: { $ne: userId }
+    }).select('message e2ee isEdited editedAt editHistory timestamp').lean();
+
+    if (!existingMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messageId: existingMessage._id,
+        current: existingMessage.message,
+        isEdited: existingMessage.isEdited || false,
+        editedAt: existingMessage.editedAt,
+        revisions: existingMessage.editHistory || []
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching message revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch message revisions',
+      error: error.message
+    });
+  }
+};
+
+// Pin a message to the top of a 1:1 conversation
+const pinMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+
+    console.log('📌 Chat Controller - Pin Message:', { userId, messageId });
+
+    const message = await Message.findOne({
+      _id: messageId,
+      $or: [{ senderId: userId }, { receiverId: userId }],
+      deletedFor: { $ne: userId }
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (message.isGhost || message.privacyMode === 'burn') {
+      return res.status(400).json({
+        success: false,
+        message: 'Burn and ghost messages cannot be pinned'
+      });
+    }
+
+    if (message.isPinned) {
+      return res.status(200).json({
+        success: true,
+        data: message,
+        message: 'Message is already pinned'
+      });
+    }
+
+    const contactId = message.senderId === userId ? message.receiverId : message.senderId;
+
+    const pinnedCount = await Message.countDocuments({
+      $or: [
+        { senderId: userId, receiverId: contactId },
+        { senderId: contactId, receiverId: userId }
+      ],
+      isPinned: true
+    });
+
+    if (pinnedCount >= MAX_PINNED_MESSAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can pin up to ${MAX_PINNED_MESSAGES} messages in a chat. Unpin one first.`
+      });
+    }
+
+    message.isPinned = true;
+    message.pinnedBy = userId;
+    message.pinnedAt = new Date();
+    await message.save();
+
+    try {
+      broadcastToUser(contactId, 'message:pinned', {
+        messageId: message._id.toString(),
+        chatId: userId,
+        pinnedBy: userId,
+        pinnedAt: message.pinnedAt,
+        messagePreview: message.messagePreview
+      });
+    } catch (broadcastError) {
+      console.error('❌ Error broadcasting pin:', broadcastError);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: message,
+      message: 'Message pinned successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error pinning message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pin message',
+      error: error.message
+    });
+  }
+};
+
+// Unpin a message in a 1:1 conversation
+const unpinMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+
+    console.log('📌 Chat Controller - Unpin Message:', { userId, messageId });
+
+    const message = await Message.findOneAndUpdate(
+      {
+        _id: messageId,
+        $or: [{ senderId: userId }, { receiverId: userId }],
+        isPinned: true
+      },
+      { $set: { isPinned: false, pinnedBy: null, pinnedAt: null } },
+      { new: true }
+    );
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pinned message not found'
+      });
+    }
+
+    const contactId = message.senderId === userId ? message.receiverId : message.senderId;
+
+    try {
+      broadcastToUser(contactId, 'message:unpinned', {
+        messageId: message._id.toString(),
+        chatId: userId,
+        unpinnedBy: userId
+      });
+    } catch (broadcastError) {
+      console.error('❌ Error broadcasting unpin:', broadcastError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Message unpinned successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error unpinning message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unpin message',
+      error: error.message
+    });
+  }
+};
+
+// Get pinned messages in a 1:1 conversation
+const getPinnedMessages = async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const userId = req.user.userId;
+
+    const pinnedMessages = await Message.find({
+      $or: [
+        { senderId: userId, receiverId: contactId },
+        { senderId: contactId, receiverId: userId }
+      ],
+      isPinned: true,
+      deletedFor: { $ne: userId }
+    })
+    .select('senderId receiverId message messagePreview messageType imageUrl e2ee timestamp pinnedBy pinnedAt')
+    .sort({ pinnedAt: -1 })
+    .lean();
+
+    res.status(200).json({
+      success: true,
+      data: pinnedMessages,
+      limit: MAX_PINNED_MESSAGES
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching pinned messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pinned messages',
+      error: error.message
+    });
+  }
+};
+
 // Toggle message reaction
 const toggleReaction = async (req, res) => {
   try {
@@ -1494,7 +1744,12 @@ const cleanupExpiredMessages = async (req, res) => {
   try {
     console.log('⏳ [TIMER MODE] Cleaning up expired messages...');
     
+    const expiredIds = await Message.find({
+      privacyMode: 'timer',
+      expiresAt: { $lte: new Date() }
+    }).distinct('_id');
     const result = await Message.deleteExpiredMessages();
+    await removeOutboxEntries(expiredIds);
     
     console.log('⏳ [TIMER MODE] Deleted', result.deletedCount, 'expired messages');
     
@@ -1629,6 +1884,11 @@ module.exports = {
   getUnreadCount,
   getAllUnreadCounts,
   deleteMessage,
+  editMessage,
+  getMessageRevisions,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
   toggleReaction,
   searchMessages,
   sendReply,
@@ -0,0 +1,81 @@
+const asyncHandler = require('express-async-handler');
+const {
+  requestExport,
+  listExports,
+  getExport,
+  getDownload
+} = require('../services/dataExportService');
+
+/**
+ * @desc    Request a copy of all my data (built in the background)
+ * @route   POST /api/users/me/exports
+ * @access  Private
+ */
+const requestDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await requestExport(req.user.userId);
+
+  res.status(202).json({
+    success: true,
+    message: "Your export is being prepared. We'll email you a download link when it's ready.",
+    data: dataExport
+  });
+});
+
+/**
+ * @desc    My recent exports
+ * @route   GET /api/users/me/exports
+ * @access  Private
+ */
+const getDataExports = asyncHandler(async (req, res) => {
+  const exports = await listExports(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: exports
+  });
+});
+
+/**
+ * @desc    Status of one export
+ * @route   GET /api/users/me/exports/:exportId
+ * @access  Private
+ */
+const getDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await getExport(req.user.userId, req.params.exportId);
+
+  res.status(200).json({
+    success: true,
+    data: dataExport
+  });
+});
+
+/**
+ * @desc    Download the ZIP - signed in, or with the token from the email
+ * @route   GET /api/users/me/exports/:exportId/download
+ * @access  Private (or emailed link)
+ */
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const { stream, fileName, fileSize } = await getDownload(req.params.exportId, {
+    userId: req.user?.userId,
+    token: req.query.token
+  });
+
+  res.attachment(fileName);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Length': fileSize,
+    'Cache-Control': 'private, no-store'
+  });
+  stream.on('error', (error) => {
+    console.error(`❌ [DATA EXPORT] Download of ${req.params.exportId} failed:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+};
@@ -4,6 +4,7 @@ const Friend = require('../models/Friend');
 const User = require('../models/userModel');
 const path = require('path');
 const fs = require('fs').promises;
+const storage = require('../services/storageProvider');
 
 /**
  * Get user's doc space
@@ -93,6 +94,7 @@ exports.uploadDocument = async (req, res) => {
     };
     
     // Add document
+    await storage.persistUpload(req.file);
     await docSpace.addDocument(documentData);
     
     console.log(`✅ [DOC SPACE] Document uploaded: ${documentType} for user ${userId}`);
@@ -151,10 +153,9 @@ exports.deleteDocument = async (req, res) => {
       });
     }
     
-    // Delete file from filesystem
+    // Delete file from storage
     try {
-      const filePath = path.join(__dirname, '..', document.fileUrl);
-      await fs.unlink(filePath);
+      await storage.remove(document.fileUrl);
     } catch (fileError) {
       console.error('Error deleting file:', fileError);
       // Continue even if file deletion fails
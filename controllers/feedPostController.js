@@ -2,11 +2,13 @@ const FeedPost = require('../models/FeedPost');
 const User = require('../models/userModel');
 const Page = require('../models/Page');
 const { getInstance: getPostEncryption } = require('../utils/postEncryption');
+const { buildPoll } = require('../services/pollService');
+const { getMediaInfoMap } = require('../services/mediaProcessingService');
 
 // Create a new feed post
 const createFeedPost = async (req, res) => {
   try {
-    const { caption, type, mediaUrls, mediaMetadata, location, privacy, pageId, music } = req.body;
+    const { caption, type, mediaUrls, mediaMetadata, location, privacy, pageId, music, poll } = req.body;
     const userId = req.user.userId;
 
     // ✅ ARCHITECTURE FIX: Page posts must go through POST /api/pages/:pageId/posts
@@ -23,17 +25,30 @@ const createFeedPost = async (req, res) => {
     }
 
     // Validate required fields
-    const validTypes = ['photo', 'video', 'carousel', 'text'];
+    const validTypes = ['photo', 'video', 'carousel', 'text', 'poll'];
     const validPrivacy = ['public', 'friends', 'private'];
     if (!type || !validTypes.includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'Post type must be photo, video, carousel, or text'
+        message: 'Post type must be photo, video, carousel, text, or poll'
       });
     }
 
-    // Text-only posts don't require media; media posts still require at least one URL
-    const isTextOnly = type === 'text';
+    // Poll posts carry their question and options instead of media
+    let pollData = null;
+    if (type === 'poll') {
+      try {
+        pollData = buildPoll(poll);
+      } catch (pollError) {
+        return res.status(400).json({
+          success: false,
+          message: pollError.message
+        });
+      }
+    }
+
+    // Text-only and poll posts don't require media; media posts still require at least one URL
+    const isTextOnly = type === 'text' || type === 'poll';
     if (!isTextOnly && (!mediaUrls || !Array.isArray(mediaUrls) || mediaUrls.length === 0 || mediaUrls.some(url => typeof url !== 'string' || url.trim().length === 0))) {
       return res.status(400).json({
         success: false,
@@ -42,7 +57,7 @@ const createFeedPost = async (req, res) => {
     }
 
     // Text-only posts must have a caption
-    if (isTextOnly && (!caption || caption.trim().length === 0)) {
+    if (type === 'text' && (!caption || caption.trim().length === 0)) {
       return res.status(400).json({
         success: false,
         message: 'Text posts require a caption'
@@ -70,15 +85,26 @@ const createFeedPost = async (req, res) => {
       });
     }
 
+    // Real dimensions, duration and thumbnails from upload processing
+    const mediaInfo = isTextOnly ? new Map() : await getMediaInfoMap(mediaUrls || []);
+
     // Create media items with encryption metadata (empty for text-only posts)
     const media = isTextOnly ? [] : (mediaUrls || []).map((url, index) => {
+      const info = mediaInfo.get(url);
+      const isVideo = info ? info.mediaType === 'video' : url.includes('.mp4');
       const mediaItem = {
-        type: type === 'carousel' ? (url.includes('.mp4') ? 'video' : 'photo') : type,
+        type: type === 'carousel' ? (isVideo ? 'video' : 'photo') : type,
         url: url,
-        width: 1080,
-        height: 1080,
+        width: info?.width || 1080,
+        height: info?.height || 1080,
         order: index
       };
+
+      if (info) {
+        mediaItem.thumbnail = info.thumbnailUrl;
+        mediaItem.duration = info.duration || undefined;
+        mediaItem.variants = info.variants;
+      }
       
       // Add encryption metadata if provided
       if (mediaMetadata && mediaMetadata[index]) {
@@ -128,6 +154,7 @@ const createFeedPost = async (req, res) => {
       caption: caption || '',
       media,
       music: musicData,
+      poll: pollData,
       location: location ? { name: location } : undefined,
       privacy: privacy || 'public'
     });
@@ -168,6 +195,7 @@ const createFeedPost = async (req, res) => {
         caption: newPost.caption,
         media: newPost.media,
         music: newPost.music || null,
+        poll: newPost.poll || null,
         location: newPost.location,
         privacy: newPost.privacy,
         likesCount: newPost.likesCount,
@@ -5,6 +5,117 @@ const GroupMember = require('../models/groupMemberModel');
 const User = require('../models/userModel');
 const mongoose = require('mongoose');
 const { broadcastToUser } = require('../socketManager');
+const { isWithinEditWindow, EDIT_WINDOW_MINUTES } = require('../utils/messageEditing');
+const { deliverGroupMessage } = require('../services/messageDeliveryService');
+const StarredMessage = require('../models/StarredMessage');
+const GroupInviteLink = require('../models/GroupInviteLink');
+const GroupJoinRequest = require('../models/GroupJoinRequest');
+const GroupThreadFollow = require('../models/GroupThreadFollow');
+const { deleteVotesFor } = require('../services/pollService');
+const { recordGroupEvent } = require('../services/groupEventService');
+const { markDelivered, markReadUpTo, getMessageInfo, hideDisabledReadReceipts } = require('../services/groupReceiptService');
+const { GROUP_EVENT_TYPES } = require('../utils/groupSystemEvents');
+const storage = require('../services/storageProvider');
+
+// Allowed range for the disappearing messages timer (seconds)
+const MIN_DISAPPEARING_DURATION = 60;
+const MAX_DISAPPEARING_DURATION = 90 * 24 * 60 * 60;
+
+// "7 days", "24 hours", "90 minutes" style label for system messages
+const formatDisappearingDuration = (seconds) => {
+  const units = [
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60]
+  ];
+  for (const [unit, size] of units) {
+    if (seconds >= size && seconds % size === 0) {
+      const count = seconds / size;
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return `${seconds} seconds`;
+};
+
+/**
+ * Post a system event for each visible change made by updateGroupChat
+ */
+const recordGroupUpdateEvents = async (groupId, actorId, before, after) => {
+  if (before.groupName !== after.groupName) {
+    await recordGroupEvent(groupId, {
+      eventType: 'group_renamed',
+      actorId,
+      metadata: { oldName: before.groupName, newName: after.groupName }
+    });
+  }
+
+  if ((before.description || '') !== (after.description || '')) {
+    await recordGroupEvent(groupId, { eventType: 'description_changed', actorId });
+  }
+
+  if (before.groupImage !== after.groupImage) {
+    await recordGroupEvent(groupId, { eventType: 'group_image_changed', actorId });
+  }
+
+  // Disappearing messages turned on/off or the timer changed
+  const disappearingBefore = before.settings?.disappearingMessages || {};
+  const disappearingAfter = after.settings?.disappearingMessages || {};
+  const wasEnabled = !!disappearingBefore.enabled;
+  const isEnabled = !!disappearingAfter.enabled;
+  if (wasEnabled !== isEnabled || (isEnabled && disappearingBefore.duration !== disappearingAfter.duration)) {
+    await recordGroupEvent(groupId, {
+      eventType: 'disappearing_messages_changed',
+      actorId,
+      metadata: {
+        enabled: isEnabled,
+        duration: disappearingAfter.duration,
+        durationLabel: formatDisappearingDuration(disappearingAfter.duration)
+      }
+    });
+  }
+
+  // Remaining boolean settings (onlyAdminsCanMessage, ...)
+  const changes = {};
+  Object.keys(after.settings.toObject())
+    .filter(key => key !== 'disappearingMessages')
+    .forEach(key => {
+      if (before.settings?.[key] !== after.settings[key]) {
+        changes[key] = after.settings[key];
+      }
+    });
+  if (Object.keys(changes).length > 0) {
+    await recordGroupEvent(groupId, { eventType: 'settings_changed', actorId, metadata: { changes } });
+  }
+};
+
+// Maximum pinned messages per group chat
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES, 10) || 3;
+
+/**
+ * Ensure the user may pin/unpin in this group. Admins always can; members only
+ * when neither pinning nor messaging is restricted to admins.
+ */
+const ensureCanPin = async (res, groupId, userId) => {
+  const membership = await GroupMember.findOne({ groupId, userId, isActive: true });
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat) {
+    res.status(404);
+    throw new Error('Group chat not found');
+  }
+
+  const { onlyAdminsCanPinMessages, onlyAdminsCanMessage } = groupChat.settings;
+  if (membership.role !== 'admin' && (onlyAdminsCanPinMessages || onlyAdminsCanMessage)) {
+    res.status(403);
+    throw new Error('Only admins can pin messages in this group');
+  }
+
+  return { membership, groupChat };
+};
 
 /**
  * @desc    Create a new group chat
@@ -74,6 +185,12 @@ const createGroupChat = asyncHandler(async (req, res) => {
 
     await GroupMember.insertMany(memberRecords);
 
+    await recordGroupEvent(groupChat._id, {
+      eventType: 'group_created',
+      actorId: createdBy,
+      metadata: { groupName: groupChat.groupName }
+    });
+
     // Get the created group (no population needed since we're using String IDs)
     const populatedGroup = await GroupChat.findById(groupChat._id);
 
@@ -337,103 +454,10 @@ const sendGroupMessage = asyncHandler(async (req, res) => {
       } : undefined
     });
 
-    // Update group's last message and activity
-    await groupChat.updateLastMessage(groupMessage);
-    await groupChat.save();
-
-    // Mark as delivered to all active members
-    const activeMembers = await GroupMember.find({
-      groupId,
-      isActive: true,
-      userId: { $ne: senderId }
-    });
-
-    const deliveryPromises = activeMembers.map(member =>
-      groupMessage.markAsDelivered(member.userId)
-    );
-    await Promise.all(deliveryPromises);
-    await groupMessage.save();
-
     console.log(`💬 [GROUP MESSAGE] Message sent to group ${groupId} by ${sender.name}`);
 
-    // CRITICAL: Broadcast group message to all active members via WebSocket
-    try {
-      console.log('📡 [GROUP MESSAGE] Broadcasting message to group members...');
-      
-      const broadcastData = {
-        _id: groupMessage._id,
-        senderId: groupMessage.senderId,
-        receiverId: groupId, // Group ID as receiver for group messages
-        message: groupMessage.message,
-        messageType: groupMessage.messageType,
-        timestamp: groupMessage.createdAt,
-        status: 'delivered',
-        groupId: groupId,
-        senderName: groupMessage.senderName,
-        isGroupMessage: true
-      };
-
-      let successfulBroadcasts = 0;
-      
-      // Broadcast to each active member (except sender)
-      for (const member of activeMembers) {
-        try {
-          const broadcastSuccess = broadcastToUser(member.userId, 'message:new', broadcastData);
-          if (broadcastSuccess) {
-            successfulBroadcasts++;
-            console.log(`✅ [GROUP MESSAGE] Broadcasted to member: ${member.userId}`);
-          } else {
-            console.log(`⚠️ [GROUP MESSAGE] Member ${member.userId} offline, message saved for later`);
-          }
-        } catch (memberError) {
-          console.error(`❌ [GROUP MESSAGE] Error broadcasting to member ${member.userId}:`, memberError);
-        }
-      }
-      
-      console.log(`📊 [GROUP MESSAGE] Successfully broadcast to ${successfulBroadcasts}/${activeMembers.length} members`);
-      
-      // 🔔 Send notifications to group members via socket
-      console.log('🔔 [GROUP MESSAGE] Sending notifications to group members...');
-      let notificationsSent = 0;
-      
-      for (const member of activeMembers) {
-        try {
-          const notificationData = {
-            type: 'group_message',
-            title: `${groupChat.groupName} - ${sender.name}`,
-            body: groupMessage.message || 'Sent a message',
-            data: {
-              type: 'group_message',
-              groupId: groupId,
-              groupName: groupChat.groupName,
-              senderId: senderId,
-              senderName: sender.name,
-              messageId: groupMessage._id.toString(),
-              chatId: groupId,
-              timestamp: groupMessage.createdAt.toISOString(),
-              isGroupMessage: true
-            }
-          };
-          
-          // Broadcast notification event to member
-          const notifSuccess = broadcastToUser(member.userId, 'notification:new', notificationData);
-          if (notifSuccess) {
-            notificationsSent++;
-            console.log(`✅ [GROUP MESSAGE] Notification sent to member: ${member.userId}`);
-          } else {
-            console.log(`⚠️ [GROUP MESSAGE] Member ${member.userId} offline, notification queued`);
-          }
-        } catch (notifError) {
-          console.error(`❌ [GROUP MESSAGE] Failed to send notification to ${member.userId}:`, notifError.message);
-        }
-      }
-      
-      console.log(`🔔 [GROUP MESSAGE] Sent ${notificationsSent}/${activeMembers.length} notifications`);
-      
-    } catch (broadcastError) {
-      console.error('❌ [GROUP MESSAGE] Error broadcasting group message:', broadcastError);
-      // Don't fail the request if broadcasting fails - message is still saved
-    }
+    // CRITICAL: Deliver to all active members (WebSocket + notifications + FCM wakeup)
+    await deliverGroupMessage(groupMessage, groupChat);
 
     res.status(201).json({
       success: true,
@@ -482,9 +506,12 @@ const getGroupMessages = asyncHandler(async (req, res) => {
       }
     );
 
+    // Fetched messages have reached this member's device
+    await markDelivered(groupId, userId, messages.map(message => message._id));
+
     res.status(200).json({
       success: true,
-      data: messages,
+      data: await hideDisabledReadReceipts(messages),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -498,6 +525,85 @@ const getGroupMessages = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Acknowledge that group messages reached this device
+ * @route   POST /api/group-chats/:groupId/mark-delivered
+ * @access  Private
+ */
+const markGroupMessagesAsDelivered = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { messageIds } = req.body;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    res.status(400);
+    throw new Error('Message IDs are required');
+  }
+
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const deliveredIds = await markDelivered(groupId, userId, messageIds);
+
+  res.status(200).json({
+    success: true,
+    data: { messageIds: deliveredIds },
+    message: 'Messages marked as delivered'
+  });
+});
+
+/**
+ * @desc    Message info - who a group message was delivered to and read by
+ * @route   GET /api/group-chats/:groupId/messages/:messageId/info
+ * @access  Private (message sender)
+ */
+const getGroupMessageInfo = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid group or message ID');
+  }
+
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const groupMessage = await GroupMessage.findOne({
+    _id: messageId,
+    groupId,
+    deletedAt: null
+  }).select('groupId senderId readBy deliveredTo createdAt');
+
+  if (!groupMessage) {
+    res.status(404);
+    throw new Error('Message not found');
+  }
+
+  if (groupMessage.senderId !== userId) {
+    res.status(403);
+    throw new Error('You can only view info for your own messages');
+  }
+
+  const info = await getMessageInfo(groupMessage);
+
+  res.status(200).json({
+    success: true,
+    data: info
+  });
+});
+
 /**
  * @desc    Add members to group chat
  * @route   POST /api/group-chats/:groupId/members
@@ -595,37 +701,12 @@ const addGroupMembers = asyncHandler(async (req, res) => {
 
     console.log(`👥 [GROUP MEMBERS] Added ${newMemberIds.length} members to group ${groupId}`);
 
-    // Create system message for each added member (like WhatsApp)
-    const adderUser = await User.findOne({ userId }).select('name');
-    const adderName = adderUser?.name || 'Someone';
-
-    for (const memberId of newMemberIds) {
-      const addedUser = await User.findOne({ userId: memberId }).select('name');
-      const addedName = addedUser?.name || 'Unknown';
-
-      // Create system message
-      const systemMessage = await GroupMessage.create({
-        groupId,
-        senderId: 'system',
-        senderName: adderName,
-        message: `${adderName} added ${addedName}`,
-        messageType: 'system',
-        timestamp: new Date()
-      });
-
-      // Broadcast system message to all group members
-      try {
-        groupChat.members.forEach(member => {
-          broadcastToUser(member, 'group:message', {
-            groupId,
-            message: systemMessage,
-            messageType: 'system'
-          });
-        });
-      } catch (broadcastError) {
-        console.error('❌ [GROUP MEMBERS] Failed to broadcast system message:', broadcastError);
-      }
-    }
+    // System message "A added B and C" (like WhatsApp)
+    await recordGroupEvent(groupId, {
+      eventType: 'member_added',
+      actorId: userId,
+      targetUserIds: newMemberIds
+    });
 
     res.status(200).json({
       success: true,
@@ -676,9 +757,10 @@ const markGroupMessagesAsRead = asyncHandler(async (req, res) => {
       throw new Error('You are not a member of this group');
     }
 
-    // Get the latest message in the group
+    // Get the latest message in the group (thread replies are read per thread)
     const latestMessage = await GroupMessage.findOne({
       groupId,
+      threadId: null,
       deletedAt: null
     }).sort({ createdAt: -1 });
 
@@ -701,6 +783,9 @@ const markGroupMessagesAsRead = asyncHandler(async (req, res) => {
       
       await member.save();
 
+      // Per-message read receipts for everything that was unread
+      await markReadUpTo(groupId, userId, latestMessage._id, oldLastSeenMessageId);
+
       console.log('✅ [MARK READ] Member record saved successfully');
       console.log(`✅ [MARK READ] Marked messages as read for user ${userId} in group ${groupId}`);
       
@@ -805,6 +890,10 @@ const removeGroupMember = asyncHandler(async (req, res) => {
 
     console.log(`👥 [GROUP MEMBERS] Removed member ${memberId} from group ${groupId}`);
 
+    await recordGroupEvent(groupId, isSelfRemoval
+      ? { eventType: 'member_left', actorId: userId }
+      : { eventType: 'member_removed', actorId: userId, targetUserIds: [memberId], notifyUserIds: [memberId] });
+
     res.status(200).json({
       success: true,
       message: isSelfRemoval ? 'Left group successfully' : 'Member removed successfully'
@@ -841,6 +930,7 @@ const uploadGroupImage = asyncHandler(async (req, res) => {
 
     // Construct the image path (relative to server)
     const imagePath = `/uploads/group-images/${req.file.filename}`;
+    await storage.persistUpload(req.file);
     
     console.log('📸 [GROUP IMAGE] Uploaded:', imagePath);
 
@@ -861,6 +951,8 @@ const uploadGroupImage = asyncHandler(async (req, res) => {
 
     console.log(`✅ [GROUP IMAGE] Group ${groupId} image updated by admin ${userId}`);
 
+    await recordGroupEvent(groupId, { eventType: 'group_image_changed', actorId: userId });
+
     // Return full URL
     const imageBaseUrl = process.env.IMAGE_BASE_URL || 'https://api.crackman.in';
     const fullImageUrl = `${imageBaseUrl}${imagePath}`;
@@ -916,10 +1008,23 @@ const updateGroupChat = asyncHandler(async (req, res) => {
     
     if (settings) {
       updateData.settings = { ...settings };
+
+      const disappearing = settings.disappearingMessages;
+      if (disappearing && disappearing.duration !== undefined) {
+        const duration = Number(disappearing.duration);
+        if (!Number.isInteger(duration) ||
+            duration < MIN_DISAPPEARING_DURATION || duration > MAX_DISAPPEARING_DURATION) {
+          res.status(400);
+          throw new Error('Disappearing messages duration must be between 1 minute and 90 days');
+        }
+      }
     }
 
     updateData.lastActivity = new Date();
 
+    // Keep the previous state to work out which system events to post
+    const previousGroup = await GroupChat.findById(groupId).select('groupName description groupImage settings');
+
     const updatedGroup = await GroupChat.findByIdAndUpdate(
       groupId,
       updateData,
@@ -933,6 +1038,10 @@ const updateGroupChat = asyncHandler(async (req, res) => {
 
     console.log(`📝 [GROUP UPDATE] Group ${groupId} updated by admin ${userId}`);
 
+    if (previousGroup) {
+      await recordGroupUpdateEvents(groupId, userId, previousGroup, updatedGroup);
+    }
+
     // Transform groupImage to full URL
     const imageBaseUrl = process.env.IMAGE_BASE_URL || 'https://api.crackman.in';
     const groupObj = updatedGroup.toObject();
@@ -947,8 +1056,8 @@ const updateGroupChat = asyncHandler(async (req, res) => {
     });
   } catch (error) {
     console.error('❌ [GROUP UPDATE] Error updating group:', error);
-    res.status(500);
-    throw new Error('Failed to search messages');
+    // Keep the 400/403/404 set above instead of masking it as a 500
+    throw error;
   }
 });
 
@@ -979,8 +1088,14 @@ const deleteGroupChat = asyncHandler(async (req, res) => {
     // Delete all group members
     await GroupMember.deleteMany({ groupId });
 
-    // Delete all group messages
+    // Delete all group messages (and ballots of any polls in them)
+    const pollMessageIds = await GroupMessage.find({ groupId, messageType: 'poll' }).distinct('_id');
+    await deleteVotesFor('group_message', pollMessageIds);
     await GroupMessage.deleteMany({ groupId });
+    await StarredMessage.deleteMany({ groupId });
+    await GroupInviteLink.deleteMany({ groupId });
+    await GroupJoinRequest.deleteMany({ groupId });
+    await GroupThreadFollow.deleteMany({ groupId });
 
     // Delete the group chat
     await GroupChat.findByIdAndDelete(groupId);
@@ -1088,6 +1203,308 @@ const toggleGroupMessageReaction = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Edit a group message (sender only, within the edit window)
+ * @route   PUT /api/group-chats/:groupId/messages/:messageId
+ * @access  Private
+ */
+const editGroupMessage = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const { message, encryptionData } = req.body;
+  const userId = req.user.userId;
+
+  console.log('✏️ [GROUP EDIT] Editing message:', { groupId, messageId, userId });
+
+  if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid group or message ID');
+  }
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    res.status(400);
+    throw new Error('New message content is required');
+  }
+
+  const membership = await GroupMember.findOne({
+    groupId,
+    userId,
+    isActive: true
+  });
+
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const groupMessage = await GroupMessage.findOne({
+    _id: messageId,
+    groupId,
+    deletedAt: null
+  });
+
+  if (!groupMessage) {
+    res.status(404);
+    throw new Error('Message not found');
+  }
+
+  if (groupMessage.senderId !== userId) {
+    res.status(403);
+    throw new Error('You can only edit your own messages');
+  }
+
+  if (groupMessage.messageType !== 'text') {
+    res.status(400);
+    throw new Error('Only text messages can be edited');
+  }
+
+  if (!isWithinEditWindow(groupMessage.createdAt)) {
+    res.status(403);
+    throw new Error(`Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`);
+  }
+
+  // An encrypted message must be replaced by a new ciphertext, never by plaintext
+  if (groupMessage.encrypted && !(encryptionData && encryptionData.encryptedContent)) {
+    res.status(400);
+    throw new Error('Encrypted messages must be edited with a new encrypted payload');
+  }
+
+  groupMessage.editMessage(message, encryptionData);
+  await groupMessage.save();
+  await StarredMessage.refreshSnapshot(groupMessage._id, groupMessage.message);
+
+  // Keep the chat list preview in sync when the latest message was edited
+  await GroupChat.updateOne(
+    { _id: groupId, 'lastMessage.messageId': groupMessage._id },
+    { $set: { 'lastMessage.text': groupMessage.message } }
+  );
+
+  console.log(`✅ [GROUP EDIT] Message ${messageId} edited in group ${groupId}`);
+
+  try {
+    const editData = {
+      messageId: groupMessage._id.toString(),
+      groupId,
+      senderId: groupMessage.senderId,
+      message: groupMessage.message,
+      encrypted: groupMessage.encrypted,
+      encryptionData: groupMessage.encryptionData,
+      isEdited: true,
+      editedAt: groupMessage.editedAt,
+      isGroupMessage: true
+    };
+
+    const activeMembers = await GroupMember.find({
+      groupId,
+      isActive: true,
+      userId: { $ne: userId }
+    }).select('userId');
+
+    activeMembers.forEach(member => {
+      broadcastToUser(member.userId, 'message:edited', editData);
+    });
+  } catch (broadcastError) {
+    console.error('❌ [GROUP EDIT] Error broadcasting message edit:', broadcastError);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: groupMessage,
+    message: 'Message edited successfully'
+  });
+});
+
+/**
+ * @desc    Get revision history of a group message
+ * @route   GET /api/group-chats/:groupId/messages/:messageId/revisions
+ * @access  Private
+ */
+const getGroupMessageRevisions = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid group or message ID');
+  }
+
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const groupMessage = await GroupMessage.findOne({
+    _id: messageId,
+    groupId,
+    deletedAt: null
+  }).select('message isEdited editedAt editHistory createdAt').lean();
+
+  if (!groupMessage) {
+    res.status(404);
+    throw new Error('Message not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      messageId: groupMessage._id,
+      current: groupMessage.message,
+      isEdited: groupMessage.isEdited || false,
+      editedAt: groupMessage.editedAt,
+      revisions: groupMessage.editHistory || []
+    }
+  });
+});
+
+/**
+ * @desc    Pin a message in a group chat
+ * @route   POST /api/group-chats/:groupId/messages/:messageId/pin
+ * @access  Private
+ */
+const pinGroupMessage = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid group or message ID');
+  }
+
+  const { groupChat } = await ensureCanPin(res, groupId, userId);
+
+  const groupMessage = await GroupMessage.findOne({
+    _id: messageId,
+    groupId,
+    deletedAt: null
+  });
+
+  if (!groupMessage) {
+    res.status(404);
+    throw new Error('Message not found');
+  }
+
+  if (groupMessage.messageType === 'system') {
+    res.status(400);
+    throw new Error('System messages cannot be pinned');
+  }
+
+  if (!groupMessage.isPinned) {
+    const pinnedCount = await GroupMessage.countDocuments({ groupId, isPinned: true, deletedAt: null });
+    if (pinnedCount >= MAX_PINNED_MESSAGES) {
+      res.status(400);
+      throw new Error(`You can pin up to ${MAX_PINNED_MESSAGES} messages in a group. Unpin one first.`);
+    }
+
+    groupMessage.isPinned = true;
+    groupMessage.pinnedBy = userId;
+    groupMessage.pinnedAt = new Date();
+    await groupMessage.save();
+
+    console.log(`📌 [GROUP PIN] ${userId} pinned message ${messageId} in group ${groupId}`);
+
+    groupChat.members
+      .filter(member => member !== userId)
+      .forEach(member => {
+        broadcastToUser(member, 'message:pinned', {
+          messageId: groupMessage._id.toString(),
+          groupId,
+          pinnedBy: userId,
+          pinnedAt: groupMessage.pinnedAt,
+          message: groupMessage.message,
+          isGroupMessage: true
+        });
+      });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: groupMessage,
+    message: 'Message pinned successfully'
+  });
+});
+
+/**
+ * @desc    Unpin a message in a group chat
+ * @route   DELETE /api/group-chats/:groupId/messages/:messageId/pin
+ * @access  Private
+ */
+const unpinGroupMessage = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid group or message ID');
+  }
+
+  const { groupChat } = await ensureCanPin(res, groupId, userId);
+
+  const groupMessage = await GroupMessage.findOneAndUpdate(
+    { _id: messageId, groupId, isPinned: true },
+    { $set: { isPinned: false, pinnedBy: null, pinnedAt: null } },
+    { new: true }
+  );
+
+  if (!groupMessage) {
+    res.status(404);
+    throw new Error('Pinned message not found');
+  }
+
+  console.log(`📌 [GROUP PIN] ${userId} unpinned message ${messageId} in group ${groupId}`);
+
+  groupChat.members
+    .filter(member => member !== userId)
+    .forEach(member => {
+      broadcastToUser(member, 'message:unpinned', {
+        messageId: groupMessage._id.toString(),
+        groupId,
+        unpinnedBy: userId,
+        isGroupMessage: true
+      });
+    });
+
+  res.status(200).json({
+    success: true,
+    message: 'Message unpinned successfully'
+  });
+});
+
+/**
+ * @desc    Get pinned messages in a group chat
+ * @route   GET /api/group-chats/:groupId/pinned
+ * @access  Private
+ */
+const getPinnedGroupMessages = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const pinnedMessages = await GroupMessage.find({
+    groupId,
+    isPinned: true,
+    deletedAt: null
+  })
+  .select('_id messageId senderId senderName message messageType imageUrl encrypted encryptionData createdAt pinnedBy pinnedAt')
+  .sort({ pinnedAt: -1 })
+  .lean();
+
+  res.status(200).json({
+    success: true,
+    data: pinnedMessages,
+    limit: MAX_PINNED_MESSAGES
+  });
+});
+
 /**
  * @desc    Search messages in group
  * @route   GET /api/group-chats/:groupId/messages/search
@@ -1130,7 +1547,7 @@ const searchGroupMessages = asyncHandler(async (req, res) => {
       deletedAt: null,
       $text: { $search: query.trim() }
     })
-    .select('_id messageId senderId senderName message messageType createdAt')
+    .select('_id messageId senderId senderName message messageType systemEvent threadId createdAt')
     .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
     .limit(parseInt(limit))
     .skip((parseInt(page) - 1) * parseInt(limit));
@@ -1228,6 +1645,8 @@ const leaveGroup = asyncHandler(async (req, res) => {
 
     console.log(`🚪 [GROUP CHAT] User ${userId} left group ${groupId}`);
 
+    await recordGroupEvent(groupId, { eventType: 'member_left', actorId: userId });
+
     res.status(200).json({
       success: true,
       message: 'Successfully left the group'
@@ -1263,6 +1682,10 @@ const updateMemberRole = asyncHandler(async (req, res) => {
       throw new Error('Invalid role. Must be "member" or "admin"');
     }
 
+    // Remember the old role so unchanged roles don't post a system message
+    const previousMember = await GroupMember.findOne({ groupId, userId: memberId }).select('role');
+    const previousRole = previousMember?.role;
+
     // Update member role
     const updatedMember = await GroupMember.findOneAndUpdate(
       { groupId, userId: memberId },
@@ -1288,6 +1711,14 @@ const updateMemberRole = asyncHandler(async (req, res) => {
 
     console.log(`👑 [GROUP ROLE] Updated ${memberId} role to ${role} in group ${groupId}`);
 
+    if (previousRole !== role) {
+      await recordGroupEvent(groupId, {
+        eventType: role === 'admin' ? 'admin_promoted' : 'admin_demoted',
+        actorId: userId,
+        targetUserIds: [memberId]
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: updatedMember,
@@ -1331,6 +1762,95 @@ const getGroupsHealth = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Admin audit log of group system events (joins, removals, role changes, renames...)
+ * @route   GET /api/group-chats/:groupId/audit-log
+ * @access  Private (admins)
+ */
+const getGroupAuditLog = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { eventType, actorId, targetUserId, from, to } = req.query;
+  const userId = req.user.userId;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+
+  const adminMembership = await GroupMember.isAdmin(groupId, userId);
+  if (!adminMembership) {
+    res.status(403);
+    throw new Error('Only admins can view the group audit log');
+  }
+
+  const filter = {
+    groupId,
+    messageType: 'system',
+    'systemEvent.eventType': { $exists: true }
+  };
+
+  if (eventType) {
+    const eventTypes = String(eventType).split(',').map(type => type.trim()).filter(Boolean);
+    const unknownTypes = eventTypes.filter(type => !GROUP_EVENT_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      res.status(400);
+      throw new Error(`Unknown event type: ${unknownTypes.join(', ')}`);
+    }
+    filter['systemEvent.eventType'] = { $in: eventTypes };
+  }
+  if (actorId) {
+    filter['systemEvent.actorId'] = actorId;
+  }
+  if (targetUserId) {
+    filter['systemEvent.targetUserIds'] = targetUserId;
+  }
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      res.status(400);
+      throw new Error('Invalid date range');
+    }
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  const [events, total] = await Promise.all([
+    GroupMessage.find(filter)
+      .select('_id message systemEvent createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    GroupMessage.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events: events.map(event => ({
+        _id: event._id,
+        eventType: event.systemEvent.eventType,
+        actorId: event.systemEvent.actorId,
+        targetUserIds: event.systemEvent.targetUserIds || [],
+        metadata: event.systemEvent.metadata || {},
+        text: event.message,
+        createdAt: event.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    }
+  });
+});
+
 module.exports = {
   createGroupChat,
   getUserGroupChats,
@@ -1348,5 +1868,13 @@ module.exports = {
   leaveGroup,
   getGroupsHealth,
   toggleGroupMessageReaction,
-  searchGroupMessages
+  searchGroupMessages,
+  editGroupMessage,
+  getGroupMessageRevisions,
+  pinGroupMessage,
+  unpinGroupMessage,
+  getPinnedGroupMessages,
+  getGroupAuditLog,
+  markGroupMessagesAsDelivered,
+  getGroupMessageInfo
 };
@@ -0,0 +1,582 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const GroupInviteLink = require('../models/GroupInviteLink');
+const GroupJoinRequest = require('../models/GroupJoinRequest');
+const User = require('../models/userModel');
+const deepLinkService = require('../services/deepLinkService');
+const { recordGroupEvent } = require('../services/groupEventService');
+const { broadcastToUser } = require('../socketManager');
+
+// Same member cap as createGroupChat / addGroupMembers
+const MAX_GROUP_MEMBERS = 256;
+// Cap on live (non-revoked) invite links per group
+const MAX_ACTIVE_INVITE_LINKS = 20;
+
+const ensureValidGroupId = (res, groupId) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+};
+
+/**
+ * Ensure the user may invite people - same rules as addGroupMembers
+ */
+const ensureCanInvite = async (res, groupId, userId) => {
+  const membership = await GroupMember.findOne({ groupId, userId, isActive: true });
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat || !groupChat.isActive) {
+    res.status(404);
+    throw new Error('Group chat not found');
+  }
+
+  if (groupChat.settings.onlyAdminsCanAddMembers && membership.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only admins can add members to this group');
+  }
+
+  if (!membership.permissions.canAddMembers && membership.role !== 'admin') {
+    res.status(403);
+    throw new Error('You do not have permission to add members');
+  }
+
+  return { membership, groupChat };
+};
+
+const ensureAdmin = async (res, groupId, userId) => {
+  const isAdmin = await GroupMember.isAdmin(groupId, userId);
+  if (!isAdmin) {
+    res.status(403);
+    throw new Error('Only admins can manage join requests');
+  }
+};
+
+/**
+ * A link stops working once its creator could no longer add members themselves
+ */
+const creatorCanStillInvite = async (link, groupChat) => {
+  const creator = await GroupMember.findOne({
+    groupId: groupChat._id,
+    userId: link.createdBy,
+    isActive: true
+  });
+  if (!creator) return false;
+  if (creator.role === 'admin') return true;
+  if (groupChat.settings.onlyAdminsCanAddMembers) return false;
+  return creator.permissions.canAddMembers;
+};
+
+const formatInviteLink = (link) => ({
+  _id: link._id,
+  groupId: link.groupId,
+  code: link.code,
+  links: deepLinkService.generateGroupInviteLink(link.code),
+  createdBy: link.createdBy,
+  expiresAt: link.expiresAt,
+  maxUses: link.maxUses,
+  useCount: link.useCount,
+  requiresApproval: link.requiresApproval,
+  revokedAt: link.revokedAt,
+  isUsable: link.isUsable(),
+  createdAt: link.createdAt
+});
+
+/**
+ * Look up an invite by code and make sure it can still be used to join
+ */
+const resolveInvite = async (res, code) => {
+  const link = await GroupInviteLink.findOne({ code });
+  if (!link) {
+    res.status(404);
+    throw new Error('Invite link not found');
+  }
+
+  if (link.revokedAt) {
+    res.status(410);
+    throw new Error('This invite link has been revoked');
+  }
+  if (link.isExpired()) {
+    res.status(410);
+    throw new Error('This invite link has expired');
+  }
+  if (link.isExhausted()) {
+    res.status(410);
+    throw new Error('This invite link has reached its maximum number of uses');
+  }
+
+  const groupChat = await GroupChat.findById(link.groupId);
+  if (!groupChat || !groupChat.isActive) {
+    res.status(404);
+    throw new Error('Group chat not found');
+  }
+
+  if (!(await creatorCanStillInvite(link, groupChat))) {
+    res.status(410);
+    throw new Error('This invite link is no longer valid');
+  }
+
+  return { link, groupChat };
+};
+
+/**
+ * Add a user to the group, reactivating an old membership if they were in it before.
+ * The member cap is enforced atomically on the group document.
+ * @returns {Promise<Object|null>} - Updated group, or null when the group is full
+ */
+const addMemberToGroup = async (groupChat, userId, addedBy) => {
+  const updatedGroup = await GroupChat.findOneAndUpdate(
+    {
+      _id: groupChat._id,
+      isActive: true,
+      members: { $ne: userId },
+      memberCount: { $lt: MAX_GROUP_MEMBERS }
+    },
+    {
+      $addToSet: { members: userId },
+      $inc: { memberCount: 1 },
+      lastActivity: new Date()
+    },
+    { new: true }
+  );
+
+  if (!updatedGroup) {
+    return null;
+  }
+
+  await GroupMember.findOneAndUpdate(
+    { groupId: groupChat._id, userId },
+    {
+      $set: {
+        role: 'member',
+        addedBy,
+        joinedAt: new Date(),
+        isActive: true,
+        leftAt: null,
+        removedAt: null,
+        removedBy: null,
+        permissions: {
+          canSendMessages: true,
+          canAddMembers: false,
+          canRemoveMembers: false,
+          canEditGroupInfo: false,
+          canDeleteMessages: false
+        }
+      }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return updatedGroup;
+};
+
+/**
+ * Post the "joined" system event and let the new member know they are in
+ */
+const announceJoin = async (groupChat, userId, metadata) => {
+  await recordGroupEvent(groupChat._id, {
+    eventType: 'member_joined',
+    actorId: userId,
+    targetUserIds: [userId],
+    metadata
+  });
+
+  broadcastToUser(userId, 'group:created', {
+    type: 'group_joined',
+    groupId: groupChat._id,
+    groupName: groupChat.groupName,
+    groupImage: groupChat.groupImage,
+    createdBy: groupChat.createdBy,
+    memberCount: groupChat.memberCount,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * @desc    Create an invite link for a group chat
+ * @route   POST /api/group-chats/:groupId/invite-links
+ * @access  Private (admins, or members allowed to add members)
+ */
+const createInviteLink = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const userId = req.user.userId;
+  const { expiresAt, expiresInHours, maxUses, requiresApproval = false } = req.body;
+
+  ensureValidGroupId(res, groupId);
+  const { groupChat } = await ensureCanInvite(res, groupId, userId);
+
+  let expiry = null;
+  if (expiresAt || expiresInHours) {
+    expiry = expiresAt
+      ? new Date(expiresAt)
+      : new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000);
+    if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+      res.status(400);
+      throw new Error('Invite link expiry must be in the future');
+    }
+  }
+
+  if (maxUses !== undefined && maxUses !== null &&
+      (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_GROUP_MEMBERS)) {
+    res.status(400);
+    throw new Error(`Max uses must be between 1 and ${MAX_GROUP_MEMBERS}`);
+  }
+
+  const activeLinks = await GroupInviteLink.countDocuments({ groupId, revokedAt: null });
+  if (activeLinks >= MAX_ACTIVE_INVITE_LINKS) {
+    res.status(400);
+    throw new Error(`A group can have at most ${MAX_ACTIVE_INVITE_LINKS} active invite links`);
+  }
+
+  const link = await GroupInviteLink.create({
+    groupId,
+    createdBy: userId,
+    expiresAt: expiry,
+    maxUses: maxUses || null,
+    requiresApproval: requiresApproval === true
+  });
+
+  console.log(`🔗 [GROUP INVITE] Link created for group ${groupId} by ${userId}`);
+
+  const shareable = deepLinkService.generateShareableContent('group-invite', {
+    code: link.code,
+    groupName: groupChat.groupName,
+    description: groupChat.description,
+    groupImage: groupChat.groupImage
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...formatInviteLink(link),
+      shareText: shareable.shareText
+    },
+    message: 'Invite link created successfully'
+  });
+});
+
+/**
+ * @desc    List a group's invite links (admins see all, others their own)
+ * @route   GET /api/group-chats/:groupId/invite-links
+ * @access  Private
+ */
+const getInviteLinks = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const userId = req.user.userId;
+  const includeRevoked = req.query.includeRevoked === 'true';
+
+  ensureValidGroupId(res, groupId);
+
+  const membership = await GroupMember.findOne({ groupId, userId, isActive: true });
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const query = { groupId };
+  if (membership.role !== 'admin') {
+    query.createdBy = userId;
+  }
+  if (!includeRevoked) {
+    query.revokedAt = null;
+  }
+
+  const links = await GroupInviteLink.find(query).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: links.map(formatInviteLink)
+  });
+});
+
+/**
+ * @desc    Revoke an invite link
+ * @route   DELETE /api/group-chats/:groupId/invite-links/:linkId
+ * @access  Private (admins or the link creator)
+ */
+const revokeInviteLink = asyncHandler(async (req, res) => {
+  const { groupId, linkId } = req.params;
+  const userId = req.user.userId;
+
+  ensureValidGroupId(res, groupId);
+  if (!mongoose.Types.ObjectId.isValid(linkId)) {
+    res.status(400);
+    throw new Error('Invalid invite link ID');
+  }
+
+  const link = await GroupInviteLink.findOne({ _id: linkId, groupId });
+  if (!link) {
+    res.status(404);
+    throw new Error('Invite link not found');
+  }
+
+  if (link.createdBy !== userId) {
+    const isAdmin = await GroupMember.isAdmin(groupId, userId);
+    if (!isAdmin) {
+      res.status(403);
+      throw new Error('Only admins or the link creator can revoke this link');
+    }
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    link.revokedBy = userId;
+    await link.save();
+  }
+
+  console.log(`🔗 [GROUP INVITE] Link ${linkId} revoked by ${userId}`);
+
+  res.status(200).json({
+    success: true,
+    data: formatInviteLink(link),
+    message: 'Invite link revoked'
+  });
+});
+
+/**
+ * @desc    Preview the group behind an invite link
+ * @route   GET /api/group-chats/invite/:code
+ * @access  Private
+ */
+const previewInvite = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { link, groupChat } = await resolveInvite(res, req.params.code);
+
+  const [isMember, pendingRequest] = await Promise.all([
+    GroupMember.isMember(groupChat._id, userId),
+    GroupJoinRequest.exists({ groupId: groupChat._id, userId, status: 'pending' })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      groupId: groupChat._id,
+      groupName: groupChat.groupName,
+      description: groupChat.description,
+      groupImage: groupChat.groupImage,
+      memberCount: groupChat.memberCount,
+      isFull: groupChat.memberCount >= MAX_GROUP_MEMBERS,
+      requiresApproval: link.requiresApproval,
+      expiresAt: link.expiresAt,
+      isMember: !!isMember,
+      hasPendingRequest: !!pendingRequest
+    }
+  });
+});
+
+/**
+ * @desc    Join a group through an invite link (or request to join when approval is required)
+ * @route   POST /api/group-chats/invite/:code/join
+ * @access  Private
+ */
+const joinViaInvite = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { link, groupChat } = await resolveInvite(res, req.params.code);
+  const groupId = groupChat._id;
+
+  const isMember = await GroupMember.isMember(groupId, userId);
+  if (isMember) {
+    res.status(400);
+    throw new Error('You are already a member of this group');
+  }
+
+  if (groupChat.memberCount >= MAX_GROUP_MEMBERS) {
+    res.status(400);
+    throw new Error('Group member limit exceeded (256 members max)');
+  }
+
+  if (link.requiresApproval) {
+    const existingRequest = await GroupJoinRequest.findOne({ groupId, userId, status: 'pending' });
+    if (existingRequest) {
+      return res.status(200).json({
+        success: true,
+        data: { status: 'pending', requestId: existingRequest._id },
+        message: 'Your request to join is already waiting for admin approval'
+      });
+    }
+
+    const joinRequest = await GroupJoinRequest.create({
+      groupId,
+      userId,
+      inviteLinkId: link._id
+    });
+
+    const requester = await User.findOne({ userId }).select('name profileImage');
+    groupChat.admins.forEach(adminId => {
+      broadcastToUser(adminId, 'group:join_request', {
+        groupId,
+        groupName: groupChat.groupName,
+        requestId: joinRequest._id,
+        userId,
+        userName: requester?.name || 'Unknown',
+        userProfileImage: requester?.profileImage || null,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    console.log(`🙋 [GROUP INVITE] ${userId} requested to join group ${groupId}`);
+
+    return res.status(202).json({
+      success: true,
+      data: { status: 'pending', requestId: joinRequest._id },
+      message: 'Request sent. An admin needs to approve it.'
+    });
+  }
+
+  // Claim a use first so concurrent joins can't overrun maxUses
+  const claimedLink = await GroupInviteLink.consumeUse(link._id);
+  if (!claimedLink) {
+    res.status(410);
+    throw new Error('This invite link is no longer valid');
+  }
+
+  const updatedGroup = await addMemberToGroup(groupChat, userId, link.createdBy);
+  if (!updatedGroup) {
+    // Give the use back - nobody joined
+    await GroupInviteLink.updateOne({ _id: link._id }, { $inc: { useCount: -1 } });
+    res.status(400);
+    throw new Error('Group member limit exceeded (256 members max)');
+  }
+
+  await announceJoin(updatedGroup, userId, { via: 'invite_link', inviteLinkId: link._id });
+
+  console.log(`👥 [GROUP INVITE] ${userId} joined group ${groupId} via invite link`);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: 'joined',
+      groupId,
+      groupName: updatedGroup.groupName,
+      memberCount: updatedGroup.memberCount
+    },
+    message: 'Joined group successfully'
+  });
+});
+
+/**
+ * @desc    List pending join requests
+ * @route   GET /api/group-chats/:groupId/join-requests
+ * @access  Private (admins)
+ */
+const getJoinRequests = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const userId = req.user.userId;
+
+  ensureValidGroupId(res, groupId);
+  await ensureAdmin(res, groupId, userId);
+
+  const requests = await GroupJoinRequest.find({ groupId, status: 'pending' })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const users = await User.find({ userId: { $in: requests.map(request => request.userId) } })
+    .select('userId name profileImage')
+    .lean();
+  const usersById = new Map(users.map(user => [user.userId, user]));
+
+  res.status(200).json({
+    success: true,
+    data: requests.map(request => ({
+      ...request,
+      userName: usersById.get(request.userId)?.name || 'Unknown',
+      userProfileImage: usersById.get(request.userId)?.profileImage || null
+    }))
+  });
+});
+
+/**
+ * @desc    Approve or reject a join request
+ * @route   PUT /api/group-chats/:groupId/join-requests/:requestId
+ * @access  Private (admins)
+ */
+const reviewJoinRequest = asyncHandler(async (req, res) => {
+  const { groupId, requestId } = req.params;
+  const { action } = req.body;
+  const userId = req.user.userId;
+
+  ensureValidGroupId(res, groupId);
+  if (!['approve', 'reject'].includes(action)) {
+    res.status(400);
+    throw new Error('Action must be approve or reject');
+  }
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    res.status(400);
+    throw new Error('Invalid join request ID');
+  }
+
+  await ensureAdmin(res, groupId, userId);
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat || !groupChat.isActive) {
+    res.status(404);
+    throw new Error('Group chat not found');
+  }
+
+  const joinRequest = await GroupJoinRequest.findOne({ _id: requestId, groupId, status: 'pending' });
+  if (!joinRequest) {
+    res.status(404);
+    throw new Error('Join request not found or already reviewed');
+  }
+
+  let updatedGroup = null;
+  if (action === 'approve') {
+    const alreadyMember = await GroupMember.isMember(groupId, joinRequest.userId);
+    if (!alreadyMember) {
+      // Approved joins count towards the link's usage - claim one first, as joinViaInvite does
+      const claimedLink = await GroupInviteLink.consumeUse(joinRequest.inviteLinkId);
+      if (!claimedLink) {
+        res.status(410);
+        throw new Error('The invite link this request came through is no longer valid');
+      }
+
+      updatedGroup = await addMemberToGroup(groupChat, joinRequest.userId, userId);
+      if (!updatedGroup) {
+        await GroupInviteLink.updateOne({ _id: joinRequest.inviteLinkId }, { $inc: { useCount: -1 } });
+        res.status(400);
+        throw new Error('Group member limit exceeded (256 members max)');
+      }
+    }
+  }
+
+  joinRequest.status = action === 'approve' ? 'approved' : 'rejected';
+  joinRequest.reviewedBy = userId;
+  joinRequest.reviewedAt = new Date();
+  await joinRequest.save();
+
+  if (updatedGroup) {
+    await announceJoin(updatedGroup, joinRequest.userId, { via: 'join_request', approvedBy: userId });
+  }
+
+  broadcastToUser(joinRequest.userId, 'group:join_request_reviewed', {
+    groupId,
+    groupName: groupChat.groupName,
+    requestId: joinRequest._id,
+    status: joinRequest.status,
+    timestamp: new Date().toISOString()
+  });
+
+  console.log(`🙋 [GROUP INVITE] Join request ${requestId} ${joinRequest.status} by ${userId}`);
+
+  res.status(200).json({
+    success: true,
+    data: joinRequest,
+    message: `Join request ${joinRequest.status}`
+  });
+});
+
+module.exports = {
+  createInviteLink,
+  getInviteLinks,
+  revokeInviteLink,
+  previewInvite,
+  joinViaInvite,
+  getJoinRequests,
+  reviewJoinRequest
+};
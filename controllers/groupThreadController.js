@@ -0,0 +1,313 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const GroupMessage = require('../models/groupMessageModel');
+const GroupThreadFollow = require('../models/GroupThreadFollow');
+const User = require('../models/userModel');
+const { deliverGroupMessage } = require('../services/messageDeliveryService');
+const { markDelivered, hideDisabledReadReceipts } = require('../services/groupReceiptService');
+const {
+  formatThreadSummary,
+  addReplyToThread,
+  followThread,
+  unfollowThread,
+  getThreadFollowerIds,
+  countUnreadReplies,
+  markThreadRead,
+  getFollowedThreads
+} = require('../services/groupThreadService');
+const { broadcastToUser } = require('../socketManager');
+
+// Message types that can't be posted as thread replies (polls have their own endpoint)
+const NON_REPLY_TYPES = ['system', 'poll'];
+
+const ensureValidIds = (res, groupId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid group or message ID');
+  }
+};
+
+const ensureMember = async (res, groupId, userId) => {
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+  return membership;
+};
+
+/**
+ * Load the root message of a thread - replies can't start threads of their own
+ */
+const findThreadRoot = async (res, groupId, messageId) => {
+  const root = await GroupMessage.findOne({
+    _id: messageId,
+    groupId,
+    deletedAt: null
+  });
+
+  if (!root) {
+    res.status(404);
+    throw new Error('Message not found');
+  }
+
+  if (root.threadId) {
+    res.status(400);
+    throw new Error('Replies in a thread cannot start their own thread');
+  }
+
+  if (root.messageType === 'system') {
+    res.status(400);
+    throw new Error('System messages cannot have threads');
+  }
+
+  return root;
+};
+
+/**
+ * @desc    Reply in a message's thread
+ * @route   POST /api/group-chats/:groupId/messages/:messageId/thread
+ * @access  Private
+ */
+const replyInThread = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const { message, messageType = 'text', imageUrl, voiceMetadata, fileMetadata, encrypted = false, encryptionData } = req.body;
+  const senderId = req.user.userId;
+
+  ensureValidIds(res, groupId, messageId);
+
+  if (NON_REPLY_TYPES.includes(messageType)) {
+    res.status(400);
+    throw new Error(`${messageType} messages cannot be sent in a thread`);
+  }
+
+  if (messageType === 'text' && (!message || typeof message !== 'string' || message.trim().length === 0)) {
+    res.status(400);
+    throw new Error('Message content is required');
+  }
+
+  // Same sending rules as the main group chat
+  const membership = await ensureMember(res, groupId, senderId);
+  if (!membership.permissions.canSendMessages) {
+    res.status(403);
+    throw new Error('You do not have permission to send messages in this group');
+  }
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat) {
+    res.status(404);
+    throw new Error('Group chat not found');
+  }
+
+  if (groupChat.settings.onlyAdminsCanMessage && membership.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only admins can send messages in this group');
+  }
+
+  const root = await findThreadRoot(res, groupId, messageId);
+
+  const sender = await User.findOne({ userId: senderId }).select('name');
+  if (!sender) {
+    res.status(404);
+    throw new Error('Sender not found');
+  }
+
+  const reply = await GroupMessage.create({
+    groupId,
+    threadId: root._id,
+    senderId,
+    senderName: sender.name,
+    message: message || '',
+    messageType,
+    imageUrl,
+    voiceMetadata,
+    fileMetadata,
+    encrypted,
+    encryptionData
+  });
+
+  const updatedRoot = await addReplyToThread(root, reply);
+
+  // The root's author follows the thread once it starts (unless they opted out);
+  // replying (re)follows and counts as having read everything up to the reply
+  await followThread(groupId, root._id, root.senderId, { onlyIfNew: true });
+  await followThread(groupId, root._id, senderId);
+  await GroupThreadFollow.updateOne(
+    { threadId: root._id, userId: senderId },
+    { $set: { lastReadReplyId: reply._id, lastReadAt: new Date() } }
+  );
+
+  console.log(`🧵 [GROUP THREAD] ${sender.name} replied in thread ${root._id} of group ${groupId}`);
+
+  // Followers get the reply itself (socket + notifications + FCM, mute rules included)
+  const followerIds = await getThreadFollowerIds(root._id);
+  await deliverGroupMessage(reply, groupChat, { recipientIds: followerIds });
+
+  // Everyone else just sees the reply count / preview on the root message change
+  const threadUpdate = {
+    groupId,
+    threadId: root._id.toString(),
+    thread: formatThreadSummary(updatedRoot),
+    timestamp: new Date().toISOString()
+  };
+  groupChat.members.forEach(member => {
+    broadcastToUser(member, 'group:thread_updated', threadUpdate);
+  });
+
+  res.status(201).json({
+    success: true,
+    data: reply,
+    message: 'Reply sent successfully'
+  });
+});
+
+/**
+ * @desc    Get a thread's replies (paginated, oldest first)
+ * @route   GET /api/group-chats/:groupId/messages/:messageId/thread
+ * @access  Private
+ */
+const getThreadReplies = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+  ensureValidIds(res, groupId, messageId);
+  await ensureMember(res, groupId, userId);
+  const root = await findThreadRoot(res, groupId, messageId);
+
+  const replies = await GroupMessage.find({ threadId: root._id, deletedAt: null })
+    .sort({ createdAt: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  // Fetched replies have reached this member's device
+  await markDelivered(groupId, userId, replies.map(reply => reply._id));
+
+  const follow = await GroupThreadFollow.findOne({ threadId: root._id, userId }).lean();
+  const unreadCount = await countUnreadReplies(root._id, userId, follow?.lastReadReplyId);
+  const [rootMessage] = await hideDisabledReadReceipts([root]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      root: rootMessage,
+      replies: await hideDisabledReadReceipts(replies),
+      thread: formatThreadSummary(root),
+      isFollowing: !!follow?.isFollowing,
+      unreadCount
+    },
+    pagination: {
+      page,
+      limit,
+      total: root.thread?.replyCount || 0,
+      hasMore: replies.length === limit
+    }
+  });
+});
+
+/**
+ * @desc    Mark a thread as read
+ * @route   POST /api/group-chats/:groupId/messages/:messageId/thread/read
+ * @access  Private
+ */
+const markGroupThreadAsRead = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  ensureValidIds(res, groupId, messageId);
+  await ensureMember(res, groupId, userId);
+  const root = await findThreadRoot(res, groupId, messageId);
+
+  const follow = await markThreadRead(groupId, root._id, userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      threadId: root._id,
+      lastReadReplyId: follow.lastReadReplyId,
+      unreadCount: 0
+    },
+    message: 'Thread marked as read'
+  });
+});
+
+/**
+ * @desc    Follow a thread
+ * @route   POST /api/group-chats/:groupId/messages/:messageId/thread/follow
+ * @access  Private
+ */
+const followGroupThread = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  ensureValidIds(res, groupId, messageId);
+  await ensureMember(res, groupId, userId);
+  const root = await findThreadRoot(res, groupId, messageId);
+
+  const follow = await followThread(groupId, root._id, userId);
+  const unreadCount = await countUnreadReplies(root._id, userId, follow.lastReadReplyId);
+
+  res.status(200).json({
+    success: true,
+    data: { threadId: root._id, isFollowing: true, unreadCount },
+    message: 'Following thread'
+  });
+});
+
+/**
+ * @desc    Unfollow a thread
+ * @route   DELETE /api/group-chats/:groupId/messages/:messageId/thread/follow
+ * @access  Private
+ */
+const unfollowGroupThread = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  ensureValidIds(res, groupId, messageId);
+  await ensureMember(res, groupId, userId);
+  const root = await findThreadRoot(res, groupId, messageId);
+
+  await unfollowThread(groupId, root._id, userId);
+
+  res.status(200).json({
+    success: true,
+    data: { threadId: root._id, isFollowing: false },
+    message: 'Unfollowed thread'
+  });
+});
+
+/**
+ * @desc    Threads I follow in a group, with unread counts
+ * @route   GET /api/group-chats/:groupId/threads
+ * @access  Private
+ */
+const getFollowedGroupThreads = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+  await ensureMember(res, groupId, userId);
+
+  const threads = await getFollowedThreads(groupId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: threads,
+    totalUnread: threads.reduce((sum, thread) => sum + thread.unreadCount, 0)
+  });
+});
+
+module.exports = {
+  replyInThread,
+  getThreadReplies,
+  markGroupThreadAsRead,
+  followGroupThread,
+  unfollowGroupThread,
+  getFollowedGroupThreads
+};
@@ -0,0 +1,168 @@
+const asyncHandler = require('express-async-handler');
+const {
+  importFile,
+  subscribeUrl,
+  refreshSubscription,
+  listSubscriptions,
+  removeSubscription,
+  getFeedInfo,
+  rotateFeedToken,
+  revokeFeed,
+  buildFeed
+} = require('../services/icsCalendarService');
+const { BadRequestError } = require('../utils/errorClasses');
+
+/**
+ * @desc    Import an .ics file (multipart "file", or the ICS text as "content")
+ * @route   POST /api/calendar/ics/import
+ * @access  Private
+ */
+const importIcsFile = asyncHandler(async (req, res) => {
+  const content = req.file ? req.file.buffer.toString('utf8') : req.body?.content;
+  if (!content) {
+    throw new BadRequestError('An .ics file is required');
+  }
+
+  const result = await importFile(req.user.userId, {
+    name: req.body?.name || req.file?.originalname?.replace(/\.ics$/i, ''),
+    content
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Imported ${result.subscription.eventCount} upcoming events`,
+    data: result
+  });
+});
+
+/**
+ * @desc    Link an ICS URL (https:// or webcal://), refreshed periodically
+ * @route   POST /api/calendar/ics/subscriptions
+ * @access  Private
+ */
+const linkIcsUrl = asyncHandler(async (req, res) => {
+  const result = await subscribeUrl(req.user.userId, {
+    name: req.body?.name,
+    url: req.body?.url
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar linked',
+    data: result
+  });
+});
+
+/**
+ * @desc    My imported and linked calendars
+ * @route   GET /api/calendar/ics/subscriptions
+ * @access  Private
+ */
+const getIcsSubscriptions = asyncHandler(async (req, res) => {
+  const subscriptions = await listSubscriptions(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: subscriptions
+  });
+});
+
+/**
+ * @desc    Re-sync one calendar now
+ * @route   POST /api/calendar/ics/subscriptions/:subscriptionId/refresh
+ * @access  Private
+ */
+const refreshIcsSubscription = asyncHandler(async (req, res) => {
+  const result = await refreshSubscription(req.user.userId, req.params.subscriptionId);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Disconnect a calendar and drop its upcoming schedules
+ * @route   DELETE /api/calendar/ics/subscriptions/:subscriptionId
+ * @access  Private
+ */
+const deleteIcsSubscription = asyncHandler(async (req, res) => {
+  const result = await removeSubscription(req.user.userId, req.params.subscriptionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar disconnected',
+    data: result
+  });
+});
+
+/**
+ * @desc    Whether my calendar feed is enabled
+ * @route   GET /api/calendar/feed
+ * @access  Private
+ */
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const feed = await getFeedInfo(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: feed
+  });
+});
+
+/**
+ * @desc    Create my feed URL, or replace it (the previous URL stops working)
+ * @route   POST /api/calendar/feed
+ * @access  Private
+ */
+const createCalendarFeed = asyncHandler(async (req, res) => {
+  const feed = await rotateFeedToken(req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Keep this URL private - anyone with it can see your schedule',
+    data: feed
+  });
+});
+
+/**
+ * @desc    Turn off my calendar feed
+ * @route   DELETE /api/calendar/feed
+ * @access  Private
+ */
+const revokeCalendarFeed = asyncHandler(async (req, res) => {
+  await revokeFeed(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed disabled'
+  });
+});
+
+/**
+ * @desc    The feed itself, for calendar apps
+ * @route   GET /api/calendar/feed/:token.ics
+ * @access  Public (the token is the credential)
+ */
+const serveCalendarFeed = asyncHandler(async (req, res) => {
+  const ics = await buildFeed(req.params.token);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="syncup.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(ics);
+});
+
+module.exports = {
+  importIcsFile,
+  linkIcsUrl,
+  getIcsSubscriptions,
+  refreshIcsSubscription,
+  deleteIcsSubscription,
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  serveCalendarFeed
+};
@@ -0,0 +1,332 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const User = require('../models/userModel');
+const Block = require('../models/blockModel');
+const { deliverDirectMessage, deliverGroupMessage } = require('../services/messageDeliveryService');
+
+// Max chats (contacts + groups) a single forward can reach
+const MAX_FORWARD_TARGETS = parseInt(process.env.MAX_FORWARD_TARGETS, 10) || 5;
+// Max messages forwarded in a single request
+const MAX_FORWARD_MESSAGES = parseInt(process.env.MAX_FORWARD_MESSAGES, 10) || 10;
+// Messages forwarded this many times are "frequently forwarded" and may only go to one chat at a time
+const FREQUENTLY_FORWARDED_THRESHOLD = parseInt(process.env.FREQUENTLY_FORWARDED_THRESHOLD, 10) || 5;
+
+// Message types a group message can hold (see groupMessageModel)
+const GROUP_MESSAGE_TYPES = ['text', 'image', 'file', 'audio', 'video', 'gif', 'voice'];
+
+const uniqueIds = (value) => {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter(id => typeof id === 'string' && id.trim()).map(id => id.trim()))];
+};
+
+/**
+ * Why a source message cannot be forwarded, or null when it can
+ */
+const getForwardBlocker = (source, isGroupSource) => {
+  // Ballots belong to the original poll
+  if (source.messageType === 'poll') return 'Polls cannot be forwarded';
+
+  if (isGroupSource) {
+    if (source.messageType === 'system') return 'System messages cannot be forwarded';
+    if (source.encrypted) return 'Encrypted messages cannot be forwarded';
+    return null;
+  }
+
+  // Burn, ghost and timer messages are meant to disappear - never let them leave the chat
+  if ((source.privacyMode && source.privacyMode !== 'normal') || source.isGhost) {
+    return 'Burn, ghost and timer messages cannot be forwarded';
+  }
+  // Ciphertext is bound to the original conversation's keys
+  if ((source.e2ee && source.e2ee.enabled) ||
+      (source.fileMetadata && source.fileMetadata.encrypted) ||
+      (source.voiceMetadata && source.voiceMetadata.encrypted)) {
+    return 'Encrypted messages cannot be forwarded';
+  }
+  if (source.messageType && source.messageType.startsWith('blink_')) {
+    return 'Blink interactions cannot be forwarded';
+  }
+  if (source.messageType === 'location' && source.locationData && source.locationData.isLiveLocation) {
+    return 'Live location cannot be forwarded';
+  }
+  return null;
+};
+
+/**
+ * Normalise a 1:1 or group message into the fields a forwarded copy needs.
+ * Media is referenced by URL only - nothing is re-uploaded.
+ */
+const buildForwardPayload = (source, isGroupSource) => {
+  const fileMetadata = source.fileMetadata && source.fileMetadata.fileUrl ? {
+    fileName: source.fileMetadata.fileName,
+    fileSize: source.fileMetadata.fileSize,
+    mimeType: source.fileMetadata.mimeType,
+    fileUrl: source.fileMetadata.fileUrl
+  } : undefined;
+
+  const voiceUrl = source.voiceMetadata
+    ? (isGroupSource ? source.voiceMetadata.voiceUrl : source.voiceMetadata.fileUrl)
+    : null;
+  const voice = voiceUrl ? {
+    duration: source.voiceMetadata.duration,
+    waveform: source.voiceMetadata.waveform || [],
+    url: voiceUrl
+  } : null;
+
+  return {
+    originalSenderId: source.forwardedFrom || source.senderId,
+    forwardCount: (source.forwardCount || 0) + 1,
+    message: source.message,
+    messageType: source.messageType,
+    imageUrl: source.imageUrl || null,
+    imageUrls: isGroupSource ? [] : (source.imageUrls || []),
+    fileMetadata,
+    voice,
+    sharedPost: isGroupSource ? null : source.sharedPost,
+    locationData: !isGroupSource && source.messageType === 'location' ? source.locationData : undefined
+  };
+};
+
+/**
+ * Load the messages being forwarded and check the requester can see them
+ */
+const loadSourceMessages = async (res, userId, messageIds, sourceGroupId) => {
+  const invalidId = messageIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidId) {
+    res.status(400);
+    throw new Error(`Invalid message ID: ${invalidId}`);
+  }
+
+  let sources;
+  if (sourceGroupId) {
+    if (!mongoose.Types.ObjectId.isValid(sourceGroupId)) {
+      res.status(400);
+      throw new Error('Invalid source group ID');
+    }
+
+    const isMember = await GroupMember.isMember(sourceGroupId, userId);
+    if (!isMember) {
+      res.status(403);
+      throw new Error('You are not a member of the source group');
+    }
+
+    sources = await GroupMessage.find({
+      _id: { $in: messageIds },
+      groupId: sourceGroupId,
+      deletedAt: null
+    }).lean();
+  } else {
+    sources = await Message.find({
+      _id: { $in: messageIds },
+      $or: [{ senderId: userId }, { receiverId: userId }],
+      deletedFor: { $ne: userId }
+    }).lean();
+  }
+
+  if (sources.length !== messageIds.length) {
+    res.status(404);
+    throw new Error('One or more messages were not found');
+  }
+
+  // Keep the order the client asked for
+  const byId = new Map(sources.map(source => [source._id.toString(), source]));
+  return messageIds.map(id => byId.get(id));
+};
+
+const forwardToContact = async (senderId, contactId, payloads) => {
+  const blockStatus = await Block.isMutuallyBlocked(senderId, contactId);
+  if (blockStatus.anyBlocked) {
+    throw new Error('Cannot send message to this user');
+  }
+
+  const receiver = await User.findOne({ userId: contactId }).select('_id').lean();
+  if (!receiver) {
+    throw new Error('Receiver not found');
+  }
+
+  const messageIds = [];
+  for (const payload of payloads) {
+    const savedMessage = await Message.create({
+      senderId,
+      receiverId: contactId,
+      message: payload.message,
+      messageType: payload.messageType,
+      imageUrl: payload.imageUrl,
+      imageUrls: payload.imageUrls,
+      fileMetadata: payload.fileMetadata,
+      voiceMetadata: payload.voice ? {
+        duration: payload.voice.duration,
+        waveform: payload.voice.waveform,
+        fileUrl: payload.voice.url
+      } : undefined,
+      sharedPost: payload.sharedPost || null,
+      locationData: payload.locationData,
+      isForwarded: true,
+      forwardedFrom: payload.originalSenderId,
+      forwardCount: payload.forwardCount,
+      timestamp: new Date(),
+      status: 'sent'
+    });
+
+    await deliverDirectMessage(savedMessage);
+    messageIds.push(savedMessage._id);
+  }
+
+  return messageIds;
+};
+
+const forwardToGroup = async (sender, groupId, payloads) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    throw new Error('Invalid group ID');
+  }
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat || !groupChat.isActive) {
+    throw new Error('Group chat not found');
+  }
+
+  const membership = await GroupMember.findOne({ groupId, userId: sender.userId, isActive: true });
+  if (!membership) {
+    throw new Error('You are not a member of this group');
+  }
+  if (!membership.permissions.canSendMessages) {
+    throw new Error('You do not have permission to send messages in this group');
+  }
+  if (groupChat.settings.onlyAdminsCanMessage && membership.role !== 'admin') {
+    throw new Error('Only admins can send messages in this group');
+  }
+
+  const unsupported = payloads.find(payload => !GROUP_MESSAGE_TYPES.includes(payload.messageType));
+  if (unsupported) {
+    throw new Error(`Messages of type "${unsupported.messageType}" cannot be forwarded to groups`);
+  }
+
+  const messageIds = [];
+  for (const payload of payloads) {
+    const groupMessage = await GroupMessage.create({
+      groupId,
+      senderId: sender.userId,
+      senderName: sender.name,
+      message: payload.message,
+      messageType: payload.messageType,
+      imageUrl: payload.imageUrl,
+      fileMetadata: payload.fileMetadata,
+      voiceMetadata: payload.voice ? {
+        duration: payload.voice.duration,
+        waveform: payload.voice.waveform,
+        voiceUrl: payload.voice.url
+      } : undefined,
+      isForwarded: true,
+      forwardedFrom: payload.originalSenderId,
+      forwardCount: payload.forwardCount
+    });
+
+    await deliverGroupMessage(groupMessage, groupChat);
+    messageIds.push(groupMessage._id);
+  }
+
+  return messageIds;
+};
+
+/**
+ * @desc    Forward existing messages to several contacts and group chats
+ * @route   POST /api/chat/forward
+ * @access  Private
+ */
+const forwardMessages = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { sourceGroupId } = req.body;
+  const messageIds = uniqueIds(req.body.messageIds);
+  const contactIds = uniqueIds(req.body.contactIds).filter(id => id !== userId);
+  const groupIds = uniqueIds(req.body.groupIds);
+
+  if (messageIds.length === 0) {
+    res.status(400);
+    throw new Error('At least one message ID is required');
+  }
+
+  if (messageIds.length > MAX_FORWARD_MESSAGES) {
+    res.status(400);
+    throw new Error(`You can forward at most ${MAX_FORWARD_MESSAGES} messages at once`);
+  }
+
+  const targetCount = contactIds.length + groupIds.length;
+  if (targetCount === 0) {
+    res.status(400);
+    throw new Error('At least one contact or group is required');
+  }
+
+  const sources = await loadSourceMessages(res, userId, messageIds, sourceGroupId);
+  const isGroupSource = !!sourceGroupId;
+
+  for (const source of sources) {
+    const blocker = getForwardBlocker(source, isGroupSource);
+    if (blocker) {
+      res.status(400);
+      throw new Error(blocker);
+    }
+  }
+
+  const payloads = sources.map(source => buildForwardPayload(source, isGroupSource));
+
+  // Slow down viral spread: frequently forwarded messages go to one chat at a time
+  const isFrequentlyForwarded = sources.some(source => (source.forwardCount || 0) >= FREQUENTLY_FORWARDED_THRESHOLD);
+  const maxTargets = isFrequentlyForwarded ? 1 : MAX_FORWARD_TARGETS;
+  if (targetCount > maxTargets) {
+    res.status(400);
+    throw new Error(isFrequentlyForwarded
+      ? 'Frequently forwarded messages can only be forwarded to one chat at a time'
+      : `You can forward to at most ${MAX_FORWARD_TARGETS} chats at once`);
+  }
+
+  const sender = await User.findOne({ userId }).select('userId name');
+  if (!sender) {
+    res.status(404);
+    throw new Error('Sender not found');
+  }
+
+  // Each target succeeds or fails on its own so one blocked contact doesn't sink the rest
+  const results = [];
+
+  for (const contactId of contactIds) {
+    try {
+      const forwardedIds = await forwardToContact(userId, contactId, payloads);
+      results.push({ targetType: 'contact', targetId: contactId, success: true, messageIds: forwardedIds });
+    } catch (error) {
+      console.error(`❌ [FORWARD] Failed to forward to contact ${contactId}:`, error.message);
+      results.push({ targetType: 'contact', targetId: contactId, success: false, error: error.message });
+    }
+  }
+
+  for (const groupId of groupIds) {
+    try {
+      const forwardedIds = await forwardToGroup(sender, groupId, payloads);
+      results.push({ targetType: 'group', targetId: groupId, success: true, messageIds: forwardedIds });
+    } catch (error) {
+      console.error(`❌ [FORWARD] Failed to forward to group ${groupId}:`, error.message);
+      results.push({ targetType: 'group', targetId: groupId, success: false, error: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  console.log(`↪️ [FORWARD] ${userId} forwarded ${messageIds.length} message(s) to ${succeeded}/${targetCount} chats`);
+
+  res.status(succeeded > 0 ? 200 : 400).json({
+    success: succeeded > 0,
+    data: {
+      results,
+      forwardedTo: succeeded,
+      failed: targetCount - succeeded
+    },
+    message: succeeded > 0
+      ? `Forwarded to ${succeeded} of ${targetCount} chats`
+      : 'Messages could not be forwarded to any chat'
+  });
+});
+
+module.exports = {
+  forwardMessages
+};
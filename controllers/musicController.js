@@ -1,8 +1,10 @@
-const fs = require('fs');
 const path = require('path');
 const MusicTrack = require('../models/MusicTrack');
+const storage = require('../services/storageProvider');
+const { streamStoredFile } = require('../middleware/videoStreamingMiddleware');
 
-const MUSIC_DIR = path.join(__dirname, '..', 'uploads', 'music-library');
+// Storage prefix of the music library (uploads/music-library on local disk)
+const MUSIC_PREFIX = 'music-library/';
 const SUPPORTED_EXTENSIONS = ['.mp3', '.m4a', '.ogg', '.wav'];
 
 // Auto-sync: scan folder for new files and add them to the database
@@ -16,11 +18,12 @@ const autoSyncMusicFolder = async () => {
   lastSyncTime = now;
 
   try {
-    if (!fs.existsSync(MUSIC_DIR)) return;
-
-    const files = fs.readdirSync(MUSIC_DIR).filter(f =>
-      SUPPORTED_EXTENSIONS.includes(path.extname(f).toLowerCase())
+    const objects = (await storage.list(MUSIC_PREFIX)).filter(object =>
+      !object.key.slice(MUSIC_PREFIX.length).includes('/')
+      && SUPPORTED_EXTENSIONS.includes(path.extname(object.key).toLowerCase())
     );
+    const sizes = new Map(objects.map(object => [object.key.slice(MUSIC_PREFIX.length), object.size]));
+    const files = [...sizes.keys()];
 
     // Get all filenames already in DB
     const existingTracks = await MusicTrack.find({}).select('filename').lean();
@@ -44,12 +47,9 @@ const autoSyncMusicFolder = async () => {
 
       // Try to get file size to estimate duration (rough: ~16KB per second for 128kbps MP3)
       let duration = 30;
-      try {
-        const stat = fs.statSync(path.join(MUSIC_DIR, filename));
-        duration = Math.round(stat.size / (16 * 1024)); // Rough estimate
-        if (duration < 5) duration = 30; // Fallback for very small files
-        if (duration > 600) duration = 600; // Cap at 10 minutes
-      } catch (_) {}
+      duration = Math.round(sizes.get(filename) / (16 * 1024)); // Rough estimate
+      if (duration < 5) duration = 30; // Fallback for very small files
+      if (duration > 600) duration = 600; // Cap at 10 minutes
 
       // Generate placeholder waveform
       const waveform = [];
@@ -164,18 +164,6 @@ const streamMusic = async (req, res) => {
 
     // Security: prevent path traversal
     const safeName = path.basename(filename);
-    const filePath = path.join(MUSIC_DIR, safeName);
-
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({
-        success: false,
-        message: 'Music file not found'
-      });
-    }
-
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
 
     // Determine content type
     const ext = path.extname(safeName).toLowerCase();
@@ -185,46 +173,8 @@ const streamMusic = async (req, res) => {
       : ext === '.wav' ? 'audio/wav'
       : 'audio/mpeg';
 
-    if (!range) {
-      // No range header — send entire file
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': contentType,
-        'Accept-Ranges': 'bytes',
-        'Cache-Control': 'public, max-age=31536000',
-        'X-Content-Type-Options': 'nosniff'
-      };
-      res.writeHead(200, head);
-      fs.createReadStream(filePath).pipe(res);
-      return;
-    }
-
-    // Parse range header for seeking/partial content
-    const parts = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-
-    if (start >= fileSize || end >= fileSize) {
-      res.writeHead(416, {
-        'Content-Range': `bytes */${fileSize}`
-      });
-      return res.end();
-    }
-
-    const chunkSize = (end - start) + 1;
-    const file = fs.createReadStream(filePath, { start, end });
-
-    const head = {
-      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunkSize,
-      'Content-Type': contentType,
-      'Cache-Control': 'public, max-age=31536000',
-      'X-Content-Type-Options': 'nosniff'
-    };
-
-    res.writeHead(206, head);
-    file.pipe(res);
+    // Range requests for seeking, from local disk or object storage
+    await streamStoredFile(req, res, `${MUSIC_PREFIX}${safeName}`, contentType);
   } catch (error) {
     console.error('❌ Stream music error:', error);
     res.status(500).json({
@@ -5,6 +5,7 @@ const PageFollower = require('../models/PageFollower');
 const Comment = require('../models/Comment');
 const User = require('../models/userModel');
 const enhancedNotificationService = require('../services/enhancedNotificationService');
+const { isValidTimeZone, fromLocalTime } = require('../utils/recurrence');
 
 // Resolve the string `userId` (not Mongo _id) of a Page's owner, used to key
 // sockets/FCM/Notification records the same way the rest of the app does.
@@ -19,6 +20,22 @@ async function getPageOwnerUserId(page) {
   }
 }
 
+// A scheduledFor with an offset ("...Z", "...+05:30") is an instant; without
+// one it is a local time in the post's zone. Local times a DST change skips
+// move forward by the gap, repeated ones take the first.
+function resolveScheduledFor(scheduledFor, timeZone) {
+  if (!scheduledFor) return null;
+  const value = String(scheduledFor).trim();
+  try {
+    const date = /(?:Z|[+-]\d{2}:?\d{2})$/i.test(value) || !/T\d{2}:\d{2}/.test(value)
+      ? new Date(value)
+      : fromLocalTime(value, timeZone);
+    return isNaN(date.getTime()) ? null : date;
+  } catch (error) {
+    return null;
+  }
+}
+
 // ✅ PHASE 1: Create a new page post with visibility controls
 const createPagePost = async (req, res) => {
   try {
@@ -31,7 +48,8 @@ const createPagePost = async (req, res) => {
       showHashtags,
       visibility = 'public', // ✅ PHASE 1: New field
       targetAudience, // ✅ PHASE 1: New field
-      music
+      music,
+      timezone
     } = req.body;
 
     console.log('📝 [PAGE POST] Creating post for page:', pageId);
@@ -71,6 +89,26 @@ const createPagePost = async (req, res) => {
       });
     }
 
+    // Scheduled posts go out at the author's local time unless the app names a zone
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `${timezone} is not a valid IANA time zone (e.g. Europe/London)`
+      });
+    }
+    const postTimezone = timezone || req.user.timezone || 'UTC';
+
+    let publishAt = null;
+    if (scheduledFor) {
+      publishAt = resolveScheduledFor(scheduledFor, postTimezone);
+      if (!publishAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid scheduledFor date'
+        });
+      }
+    }
+
     // Create post
     const post = new PagePost({
       page: pageId,
@@ -81,10 +119,11 @@ const createPagePost = async (req, res) => {
       showHashtags: showHashtags !== undefined ? showHashtags : false,
       visibility, // ✅ PHASE 1
       targetAudience: targetAudience || { enabled: false }, // ✅ PHASE 1
-      scheduledFor: scheduledFor || null,
-      status: scheduledFor ? 'scheduled' : 'published', // ✅ PHASE 1
-      isPublished: !scheduledFor,
-      publishedAt: scheduledFor ? null : new Date(),
+      scheduledFor: publishAt,
+      timezone: postTimezone,
+      status: publishAt ? 'scheduled' : 'published', // ✅ PHASE 1
+      isPublished: !publishAt,
+      publishedAt: publishAt ? null : new Date(),
       music: music || undefined
     });
 
@@ -96,7 +135,7 @@ const createPagePost = async (req, res) => {
     console.log('✅ [PAGE POST] Post created successfully:', post._id);
 
     // ✅ PHASE 1: Handle distribution based on visibility
-    if (!scheduledFor) {
+    if (!publishAt) {
       await distributePagePost(post, page, visibility, targetAudience);
 
       // Notify page followers in real-time about the new post
@@ -122,7 +161,7 @@ const createPagePost = async (req, res) => {
         console.error('❌ [PAGE POST] Error broadcasting to followers:', broadcastError);
       }
     } else {
-      console.log('📅 [PAGE POST] Post scheduled for:', scheduledFor);
+      console.log(`📅 [PAGE POST] Post scheduled for: ${publishAt.toISOString()} (${postTimezone})`);
       // TODO Phase 2: Schedule for later distribution
     }
 
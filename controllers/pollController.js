@@ -0,0 +1,509 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const FeedPost = require('../models/FeedPost');
+const User = require('../models/userModel');
+const Block = require('../models/blockModel');
+const { deliverDirectMessage, deliverGroupMessage } = require('../services/messageDeliveryService');
+const {
+  buildPoll,
+  castVote,
+  retractVote,
+  closePoll,
+  getPollResults,
+  broadcastPollUpdate,
+  getPostPollAudience
+} = require('../services/pollService');
+
+const ensureValidId = (res, id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error(`Invalid ${label} ID`);
+  }
+};
+
+// Load a 1:1 poll message the user is part of
+const findDirectPoll = async (res, messageId, userId) => {
+  ensureValidId(res, messageId, 'message');
+
+  const message = await Message.findOne({
+    _id: messageId,
+    $or: [{ senderId: userId }, { receiverId: userId }],
+    deletedFor: { $ne: userId }
+  });
+
+  if (!message || message.messageType !== 'poll' || !message.poll) {
+    res.status(404);
+    throw new Error('Poll not found');
+  }
+
+  return message;
+};
+
+// Load a group poll message, checking membership
+const findGroupPoll = async (res, groupId, messageId, userId) => {
+  ensureValidId(res, groupId, 'group');
+  ensureValidId(res, messageId, 'message');
+
+  const isMember = await GroupMember.isMember(groupId, userId);
+  if (!isMember) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const message = await GroupMessage.findOne({ _id: messageId, groupId, deletedAt: null });
+  if (!message || message.messageType !== 'poll' || !message.poll) {
+    res.status(404);
+    throw new Error('Poll not found');
+  }
+
+  return message;
+};
+
+// Load a poll post the user can see
+const findPostPoll = async (res, postId, userId) => {
+  ensureValidId(res, postId, 'post');
+
+  const post = await FeedPost.findById(postId);
+  if (!post || !post.isActive || post.type !== 'poll' || !post.poll) {
+    res.status(404);
+    throw new Error('Poll not found');
+  }
+
+  if (post.privacy === 'private' && post.userId !== userId) {
+    res.status(404);
+    throw new Error('Poll not found');
+  }
+
+  return post;
+};
+
+const getGroupAudience = async (groupId) => {
+  const groupChat = await GroupChat.findById(groupId).select('members');
+  return groupChat ? groupChat.members : [];
+};
+
+// ===== 1:1 CHAT POLLS =====
+
+/**
+ * @desc    Send a poll to a contact
+ * @route   POST /api/chat/poll
+ * @access  Private
+ */
+const sendDirectPoll = asyncHandler(async (req, res) => {
+  const senderId = req.user.userId;
+  const { receiverId } = req.body;
+
+  if (!receiverId) {
+    res.status(400);
+    throw new Error('Receiver ID is required');
+  }
+
+  const poll = buildPoll(req.body.poll);
+
+  const blockStatus = await Block.isMutuallyBlocked(senderId, receiverId);
+  if (blockStatus.anyBlocked) {
+    res.status(403);
+    throw new Error('Cannot send message to this user');
+  }
+
+  const receiver = await User.findOne({ userId: receiverId }).select('_id').lean();
+  if (!receiver) {
+    res.status(404);
+    throw new Error('Receiver not found');
+  }
+
+  const savedMessage = await Message.create({
+    senderId,
+    receiverId,
+    message: poll.question,
+    messageType: 'poll',
+    poll,
+    timestamp: new Date(),
+    status: 'sent'
+  });
+
+  await deliverDirectMessage(savedMessage);
+
+  res.status(201).json({
+    success: true,
+    data: savedMessage,
+    message: 'Poll sent successfully'
+  });
+});
+
+/**
+ * @desc    Get poll results for a 1:1 poll message
+ * @route   GET /api/chat/message/:messageId/poll
+ * @access  Private
+ */
+const getDirectPollResults = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const message = await findDirectPoll(res, req.params.messageId, userId);
+
+  res.json({
+    success: true,
+    data: await getPollResults('message', message, userId)
+  });
+});
+
+/**
+ * @desc    Vote (or change vote) in a 1:1 poll
+ * @route   POST /api/chat/message/:messageId/poll/vote
+ * @access  Private
+ */
+const voteDirectPoll = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const message = await findDirectPoll(res, req.params.messageId, userId);
+
+  const optionIds = [].concat(req.body.optionIds || []);
+  const poll = await castVote('message', message, userId, optionIds);
+
+  broadcastPollUpdate(
+    [message.senderId, message.receiverId],
+    { targetType: 'message', targetId: message._id, senderId: message.senderId, receiverId: message.receiverId },
+    poll,
+    { userId, optionIds }
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('message', { _id: message._id, poll }, userId),
+    message: 'Vote recorded'
+  });
+});
+
+/**
+ * @desc    Retract vote in a 1:1 poll
+ * @route   DELETE /api/chat/message/:messageId/poll/vote
+ * @access  Private
+ */
+const retractDirectPollVote = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const message = await findDirectPoll(res, req.params.messageId, userId);
+
+  const poll = await retractVote('message', message, userId);
+
+  broadcastPollUpdate(
+    [message.senderId, message.receiverId],
+    { targetType: 'message', targetId: message._id, senderId: message.senderId, receiverId: message.receiverId },
+    poll,
+    { userId, optionIds: [] }
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('message', { _id: message._id, poll }, userId),
+    message: 'Vote removed'
+  });
+});
+
+/**
+ * @desc    Close a 1:1 poll (creator only)
+ * @route   POST /api/chat/message/:messageId/poll/close
+ * @access  Private
+ */
+const closeDirectPoll = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const message = await findDirectPoll(res, req.params.messageId, userId);
+
+  if (message.senderId !== userId) {
+    res.status(403);
+    throw new Error('Only the poll creator can close this poll');
+  }
+
+  const poll = await closePoll('message', message);
+
+  broadcastPollUpdate(
+    [message.senderId, message.receiverId],
+    { targetType: 'message', targetId: message._id, senderId: message.senderId, receiverId: message.receiverId },
+    poll
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('message', { _id: message._id, poll }, userId),
+    message: 'Poll closed'
+  });
+});
+
+// ===== GROUP CHAT POLLS =====
+
+/**
+ * @desc    Send a poll to a group chat
+ * @route   POST /api/group-chats/:groupId/polls
+ * @access  Private
+ */
+const sendGroupPoll = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const senderId = req.user.userId;
+  ensureValidId(res, groupId, 'group');
+
+  const poll = buildPoll(req.body.poll);
+
+  const membership = await GroupMember.findOne({ groupId, userId: senderId, isActive: true });
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  if (!membership.permissions.canSendMessages) {
+    res.status(403);
+    throw new Error('You do not have permission to send messages in this group');
+  }
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat || !groupChat.isActive) {
+    res.status(404);
+    throw new Error('Group chat not found');
+  }
+
+  if (groupChat.settings.onlyAdminsCanMessage && membership.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only admins can send messages in this group');
+  }
+
+  const sender = await User.findOne({ userId: senderId }).select('name');
+  if (!sender) {
+    res.status(404);
+    throw new Error('Sender not found');
+  }
+
+  const groupMessage = await GroupMessage.create({
+    groupId,
+    senderId,
+    senderName: sender.name,
+    message: poll.question,
+    messageType: 'poll',
+    poll
+  });
+
+  await deliverGroupMessage(groupMessage, groupChat);
+
+  res.status(201).json({
+    success: true,
+    data: groupMessage,
+    message: 'Poll sent successfully'
+  });
+});
+
+/**
+ * @desc    Get poll results for a group poll message
+ * @route   GET /api/group-chats/:groupId/messages/:messageId/poll
+ * @access  Private
+ */
+const getGroupPollResults = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+  const message = await findGroupPoll(res, groupId, messageId, userId);
+
+  res.json({
+    success: true,
+    data: await getPollResults('group_message', message, userId)
+  });
+});
+
+/**
+ * @desc    Vote (or change vote) in a group poll
+ * @route   POST /api/group-chats/:groupId/messages/:messageId/poll/vote
+ * @access  Private
+ */
+const voteGroupPoll = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+  const message = await findGroupPoll(res, groupId, messageId, userId);
+
+  const optionIds = [].concat(req.body.optionIds || []);
+  const poll = await castVote('group_message', message, userId, optionIds);
+
+  broadcastPollUpdate(
+    await getGroupAudience(groupId),
+    { targetType: 'group_message', targetId: message._id, groupId, isGroupMessage: true },
+    poll,
+    { userId, optionIds }
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('group_message', { _id: message._id, poll }, userId),
+    message: 'Vote recorded'
+  });
+});
+
+/**
+ * @desc    Retract vote in a group poll
+ * @route   DELETE /api/group-chats/:groupId/messages/:messageId/poll/vote
+ * @access  Private
+ */
+const retractGroupPollVote = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+  const message = await findGroupPoll(res, groupId, messageId, userId);
+
+  const poll = await retractVote('group_message', message, userId);
+
+  broadcastPollUpdate(
+    await getGroupAudience(groupId),
+    { targetType: 'group_message', targetId: message._id, groupId, isGroupMessage: true },
+    poll,
+    { userId, optionIds: [] }
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('group_message', { _id: message._id, poll }, userId),
+    message: 'Vote removed'
+  });
+});
+
+/**
+ * @desc    Close a group poll (creator or group admin)
+ * @route   POST /api/group-chats/:groupId/messages/:messageId/poll/close
+ * @access  Private
+ */
+const closeGroupPoll = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+  const message = await findGroupPoll(res, groupId, messageId, userId);
+
+  if (message.senderId !== userId) {
+    const isAdmin = await GroupMember.isAdmin(groupId, userId);
+    if (!isAdmin) {
+      res.status(403);
+      throw new Error('Only the poll creator or a group admin can close this poll');
+    }
+  }
+
+  const poll = await closePoll('group_message', message);
+
+  broadcastPollUpdate(
+    await getGroupAudience(groupId),
+    { targetType: 'group_message', targetId: message._id, groupId, isGroupMessage: true },
+    poll
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('group_message', { _id: message._id, poll }, userId),
+    message: 'Poll closed'
+  });
+});
+
+// ===== FEED POST POLLS =====
+
+/**
+ * @desc    Get poll results for a poll post
+ * @route   GET /api/posts/:postId/poll
+ * @access  Private
+ */
+const getPostPollResults = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const post = await findPostPoll(res, req.params.postId, userId);
+
+  res.json({
+    success: true,
+    data: await getPollResults('post', post, userId)
+  });
+});
+
+/**
+ * @desc    Vote (or change vote) in a poll post
+ * @route   POST /api/posts/:postId/poll/vote
+ * @access  Private
+ */
+const votePostPoll = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const post = await findPostPoll(res, req.params.postId, userId);
+
+  const optionIds = [].concat(req.body.optionIds || []);
+  const poll = await castVote('post', post, userId, optionIds);
+
+  broadcastPollUpdate(
+    await getPostPollAudience(post),
+    { targetType: 'post', targetId: post._id, postId: post._id },
+    poll,
+    { userId, optionIds }
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('post', { _id: post._id, poll }, userId),
+    message: 'Vote recorded'
+  });
+});
+
+/**
+ * @desc    Retract vote in a poll post
+ * @route   DELETE /api/posts/:postId/poll/vote
+ * @access  Private
+ */
+const retractPostPollVote = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const post = await findPostPoll(res, req.params.postId, userId);
+
+  // Collect the audience first so the retracting voter still gets the update
+  const audience = await getPostPollAudience(post);
+  const poll = await retractVote('post', post, userId);
+
+  broadcastPollUpdate(
+    audience,
+    { targetType: 'post', targetId: post._id, postId: post._id },
+    poll,
+    { userId, optionIds: [] }
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('post', { _id: post._id, poll }, userId),
+    message: 'Vote removed'
+  });
+});
+
+/**
+ * @desc    Close a poll post (author only)
+ * @route   POST /api/posts/:postId/poll/close
+ * @access  Private
+ */
+const closePostPoll = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const post = await findPostPoll(res, req.params.postId, userId);
+
+  if (post.userId !== userId) {
+    res.status(403);
+    throw new Error('Only the poll creator can close this poll');
+  }
+
+  const poll = await closePoll('post', post);
+
+  broadcastPollUpdate(
+    await getPostPollAudience(post),
+    { targetType: 'post', targetId: post._id, postId: post._id },
+    poll
+  );
+
+  res.json({
+    success: true,
+    data: await getPollResults('post', { _id: post._id, poll }, userId),
+    message: 'Poll closed'
+  });
+});
+
+module.exports = {
+  sendDirectPoll,
+  getDirectPollResults,
+  voteDirectPoll,
+  retractDirectPollVote,
+  closeDirectPoll,
+  sendGroupPoll,
+  getGroupPollResults,
+  voteGroupPoll,
+  retractGroupPollVote,
+  closeGroupPoll,
+  getPostPollResults,
+  votePostPoll,
+  retractPostPollVote,
+  closePostPoll
+};
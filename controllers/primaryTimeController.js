@@ -1,10 +1,13 @@
 const PrimaryTimeProfile = require('../models/PrimaryTimeProfile');
 const User = require('../models/userModel');
+const { findOverlaps } = require('../services/scheduleResolutionService');
+const { primaryTimeWindows } = require('../utils/recurrence');
+const { rememberTimezone } = require('../services/userTimezoneService');
 
 // Create a new Primary Time profile
 exports.createProfile = async (req, res) => {
   try {
-    const { name, status, days, startTime, endTime, location, timezoneOffset, notifications, recurrence, priority } = req.body;
+    const { name, status, days, startTime, endTime, location, timezoneOffset, timezone, notifications, recurrence, priority } = req.body;
     const userId = req.user._id;
 
     // Validate required fields
@@ -15,6 +18,9 @@ exports.createProfile = async (req, res) => {
       });
     }
 
+    // Windows follow the user's IANA zone once the app has sent it
+    await rememberTimezone(req.user, timezone);
+
     // Create profile
     const profile = new PrimaryTimeProfile({
       userId,
@@ -40,7 +46,10 @@ exports.createProfile = async (req, res) => {
 
     console.log(`✅ [PRIMARY TIME] Profile created: ${profile.name} for user ${userId}`);
 
-    res.status(201).json(profile);
+    // Overlaps are allowed; report them with which source will win
+    const conflicts = await findOverlaps(req.user, { profiles: [profile] });
+
+    res.status(201).json({ ...profile.toJSON(), conflicts });
   } catch (error) {
     console.error('❌ [PRIMARY TIME] Create profile error:', error);
     res.status(500).json({
@@ -74,6 +83,9 @@ exports.getProfiles = async (req, res) => {
       }
     }
 
+    // Newer builds also send the device's IANA zone, which replaces the offset
+    await rememberTimezone(req.user, req.query.timezone);
+
     console.log(`📋 [PRIMARY TIME] Retrieved ${profiles.length} profiles for user ${userId}`);
 
     res.json(profiles);
@@ -206,7 +218,7 @@ exports.activateProfile = async (req, res) => {
     }
 
     const now = new Date();
-    const isWithinWindow = profile.shouldBeActive(now);
+    const isWithinWindow = profile.shouldBeActive(now, req.user.timezone);
 
     console.log(`✅ [PRIMARY TIME] Profile enabled: ${profile.name} (within time window: ${isWithinWindow})`);
 
@@ -224,16 +236,9 @@ exports.activateProfile = async (req, res) => {
         profile.isActive = true;
         await profile.save();
 
-        // Calculate end time in UTC using the profile's timezone offset
-        // Profile stores local times (e.g., "17:00" IST). Convert to UTC for statusUntil.
-        const [endH, endM] = profile.endTime.split(':').map(Number);
-        const offsetMs = (profile.timezoneOffset || 0) * 60 * 1000;
-        const localNow = new Date(now.getTime() - offsetMs);
-        const localEnd = new Date(localNow);
-        localEnd.setHours(endH, endM, 0, 0);
-        if (localEnd <= localNow) localEnd.setDate(localEnd.getDate() + 1);
-        // Convert local end back to UTC for storage
-        const endTime = new Date(localEnd.getTime() + offsetMs);
+        // End of the current window, from the profile's local times in the
+        // user's zone (or its stored offset for users without one)
+        const endTime = profile.currentWindowEnd(now, req.user.timezone);
         const durationMinutes = Math.round((endTime.getTime() - now.getTime()) / (1000 * 60));
 
         const user = await User.findById(userId);
@@ -427,13 +432,19 @@ exports.getActiveProfile = async (req, res) => {
     // Return the next upcoming enabled profile so the UI can show "SCHEDULED" state
     const enabledProfiles = await PrimaryTimeProfile.find({ userId, isEnabled: true }).sort({ startTime: 1 });
     if (enabledProfiles.length > 0) {
-      // Find the next upcoming profile based on user's local time
+      // Find the profile whose next window starts soonest, in the user's zone
       const now = new Date();
-      // Use the first profile's timezoneOffset as reference (all profiles for same user share timezone)
-      const offsetMs = (enabledProfiles[0].timezoneOffset || 0) * 60 * 1000;
-      const localNow = new Date(now.getTime() - offsetMs);
-      const currentTime = `${String(localNow.getHours()).padStart(2, '0')}:${String(localNow.getMinutes()).padStart(2, '0')}`;
-      const nextProfile = enabledProfiles.find(p => p.startTime > currentTime) || enabledProfiles[0];
+      const weekAhead = new Date(now.getTime() + 8 * 24 * 60 * 60 * 1000);
+      let nextProfile = enabledProfiles[0];
+      let nextStart = Infinity;
+      for (const profile of enabledProfiles) {
+        const [window] = primaryTimeWindows(profile, now, weekAhead, req.user.timezone)
+          .filter(w => w.start >= now.getTime());
+        if (window && window.start < nextStart) {
+          nextStart = window.start;
+          nextProfile = profile;
+        }
+      }
       return res.json(nextProfile);
     }
 
@@ -456,7 +467,7 @@ exports.getScheduledProfiles = async (req, res) => {
 
     const profiles = await PrimaryTimeProfile.find({ userId });
 
-    const activeProfiles = profiles.filter(profile => profile.shouldBeActive(now));
+    const activeProfiles = profiles.filter(profile => profile.shouldBeActive(now, req.user.timezone));
 
     // Sort by priority (highest first)
     activeProfiles.sort((a, b) => b.priority - a.priority);
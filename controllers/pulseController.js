@@ -4,8 +4,10 @@ const PulseChain = require('../models/PulseChain');
 const User = require('../models/userModel');
 const Friend = require('../models/Friend');
 const friendService = require('../services/friendService');
+const deliveryOutboxService = require('../services/deliveryOutboxService');
 const { broadcastToUser } = require('../socketManager');
 const { sanitizeUser } = require('../utils/logSanitizer');
+const { getMediaInfo } = require('../services/mediaProcessingService');
 
 function buildChainId(a, b) {
   return [a, b].sort().join('_');
@@ -281,12 +283,23 @@ const sendPulse = asyncHandler(async (req, res) => {
 
     const chainId = buildChainId(senderId, receiverId);
 
+    // Fill in what the client did not send from upload processing
+    const pulseContent = { ...(content || {}) };
+    const mediaInfo = await getMediaInfo(pulseContent.mediaUrl);
+    if (mediaInfo) {
+      pulseContent.thumbnailUrl = pulseContent.thumbnailUrl || mediaInfo.thumbnailUrl;
+      pulseContent.width = pulseContent.width || mediaInfo.width;
+      pulseContent.height = pulseContent.height || mediaInfo.height;
+      pulseContent.duration = pulseContent.duration || mediaInfo.duration;
+      pulseContent.variants = mediaInfo.variants;
+    }
+
     const pulse = await Pulse.create({
       chainId,
       senderId,
       receiverId,
       type,
-      content: content || {},
+      content: pulseContent,
       caption: caption || '',
       moodTag: moodTag || '',
       status: 'sent'
@@ -322,9 +335,9 @@ const sendPulse = asyncHandler(async (req, res) => {
       { upsert: true, new: true, setDefaultsOnInsert: true }
     ).lean();
 
-    // Real-time: notify the receiver via socket
+    // Real-time: notify the receiver via socket (queued in their outbox for replay)
     try {
-      broadcastToUser(receiverId, 'pulse:new', {
+      const pulseData = {
         pulse: {
           id: pulse._id.toString(),
           chainId,
@@ -332,12 +345,19 @@ const sendPulse = asyncHandler(async (req, res) => {
           receiverId,
           type,
           caption: caption || '',
-          content: content || {},
+          content: pulseContent,
           createdAt: pulse.createdAt,
         },
         chain: updatedChain,
         from: mapUserToPulseUser(sender),
+      };
+      pulseData.outboxSeq = await deliveryOutboxService.enqueue(receiverId, {
+        kind: 'pulse',
+        event: 'pulse:new',
+        refId: pulse._id,
+        payload: pulseData
       });
+      broadcastToUser(receiverId, 'pulse:new', pulseData);
       console.log(`💗 [PULSE] Socket emit to ${receiverId}: pulse:new`);
     } catch (socketErr) {
       console.warn('⚠️ [PULSE] Socket emit failed:', socketErr.message);
@@ -0,0 +1,69 @@
+const asyncHandler = require('express-async-handler');
+const {
+  TARGET_TYPES,
+  REASONS,
+  submitReport,
+  listMyReports
+} = require('../services/moderationService');
+
+/**
+ * @desc    Report a post, comment, story, blink, page, message or profile
+ * @route   POST /api/reports
+ * @access  Private
+ */
+const createReport = asyncHandler(async (req, res) => {
+  const { targetType, targetId, reason, details } = req.body;
+
+  if (!targetType || !targetId || !reason) {
+    res.status(400);
+    throw new Error('targetType, targetId and reason are required');
+  }
+
+  const report = await submitReport(req.user.userId, {
+    targetType,
+    targetId: String(targetId),
+    reason,
+    details
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for letting us know. Our team will review it.',
+    data: report
+  });
+});
+
+/**
+ * @desc    My reports and their outcome
+ * @route   GET /api/reports/mine
+ * @access  Private
+ */
+const getMyReports = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+  const result = await listMyReports(req.user.userId, { page, limit });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    What can be reported and why
+ * @route   GET /api/reports/reasons
+ * @access  Private
+ */
+const getReportReasons = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { targetTypes: TARGET_TYPES, reasons: REASONS }
+  });
+});
+
+module.exports = {
+  createReport,
+  getMyReports,
+  getReportReasons
+};
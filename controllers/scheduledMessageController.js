@@ -0,0 +1,329 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const User = require('../models/userModel');
+const Block = require('../models/blockModel');
+
+// Furthest into the future a message may be scheduled
+const MAX_SCHEDULE_AHEAD_DAYS = 365;
+// Cap on pending scheduled messages per user
+const MAX_PENDING_PER_USER = 100;
+
+/**
+ * Validate and parse a requested delivery time
+ * @returns {Date|null} - Parsed date, or null when invalid
+ */
+const parseScheduledFor = (value) => {
+  if (!value) return null;
+  const scheduledFor = new Date(value);
+  if (isNaN(scheduledFor.getTime())) return null;
+
+  const now = Date.now();
+  const maxAhead = now + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000;
+  if (scheduledFor.getTime() <= now || scheduledFor.getTime() > maxAhead) return null;
+
+  return scheduledFor;
+};
+
+const ensurePendingQuota = async (res, senderId) => {
+  const pendingCount = await ScheduledMessage.countDocuments({ senderId, status: 'pending' });
+  if (pendingCount >= MAX_PENDING_PER_USER) {
+    res.status(429);
+    throw new Error(`You can have at most ${MAX_PENDING_PER_USER} scheduled messages`);
+  }
+};
+
+// Check the sender may currently post in the group
+const ensureCanPostInGroup = async (res, groupId, userId) => {
+  const membership = await GroupMember.findOne({ groupId, userId, isActive: true });
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  if (!membership.permissions.canSendMessages) {
+    res.status(403);
+    throw new Error('You do not have permission to send messages in this group');
+  }
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat || !groupChat.isActive) {
+    res.status(404);
+    throw new Error('Group chat not found');
+  }
+
+  if (groupChat.settings.onlyAdminsCanMessage && membership.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only admins can send messages in this group');
+  }
+
+  return groupChat;
+};
+
+// @desc    Schedule a message to a contact
+// @route   POST /api/chat/scheduled
+// @access  Private
+const scheduleDirectMessage = asyncHandler(async (req, res) => {
+  const { receiverId, message, messageType = 'text', imageUrl, fileMetadata, voiceMetadata, e2ee } = req.body;
+  const senderId = req.user.userId;
+
+  if (!receiverId || typeof message !== 'string' || !message) {
+    res.status(400);
+    throw new Error('Receiver ID and message are required');
+  }
+
+  const scheduledFor = parseScheduledFor(req.body.scheduledFor);
+  if (!scheduledFor) {
+    res.status(400);
+    throw new Error(`scheduledFor must be a future date within ${MAX_SCHEDULE_AHEAD_DAYS} days`);
+  }
+
+  const blockStatus = await Block.isMutuallyBlocked(senderId, receiverId);
+  if (blockStatus.anyBlocked) {
+    res.status(403);
+    throw new Error('Cannot send message to this user');
+  }
+
+  const receiver = await User.findOne({ userId: receiverId }).select('_id').lean();
+  if (!receiver) {
+    res.status(404);
+    throw new Error('Receiver not found');
+  }
+
+  await ensurePendingQuota(res, senderId);
+
+  const scheduled = await ScheduledMessage.create({
+    senderId,
+    chatType: 'direct',
+    receiverId,
+    message,
+    messageType,
+    imageUrl,
+    fileMetadata,
+    voiceMetadata,
+    e2ee,
+    scheduledFor
+  });
+
+  console.log(`🕒 [SCHEDULED MESSAGES] ${senderId} scheduled message ${scheduled._id} to ${receiverId} for ${scheduledFor.toISOString()}`);
+
+  res.status(201).json({
+    success: true,
+    data: scheduled,
+    message: 'Message scheduled successfully'
+  });
+});
+
+// @desc    Schedule a message to a group chat
+// @route   POST /api/group-chats/:groupId/scheduled
+// @access  Private
+const scheduleGroupMessage = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { message, messageType = 'text', imageUrl, fileMetadata, voiceMetadata, encrypted = false, encryptionData } = req.body;
+  const senderId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+
+  if (typeof message !== 'string' || !message) {
+    res.status(400);
+    throw new Error('Message is required');
+  }
+
+  const scheduledFor = parseScheduledFor(req.body.scheduledFor);
+  if (!scheduledFor) {
+    res.status(400);
+    throw new Error(`scheduledFor must be a future date within ${MAX_SCHEDULE_AHEAD_DAYS} days`);
+  }
+
+  await ensureCanPostInGroup(res, groupId, senderId);
+  await ensurePendingQuota(res, senderId);
+
+  const scheduled = await ScheduledMessage.create({
+    senderId,
+    chatType: 'group',
+    groupId,
+    message,
+    messageType,
+    imageUrl,
+    fileMetadata,
+    voiceMetadata,
+    encrypted,
+    encryptionData,
+    scheduledFor
+  });
+
+  console.log(`🕒 [SCHEDULED MESSAGES] ${senderId} scheduled group message ${scheduled._id} in ${groupId} for ${scheduledFor.toISOString()}`);
+
+  res.status(201).json({
+    success: true,
+    data: scheduled,
+    message: 'Message scheduled successfully'
+  });
+});
+
+// @desc    List pending scheduled messages (optionally for one contact)
+// @route   GET /api/chat/scheduled?contactId=
+// @access  Private
+const getScheduledDirectMessages = asyncHandler(async (req, res) => {
+  const { contactId } = req.query;
+  const senderId = req.user.userId;
+
+  const scheduled = contactId
+    ? await ScheduledMessage.findPendingForConversation(senderId, { receiverId: contactId })
+    : await ScheduledMessage.find({ senderId, status: 'pending' }).sort({ scheduledFor: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: scheduled,
+    count: scheduled.length
+  });
+});
+
+// @desc    List pending scheduled messages for a group chat
+// @route   GET /api/group-chats/:groupId/scheduled
+// @access  Private
+const getScheduledGroupMessages = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const senderId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400);
+    throw new Error('Invalid group ID');
+  }
+
+  const scheduled = await ScheduledMessage.findPendingForConversation(senderId, { groupId });
+
+  res.status(200).json({
+    success: true,
+    data: scheduled,
+    count: scheduled.length
+  });
+});
+
+// Load a pending scheduled message owned by the current user
+const findOwnPending = async (req, res) => {
+  const { scheduledId, groupId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+    res.status(400);
+    throw new Error('Invalid scheduled message ID');
+  }
+
+  const query = { _id: scheduledId, senderId: req.user.userId };
+  if (groupId) {
+    query.groupId = groupId;
+  }
+
+  const scheduled = await ScheduledMessage.findOne(query);
+  if (!scheduled) {
+    res.status(404);
+    throw new Error('Scheduled message not found');
+  }
+
+  if (scheduled.status !== 'pending') {
+    res.status(409);
+    throw new Error(`Scheduled message is already ${scheduled.status}`);
+  }
+
+  return scheduled;
+};
+
+// @desc    Edit a pending scheduled message (content and/or delivery time)
+// @route   PUT /api/chat/scheduled/:scheduledId
+// @route   PUT /api/group-chats/:groupId/scheduled/:scheduledId
+// @access  Private
+const updateScheduledMessage = asyncHandler(async (req, res) => {
+  const { message, scheduledFor, e2ee, encryptionData } = req.body;
+  const scheduled = await findOwnPending(req, res);
+
+  if (message !== undefined) {
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      res.status(400);
+      throw new Error('Message cannot be empty');
+    }
+    scheduled.message = message;
+  }
+
+  if (scheduledFor !== undefined) {
+    const parsed = parseScheduledFor(scheduledFor);
+    if (!parsed) {
+      res.status(400);
+      throw new Error(`scheduledFor must be a future date within ${MAX_SCHEDULE_AHEAD_DAYS} days`);
+    }
+    scheduled.scheduledFor = parsed;
+  }
+
+  if (e2ee !== undefined && scheduled.chatType === 'direct') {
+    scheduled.e2ee = e2ee;
+  }
+
+  if (encryptionData !== undefined && scheduled.chatType === 'group') {
+    scheduled.encryptionData = encryptionData;
+    scheduled.encrypted = !!encryptionData;
+  }
+
+  // Only save while still pending so an in-flight delivery isn't overwritten
+  const updated = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduled._id, status: 'pending' },
+    {
+      $set: {
+        message: scheduled.message,
+        scheduledFor: scheduled.scheduledFor,
+        e2ee: scheduled.e2ee,
+        encrypted: scheduled.encrypted,
+        encryptionData: scheduled.encryptionData
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    res.status(409);
+    throw new Error('Scheduled message is already being sent');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: updated,
+    message: 'Scheduled message updated successfully'
+  });
+});
+
+// @desc    Cancel a pending scheduled message
+// @route   DELETE /api/chat/scheduled/:scheduledId
+// @route   DELETE /api/group-chats/:groupId/scheduled/:scheduledId
+// @access  Private
+const cancelScheduledMessage = asyncHandler(async (req, res) => {
+  const scheduled = await findOwnPending(req, res);
+
+  const cancelled = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduled._id, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    res.status(409);
+    throw new Error('Scheduled message is already being sent');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: cancelled,
+    message: 'Scheduled message cancelled'
+  });
+});
+
+module.exports = {
+  scheduleDirectMessage,
+  scheduleGroupMessage,
+  getScheduledDirectMessages,
+  getScheduledGroupMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+};
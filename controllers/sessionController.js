@@ -0,0 +1,101 @@
+const asyncHandler = require('express-async-handler');
+const {
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/sessionService');
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token)
+ */
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    res.status(400);
+    throw new Error('Refresh token is required');
+  }
+
+  const tokens = await rotateRefreshToken(refreshToken, req);
+
+  res.status(200).json({
+    success: true,
+    data: tokens
+  });
+});
+
+/**
+ * @desc    List my signed-in devices
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user.userId, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: sessions
+  });
+});
+
+/**
+ * @desc    Log out this device
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+const logoutCurrentSession = asyncHandler(async (req, res) => {
+  if (!req.sessionId) {
+    res.status(400);
+    throw new Error('This token is not tied to a session - use logout-all to revoke it');
+  }
+
+  await revokeSession(req.user.userId, req.sessionId, 'logout');
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out'
+  });
+});
+
+/**
+ * @desc    Log out another device
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+const revokeSessionById = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const reason = sessionId === req.sessionId ? 'logout' : 'revoked_by_user';
+
+  await revokeSession(req.user.userId, sessionId, reason);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked'
+  });
+});
+
+/**
+ * @desc    Log out everywhere (this device included)
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllSessions(req.user.userId, 'logout_all');
+
+  res.status(200).json({
+    success: true,
+    data: { revokedCount },
+    message: 'Logged out of all devices'
+  });
+});
+
+module.exports = {
+  refreshAccessToken,
+  getSessions,
+  logoutCurrentSession,
+  revokeSessionById,
+  logoutAllSessions
+};
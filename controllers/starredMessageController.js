@@ -0,0 +1,191 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const StarredMessage = require('../models/StarredMessage');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const GroupMember = require('../models/groupMemberModel');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Star a 1:1 message
+// @route   POST /api/chat/message/:messageId/star
+// @access  Private
+const starDirectMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid message ID');
+  }
+
+  const message = await Message.findOne({
+    _id: messageId,
+    $or: [{ senderId: userId }, { receiverId: userId }],
+    deletedFor: { $ne: userId }
+  }).select('senderId receiverId message messageType timestamp isGhost privacyMode').lean();
+
+  if (!message) {
+    res.status(404);
+    throw new Error('Message not found');
+  }
+
+  if (message.isGhost || message.privacyMode === 'burn') {
+    res.status(400);
+    throw new Error('Burn and ghost messages cannot be starred');
+  }
+
+  const contactId = message.senderId === userId ? message.receiverId : message.senderId;
+
+  const starred = await StarredMessage.findOneAndUpdate(
+    { userId, messageId },
+    {
+      $setOnInsert: {
+        userId,
+        messageId,
+        chatType: 'direct',
+        contactId,
+        senderId: message.senderId,
+        messageType: message.messageType,
+        messageTimestamp: message.timestamp,
+        starredAt: new Date(),
+        ...StarredMessage.buildSnapshot(message.message)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: starred,
+    message: 'Message starred'
+  });
+});
+
+// @desc    Star a group message
+// @route   POST /api/group-chats/:groupId/messages/:messageId/star
+// @access  Private
+const starGroupMessage = asyncHandler(async (req, res) => {
+  const { groupId, messageId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid group or message ID');
+  }
+
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    res.status(403);
+    throw new Error('You are not a member of this group');
+  }
+
+  const message = await GroupMessage.findOne({
+    _id: messageId,
+    groupId,
+    deletedAt: null
+  }).select('senderId message messageType createdAt').lean();
+
+  if (!message) {
+    res.status(404);
+    throw new Error('Message not found');
+  }
+
+  const starred = await StarredMessage.findOneAndUpdate(
+    { userId, messageId },
+    {
+      $setOnInsert: {
+        userId,
+        messageId,
+        chatType: 'group',
+        groupId,
+        senderId: message.senderId,
+        messageType: message.messageType,
+        messageTimestamp: message.createdAt,
+        starredAt: new Date(),
+        ...StarredMessage.buildSnapshot(message.message)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: starred,
+    message: 'Message starred'
+  });
+});
+
+// @desc    Unstar a message (1:1 or group)
+// @route   DELETE /api/chat/message/:messageId/star
+// @route   DELETE /api/group-chats/:groupId/messages/:messageId/star
+// @access  Private
+const unstarMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400);
+    throw new Error('Invalid message ID');
+  }
+
+  const result = await StarredMessage.deleteOne({ userId, messageId });
+
+  res.status(200).json({
+    success: true,
+    removed: result.deletedCount > 0,
+    message: 'Message unstarred'
+  });
+});
+
+// @desc    Get the current user's starred messages across all chats
+// @route   GET /api/chat/starred?page=&limit=&q=&chatType=&contactId=&groupId=
+// @access  Private
+const getStarredMessages = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { q, chatType, contactId, groupId } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = { userId };
+
+  if (chatType && ['direct', 'group'].includes(chatType)) {
+    query.chatType = chatType;
+  }
+  if (contactId) {
+    query.contactId = contactId;
+  }
+  if (groupId && mongoose.Types.ObjectId.isValid(groupId)) {
+    query.groupId = groupId;
+  }
+  if (q && q.trim().length > 0) {
+    query.searchText = { $regex: escapeRegex(q.trim().toLowerCase()) };
+  }
+
+  const [starred, total] = await Promise.all([
+    StarredMessage.find(query)
+      .sort({ starredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StarredMessage.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: starred,
+    pagination: {
+      page,
+      limit,
+      total,
+      hasMore: page * limit < total
+    }
+  });
+});
+
+module.exports = {
+  starDirectMessage,
+  starGroupMessage,
+  unstarMessage,
+  getStarredMessages
+};
@@ -165,6 +165,12 @@ const updateUserStatus = async (req, res) => {
       }
     }
     
+    // Set by the user, so it outranks every schedule until it expires
+    // (see services/scheduleResolutionService)
+    user.wasAutoApplied = false;
+    user.primaryTimeProfileId = null;
+    user.statusUpdatedAt = statusChangeTime;
+
     // Set status expiration if duration provided (in minutes)
     let expirationTime = null;
     if (duration && duration > 0) {
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const StatusPrivacy = require('../models/statusPrivacyModel');
 const User = require('../models/userModel');
 const Group = require('../models/groupModel');
@@ -438,6 +439,92 @@ const getUserGroups = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get the contacts and groups left out of the status away message
+ * @route   GET /api/status-privacy/away-replies
+ * @access  Private
+ */
+const getAwayReplyExclusions = async (req, res) => {
+  try {
+    const privacySettings = await StatusPrivacy.getDefaultPrivacySettings(req.user._id);
+    await privacySettings.populate([
+      { path: 'awayReplyExclusions.contacts', select: 'userId name profileImage' },
+      { path: 'awayReplyExclusions.groups', select: 'groupId name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contacts: privacySettings.awayReplyExclusions?.contacts || [],
+        groups: privacySettings.awayReplyExclusions?.groups || []
+      },
+    });
+  } catch (error) {
+    console.error('Error getting away reply exclusions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching away reply exclusions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Set the contacts (userIds or _ids) and groups (_ids) left out of the
+ *          status away message
+ * @route   PUT /api/status-privacy/away-replies
+ * @access  Private
+ */
+const updateAwayReplyExclusions = async (req, res) => {
+  try {
+    const { contacts = [], groups = [] } = req.body;
+
+    if (!Array.isArray(contacts) || !Array.isArray(groups)) {
+      return res.status(400).json({
+        success: false,
+        message: 'contacts and groups must be arrays',
+      });
+    }
+
+    const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id) && String(id).length === 24;
+    const invalidGroup = groups.find(id => !isObjectId(id));
+    if (invalidGroup) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid group id: ${invalidGroup}`,
+      });
+    }
+
+    const contactUsers = await User.find({
+      $or: [
+        { _id: { $in: contacts.filter(isObjectId) } },
+        { userId: { $in: contacts.map(String) } }
+      ]
+    }).select('_id');
+
+    const privacySettings = await StatusPrivacy.getDefaultPrivacySettings(req.user._id);
+    privacySettings.awayReplyExclusions = {
+      contacts: contactUsers.map(user => user._id),
+      groups: [...new Set(groups.map(String))]
+    };
+    await privacySettings.save();
+
+    console.log(`🔒 [Privacy] Away reply exclusions updated for ${req.user._id}: ${contactUsers.length} contact(s), ${groups.length} group(s)`);
+
+    res.status(200).json({
+      success: true,
+      data: privacySettings.awayReplyExclusions,
+    });
+  } catch (error) {
+    console.error('Error updating away reply exclusions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating away reply exclusions',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getPrivacyInfo,
   getDefaultPrivacySettings,
@@ -447,4 +534,6 @@ module.exports = {
   canSeeUserStatus,
   getStatusViewers,
   getUserGroups,
+  getAwayReplyExclusions,
+  updateAwayReplyExclusions,
 };
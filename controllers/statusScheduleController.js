@@ -2,7 +2,8 @@ const asyncHandler = require('express-async-handler');
 const StatusSchedule = require('../models/statusScheduleModel');
 const StatusTemplate = require('../models/statusTemplateModel');
 const StatusScheduler = require('../utils/statusScheduler');
-const { addDays, addWeeks, addMonths, format, startOfWeek, endOfWeek, isWithinInterval } = require('date-fns');
+const recurrence = require('../utils/recurrence');
+const { getTimeline, findOverlaps } = require('../services/scheduleResolutionService');
 
 // @desc    Get user status schedules
 // @route   GET /api/status/schedules
@@ -29,6 +30,8 @@ const createStatusSchedule = asyncHandler(async (req, res) => {
     notes, 
     duration, 
     recurrenceConfig,
+    rrule,
+    timezone,
     active = true 
   } = req.body;
 
@@ -73,11 +76,16 @@ const createStatusSchedule = asyncHandler(async (req, res) => {
     notes: notes || null,
     duration: duration || Math.round((end.getTime() - start.getTime()) / (1000 * 60)), // Calculate duration in minutes
     recurrenceConfig: recurrenceConfig || {},
+    rrule: rrule || null,
+    timezone: timezone || null,
     active,
   });
 
   if (statusSchedule) {
-    res.status(201).json(statusSchedule);
+    // Overlaps with the user's other schedules don't block creation; they're
+    // reported so the app can show which one will win
+    const conflicts = await findOverlaps(req.user, { schedules: [statusSchedule] });
+    res.status(201).json({ ...statusSchedule.toJSON(), conflicts });
   } else {
     res.status(400);
     throw new Error('Invalid status schedule data');
@@ -97,7 +105,9 @@ const updateStatusSchedule = asyncHandler(async (req, res) => {
     active, 
     notes, 
     duration, 
-    recurrenceConfig 
+    recurrenceConfig,
+    rrule,
+    timezone
   } = req.body;
   
   const statusSchedule = await StatusSchedule.findById(req.params.id);
@@ -133,6 +143,10 @@ const updateStatusSchedule = asyncHandler(async (req, res) => {
   statusSchedule.notes = notes !== undefined ? notes : statusSchedule.notes;
   statusSchedule.duration = duration !== undefined ? duration : statusSchedule.duration;
   statusSchedule.recurrenceConfig = recurrenceConfig !== undefined ? recurrenceConfig : statusSchedule.recurrenceConfig;
+  statusSchedule.timezone = timezone !== undefined ? timezone : statusSchedule.timezone;
+  if (rrule !== undefined) {
+    statusSchedule.rrule = rrule;
+  }
   
   // Only update active status if explicitly provided
   if (active !== undefined) {
@@ -217,7 +231,8 @@ const createScheduleFromTemplate = asyncHandler(async (req, res) => {
     lastUsed: new Date()
   });
 
-  res.status(201).json(statusSchedule);
+  const conflicts = await findOverlaps(req.user, { schedules: [statusSchedule] });
+  res.status(201).json({ ...statusSchedule.toJSON(), conflicts });
 });
 
 // 🆕 @desc    Create recurring schedules with advanced patterns
@@ -231,6 +246,8 @@ const createRecurringSchedule = asyncHandler(async (req, res) => {
     endTime, 
     repeat, 
     recurrenceConfig,
+    rrule,
+    timezone,
     templateId 
   } = req.body;
 
@@ -239,52 +256,51 @@ const createRecurringSchedule = asyncHandler(async (req, res) => {
     startTime,
     endTime,
     repeat,
+    rrule,
+    timezone,
     recurrenceConfig,
     templateId
   });
 
-  if (!status || !startTime || !endTime || !repeat) {
+  if (!status || !startTime || !endTime || (!repeat && !rrule)) {
     res.status(400);
     throw new Error('Please provide all required fields');
   }
 
-  // Generate recurring instances based on pattern
-  const instances = generateRecurringInstances({
-    startTime: new Date(startTime),
-    endTime: new Date(endTime),
-    repeat,
-    recurrenceConfig
+  // One schedule holds the whole series; occurrences are expanded on demand
+  const schedule = await StatusSchedule.create({
+    user: req.user._id,
+    userId: req.user.userId,
+    status,
+    customStatus,
+    startTime,
+    endTime,
+    repeat: repeat || 'custom',
+    recurrenceConfig,
+    rrule: rrule || null,
+    timezone: timezone || null,
+    templateId,
+    active: true
   });
 
-  console.log(`📅 Generated ${instances.length} recurring instances:`, instances.map(i => ({
-    startTime: i.startTime.toISOString(),
-    endTime: i.endTime.toISOString()
-  })));
-
-  const createdSchedules = [];
-
-  for (const instance of instances) {
-    const scheduleData = {
-      user: req.user._id,
-      userId: req.user.userId,
-      status,
-      customStatus,
-      startTime: instance.startTime,
-      endTime: instance.endTime,
-      repeat,
-      recurrenceConfig,
-      templateId,
-      active: true
-    };
-
-    const schedule = await StatusSchedule.create(scheduleData);
-    createdSchedules.push(schedule);
-  }
+  // Preview of the next four weeks
+  const previewStart = Math.max(Date.now(), schedule.startTime.getTime());
+  const occurrences = recurrence.expandOccurrences(
+    schedule,
+    new Date(previewStart),
+    new Date(previewStart + 28 * 24 * 60 * 60 * 1000)
+  );
+
+  console.log(`📅 Created recurring schedule ${schedule._id} (${schedule.rrule}), ${occurrences.length} occurrences in the next 4 weeks`);
+
+  const conflicts = await findOverlaps(req.user, { schedules: [schedule] });
 
   res.status(201).json({
     success: true,
-    count: createdSchedules.length,
-    data: createdSchedules
+    count: 1,
+    data: [schedule],
+    occurrences,
+    conflicts
   });
 });
 
@@ -363,97 +379,6 @@ const getStatusAnalytics = asyncHandler(async (req, res) => {
   });
 });
 
-// Helper function to generate recurring instances
-function generateRecurringInstances({ startTime, endTime, repeat, recurrenceConfig }) {
-  console.log('🔧 generateRecurringInstances called with:', {
-    startTime: startTime.toISOString(),
-    endTime: endTime.toISOString(),
-    repeat,
-    recurrenceConfig
-  });
-
-  const instances = [];
-  const duration = endTime.getTime() - startTime.getTime();
-  
-  const maxInstances = recurrenceConfig?.maxOccurrences || 52; // Default max 52 instances
-  const endDate = recurrenceConfig?.endDate ? new Date(recurrenceConfig.endDate) : 
-                  addMonths(startTime, 12); // Default 1 year
-  const interval = recurrenceConfig?.interval || 1;
-  const exceptions = recurrenceConfig?.exceptions || [];
-
-  console.log('📊 Recurrence parameters:', {
-    maxInstances,
-    endDate: endDate.toISOString(),
-    interval,
-    exceptionsCount: exceptions.length
-  });
-
-  let currentStart = new Date(startTime);
-  let count = 0;
-
-  while (currentStart <= endDate && count < maxInstances) {
-    // Check if this date is in exceptions
-    const isException = exceptions.some(exception => 
-      format(new Date(exception), 'yyyy-MM-dd') === format(currentStart, 'yyyy-MM-dd')
-    );
-
-    if (!isException) {
-      // Check if this instance matches the recurrence pattern
-      if (matchesRecurrencePattern(currentStart, repeat, recurrenceConfig)) {
-        instances.push({
-          startTime: new Date(currentStart),
-          endTime: new Date(currentStart.getTime() + duration)
-        });
-        count++;
-      }
-    }
-
-    // Move to next occurrence based on repeat pattern
-    currentStart = getNextOccurrence(currentStart, repeat, interval);
-  }
-
-  return instances;
-}
-
-// Helper function to check if date matches recurrence pattern
-function matchesRecurrencePattern(date, repeat, config) {
-  switch (repeat) {
-    case 'daily':
-      return true;
-    case 'weekdays':
-      const weekday = date.getDay();
-      return weekday >= 1 && weekday <= 5; // Monday to Friday
-    case 'weekends':
-      const weekend = date.getDay();
-      return weekend === 0 || weekend === 6; // Sunday or Saturday
-    case 'weekly':
-      return true;
-    case 'custom_days':
-      return config?.daysOfWeek?.includes(date.getDay());
-    default:
-      return true;
-  }
-}
-
-// Helper function to get next occurrence
-function getNextOccurrence(date, repeat, interval) {
-  switch (repeat) {
-    case 'daily':
-    case 'weekdays':
-    case 'weekends':
-      return addDays(date, interval);
-    case 'weekly':
-    case 'custom_days':
-      return addWeeks(date, interval);
-    case 'biweekly':
-      return addWeeks(date, 2 * interval);
-    case 'monthly':
-      return addMonths(date, interval);
-    default:
-      return addDays(date, interval);
-  }
-}
-
 // Helper function to calculate status analytics
 function calculateStatusAnalytics(schedules) {
   const analytics = {
@@ -556,19 +481,7 @@ const getExpandedSchedules = asyncHandler(async (req, res) => {
   const expandedSchedules = [];
   
   for (const schedule of schedules) {
-    if (schedule.repeat === 'none') {
-      // For non-recurring schedules, include if within date range
-      const scheduleStart = new Date(schedule.startTime);
-      const scheduleEnd = new Date(schedule.endTime);
-      
-      if (scheduleStart <= end && scheduleEnd >= start) {
-        expandedSchedules.push(schedule);
-      }
-    } else {
-      // For recurring schedules, generate instances
-      const instances = StatusScheduler.generateRecurringInstances(schedule, start, end);
-      expandedSchedules.push(...instances);
-    }
+    expandedSchedules.push(...StatusScheduler.generateRecurringInstances(schedule, start, end));
   }
   
   // Sort by start time
@@ -577,6 +490,98 @@ const getExpandedSchedules = asyncHandler(async (req, res) => {
   res.json(expandedSchedules);
 });
 
+// @desc    Effective status timeline across schedules, calendar events,
+//          Primary Time and the daily schedule, with what each piece overrides
+// @route   GET /api/status/schedules/timeline
+// @access  Private
+const getScheduleTimeline = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  if (!startDate || !endDate) {
+    res.status(400);
+    throw new Error('Start date and end date are required');
+  }
+
+  const timeline = await getTimeline(req.user, startDate, endDate);
+
+  res.json({
+    success: true,
+    data: timeline
+  });
+});
+
+// Load a schedule of the logged-in user and the occurrence named in the URL
+const findOwnOccurrence = async (req, res) => {
+  const statusSchedule = await StatusSchedule.findById(req.params.id);
+
+  if (!statusSchedule) {
+    res.status(404);
+    throw new Error('Status schedule not found');
+  }
+
+  if (statusSchedule.user.toString() !== req.user._id.toString()) {
+    res.status(401);
+    throw new Error('Not authorized to update this status schedule');
+  }
+
+  const occurrenceStart = new Date(req.params.occurrenceStart);
+  if (!recurrence.isOccurrence(statusSchedule, occurrenceStart)) {
+    res.status(404);
+    throw new Error('This schedule has no occurrence starting at that time');
+  }
+
+  const overrides = statusSchedule.occurrenceOverrides.filter(
+    override => override.occurrenceStart.getTime() !== occurrenceStart.getTime()
+  );
+
+  return { statusSchedule, occurrenceStart, overrides };
+};
+
+// @desc    Change one occurrence of a recurring schedule ("this occurrence only")
+// @route   PUT /api/status/schedules/:id/occurrences/:occurrenceStart
+// @access  Private
+const updateScheduleOccurrence = asyncHandler(async (req, res) => {
+  const { startTime, endTime, status, customStatus, notes } = req.body || {};
+  const { statusSchedule, occurrenceStart, overrides } = await findOwnOccurrence(req, res);
+
+  if (startTime && endTime && new Date(startTime) >= new Date(endTime)) {
+    res.status(400);
+    throw new Error('Start time must be before end time');
+  }
+
+  statusSchedule.occurrenceOverrides = [
+    ...overrides,
+    { occurrenceStart, cancelled: false, startTime, endTime, status, customStatus, notes }
+  ];
+  await statusSchedule.save();
+
+  res.json(statusSchedule);
+});
+
+// @desc    Cancel one occurrence of a recurring schedule
+// @route   DELETE /api/status/schedules/:id/occurrences/:occurrenceStart
+// @access  Private
+const cancelScheduleOccurrence = asyncHandler(async (req, res) => {
+  const { statusSchedule, occurrenceStart, overrides } = await findOwnOccurrence(req, res);
+
+  statusSchedule.occurrenceOverrides = [...overrides, { occurrenceStart, cancelled: true }];
+  await statusSchedule.save();
+
+  res.json(statusSchedule);
+});
+
+// @desc    Undo an occurrence's change or cancellation
+// @route   DELETE /api/status/schedules/:id/occurrences/:occurrenceStart/override
+// @access  Private
+const restoreScheduleOccurrence = asyncHandler(async (req, res) => {
+  const { statusSchedule, overrides } = await findOwnOccurrence(req, res);
+
+  statusSchedule.occurrenceOverrides = overrides;
+  await statusSchedule.save();
+
+  res.json(statusSchedule);
+});
+
 module.exports = {
   getStatusSchedules,
   createStatusSchedule,
@@ -584,6 +589,10 @@ module.exports = {
   deleteStatusSchedule,
   getUpcomingStatusSchedules,
   getExpandedSchedules,
+  getScheduleTimeline,
+  updateScheduleOccurrence,
+  cancelScheduleOccurrence,
+  restoreScheduleOccurrence,
   // 🆕 Enhanced functions
   createScheduleFromTemplate,
   createRecurringSchedule,
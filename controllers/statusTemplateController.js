@@ -3,6 +3,27 @@ const StatusTemplate = require('../models/statusTemplateModel');
 const StatusHistory = require('../models/statusHistoryModel');
 const User = require('../models/userModel');
 
+// Away message sent while the template's status is set (services/awayReplyService)
+const parseAutoReply = (res, autoReply) => {
+  if (autoReply === undefined) return undefined;
+  if (autoReply === null || typeof autoReply !== 'object') {
+    res.status(400);
+    throw new Error('autoReply must be an object with enabled and message');
+  }
+
+  const enabled = Boolean(autoReply.enabled);
+  const message = typeof autoReply.message === 'string' ? autoReply.message.trim() : '';
+  if (enabled && !message) {
+    res.status(400);
+    throw new Error('autoReply message is required when the auto-reply is enabled');
+  }
+  if (message.length > 500) {
+    res.status(400);
+    throw new Error('autoReply message cannot exceed 500 characters');
+  }
+  return { enabled, message };
+};
+
 // @desc    Get user status templates
 // @route   GET /api/status/templates
 // @access  Private
@@ -20,7 +41,7 @@ const createStatusTemplate = asyncHandler(async (req, res) => {
     // NEW: Hierarchical status
     mainStatus, mainDuration, mainDurationLabel,
     subStatus, subDuration, subDurationLabel,
-    location
+    location, autoReply
   } = req.body;
 
   // FIXED: Allow custom status without duration (for status templates)
@@ -36,6 +57,7 @@ const createStatusTemplate = asyncHandler(async (req, res) => {
     throw new Error('Please provide either status or duration');
   }
 
+  const parsedAutoReply = parseAutoReply(res, autoReply);
   const user = await User.findById(req.user._id);
 
   const statusTemplate = await StatusTemplate.create({
@@ -53,7 +75,8 @@ const createStatusTemplate = asyncHandler(async (req, res) => {
     subStatus,
     subDuration,
     subDurationLabel,
-    location
+    location,
+    autoReply: parsedAutoReply
   });
 
   if (statusTemplate) {
@@ -68,7 +91,7 @@ const createStatusTemplate = asyncHandler(async (req, res) => {
 // @route   PUT /api/status/templates/:id
 // @access  Private
 const updateStatusTemplate = asyncHandler(async (req, res) => {
-  const { name, status, customStatus, duration } = req.body;
+  const { name, status, customStatus, duration, autoReply } = req.body;
   
   const statusTemplate = await StatusTemplate.findById(req.params.id);
 
@@ -87,6 +110,10 @@ const updateStatusTemplate = asyncHandler(async (req, res) => {
   statusTemplate.status = status || statusTemplate.status;
   statusTemplate.customStatus = customStatus || statusTemplate.customStatus;
   statusTemplate.duration = duration || statusTemplate.duration;
+  const parsedAutoReply = parseAutoReply(res, autoReply);
+  if (parsedAutoReply) {
+    statusTemplate.autoReply = parsedAutoReply;
+  }
 
   const updatedStatusTemplate = await statusTemplate.save();
   res.json(updatedStatusTemplate);
@@ -0,0 +1,53 @@
+const asyncHandler = require('express-async-handler');
+const deliveryOutboxService = require('../services/deliveryOutboxService');
+
+/**
+ * @desc    Everything sent to me after a sync cursor (1:1 messages, group messages, pulses)
+ * @route   GET /api/sync/changes?since=<seq>&limit=<n>&deviceId=<id>
+ * @access  Private
+ */
+const getSyncChanges = asyncHandler(async (req, res) => {
+  const { since, limit, deviceId } = req.query;
+
+  if (since !== undefined && !/^\d+$/.test(String(since))) {
+    res.status(400);
+    throw new Error('since must be a non-negative sequence number');
+  }
+
+  const result = await deliveryOutboxService.getChangesSince(req.user.userId, { since, limit, deviceId });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Acknowledge outbox entries received by a device
+ * @route   POST /api/sync/ack
+ * @access  Private
+ */
+const acknowledgeSyncEntries = asyncHandler(async (req, res) => {
+  const { deviceId, seqs, upToSeq = null, messageIds } = req.body;
+
+  if (!Array.isArray(seqs) && upToSeq === null && !Array.isArray(messageIds)) {
+    res.status(400);
+    throw new Error('Provide seqs, upToSeq or messageIds to acknowledge');
+  }
+
+  const cleared = await deliveryOutboxService.acknowledge(req.user.userId, deviceId, {
+    seqs,
+    upToSeq,
+    refIds: messageIds
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { cleared }
+  });
+});
+
+module.exports = {
+  getSyncChanges,
+  acknowledgeSyncEntries
+};
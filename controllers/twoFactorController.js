@@ -0,0 +1,134 @@
+const asyncHandler = require('express-async-handler');
+const User = require('../models/userModel');
+const { verifyPassword } = require('../utils/userEncryption');
+const {
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disable,
+  regenerateRecoveryCodes
+} = require('../services/twoFactorService');
+
+/**
+ * Password check for sensitive 2FA changes (handles encrypted and hashed passwords)
+ */
+const verifyAccountPassword = async (userId, password) => {
+  if (!password) return false;
+
+  const user = await User.findById(userId).select('+password +encryptedPassword');
+  if (!user) return false;
+
+  if (user.encryptedPassword?.encrypted) {
+    return verifyPassword(password, user.encryptedPassword);
+  }
+  return user.password ? user.matchPassword(password) : false;
+};
+
+/**
+ * Re-authenticate with password plus a current code (or a recovery code)
+ */
+const reauthenticate = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    res.status(400);
+    throw new Error('Password and a verification code or recovery code are required');
+  }
+
+  if (!(await verifyAccountPassword(req.user._id, password))) {
+    res.status(401);
+    throw new Error('Password is incorrect');
+  }
+
+  await verifySecondFactor('user', req.user._id, { code, recoveryCode });
+};
+
+/**
+ * @desc    Get my two-factor status
+ * @route   GET /api/auth/2fa/status
+ * @access  Private
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('twoFactor.enabled twoFactor.enabledAt twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    success: true,
+    data: getStatus(user)
+  });
+});
+
+/**
+ * @desc    Start two-factor setup - returns the secret and otpauth:// URI for the QR code
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const accountName = req.user.username || req.user.email || req.user.userId;
+  const enrollment = await beginEnrollment('user', req.user._id, accountName);
+
+  res.status(200).json({
+    success: true,
+    data: enrollment
+  });
+});
+
+/**
+ * @desc    Confirm setup with the first code from the authenticator app
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error('Verification code is required');
+  }
+
+  const recoveryCodes = await confirmEnrollment('user', req.user._id, code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe - they are only shown once.',
+    data: { recoveryCodes }
+  });
+});
+
+/**
+ * @desc    Turn two-factor authentication off
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private (password + code)
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  await reauthenticate(req, res);
+  await disable('user', req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * @desc    Replace my recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private (password + code)
+ */
+const regenerateTwoFactorRecoveryCodes = asyncHandler(async (req, res) => {
+  await reauthenticate(req, res);
+  const recoveryCodes = await regenerateRecoveryCodes('user', req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes
+};
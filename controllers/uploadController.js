@@ -2,6 +2,8 @@ const User = require('../models/userModel');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
+const storage = require('../services/storageProvider');
+const mediaProcessing = require('../services/mediaProcessingService');
 
 /**
  * ✅ BUG FIX: `path.extname(file.originalname)` returns an empty string
@@ -152,6 +154,8 @@ const postMediaStorage = multer.diskStorage({
       if (mime === 'image/jpeg') return '.jpg';
       if (mime === 'image/png') return '.png';
       if (mime === 'image/webp') return '.webp';
+      if (mime === 'image/heic') return '.heic';
+      if (mime === 'image/heif') return '.heif';
       if (mime === 'video/mp4' || mime === 'video/hevc' || mime === 'video/3gpp2') return '.mp4';
       if (mime === 'video/quicktime') return '.mov';
       if (mime === 'video/webm') return '.webm';
@@ -166,9 +170,10 @@ const postMediaStorage = multer.diskStorage({
   }
 });
 
-// Allowed post media MIME types (front-end sends image/jpeg for photos and common video formats for videos)
+// Allowed post media MIME types (front-end sends image/jpeg for photos and common video formats for videos;
+// HEIC/HEIF photos are converted to JPEG by mediaProcessingService)
 const ALLOWED_POST_MEDIA_TYPES = [
-  'image/jpeg', 'image/png', 'image/webp',
+  'image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif',
   'video/mp4', 'video/quicktime', 'video/webm',
   'video/3gpp', 'video/3gpp2', 'video/hevc', 'video/x-matroska'
 ];
@@ -246,7 +251,9 @@ const generalFileFilter = (req, file, cb) => {
     'image/jpeg',
     'image/png',
     'image/gif',
-    'image/webp'
+    'image/webp',
+    'image/heic',
+    'image/heif'
   ];
 
   if (allowedTypes.includes(file.mimetype)) {
@@ -324,10 +331,8 @@ const uploadProfileImage = async (req, res) => {
 
     // If user already has a profile image, delete the old one
     if (user.profileImage && user.profileImage.startsWith('/uploads/')) {
-      const oldImagePath = path.join(__dirname, '..', user.profileImage);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-      }
+      await storage.remove(user.profileImage);
+      await mediaProcessing.removeDerivatives(user.profileImage);
     }
 
     // 🔐 ENCRYPTION DISABLED - Serve files directly for better performance
@@ -335,6 +340,8 @@ const uploadProfileImage = async (req, res) => {
     // const mediaEncryption = getMediaEncryption();
     // const encryptionResult = await mediaEncryption.encryptFile(req.file.path);
     
+    // Strips EXIF/GPS, converts HEIC and writes the resized variants
+    const media = await mediaProcessing.processUpload(req.file, { ownerId: user.userId, category: 'profile' });
     const filename = req.file.filename;
     const imageUrl = `/uploads/profile-images/${filename}`;
     
@@ -343,12 +350,15 @@ const uploadProfileImage = async (req, res) => {
     // Update user profile with new image URL
     user.profileImage = imageUrl;
     user.profileImageEncrypted = false;
+    user.profileImageVariants = media?.variants || null;
     await user.save();
 
     res.status(200).json({
       success: true,
       data: {
         profileImage: imageUrl,
+        profileImageVariants: user.profileImageVariants,
+        media,
         encrypted: false
       },
       message: 'Profile image uploaded successfully'
@@ -356,7 +366,7 @@ const uploadProfileImage = async (req, res) => {
   } catch (error) {
     console.error('Error uploading profile image:', error);
     // If there was an error and a file was uploaded, delete it
-    if (req.file) {
+    if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
     res.status(500).json({
@@ -437,6 +447,7 @@ const uploadStoryImage = async (req, res) => {
     // const mediaEncryption = getMediaEncryption();
     // const encryptionResult = await mediaEncryption.encryptFile(req.file.path);
     
+    const media = await mediaProcessing.processUpload(req.file, { ownerId: user.userId, category: 'story' });
     const filename = req.file.filename;
     const imageUrl = `/uploads/story-images/${filename}`;
     
@@ -450,6 +461,7 @@ const uploadStoryImage = async (req, res) => {
         fileName: filename,
         filePath: req.file.path,
         fileSize: req.file.size,
+        media,
         encrypted: false
       },
       message: 'Story image uploaded successfully'
@@ -516,6 +528,7 @@ const uploadChatImage = async (req, res) => {
     }
 
     // Return the chat image URL
+    const media = await mediaProcessing.processUpload(req.file, { ownerId: req.user.userId, category: 'chat' });
     const imageUrl = `/uploads/chat-images/${req.file.filename}`;
     
     console.log('💬 Chat image upload - Image URL:', imageUrl);
@@ -527,6 +540,7 @@ const uploadChatImage = async (req, res) => {
         imageUrl: imageUrl,
         fileName: req.file.filename,
         fileSize: req.file.size,
+        media,
         senderId: req.user.userId,
         receiverId: receiverId
       },
@@ -581,6 +595,8 @@ const uploadChatFile = async (req, res) => {
     }
 
     // Get file info
+    // Images and videos sent as files get the same processing as chat images
+    const media = await mediaProcessing.processUpload(req.file, { ownerId: req.user.userId, category: 'chat' });
     const relativePath = `/uploads/chat-files/${req.file.filename}`;
     
     // Construct full URL for client access
@@ -604,6 +620,7 @@ const uploadChatFile = async (req, res) => {
         fileName: originalName,
         fileSize: fileSize,
         mimeType: mimeType,
+        media,
         uploadedBy: req.user.userId
       },
       message: 'Chat file uploaded successfully'
@@ -663,6 +680,7 @@ const uploadPostMedia = async (req, res) => {
     
     // Determine if it's a photo or video
     const isVideo = req.file.mimetype.startsWith('video/');
+    const media = await mediaProcessing.processUpload(req.file, { ownerId: req.user.userId, category: 'post' });
     const filename = req.file.filename;
     const mediaUrl = `/uploads/post-media/${filename}`;
     
@@ -677,6 +695,7 @@ const uploadPostMedia = async (req, res) => {
         fileName: filename,
         fileSize: req.file.size,
         mimeType: req.file.mimetype,
+        media,
         uploadedBy: req.user.userId,
         encrypted: false
       },
@@ -756,15 +775,13 @@ const uploadPageProfileImage = async (req, res) => {
 
     // If page already has a profile image, delete the old one
     if (page.profileImage && page.profileImage.startsWith('/uploads/')) {
-      const oldImagePath = path.join(__dirname, '..', page.profileImage);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-        console.log('📄 [PAGE UPLOAD] Deleted old profile image');
-      }
+      await storage.remove(page.profileImage);
+      console.log('📄 [PAGE UPLOAD] Deleted old profile image');
     }
 
     // Update page profile with new image URL
     const imageUrl = `/uploads/profile-images/${req.file.filename}`;
+    await storage.persistUpload(req.file);
     page.profileImage = imageUrl;
     await page.save();
 
@@ -779,7 +796,7 @@ const uploadPageProfileImage = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ [PAGE UPLOAD] Error uploading page profile image:', error);
-    if (req.file) {
+    if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
     res.status(500).json({
@@ -847,15 +864,13 @@ const uploadPageCoverImage = async (req, res) => {
 
     // If page already has a cover image, delete the old one
     if (page.coverImage && page.coverImage.startsWith('/uploads/')) {
-      const oldImagePath = path.join(__dirname, '..', page.coverImage);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-        console.log('📄 [PAGE UPLOAD] Deleted old cover image');
-      }
+      await storage.remove(page.coverImage);
+      console.log('📄 [PAGE UPLOAD] Deleted old cover image');
     }
 
     // Update page cover with new image URL
     const imageUrl = `/uploads/profile-images/${req.file.filename}`;
+    await storage.persistUpload(req.file);
     page.coverImage = imageUrl;
     await page.save();
 
@@ -870,7 +885,7 @@ const uploadPageCoverImage = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ [PAGE UPLOAD] Error uploading page cover image:', error);
-    if (req.file) {
+    if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
     res.status(500).json({
@@ -5,6 +5,9 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const LogSanitizer = require('../utils/logSanitizer');
 const { encryptUserData, isUserDataEncrypted } = require('../utils/userEncryption');
+const { setUserTimezone } = require('../services/userTimezoneService');
+const { createSession } = require('../services/sessionService');
+const { generateAccessToken } = require('../utils/generateToken');
 
 // @desc    Register a new user
 // @route   POST /api/users
@@ -93,6 +96,13 @@ const registerUser = async (req, res) => {
 
     if (user) {
       console.log(' [REGISTRATION] User created with encrypted data:', user.userId);
+
+      // Start a session for this device (access + refresh token)
+      const tokens = await createSession(user, req, {
+        deviceId: req.body.deviceId,
+        deviceName: req.body.deviceName,
+        platform: req.body.platform
+      });
       
       res.status(201).json({
         _id: user._id,
@@ -105,7 +115,7 @@ const registerUser = async (req, res) => {
         status: user.status,
         customStatus: user.customStatus,
         statusUntil: user.statusUntil,
-        token: user.getSignedJwtToken(),
+        ...tokens,
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -178,6 +188,16 @@ const loginUser = async (req, res) => {
       return res.status(401).json({ message: 'Invalid phone number or password' });
     }
 
+    // 2FA accounts finish signing in through POST /api/auth/2fa/verify-login
+    if (user.twoFactor?.enabled) {
+      const { issueChallenge, PURPOSE_LOGIN } = require('../services/twoFactorService');
+      console.log('🔐 [LOGIN] 2FA required for user:', user.userId);
+      return res.json({
+        twoFactorRequired: true,
+        ...issueChallenge('user', user._id, PURPOSE_LOGIN)
+      });
+    }
+
     // Check if status timer has expired
     if (user.statusUntil && new Date() > new Date(user.statusUntil)) {
       user.status = 'available';
@@ -186,11 +206,21 @@ const loginUser = async (req, res) => {
       await user.save();
     }
 
+    // Signing in during the grace period keeps the account
+    const { cancelDeletion } = require('../services/accountDeletionService');
+    const cancelledDeletion = await cancelDeletion(user.userId, 'login');
+
     // Decrypt user data for response
     const { decryptField } = require('../utils/userEncryption');
     const responseEmail = user.encryptedEmail ? decryptField(user.encryptedEmail) : user.email;
     const responsePhone = user.encryptedPhone ? decryptField(user.encryptedPhone) : user.phoneNumber;
 
+    const tokens = await createSession(user, req, {
+      deviceId: req.body.deviceId,
+      deviceName: req.body.deviceName,
+      platform: req.body.platform
+    });
+
     console.log('✅ [LOGIN] Login successful for user:', user.userId);
 
     res.json({
@@ -204,7 +234,8 @@ const loginUser = async (req, res) => {
       status: user.status,
       customStatus: user.customStatus,
       statusUntil: user.statusUntil,
-      token: user.getSignedJwtToken(),
+      accountDeletionCancelled: !!cancelledDeletion,
+      ...tokens,
     });
   } catch (error) {
     console.error('❌ [LOGIN] Error:', error);
@@ -421,7 +452,8 @@ const updateUserProfile = async (req, res) => {
         dateOfBirth: updatedUser.dateOfBirth,
         gender: updatedUser.gender,
         bio: updatedUser.bio,
-        token: updatedUser.getSignedJwtToken(),
+        // A fresh access token for the caller's session; refresh tokens are unchanged
+        ...(req.sessionId && { token: generateAccessToken(updatedUser._id, updatedUser.userId, req.sessionId) }),
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -1341,6 +1373,100 @@ const getEncryptionSettings = async (req, res) => {
   }
 };
 
+// @desc    Get read receipts setting
+// @route   GET /api/users/read-receipts
+// @access  Private
+const getReadReceiptsSetting = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('readReceipts');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({ readReceipts: user.readReceipts !== false });
+  } catch (error) {
+    console.error('❌ [BACKEND] Error getting read receipts setting:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Turn read receipts on or off
+// @route   PUT /api/users/read-receipts
+// @access  Private
+const updateReadReceiptsSetting = async (req, res) => {
+  try {
+    const { readReceipts } = req.body;
+
+    if (typeof readReceipts !== 'boolean') {
+      return res.status(400).json({ message: 'readReceipts must be a boolean' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { readReceipts },
+      { new: true }
+    ).select('readReceipts');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    console.log(`👁️ [BACKEND] Read receipts ${readReceipts ? 'enabled' : 'disabled'} for user: ${req.user.userId}`);
+
+    res.status(200).json({
+      message: `Read receipts ${readReceipts ? 'enabled' : 'disabled'} successfully`,
+      readReceipts: user.readReceipts
+    });
+  } catch (error) {
+    console.error('❌ [BACKEND] Error updating read receipts setting:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the time zone routines repeat in
+// @route   GET /api/users/timezone
+// @access  Private
+const getTimezoneSetting = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('timezone');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({ timezone: user.timezone || null });
+  } catch (error) {
+    console.error('❌ [BACKEND] Error getting time zone setting:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Change the user's IANA time zone; daily schedules and recurring
+//          schedules keep their local times in the new zone
+// @route   PUT /api/users/timezone
+// @access  Private
+const updateTimezoneSetting = async (req, res) => {
+  try {
+    const { timezone } = req.body;
+
+    if (typeof timezone !== 'string' || !timezone.trim()) {
+      return res.status(400).json({ message: 'timezone is required (e.g. Europe/London)' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const result = await setUserTimezone(user, timezone.trim());
+
+    res.status(200).json({
+      message: `Time zone set to ${result.timezone}`,
+      ...result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('❌ [BACKEND] Error updating time zone setting:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Verify user password for PIN reset
 // @route   POST /api/users/verify-password
 // @access  Private
@@ -1445,6 +1571,10 @@ module.exports = {
   verifyEncryptionPin,
   updateEncryptionSettings,
   getEncryptionSettings,
+  getReadReceiptsSetting,
+  updateReadReceiptsSetting,
+  getTimezoneSetting,
+  updateTimezoneSetting,
   verifyUserPassword,
   getUserByUsername
 };
@@ -2,6 +2,7 @@ const User = require('../models/userModel');
 const StatusHistory = require('../models/statusHistoryModel');
 const StatusTemplate = require('../models/statusTemplateModel');
 const StatusSchedule = require('../models/statusScheduleModel');
+const { findOverlaps } = require('../services/scheduleResolutionService');
 
 /**
  * @desc    Get all user data including profile, history, templates, and schedules
@@ -316,6 +317,8 @@ const getContactSchedules = async (req, res) => {
       endTime: schedule.endTime,
       active: schedule.active,
       repeat: schedule.repeat,
+      rrule: schedule.rrule,
+      timezone: schedule.timezone,
       notes: schedule.notes // Include notes for better user experience
     }));
 
@@ -544,7 +547,7 @@ const getUserProfile = async (req, res) => {
 const createUserSchedule = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { status, customStatus, startTime, endTime, repeat, active, notes, duration } = req.body;
+    const { status, customStatus, startTime, endTime, repeat, rrule, timezone, active, notes, duration } = req.body;
 
     // Verify the user exists
     const user = await User.findOne({ userId });
@@ -580,14 +583,19 @@ const createUserSchedule = async (req, res) => {
       startTime,
       endTime: finalEndTime,
       repeat: repeat || 'none',
+      rrule: rrule || null,
+      timezone: timezone || null,
       active: active !== undefined ? active : true,
       notes
     });
 
     if (statusSchedule) {
+      // Overlapping schedules are allowed; tell the app which one will win
+      const conflicts = await findOverlaps(user, { schedules: [statusSchedule] });
       res.status(201).json({
         success: true,
-        data: statusSchedule
+        data: statusSchedule,
+        conflicts
       });
     } else {
       res.status(400).json({ message: 'Invalid schedule data' });
@@ -606,7 +614,7 @@ const createUserSchedule = async (req, res) => {
 const updateUserSchedule = async (req, res) => {
   try {
     const { userId, id } = req.params;
-    const { status, customStatus, startTime, endTime, repeat, active, notes, duration } = req.body;
+    const { status, customStatus, startTime, endTime, repeat, rrule, timezone, active, notes, duration } = req.body;
 
     // Verify the user exists
     const user = await User.findOne({ userId });
@@ -646,6 +654,10 @@ const updateUserSchedule = async (req, res) => {
     statusSchedule.endTime = finalEndTime || statusSchedule.endTime;
     statusSchedule.repeat = repeat || statusSchedule.repeat;
     statusSchedule.notes = notes !== undefined ? notes : statusSchedule.notes;
+    statusSchedule.timezone = timezone !== undefined ? timezone : statusSchedule.timezone;
+    if (rrule !== undefined) {
+      statusSchedule.rrule = rrule;
+    }
     
     // Only update active status if explicitly provided
     if (active !== undefined) {
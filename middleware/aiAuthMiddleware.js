@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const AIInstance = require('../models/aiInstanceModel');
 const User = require('../models/userModel');
+const { validateSession } = require('../services/sessionService');
 const winston = require('winston');
 
 // Configure logger for AI Auth Middleware
@@ -162,6 +163,17 @@ class AIAuthMiddleware {
         });
       }
 
+      // Reject tokens of sessions that were logged out / revoked
+      try {
+        await validateSession(decoded, user);
+      } catch (sessionError) {
+        return res.status(401).json({
+          success: false,
+          error: sessionError.message,
+          code: 'USER_SESSION_REVOKED'
+        });
+      }
+
       // Get user's AI instance
       const aiInstance = await AIInstance.findByUserId(user._id.toString());
       if (!aiInstance) {
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
 const { UnauthorizedError } = require('../utils/errorClasses');
+const { validateSession } = require('../services/sessionService');
 
 // Protect routes middleware
 const protect = async (req, res, next) => {
@@ -52,6 +53,9 @@ const protect = async (req, res, next) => {
         console.log('❌ [AUTH MIDDLEWARE] User account is deactivated:', user._id);
         throw new UnauthorizedError('Account is deactivated');
       }
+
+      // Reject tokens of sessions that were logged out / revoked
+      await validateSession(decoded, user);
       
       // Attach user to request object with explicit userId for compatibility
       req.user = {
@@ -60,6 +64,7 @@ const protect = async (req, res, next) => {
         userId: user.userId, // Ensure userId is explicitly available
         _id: user._id
       };
+      req.sessionId = decoded.sid || null;
       
       console.log('✅ [AUTH MIDDLEWARE] User authenticated successfully');
       next();
@@ -123,12 +128,14 @@ const optionalProtect = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
         if (user && user.isActive !== false) {
+          await validateSession(decoded, user);
           req.user = {
             ...user.toObject(),
             id: user._id,
             userId: user.userId,
             _id: user._id
           };
+          req.sessionId = decoded.sid || null;
         }
       }
     }
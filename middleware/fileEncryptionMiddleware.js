@@ -1,6 +1,7 @@
 const { getInstance } = require('../utils/fileEncryption');
 const fs = require('fs').promises;
 const path = require('path');
+const storage = require('../services/storageProvider');
 
 /**
  * Middleware to encrypt uploaded files automatically
@@ -165,7 +166,108 @@ const decryptFileMiddleware = async (req, res, next) => {
   }
 };
 
+// Post media, stories, profile and group images use mediaFileEncryption
+const usesMediaEncryption = (filePath) => ['/post-media/', '/story-images/', '/profile-images/', '/group-images/']
+  .some(dir => filePath.includes(dir));
+
+/**
+ * Look up the IV/auth tag of a server-side encrypted media file
+ * (post media, stories, profile and group images keep them in the database)
+ *
+ * @param {string} filePath - Path of the file on disk
+ * @returns {Promise<Object>} { encryptionIv, encryptionAuthTag } - undefined when not encrypted
+ */
+const findMediaEncryptionMetadata = async (filePath) => {
+  const isPostMedia = filePath.includes('/post-media/');
+  const isStoryImage = filePath.includes('/story-images/');
+  const isProfileImage = filePath.includes('/profile-images/');
+  const isGroupImage = filePath.includes('/group-images/');
+
+  const FeedPost = require('../models/FeedPost');
+  const Story = require('../models/storyModel');
+  const User = require('../models/userModel');
+  const Group = require('../models/groupModel');
+  
+  const filename = path.basename(filePath).replace('.enc', '');
+  let encryptionIv, encryptionAuthTag;
+  
+  // Query database for encryption metadata
+  if (isPostMedia) {
+    const post = await FeedPost.findOne({
+      'media.url': { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+    }).lean();
+    
+    if (post && post.media) {
+      const mediaItem = post.media.find(m => m.url && m.url.includes(filename));
+      if (mediaItem && mediaItem.encrypted) {
+        encryptionIv = mediaItem.encryptionIv;
+        encryptionAuthTag = mediaItem.encryptionAuthTag;
+      }
+    }
+  } else if (isStoryImage) {
+    const story = await Story.findOne({
+      'items.url': { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+    }).lean();
+    
+    if (story && story.items) {
+      const item = story.items.find(i => i.url && i.url.includes(filename));
+      if (item && item.encryptionIv) {
+        encryptionIv = item.encryptionIv;
+        encryptionAuthTag = item.encryptionAuthTag;
+      }
+    }
+  } else if (isProfileImage) {
+    const user = await User.findOne({
+      profileImage: { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+    }).lean();
+    
+    if (user && user.profileImageEncrypted) {
+      encryptionIv = user.profileImageIv;
+      encryptionAuthTag = user.profileImageAuthTag;
+    }
+  } else if (isGroupImage) {
+    const group = await Group.findOne({
+      groupImage: { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+    }).lean();
+    
+    if (group && group.groupImageEncrypted) {
+      encryptionIv = group.groupImageIv;
+      encryptionAuthTag = group.groupImageAuthTag;
+    }
+  }
+
+  return { encryptionIv, encryptionAuthTag };
+};
+
+/**
+ * Read a stored file as plain bytes, whichever way it was encrypted
+ * (used where the file isn't streamed to a response, e.g. data exports)
+ *
+ * @param {string} filePath - Path of the file under uploads/ (or its storage key)
+ * @returns {Promise<Buffer>}
+ */
+const readDecryptedFile = async (filePath) => {
+  const stored = await storage.readBuffer(filePath);
+
+  if (usesMediaEncryption(filePath)) {
+    const { encryptionIv, encryptionAuthTag } = await findMediaEncryptionMetadata(filePath);
+    if (encryptionIv && encryptionAuthTag) {
+      const { getInstance: getMediaEncryption } = require('../utils/mediaFileEncryption');
+      return getMediaEncryption().decryptBuffer(stored, encryptionIv, encryptionAuthTag);
+    }
+    return stored;
+  }
+
+  try {
+    return await getInstance().decryptBuffer(stored);
+  } catch (decryptError) {
+    // Legacy unencrypted file
+    return stored;
+  }
+};
+
 /**
+ * Serve
  * Serve encrypted file (decrypt on-the-fly)
  * This is a route handler, not middleware
  */
@@ -173,10 +275,8 @@ const serveEncryptedFile = async (filePath, res) => {
   try {
     console.log('🔓 [FILE SERVE] Serving file:', path.basename(filePath));
     
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch (error) {
+    // Check if file exists (locally or in object storage)
+    if (!(await storage.exists(filePath))) {
       console.log('❌ [FILE SERVE] File not found:', filePath);
       return res.status(404).json({
         success: false,
@@ -202,14 +302,8 @@ const serveEncryptedFile = async (filePath, res) => {
     
     const contentType = contentTypes[ext] || 'application/octet-stream';
     
-    // Determine which encryption method to use based on file path
-    const isPostMedia = filePath.includes('/post-media/');
-    const isStoryImage = filePath.includes('/story-images/');
-    const isProfileImage = filePath.includes('/profile-images/');
-    const isGroupImage = filePath.includes('/group-images/');
-    
     // Post media, stories, and profiles use mediaFileEncryption
-    const useMediaEncryption = isPostMedia || isStoryImage || isProfileImage || isGroupImage;
+    const useMediaEncryption = usesMediaEncryption(filePath);
     
     if (useMediaEncryption) {
       console.log('🔓 [FILE SERVE] Using media encryption for:', path.basename(filePath));
@@ -218,66 +312,14 @@ const serveEncryptedFile = async (filePath, res) => {
       const { getInstance: getMediaEncryption } = require('../utils/mediaFileEncryption');
       const mediaEncryption = getMediaEncryption();
       
-      // Get encryption metadata from database
-      const FeedPost = require('../models/FeedPost');
-      const Story = require('../models/storyModel');
-      const User = require('../models/userModel');
-      const Group = require('../models/groupModel');
-      
-      const filename = path.basename(filePath).replace('.enc', '');
-      let encryptionIv, encryptionAuthTag;
-      
-      // Query database for encryption metadata
-      if (isPostMedia) {
-        const post = await FeedPost.findOne({
-          'media.url': { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
-        }).lean();
-        
-        if (post && post.media) {
-          const mediaItem = post.media.find(m => m.url && m.url.includes(filename));
-          if (mediaItem && mediaItem.encrypted) {
-            encryptionIv = mediaItem.encryptionIv;
-            encryptionAuthTag = mediaItem.encryptionAuthTag;
-          }
-        }
-      } else if (isStoryImage) {
-        const story = await Story.findOne({
-          'items.url': { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
-        }).lean();
-        
-        if (story && story.items) {
-          const item = story.items.find(i => i.url && i.url.includes(filename));
-          if (item && item.encryptionIv) {
-            encryptionIv = item.encryptionIv;
-            encryptionAuthTag = item.encryptionAuthTag;
-          }
-        }
-      } else if (isProfileImage) {
-        const user = await User.findOne({
-          profileImage: { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
-        }).lean();
-        
-        if (user && user.profileImageEncrypted) {
-          encryptionIv = user.profileImageIv;
-          encryptionAuthTag = user.profileImageAuthTag;
-        }
-      } else if (isGroupImage) {
-        const group = await Group.findOne({
-          groupImage: { $regex: filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
-        }).lean();
-        
-        if (group && group.groupImageEncrypted) {
-          encryptionIv = group.groupImageIv;
-          encryptionAuthTag = group.groupImageAuthTag;
-        }
-      }
+      const { encryptionIv, encryptionAuthTag } = await findMediaEncryptionMetadata(filePath);
       
       if (encryptionIv && encryptionAuthTag) {
         console.log('✅ [FILE SERVE] Found encryption metadata, decrypting...');
         
         // Decrypt and stream using media encryption
-        await mediaEncryption.decryptFileStream(
-          filePath,
+        await mediaEncryption.decryptStream(
+          await storage.openReadStream(filePath),
           encryptionIv,
           encryptionAuthTag,
           res,
@@ -288,7 +330,7 @@ const serveEncryptedFile = async (filePath, res) => {
         return;
       } else {
         console.log('⚠️ [FILE SERVE] No encryption metadata found, serving as unencrypted');
-        const fileBuffer = await fs.readFile(filePath);
+        const fileBuffer = await storage.readBuffer(filePath);
         res.set('Content-Type', contentType);
         res.send(fileBuffer);
         console.log('✅ [FILE SERVE] Unencrypted file served');
@@ -299,10 +341,11 @@ const serveEncryptedFile = async (filePath, res) => {
     // Chat files use E2EE encryption
     console.log('🔓 [FILE SERVE] Using E2EE encryption for:', path.basename(filePath));
     const fileEncryption = getInstance();
+    const storedBuffer = await storage.readBuffer(filePath);
     
     try {
       console.log('🔓 [FILE SERVE] Attempting E2EE decryption');
-      const decryptedBuffer = await fileEncryption.decryptFile(filePath);
+      const decryptedBuffer = await fileEncryption.decryptBuffer(storedBuffer);
       
       // Send decrypted file
       res.set('Content-Type', contentType);
@@ -312,10 +355,9 @@ const serveEncryptedFile = async (filePath, res) => {
       // If decryption fails, file might be unencrypted (legacy)
       console.log('📁 [FILE SERVE] E2EE decryption failed, serving as unencrypted file');
       
-      // Read and serve unencrypted file
-      const fileBuffer = await fs.readFile(filePath);
+      // Serve unencrypted file
       res.set('Content-Type', contentType);
-      res.send(fileBuffer);
+      res.send(storedBuffer);
       console.log('✅ [FILE SERVE] Unencrypted file served');
     }
   } catch (error) {
@@ -332,5 +374,6 @@ module.exports = {
   encryptUploadedFile,
   encryptUploadedFiles,
   decryptFileMiddleware,
-  serveEncryptedFile
+  serveEncryptedFile,
+  readDecryptedFile
 };
@@ -149,6 +149,34 @@ const pageCreationLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiter for content reports
+ * Limit: 20 reports per hour per user
+ */
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // Max 20 reports per window
+  message: {
+    success: false,
+    message: 'Too many reports submitted. Please try again later.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.user?._id?.toString() || req.ip;
+  },
+  skipFailedRequests: true,
+  handler: (req, res) => {
+    console.warn(`⚠️ [RATE LIMIT] Report limit exceeded for user ${req.user?._id}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many reports submitted. Please try again later.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+    });
+  }
+});
+
 /**
  * General API rate limiter
  * Limit: 100 requests per 15 minutes per IP
@@ -204,6 +232,7 @@ module.exports = {
   likeLimiter,
   followLimiter,
   pageCreationLimiter,
+  reportLimiter,
   generalLimiter,
   authLimiter
 };
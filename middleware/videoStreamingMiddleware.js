@@ -1,5 +1,6 @@
-const fs = require('fs');
 const path = require('path');
+const express = require('express');
+const storage = require('../services/storageProvider');
 const { serverLogger } = require('../utils/loggerSetup');
 
 /**
@@ -8,37 +9,43 @@ const { serverLogger } = require('../utils/loggerSetup');
  */
 
 /**
- * Stream video files with proper range request support
- * This significantly improves video loading performance
+ * A read that fails mid-stream must not go unhandled (it would crash the process)
  */
-const streamVideo = (req, res, next) => {
-  const videoPath = req.videoPath; // Set by route handler
-  
-  if (!videoPath) {
-    return next();
+const handleStreamError = (res, reference) => (error) => {
+  serverLogger.error('Video streaming error', {
+    path: reference,
+    error: error.message
+  });
+  if (!res.headersSent) {
+    res.status(500).json({
+      success: false,
+      message: 'Error streaming video'
+    });
+  } else {
+    res.destroy(error);
   }
+};
 
-  // Check if file exists
-  if (!fs.existsSync(videoPath)) {
+/**
+ * Stream a stored file (local disk or object storage) with range request support
+ *
+ * @param {Object} req - Express request (Range header is honoured)
+ * @param {Object} res - Express response
+ * @param {string} reference - Storage key, '/uploads/...' URL or path under uploads/
+ * @param {string} contentType - Content-Type to send
+ */
+const streamStoredFile = async (req, res, reference, contentType) => {
+  const stat = await storage.stat(reference);
+  if (!stat) {
     return res.status(404).json({
       success: false,
-      message: 'Video file not found'
+      message: 'File not found'
     });
   }
 
-  const stat = fs.statSync(videoPath);
   const fileSize = stat.size;
   const range = req.headers.range;
 
-  // Pick an accurate video MIME type so mobile players load correctly
-  const ext = path.extname(videoPath).toLowerCase();
-  const contentType =
-    ext === '.mov' || ext === '.qt' ? 'video/quicktime' :
-    ext === '.webm' ? 'video/webm' :
-    ext === '.ogg' || ext === '.ogv' ? 'video/ogg' :
-    ext === '.3gp' || ext === '.3gpp' ? 'video/3gpp' :
-    'video/mp4';
-
   // If no range header, send entire file
   if (!range) {
     const head = {
@@ -49,8 +56,10 @@ const streamVideo = (req, res, next) => {
       'X-Content-Type-Options': 'nosniff'
     };
     
+    const file = await storage.openReadStream(reference);
+    file.on('error', handleStreamError(res, reference));
     res.writeHead(200, head);
-    fs.createReadStream(videoPath).pipe(res);
+    file.pipe(res);
     return;
   }
 
@@ -60,7 +69,7 @@ const streamVideo = (req, res, next) => {
   const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
   
   // Validate range
-  if (start >= fileSize || end >= fileSize) {
+  if (Number.isNaN(start) || start >= fileSize || end >= fileSize || start > end) {
     res.writeHead(416, {
       'Content-Range': `bytes */${fileSize}`
     });
@@ -68,7 +77,7 @@ const streamVideo = (req, res, next) => {
   }
 
   const chunksize = (end - start) + 1;
-  const file = fs.createReadStream(videoPath, { start, end });
+  const file = await storage.openReadStream(reference, { start, end });
   
   const head = {
     'Content-Range': `bytes ${start}-${end}/${fileSize}`,
@@ -88,7 +97,7 @@ const streamVideo = (req, res, next) => {
     const duration = Date.now() - startTime;
     if (duration > 5000) {
       serverLogger.warn('Slow video streaming detected', {
-        path: videoPath,
+        path: reference,
         duration: `${duration}ms`,
         chunkSize: chunksize,
         range: `${start}-${end}`
@@ -96,18 +105,34 @@ const streamVideo = (req, res, next) => {
     }
   });
 
-  file.on('error', (error) => {
-    serverLogger.error('Video streaming error', {
-      path: videoPath,
-      error: error.message
-    });
-    if (!res.headersSent) {
-      res.status(500).json({
-        success: false,
-        message: 'Error streaming video'
-      });
-    }
-  });
+  file.on('error', handleStreamError(res, reference));
+};
+
+/**
+ * Stream video files with proper range request support
+ * This significantly improves video loading performance
+ */
+const streamVideo = async (req, res, next) => {
+  const videoPath = req.videoPath; // Set by route handler
+  
+  if (!videoPath) {
+    return next();
+  }
+
+  // Pick an accurate video MIME type so mobile players load correctly
+  const ext = path.extname(videoPath).toLowerCase();
+  const contentType =
+    ext === '.mov' || ext === '.qt' ? 'video/quicktime' :
+    ext === '.webm' ? 'video/webm' :
+    ext === '.ogg' || ext === '.ogv' ? 'video/ogg' :
+    ext === '.3gp' || ext === '.3gpp' ? 'video/3gpp' :
+    'video/mp4';
+
+  try {
+    await streamStoredFile(req, res, videoPath, contentType);
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
@@ -135,6 +160,39 @@ const videoStreamingHandler = (uploadDir = 'post-media') => {
   };
 };
 
+/**
+ * Serve /uploads from the active storage provider. Local disk keeps using
+ * express.static; object storage is streamed with range support. Private
+ * keys (data exports) are never served here.
+ */
+const serveUploads = () => {
+  if (storage.isLocal()) {
+    const serveStatic = express.static(storage.UPLOADS_DIR);
+    return (req, res, next) => {
+      const key = storage.keyFromPath(`/uploads${req.path}`);
+      return key && storage.isPrivateKey(key) ? next() : serveStatic(req, res, next);
+    };
+  }
+
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const key = storage.keyFromPath(`/uploads${req.path}`);
+    if (!key || storage.isPrivateKey(key)) {
+      return next();
+    }
+
+    try {
+      res.type(path.extname(key) || 'application/octet-stream');
+      await streamStoredFile(req, res, key, res.get('Content-Type'));
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Cache control for static media files
  */
@@ -148,7 +206,9 @@ const mediaCacheControl = (req, res, next) => {
 };
 
 module.exports = {
+  streamStoredFile,
   streamVideo,
+  serveUploads,
   videoStreamingHandler,
   mediaCacheControl
 };
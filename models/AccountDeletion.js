@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Account Deletion Schema - A user's request to delete their account.
+ * Pending requests are purged once `scheduledFor` passes unless the user
+ * signs in again first. Completed requests are kept as the deletion receipt:
+ * they hold no personal data, only what was removed and when.
+ */
+const accountDeletionSchema = mongoose.Schema(
+  {
+    receiptId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'cancelled', 'completed'],
+      default: 'pending'
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+      default: null
+    },
+    // How the request was confirmed
+    verifiedVia: {
+      type: String,
+      enum: ['email_otp', 'phone_otp'],
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    scheduledFor: {
+      type: Date,
+      required: true
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    },
+    cancelledBy: {
+      type: String,
+      enum: ['login', 'user', null],
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    // Records removed per collection, e.g. { messages: 120, stories: 3 }
+    purged: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    filesDeleted: {
+      type: Number,
+      default: 0
+    },
+    // Purge runs are retried until they complete
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+// At most one pending request per user
+accountDeletionSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const AccountDeletion = mongoose.model('AccountDeletion', accountDeletionSchema);
+
+module.exports = AccountDeletion;
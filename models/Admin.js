@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const twoFactorSchema = require('./twoFactorSchema');
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -50,6 +51,15 @@ const adminSchema = new mongoose.Schema({
     ref: 'Admin',
     default: null
   },
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  },
+  // Set by a super admin - the account can't be used until 2FA is set up
+  twoFactorRequired: {
+    type: Boolean,
+    default: false
+  },
   permissions: {
     canManageUsers: { type: Boolean, default: true },
     canManagePosts: { type: Boolean, default: true },
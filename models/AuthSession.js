@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Auth Session Schema - One signed-in device. Access tokens carry the sessionId,
+ * the current refresh token is stored hashed and replaced on every refresh.
+ */
+const authSessionSchema = mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    deviceId: {
+      type: String,
+      default: null
+    },
+    deviceName: {
+      type: String,
+      default: null
+    },
+    platform: {
+      type: String,
+      default: null
+    },
+    ipAddress: {
+      type: String,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // SHA-256 of the refresh token currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    refreshExpiresAt: {
+      type: Date,
+      required: true
+    },
+    // Bumped on each rotation
+    rotationCount: {
+      type: Number,
+      default: 0
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'revoked_by_user', 'refresh_token_reuse', 'account_deletion', 'banned', null],
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authSessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 }); // Active sessions list
+// Expired sessions are dropped a week after their refresh token stops working
+authSessionSchema.index({ refreshExpiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+authSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.refreshExpiresAt > new Date();
+};
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+module.exports = AuthSession;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Away Reply Log Schema - When a user's status away message last went to a
+ * contact. One entry per (user, contact); services/awayReplyService claims it
+ * atomically so a contact gets at most one reply per status window and cooldown.
+ */
+const awayReplyLogSchema = new mongoose.Schema({
+  // userId of the user whose away message was sent
+  userId: {
+    type: String,
+    required: true
+  },
+  // userId of the contact it was sent to
+  contactId: {
+    type: String,
+    required: true
+  },
+  lastRepliedAt: {
+    type: Date,
+    required: true
+  },
+  // StatusTemplate the reply came from
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatusTemplate',
+    default: null
+  },
+  // The auto-reply Message
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+awayReplyLogSchema.index({ userId: 1, contactId: 1 }, { unique: true });
+// Entries older than any status window are of no use
+awayReplyLogSchema.index({ lastRepliedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const AwayReplyLog = mongoose.model('AwayReplyLog', awayReplyLogSchema);
+
+module.exports = AwayReplyLog;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Calendar Subscription Schema - An iCalendar source feeding a user's status
+ * schedules: an uploaded .ics file or a linked ICS URL. Its events (with
+ * recurrences expanded) become StatusSchedules tagged with subscriptionId;
+ * URL subscriptions are re-fetched periodically, uploaded files re-expanded
+ * from the stored copy so recurring events keep rolling forward.
+ */
+const calendarSubscriptionSchema = mongoose.Schema(
+  {
+    subscriptionId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: 'Calendar'
+    },
+    sourceType: {
+      type: String,
+      enum: ['upload', 'url'],
+      required: true
+    },
+    // Secret calendar addresses embed a token, so never returned by default
+    url: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Raw ICS of uploaded files
+    content: {
+      type: String,
+      default: null,
+      select: false
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    // Event occurrences in the sync window at the last sync
+    eventCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+calendarSubscriptionSchema.index({ userId: 1, createdAt: -1 });
+calendarSubscriptionSchema.index({ sourceType: 1, active: 1, lastSyncedAt: 1 });
+
+const CalendarSubscription = mongoose.model('CalendarSubscription', calendarSubscriptionSchema);
+
+module.exports = CalendarSubscription;
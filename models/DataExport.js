@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Data Export Schema - A user's personal data takeout. The ZIP is built in the
+ * background; once ready it can be downloaded with the token from the email
+ * until `expiresAt`, after which the file is deleted.
+ */
+const dataExportSchema = mongoose.Schema(
+  {
+    exportId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'ready', 'failed', 'expired'],
+      default: 'queued'
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    // Download link stops working after this
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    filePath: {
+      type: String,
+      default: null,
+      select: false
+    },
+    fileSize: {
+      type: Number,
+      default: 0
+    },
+    downloadTokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    downloadCount: {
+      type: Number,
+      default: 0
+    },
+    // Records exported per section, e.g. { messages: 120, stories: 3 }
+    sections: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    mediaFiles: {
+      type: Number,
+      default: 0
+    },
+    // Media left out because it was missing or over the size limit
+    mediaSkipped: {
+      type: Number,
+      default: 0
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { getInstance: getPostEncryption } = require('../utils/postEncryption');
+const pollSchema = require('./pollSchema');
+const mediaVariantsSchema = require('./mediaVariantsSchema');
 
 const mediaItemSchema = new mongoose.Schema({
   type: {
@@ -25,6 +27,11 @@ const mediaItemSchema = new mongoose.Schema({
   duration: {
     type: Number // For videos in seconds
   },
+  // Resized copies of the photo or of the video's poster frame
+  variants: {
+    type: mediaVariantsSchema,
+    default: null
+  },
   order: {
     type: Number,
     required: true,
@@ -98,7 +105,7 @@ const feedPostSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['photo', 'video', 'carousel', 'text'],
+    enum: ['photo', 'video', 'carousel', 'text', 'poll'],
     required: true
   },
   caption: {
@@ -116,6 +123,11 @@ const feedPostSchema = new mongoose.Schema({
     type: [mediaItemSchema],
     default: []
   },
+  // Poll definition for poll posts (ballots are stored in PollVote)
+  poll: {
+    type: pollSchema,
+    default: null
+  },
   location: {
     name: {
       type: String
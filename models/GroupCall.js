@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const groupCallParticipantSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'joined', 'left', 'declined', 'missed'],
+    default: 'invited'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // First time the participant joined
+  joinedAt: {
+    type: Date,
+    default: null
+  },
+  // Start of the current stretch in the call (participants may leave and rejoin)
+  lastJoinedAt: {
+    type: Date,
+    default: null
+  },
+  leftAt: {
+    type: Date,
+    default: null
+  },
+  duration: {
+    type: Number, // total seconds spent in the call
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * Group Call Schema - A voice/video call in a group chat (mesh: every participant
+ * connects to every other one). Doubles as the group call history entry.
+ */
+const groupCallSchema = new mongoose.Schema({
+  callId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupChat',
+    required: true
+  },
+  groupName: {
+    type: String,
+    default: ''
+  },
+  initiatorId: {
+    type: String,
+    required: true
+  },
+  initiatorName: {
+    type: String,
+    default: ''
+  },
+  callType: {
+    type: String,
+    enum: ['voice', 'video'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ringing', 'active', 'ended', 'missed'],
+    default: 'ringing',
+    index: true
+  },
+  participants: [groupCallParticipantSchema],
+  // When a second participant joined
+  startTime: {
+    type: Date,
+    default: null
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  duration: {
+    type: Number, // in seconds
+    default: 0
+  },
+  maxConcurrentParticipants: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+groupCallSchema.index({ groupId: 1, status: 1 }); // Ongoing call per group
+groupCallSchema.index({ 'participants.userId': 1, createdAt: -1 }); // Call history
+
+// Method to calculate duration
+groupCallSchema.methods.calculateDuration = function() {
+  if (this.startTime && this.endTime) {
+    this.duration = Math.floor((this.endTime - this.startTime) / 1000);
+  }
+  return this.duration;
+};
+
+const GroupCall = mongoose.model('GroupCall', groupCallSchema);
+
+module.exports = GroupCall;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Group Invite Link Schema - Shareable links that let users join a group chat
+ */
+const groupInviteLinkSchema = mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupChat',
+      required: true,
+      index: true
+    },
+    // Random URL-safe code used in the deep link
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(12).toString('base64url')
+    },
+    createdBy: {
+      type: String,
+      required: true
+    },
+    // Optional expiry - null means the link never expires
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    // Optional usage cap - null means unlimited
+    maxUses: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    useCount: {
+      type: Number,
+      default: 0
+    },
+    // Queue joins for admin approval instead of joining immediately
+    requiresApproval: {
+      type: Boolean,
+      default: false
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+groupInviteLinkSchema.index({ groupId: 1, revokedAt: 1, createdAt: -1 }); // Active links per group
+
+// Instance methods
+groupInviteLinkSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt.getTime() <= Date.now();
+};
+
+groupInviteLinkSchema.methods.isExhausted = function() {
+  return this.maxUses !== null && this.maxUses !== undefined && this.useCount >= this.maxUses;
+};
+
+groupInviteLinkSchema.methods.isUsable = function() {
+  return !this.revokedAt && !this.isExpired() && !this.isExhausted();
+};
+
+// Static methods
+
+/**
+ * Atomically consume one use of a link, respecting expiry, cap and revocation
+ * @returns {Promise<Object|null>} - Updated link, or null when no longer usable
+ */
+groupInviteLinkSchema.statics.consumeUse = function(linkId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: linkId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { useCount: 1 } },
+    { new: true }
+  );
+};
+
+const GroupInviteLink = mongoose.model('GroupInviteLink', groupInviteLinkSchema);
+
+module.exports = GroupInviteLink;
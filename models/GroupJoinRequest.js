@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Group Join Request Schema - Joins via approval-required invite links wait here for an admin
+ */
+const groupJoinRequestSchema = mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupChat',
+      required: true,
+      index: true
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    inviteLinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupInviteLink',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: String,
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One pending request per user per group
+groupJoinRequestSchema.index(
+  { groupId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+groupJoinRequestSchema.index({ groupId: 1, status: 1, createdAt: 1 }); // Admin review queue
+
+const GroupJoinRequest = mongoose.model('GroupJoinRequest', groupJoinRequestSchema);
+
+module.exports = GroupJoinRequest;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Group Thread Follow Schema - A member's follow state and read position in one group thread
+ */
+const groupThreadFollowSchema = mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupChat',
+      required: true,
+      index: true
+    },
+    // Root message of the thread
+    threadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupMessage',
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    // Unfollowing keeps the record so the read position survives re-following
+    isFollowing: {
+      type: Boolean,
+      default: true
+    },
+    lastReadReplyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupMessage',
+      default: null
+    },
+    lastReadAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+groupThreadFollowSchema.index({ threadId: 1, userId: 1 }, { unique: true });
+groupThreadFollowSchema.index({ userId: 1, groupId: 1, isFollowing: 1 }); // "My threads" per group
+
+const GroupThreadFollow = mongoose.model('GroupThreadFollow', groupThreadFollowSchema);
+
+module.exports = GroupThreadFollow;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const mediaVariantsSchema = require('./mediaVariantsSchema');
+
+/**
+ * Media Asset Schema - What the processing pipeline learned about one
+ * uploaded image or video: its real dimensions and duration plus the URLs of
+ * its derivatives. Owning documents (posts, stories, messages...) are created
+ * later with the upload's URL and copy these fields over from here.
+ */
+const mediaAssetSchema = mongoose.Schema(
+  {
+    // '/uploads/<key>' of the (metadata-stripped) original
+    url: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    ownerId: {
+      type: String,
+      required: true
+    },
+    // Upload surface: profile, story, chat, post
+    category: {
+      type: String,
+      required: true
+    },
+    mediaType: {
+      type: String,
+      enum: ['image', 'video'],
+      required: true
+    },
+    mimeType: {
+      type: String,
+      default: null
+    },
+    width: {
+      type: Number,
+      default: null
+    },
+    height: {
+      type: Number,
+      default: null
+    },
+    // Seconds, videos only
+    duration: {
+      type: Number,
+      default: null
+    },
+    // Smallest image variant, or the poster frame of a video
+    thumbnailUrl: {
+      type: String,
+      default: null
+    },
+    posterUrl: {
+      type: String,
+      default: null
+    },
+    variants: {
+      type: mediaVariantsSchema,
+      default: () => ({})
+    },
+    // Original was HEIC/HEIF and is now stored as JPEG
+    convertedFrom: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['ready', 'failed'],
+      default: 'ready'
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+mediaAssetSchema.index({ ownerId: 1, createdAt: -1 });
+
+const MediaAsset = mongoose.model('MediaAsset', mediaAssetSchema);
+
+module.exports = MediaAsset;
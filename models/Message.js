@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { MAX_EDIT_REVISIONS } = require('../utils/messageEditing');
+const pollSchema = require('./pollSchema');
+const mediaVariantsSchema = require('./mediaVariantsSchema');
 
 // Separate schema for post media to avoid casting issues
 const postMediaSchema = new mongoose.Schema({
@@ -23,7 +26,7 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'audio', 'video', 'gif', 'voice', 'shared_post', 'location', 'blink_like', 'blink_capture', 'blink_reply'],
+    enum: ['text', 'image', 'file', 'audio', 'video', 'gif', 'voice', 'shared_post', 'location', 'blink_like', 'blink_capture', 'blink_reply', 'poll'],
     default: 'text'
   },
   imageUrl: {
@@ -76,6 +79,30 @@ const messageSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Dimensions and derivatives of the image/video in imageUrl or fileMetadata.fileUrl,
+  // filled from the upload's processing results (see mediaProcessingService)
+  mediaInfo: {
+    width: {
+      type: Number,
+      default: null
+    },
+    height: {
+      type: Number,
+      default: null
+    },
+    duration: {
+      type: Number,
+      default: null
+    },
+    thumbnailUrl: {
+      type: String,
+      default: null
+    },
+    variants: {
+      type: mediaVariantsSchema,
+      default: null
+    }
+  },
   // Voice message metadata
   voiceMetadata: {
     duration: {
@@ -149,6 +176,11 @@ const messageSchema = new mongoose.Schema({
     },
     default: null
   },
+  // Poll definition for poll messages (ballots are stored in PollVote)
+  poll: {
+    type: pollSchema,
+    default: null
+  },
   // Location sharing metadata
   locationData: {
     latitude: {
@@ -340,6 +372,54 @@ const messageSchema = new mongoose.Schema({
     type: String, // Original sender userId
     default: null
   },
+  // Number of forward hops from the original message
+  forwardCount: {
+    type: Number,
+    default: 0
+  },
+  // Sent on the sender's behalf by their status away message
+  isAutoReply: {
+    type: Boolean,
+    default: false
+  },
+  // Message editing - previous versions are kept as a revision trail
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editHistory: [{
+    message: String,
+    // Previous E2EE payload when the edited message was encrypted
+    e2ee: {
+      ciphertext: String,
+      iv: String,
+      authTag: String,
+      encryptedContentKey: String,
+      keyIv: String,
+      keyAuthTag: String
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Pinned to the top of the conversation (shared by both participants)
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedBy: {
+    type: String,
+    default: null
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
   // Search optimization
   searchText: {
     type: String,
@@ -498,6 +578,42 @@ messageSchema.statics.toggleReaction = async function(messageId, userId, emoji)
   return message;
 };
 
+// Instance method to edit message content, keeping the previous version in editHistory
+messageSchema.methods.applyEdit = function(newMessage, e2ee = null) {
+  const revision = {
+    message: this.message,
+    editedAt: new Date()
+  };
+
+  if (this.e2ee && this.e2ee.enabled) {
+    revision.e2ee = {
+      ciphertext: this.e2ee.ciphertext,
+      iv: this.e2ee.iv,
+      authTag: this.e2ee.authTag,
+      encryptedContentKey: this.e2ee.encryptedContentKey,
+      keyIv: this.e2ee.keyIv,
+      keyAuthTag: this.e2ee.keyAuthTag
+    };
+  }
+
+  this.editHistory.push(revision);
+  if (this.editHistory.length > MAX_EDIT_REVISIONS) {
+    this.editHistory.splice(0, this.editHistory.length - MAX_EDIT_REVISIONS);
+  }
+
+  // searchText and messagePreview are regenerated by the pre-save hook
+  this.message = newMessage;
+
+  // Encrypted edits carry a complete new ciphertext payload
+  if (e2ee && e2ee.enabled) {
+    this.e2ee = { ...e2ee, enabled: true };
+  }
+
+  this.isEdited = true;
+  this.editedAt = revision.editedAt;
+  return this;
+};
+
 // Static method to search messages
 messageSchema.statics.searchMessages = async function(userId1, userId2, searchQuery, limit = 20) {
   const query = {
@@ -601,6 +717,7 @@ messageSchema.statics.getConversationOptimized = async function(userId1, userId2
         sharedPost: 1,
         blinkData: 1,
         locationData: 1,
+        poll: 1,
         timestamp: 1,
         status: 1,
         isRead: 1,
@@ -613,6 +730,15 @@ messageSchema.statics.getConversationOptimized = async function(userId1, userId2
         burnViewedAt: 1,
         burnViewedBy: 1,
         reaction: 1,
+        isEdited: 1,
+        editedAt: 1,
+        isForwarded: 1,
+        forwardedFrom: 1,
+        forwardCount: 1,
+        isAutoReply: 1,
+        isPinned: 1,
+        pinnedBy: 1,
+        pinnedAt: 1,
         deletedFor: 1  // ✅ Include deletedFor for controller filtering
       }
     }
@@ -627,6 +753,7 @@ messageSchema.index({ receiverId: 1, status: 1 }); // Unread message queries
 messageSchema.index({ senderId: 1, createdAt: -1 }); // Sender's message history
 messageSchema.index({ privacyMode: 1, createdAt: 1 }); // Timer/ghost mode cleanup
 messageSchema.index({ 'reactions.userId': 1 }); // Reaction queries
+messageSchema.index({ senderId: 1, receiverId: 1, isPinned: 1 }); // Pinned messages per conversation
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Moderation Action Schema - Audit log of everything done to a moderation
+ * case, by an admin or automatically (adminId null).
+ */
+const moderationActionSchema = mongoose.Schema(
+  {
+    caseId: {
+      type: String,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['auto_hidden', 'assigned', 'escalated', 'content_restored', 'content_removed', 'user_banned', 'resolved', 'dismissed'],
+      required: true
+    },
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    adminUsername: {
+      type: String,
+      default: null
+    },
+    note: {
+      type: String,
+      maxlength: 1000,
+      default: null
+    },
+    // Action specific details, e.g. who a case was assigned to
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+moderationActionSchema.index({ caseId: 1, createdAt: 1 });
+moderationActionSchema.index({ adminId: 1, createdAt: -1 });
+
+const ModerationAction = mongoose.model('ModerationAction', moderationActionSchema);
+
+module.exports = ModerationAction;
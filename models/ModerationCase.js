@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * Moderation Case Schema - All open reports about one target, triaged by
+ * admins. A target has at most one open case; once it is resolved or
+ * dismissed, new reports open a new case. Everything done to the case is
+ * recorded in ModerationAction.
+ */
+const moderationCaseSchema = mongoose.Schema(
+  {
+    caseId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    targetType: {
+      type: String,
+      enum: ['post', 'comment', 'story', 'blink', 'page', 'message', 'profile'],
+      required: true
+    },
+    targetId: {
+      type: String,
+      required: true
+    },
+    // userId of whoever posted the content (the profile itself for profiles)
+    targetOwnerId: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['open', 'in_review', 'escalated', 'resolved', 'dismissed'],
+      default: 'open'
+    },
+    // true until resolved or dismissed - backs the one-open-case-per-target index
+    isOpen: {
+      type: Boolean,
+      default: true
+    },
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+    // Reports per reason, e.g. { spam: 3, harassment: 1 }
+    reasons: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    lastReportedAt: {
+      type: Date,
+      default: Date.now
+    },
+    assignedTo: {
+      adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+      username: { type: String, default: null },
+      assignedAt: { type: Date, default: null }
+    },
+    escalatedAt: {
+      type: Date,
+      default: null
+    },
+    // Content taken out of circulation while the case is open
+    contentHidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenBy: {
+      type: String,
+      enum: ['auto', null],
+      default: null
+    },
+    resolution: {
+      action: { type: String, default: null },
+      note: { type: String, maxlength: 1000, default: null },
+      adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+      closedAt: { type: Date, default: null }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+moderationCaseSchema.index(
+  { targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
+// Triage queue: escalated first, then the most reported
+moderationCaseSchema.index({ isOpen: 1, escalatedAt: -1, reportCount: -1, lastReportedAt: -1 });
+moderationCaseSchema.index({ 'assignedTo.adminId': 1, isOpen: 1 });
+
+const ModerationCase = mongoose.model('ModerationCase', moderationCaseSchema);
+
+module.exports = ModerationCase;
@@ -29,7 +29,8 @@ const notificationSchema = new mongoose.Schema({
       'message',
       'blink_like',
       'blink_screenshot',
-      'blink_screen_recording'
+      'blink_screen_recording',
+      'report_resolved'
     ]
   },
   fromUserId: {
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// How long undelivered entries (and the sync log) are kept
+const OUTBOX_RETENTION_DAYS = parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Outbox Entry Schema - One event sent to a user (1:1 message, group message, pulse).
+ * Entries form a per-user log ordered by `seq` that devices can sync from, and
+ * `pendingDevices` is each device's delivery queue: a device is pulled off once it acks.
+ */
+const outboxEntrySchema = mongoose.Schema(
+  {
+    // Recipient
+    userId: {
+      type: String,
+      required: true
+    },
+    // Per-user, strictly increasing - the sync cursor
+    seq: {
+      type: Number,
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['message', 'group_message', 'pulse'],
+      required: true
+    },
+    // Socket event the payload is replayed as
+    event: {
+      type: String,
+      required: true
+    },
+    // _id of the Message / GroupMessage / Pulse
+    refId: {
+      type: String,
+      required: true
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Devices that haven't acknowledged the entry yet
+    pendingDevices: [{
+      type: String
+    }],
+    // Set when the message was deleted or expired: the payload is dropped but
+    // the entry keeps its seq so sync cursors stay gap-free
+    removedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+outboxEntrySchema.index({ userId: 1, seq: 1 }, { unique: true });
+outboxEntrySchema.index({ userId: 1, pendingDevices: 1, seq: 1 }); // Replay queue per device
+outboxEntrySchema.index({ userId: 1, refId: 1 }); // Ack by message id
+outboxEntrySchema.index({ refId: 1 }); // Scrub a deleted message from every recipient's outbox
+outboxEntrySchema.index({ createdAt: 1 }, { expireAfterSeconds: OUTBOX_RETENTION_DAYS * 24 * 60 * 60 });
+
+const OutboxEntry = mongoose.model('OutboxEntry', outboxEntrySchema);
+
+module.exports = OutboxEntry;
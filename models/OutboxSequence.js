@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outbox Sequence Schema - Per-user counter the outbox entry seqs are taken from
+ */
+const outboxSequenceSchema = mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+const OutboxSequence = mongoose.model('OutboxSequence', outboxSequenceSchema);
+
+module.exports = OutboxSequence;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * PollVote - one ballot per user per poll.
+ * A poll is identified by the document it is embedded in (1:1 message,
+ * group message or feed post).
+ */
+const pollVoteSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['message', 'group_message', 'post'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  optionIds: [{
+    type: String
+  }],
+  votedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Exactly one ballot per user per poll
+pollVoteSchema.index({ targetType: 1, targetId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
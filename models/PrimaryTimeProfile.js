@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const recurrence = require('../utils/recurrence');
 
 const primaryTimeProfileSchema = new mongoose.Schema({
   userId: {
@@ -57,7 +58,7 @@ const primaryTimeProfileSchema = new mongoose.Schema({
   },
   timezoneOffset: {
     type: Number,
-    default: 0, // Minutes offset from UTC (e.g., -330 for IST/UTC+05:30)
+    default: 0, // Minutes offset from UTC (e.g., -330 for IST/UTC+05:30). Only used when the owner has no User.timezone
   },
   isEnabled: {
     type: Boolean,
@@ -105,32 +106,37 @@ primaryTimeProfileSchema.index({ userId: 1, isActive: 1 });
 primaryTimeProfileSchema.index({ userId: 1, isEnabled: 1 });
 primaryTimeProfileSchema.index({ userId: 1, days: 1 });
 
-// Method to check if profile should be active at a given time
-primaryTimeProfileSchema.methods.shouldBeActive = function(date = new Date()) {
-  // Convert UTC to user's local time using stored timezoneOffset
-  const offsetMs = (this.timezoneOffset || 0) * 60 * 1000;
-  const localDate = new Date(date.getTime() - offsetMs);
-
-  const currentDay = localDate.getDay();
-  const currentTime = `${String(localDate.getHours()).padStart(2, '0')}:${String(localDate.getMinutes()).padStart(2, '0')}`;
+// Method to check if profile should be active at a given time. Local times
+// are read in the owner's IANA zone, or the stored timezoneOffset for owners
+// without one
+primaryTimeProfileSchema.methods.shouldBeActive = function(date = new Date(), timeZone = null) {
+  const at = date.getTime();
+  return recurrence.primaryTimeWindows(this, at, at + 1, timeZone).length > 0;
+};
 
-  // Check if today is in the days array
-  if (!this.days.includes(currentDay)) {
-    return false;
+// When the window running at `date` ends (the next local endTime if none is)
+primaryTimeProfileSchema.methods.currentWindowEnd = function(date = new Date(), timeZone = null) {
+  const at = date.getTime();
+  const [window] = recurrence.primaryTimeWindows(this, at, at + 1, timeZone);
+  if (window) {
+    return new Date(window.end);
   }
 
-  // Check date range if applicable
-  if (this.recurrence.type === 'date_range') {
-    if (this.recurrence.startDate && localDate < this.recurrence.startDate) {
-      return false;
-    }
-    if (this.recurrence.endDate && localDate > this.recurrence.endDate) {
-      return false;
-    }
+  const zone = recurrence.isValidTimeZone(timeZone) ? timeZone : recurrence.offsetTimeZone(this.timezoneOffset);
+  const [hour, minute] = this.endTime.split(':').map(Number);
+  const { year, month, day } = recurrence.toLocalParts(date, zone);
+  const end = recurrence.fromLocalTime({ year, month, day, hour, minute }, zone);
+  if (end > date) {
+    return end;
   }
-
-  // Check time range
-  return currentTime >= this.startTime && currentTime < this.endTime;
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+  return recurrence.fromLocalTime({
+    year: nextDay.getUTCFullYear(),
+    month: nextDay.getUTCMonth() + 1,
+    day: nextDay.getUTCDate(),
+    hour,
+    minute
+  }, zone);
 };
 
 const PrimaryTimeProfile = mongoose.model('PrimaryTimeProfile', primaryTimeProfileSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const mediaVariantsSchema = require('./mediaVariantsSchema');
 
 const contentSchema = new mongoose.Schema({
   mediaUrl: { type: String, default: null },
@@ -6,6 +7,7 @@ const contentSchema = new mongoose.Schema({
   width: { type: Number, default: null },
   height: { type: Number, default: null },
   duration: { type: Number, default: null },
+  variants: { type: mediaVariantsSchema, default: null },
   voiceUrl: { type: String, default: null },
   voiceDuration: { type: Number, default: null },
   waveform: [{ type: Number }],
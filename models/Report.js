@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const REPORT_TARGET_TYPES = ['post', 'comment', 'story', 'blink', 'page', 'message', 'profile'];
+
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'nudity',
+  'self_harm',
+  'misinformation',
+  'impersonation',
+  'intellectual_property',
+  'scam',
+  'other'
+];
+
+/**
+ * Report Schema - One user's report about a piece of content or a profile.
+ * Reports on the same target are grouped into a ModerationCase; a user can
+ * report the same target only once.
+ */
+const reportSchema = mongoose.Schema(
+  {
+    reportId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    reporterId: {
+      type: String,
+      required: true
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true
+    },
+    targetId: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      maxlength: 1000,
+      default: null
+    },
+    caseId: {
+      type: String,
+      default: null,
+      index: true
+    },
+    // Mirrors the case once it is closed, so reporters can see the outcome
+    status: {
+      type: String,
+      enum: ['open', 'resolved', 'dismissed'],
+      default: 'open'
+    },
+    outcome: {
+      type: String,
+      default: null
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Deduplication - one report per reporter and target
+reportSchema.index({ reporterId: 1, targetType: 1, targetId: 1 }, { unique: true });
+reportSchema.index({ reporterId: 1, createdAt: -1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
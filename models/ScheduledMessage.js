@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduled Message Schema - "Send later" messages for 1:1 and group chats
+ * Pending sends are persisted so they survive server restarts and are
+ * delivered by the master scheduler's one-minute tick.
+ */
+const scheduledMessageSchema = new mongoose.Schema({
+  senderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  chatType: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  // userId of the receiver for direct chats
+  receiverId: {
+    type: String,
+    default: null
+  },
+  // GroupChat _id for group chats
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupChat',
+    default: null
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'image', 'file', 'audio', 'video', 'gif', 'voice'],
+    default: 'text'
+  },
+  imageUrl: {
+    type: String,
+    default: null
+  },
+  // Media metadata is copied verbatim onto the message when it is sent
+  fileMetadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  voiceMetadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // E2EE payload for 1:1 messages
+  e2ee: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Encryption payload for group messages
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  encryptionData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  scheduledFor: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // When the current delivery attempt claimed this entry
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // _id of the Message / GroupMessage, reserved before it is created so a
+  // retried delivery cannot send it twice; the message exists once status is 'sent'
+  sentMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Due-message polling and per-conversation listing
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ senderId: 1, receiverId: 1, status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ senderId: 1, groupId: 1, status: 1, scheduledFor: 1 });
+// Drop finished entries after 30 days
+scheduledMessageSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: { $in: ['sent', 'cancelled', 'failed'] } } }
+);
+
+// A claim older than this is treated as abandoned (e.g. the process restarted mid-send)
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Atomically claim the next due message so it is delivered only once.
+// excludeIds skips messages that already failed earlier in the same batch.
+scheduledMessageSchema.statics.claimNextDue = function(now = new Date(), excludeIds = []) {
+  return this.findOneAndUpdate(
+    {
+      _id: { $nin: excludeIds },
+      scheduledFor: { $lte: now },
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { scheduledFor: 1 } }
+  );
+};
+
+// Pending sends for a conversation, soonest first
+scheduledMessageSchema.statics.findPendingForConversation = function(senderId, { receiverId, groupId } = {}) {
+  const query = { senderId, status: 'pending' };
+  if (receiverId) {
+    query.chatType = 'direct';
+    query.receiverId = receiverId;
+  }
+  if (groupId) {
+    query.chatType = 'group';
+    query.groupId = groupId;
+  }
+  return this.find(query).sort({ scheduledFor: 1 });
+};
+
+const ScheduledMessage = mongoose.model('ScheduledMessage', scheduledMessageSchema);
+
+module.exports = ScheduledMessage;
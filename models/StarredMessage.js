@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Starred Message Schema - A user's personal "starred messages" list
+ * spanning every 1:1 and group chat they are in. A snapshot of the message
+ * text is kept so the list can be searched without joining both collections.
+ */
+const starredMessageSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  chatType: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  // Message _id for direct chats, GroupMessage _id for group chats
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The other participant for direct chats
+  contactId: {
+    type: String,
+    default: null
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupChat',
+    default: null
+  },
+  senderId: {
+    type: String,
+    required: true
+  },
+  messageType: {
+    type: String,
+    default: 'text'
+  },
+  messagePreview: {
+    type: String,
+    maxlength: 100
+  },
+  searchText: {
+    type: String,
+    default: ''
+  },
+  // When the starred message itself was sent
+  messageTimestamp: {
+    type: Date,
+    default: null
+  },
+  starredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One star per user per message
+starredMessageSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+starredMessageSchema.index({ userId: 1, starredAt: -1 });
+starredMessageSchema.index({ messageId: 1 });
+
+const buildPreview = (text = '') => (text.length > 100 ? text.substring(0, 97) + '...' : text);
+
+// Build the denormalized snapshot stored alongside a star
+starredMessageSchema.statics.buildSnapshot = function(text = '') {
+  return {
+    messagePreview: buildPreview(text),
+    searchText: text.toLowerCase()
+  };
+};
+
+// Keep snapshots in sync after a message is edited
+starredMessageSchema.statics.refreshSnapshot = function(messageId, text) {
+  return this.updateMany({ messageId }, { $set: this.buildSnapshot(text) });
+};
+
+// Drop stars when the underlying message is deleted
+starredMessageSchema.statics.removeForMessage = function(messageId) {
+  return this.deleteMany({ messageId });
+};
+
+const StarredMessage = mongoose.model('StarredMessage', starredMessageSchema);
+
+module.exports = StarredMessage;
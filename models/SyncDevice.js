@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sync Device Schema - A device that takes part in outbox delivery for a user
+ */
+const syncDeviceSchema = mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true
+    },
+    // Client-generated install id (falls back to 'default' for older apps)
+    deviceId: {
+      type: String,
+      required: true
+    },
+    platform: {
+      type: String,
+      default: null
+    },
+    // Highest outbox seq the device has synced up to
+    lastSyncedSeq: {
+      type: Number,
+      default: 0
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+  }
+);
+
+syncDeviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+syncDeviceSchema.index({ userId: 1, lastSeenAt: -1 });
+
+const SyncDevice = mongoose.model('SyncDevice', syncDeviceSchema);
+
+module.exports = SyncDevice;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const mediaVariantsSchema = require('./mediaVariantsSchema');
 
 const blinkSchema = new mongoose.Schema({
   userId: {
@@ -31,6 +32,28 @@ const blinkSchema = new mongoose.Schema({
     required: true,
     enum: ['image', 'video']
   },
+  // Filled from the upload's processing results (see mediaProcessingService)
+  thumbnailUrl: {
+    type: String,
+    default: null
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  // Video length in seconds
+  duration: {
+    type: Number,
+    default: null
+  },
+  variants: {
+    type: mediaVariantsSchema,
+    default: null
+  },
   musicUrl: {
     type: String,
     default: null
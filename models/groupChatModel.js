@@ -57,6 +57,10 @@ const groupChatSchema = mongoose.Schema(
         type: Boolean,
         default: true
       },
+      onlyAdminsCanPinMessages: {
+        type: Boolean,
+        default: false
+      },
       disappearingMessages: {
         enabled: {
           type: Boolean,
@@ -196,6 +200,17 @@ groupChatSchema.methods.updateLastMessage = function(message) {
   return this;
 };
 
+/**
+ * Expiry for a message sent now, or null when disappearing messages are off
+ */
+groupChatSchema.methods.getMessageExpiry = function(from = new Date()) {
+  const disappearing = this.settings && this.settings.disappearingMessages;
+  if (!disappearing || !disappearing.enabled || !disappearing.duration) {
+    return null;
+  }
+  return new Date(from.getTime() + disappearing.duration * 1000);
+};
+
 // Static methods
 groupChatSchema.statics.findUserGroups = function(userId) {
   return this.find({ 
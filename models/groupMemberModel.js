@@ -226,6 +226,7 @@ groupMemberSchema.statics.getUnreadCount = function(groupId, userId) {
       const GroupMessage = mongoose.model('GroupMessage');
       const query = {
         groupId,
+        threadId: null, // Thread replies have their own unread counts
         deletedAt: null,
         senderId: { $ne: userId } // Don't count own messages
       };
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { MAX_EDIT_REVISIONS } = require('../utils/messageEditing');
+const pollSchema = require('./pollSchema');
+const { GROUP_EVENT_TYPES } = require('../utils/groupSystemEvents');
 
 /**
  * Group Message Schema - For messages in group chats
@@ -33,7 +36,7 @@ const groupMessageSchema = mongoose.Schema(
     },
     messageType: {
       type: String,
-      enum: ['text', 'image', 'file', 'audio', 'video', 'gif', 'voice', 'system'],
+      enum: ['text', 'image', 'file', 'audio', 'video', 'gif', 'voice', 'system', 'poll'],
       default: 'text'
     },
     // File/media metadata
@@ -64,6 +67,31 @@ const groupMessageSchema = mongoose.Schema(
         default: null
       }
     },
+    // Poll definition for poll messages (ballots are stored in PollVote)
+    poll: {
+      type: pollSchema,
+      default: null
+    },
+    // Typed details for system messages ("A added B", "Group renamed to X")
+    systemEvent: {
+      eventType: {
+        type: String,
+        enum: GROUP_EVENT_TYPES,
+        default: undefined
+      },
+      actorId: {
+        type: String,
+        default: undefined
+      },
+      targetUserIds: {
+        type: [String],
+        default: undefined
+      },
+      metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+      }
+    },
     // Message status
     status: {
       type: String,
@@ -79,6 +107,47 @@ const groupMessageSchema = mongoose.Schema(
       message: String,
       senderName: String
     },
+    // Thread reply - root message of the side thread this reply belongs to
+    threadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupMessage',
+      default: null
+    },
+    // Thread summary kept on the root message
+    thread: {
+      replyCount: {
+        type: Number,
+        default: 0
+      },
+      lastReplyAt: {
+        type: Date,
+        default: null
+      },
+      lastReply: {
+        messageId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'GroupMessage'
+        },
+        senderId: String,
+        senderName: String,
+        message: String,
+        messageType: String
+      }
+    },
+    // Message forwarding
+    isForwarded: {
+      type: Boolean,
+      default: false
+    },
+    forwardedFrom: {
+      type: String, // Original sender userId
+      default: null
+    },
+    // Number of forward hops from the original message
+    forwardCount: {
+      type: Number,
+      default: 0
+    },
     // Message reactions
     reactions: [{
       emoji: {
@@ -149,6 +218,36 @@ const groupMessageSchema = mongoose.Schema(
       type: String,
       default: null
     },
+    isEdited: {
+      type: Boolean,
+      default: false
+    },
+    editHistory: [{
+      message: String,
+      // Previous encrypted payload when the edited message was encrypted
+      encryptionData: {
+        encryptedContent: String,
+        iv: String,
+        keyId: String
+      },
+      editedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Pinned to the top of the group chat
+    isPinned: {
+      type: Boolean,
+      default: false
+    },
+    pinnedBy: {
+      type: String,
+      default: null
+    },
+    pinnedAt: {
+      type: Date,
+      default: null
+    },
     // Deletion
     deletedAt: {
       type: Date,
@@ -179,8 +278,31 @@ groupMessageSchema.index({ groupId: 1, createdAt: -1 }); // Group messages by ti
 groupMessageSchema.index({ senderId: 1, createdAt: -1 }); // Sender's messages
 groupMessageSchema.index({ groupId: 1, status: 1 }); // Message status queries
 groupMessageSchema.index({ groupId: 1, messageType: 1 }); // Filter by message type
-groupMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-delete expired messages
+// Expired messages are purged by messageCleanupScheduler (not a TTL index) so clients can be told
+groupMessageSchema.index({ expiresAt: 1, groupId: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
 groupMessageSchema.index({ message: 'text' }); // Text search in messages
+groupMessageSchema.index({ groupId: 1, isPinned: 1, pinnedAt: -1 }); // Pinned messages per group
+groupMessageSchema.index({ threadId: 1, createdAt: 1 }, { partialFilterExpression: { threadId: { $type: 'objectId' } } }); // Thread replies
+groupMessageSchema.index({ groupId: 1, 'systemEvent.eventType': 1, createdAt: -1 }, { sparse: true }); // Group audit log
+
+// Stamp the disappearing-messages expiry from the group's settings on new messages
+groupMessageSchema.pre('save', async function(next) {
+  if (!this.isNew || this.expiresAt || this.messageType === 'system') {
+    return next();
+  }
+
+  try {
+    const groupChat = await mongoose.model('GroupChat')
+      .findById(this.groupId)
+      .select('settings.disappearingMessages');
+    if (groupChat) {
+      this.expiresAt = groupChat.getMessageExpiry(this.createdAt || new Date());
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Instance methods
 groupMessageSchema.methods.addReaction = function(userId, userName, emoji) {
@@ -232,10 +354,36 @@ groupMessageSchema.methods.markAsDelivered = function(userId) {
   return this;
 };
 
-groupMessageSchema.methods.editMessage = function(newMessage) {
-  this.originalMessage = this.message;
+groupMessageSchema.methods.editMessage = function(newMessage, encryptionData = null) {
+  const editedAt = new Date();
+
+  // Keep the very first version around for quick "original" lookups
+  if (!this.originalMessage) {
+    this.originalMessage = this.message;
+  }
+
+  const revision = { message: this.message, editedAt };
+  if (this.encrypted && this.encryptionData) {
+    revision.encryptionData = {
+      encryptedContent: this.encryptionData.encryptedContent,
+      iv: this.encryptionData.iv,
+      keyId: this.encryptionData.keyId
+    };
+  }
+
+  this.editHistory.push(revision);
+  if (this.editHistory.length > MAX_EDIT_REVISIONS) {
+    this.editHistory.splice(0, this.editHistory.length - MAX_EDIT_REVISIONS);
+  }
+
   this.message = newMessage;
-  this.editedAt = new Date();
+  if (encryptionData) {
+    this.encrypted = true;
+    this.encryptionData = encryptionData;
+  }
+
+  this.isEdited = true;
+  this.editedAt = editedAt;
   return this;
 };
 
@@ -256,6 +404,7 @@ groupMessageSchema.statics.findGroupMessages = function(groupId, page = 1, limit
   const skip = (page - 1) * limit;
   return this.find({ 
     groupId,
+    threadId: null, // Thread replies live in their own thread history
     deletedAt: null 
   })
   .sort({ createdAt: 1 }) // ✅ FIX: Sort ASCENDING (oldest first) for inverted FlatList
@@ -275,6 +424,7 @@ groupMessageSchema.statics.searchGroupMessages = function(groupId, searchQuery)
 groupMessageSchema.statics.getUnreadCount = function(groupId, userId, lastSeenMessageId) {
   const query = {
     groupId,
+    threadId: null, // Thread replies have their own unread counts
     deletedAt: null,
     senderId: { $ne: userId } // Don't count own messages
   };
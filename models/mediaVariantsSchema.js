@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Resized copies of an uploaded image (or of a video's poster frame) made by
+ * mediaProcessingService. Embedded wherever an owning document keeps the URL
+ * of processed media: FeedPost, Story, Blink, Pulse, Message and User.
+ * Each value is an '/uploads/...' URL; sizes the original was smaller than
+ * still get a copy, just not an enlarged one.
+ */
+const mediaVariantsSchema = new mongoose.Schema({
+  thumb: {
+    type: String,
+    default: null
+  },
+  small: {
+    type: String,
+    default: null
+  },
+  medium: {
+    type: String,
+    default: null
+  },
+  large: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+module.exports = mediaVariantsSchema;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Poll definition embedded in Message, GroupMessage and FeedPost.
+ * Ballots live in the PollVote collection; voteCount/totalVoters here are
+ * running tallies kept in sync by pollService.
+ */
+const pollOptionSchema = new mongoose.Schema({
+  optionId: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Poll option cannot exceed 100 characters']
+  },
+  voteCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const pollSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [300, 'Poll question cannot exceed 300 characters']
+  },
+  options: {
+    type: [pollOptionSchema],
+    default: []
+  },
+  // Multi choice lets a ballot select several options
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  // Anonymous polls only ever expose counts, never who voted for what
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the creator closes the poll early
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  totalVoters: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+module.exports = pollSchema;
@@ -66,6 +66,17 @@ const statusPrivacySchema = mongoose.Schema(
       type: Boolean,
       default: false, // Allow non-friends to see status when dialing phone number
     },
+    // Contacts, and members of groups, who never get the status away message
+    awayReplyExclusions: {
+      contacts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      }],
+      groups: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+      }],
+    },
   },
   {
     timestamps: true,
@@ -520,4 +531,18 @@ statusPrivacySchema.statics.isUserInAllowedGroups = async function(userId, allow
   return foundInGroup;
 };
 
+// Whether a contact has been left out of the user's status away message,
+// directly or through one of the excluded groups
+statusPrivacySchema.statics.isExcludedFromAwayReply = async function(userId, contactId) {
+  const settings = await this.findOne({ userId, isDefault: true }).select('awayReplyExclusions').lean();
+  const exclusions = settings?.awayReplyExclusions;
+  if (!exclusions) return false;
+
+  if ((exclusions.contacts || []).some(id => id.toString() === contactId.toString())) {
+    return true;
+  }
+  return (exclusions.groups || []).length > 0
+    && this.isUserInAllowedGroups(contactId, exclusions.groups);
+};
+
 module.exports = mongoose.model('StatusPrivacy', statusPrivacySchema);
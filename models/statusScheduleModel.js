@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const recurrence = require('../utils/recurrence');
+
+// One occurrence of a recurring schedule changed or cancelled on its own,
+// keyed by the occurrence's original start (its RECURRENCE-ID)
+const occurrenceOverrideSchema = mongoose.Schema(
+  {
+    occurrenceStart: {
+      type: Date,
+      required: true,
+    },
+    cancelled: {
+      type: Boolean,
+      default: false,
+    },
+    // Unset fields keep the schedule's values
+    startTime: Date,
+    endTime: Date,
+    status: String,
+    customStatus: String,
+    notes: String,
+  },
+  { _id: false }
+);
 
 const statusScheduleSchema = mongoose.Schema(
   {
@@ -29,9 +52,38 @@ const statusScheduleSchema = mongoose.Schema(
     },
     repeat: {
       type: String,
-      enum: ['none', 'daily', 'weekdays', 'weekends', 'weekly', 'biweekly', 'monthly', 'custom_days', 'work_schedule'],
+      // 'custom' - defined only by rrule
+      enum: ['none', 'daily', 'weekdays', 'weekends', 'weekly', 'biweekly', 'monthly', 'custom_days', 'work_schedule', 'custom'],
       default: 'none',
     },
+    // RFC 5545 RRULE value (e.g. "FREQ=WEEKLY;BYDAY=MO,WE"), expanded by utils/recurrence.
+    // Derived from repeat/recurrenceConfig when those are set without one
+    rrule: {
+      type: String,
+      default: null,
+      validate: {
+        validator: function(rrule) {
+          return !rrule || !recurrence.validateRRule(rrule);
+        },
+        message: props => recurrence.validateRRule(props.value),
+      },
+    },
+    // IANA zone the rule is evaluated in. New schedules get their owner's
+    // zone; null (owner had none) means the server's zone
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: function(timezone) {
+          return !timezone || recurrence.isValidTimeZone(timezone);
+        },
+        message: props => `${props.value} is not a valid IANA time zone`,
+      },
+    },
+    occurrenceOverrides: {
+      type: [occurrenceOverrideSchema],
+      default: [],
+    },
     active: {
       type: Boolean,
       default: true,
@@ -54,9 +106,11 @@ const statusScheduleSchema = mongoose.Schema(
     calendarEventId: String,
     calendarSource: { 
       type: String, 
-      enum: ['manual', 'google', 'outlook', 'apple', 'system'],
+      enum: ['manual', 'google', 'outlook', 'apple', 'ics', 'system'],
       default: 'manual'
     },
+    // Imported .ics file or linked ICS URL the event came from
+    calendarSubscriptionId: String,
     autoCreatedFromCalendar: { type: Boolean, default: false },
     
     // 🆕 Template System
@@ -125,11 +179,46 @@ statusScheduleSchema.index({ repeat: 1 }); // For recurring schedule queries
 // 🆕 Enhanced indexes for new features
 statusScheduleSchema.index({ isTemplate: 1, templateCategory: 1 }); // For template queries
 statusScheduleSchema.index({ calendarEventId: 1 }); // For calendar integration
+statusScheduleSchema.index({ userId: 1, calendarSubscriptionId: 1 }); // For ICS re-syncs
 statusScheduleSchema.index({ tags: 1 }); // For tag-based searches
 statusScheduleSchema.index({ userId: 1, templateCategory: 1 }); // For user's templates by category
 statusScheduleSchema.index({ userId: 1, usageCount: -1 }); // For popular templates
 statusScheduleSchema.index({ appliedBy: 1, createdAt: -1 }); // For analytics
 
+// Keep the stored rule in step with the legacy repeat fields clients still send
+statusScheduleSchema.pre('validate', function(next) {
+  if (this.rrule && this.isModified('rrule')) {
+    this.rrule = recurrence.normalizeRRule(this.rrule);
+    if (!this.repeat || this.repeat === 'none') {
+      this.repeat = 'custom';
+    }
+  } else if (this.isNew || this.isModified('repeat') || this.isModified('recurrenceConfig')) {
+    if (this.repeat === 'none') {
+      this.rrule = null;
+    } else if (this.repeat !== 'custom') {
+      this.rrule = recurrence.legacyRRule(this);
+    }
+  }
+
+  // Overrides are keyed by the old series' occurrence starts
+  const seriesChanged = ['startTime', 'repeat', 'recurrenceConfig', 'rrule', 'timezone']
+    .some(path => this.isModified(path));
+  if (!this.isNew && seriesChanged && !this.isModified('occurrenceOverrides')) {
+    this.occurrenceOverrides = [];
+  }
+  next();
+});
+
+// New schedules saved without a zone repeat in their owner's zone
+statusScheduleSchema.pre('validate', async function() {
+  if (!this.isNew || this.timezone || !this.user) return;
+
+  const owner = await mongoose.model('User').findById(this.user).select('timezone').lean();
+  if (owner?.timezone) {
+    this.timezone = owner.timezone;
+  }
+});
+
 const StatusSchedule = mongoose.model('StatusSchedule', statusScheduleSchema);
 
 module.exports = StatusSchedule;
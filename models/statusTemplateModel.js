@@ -79,6 +79,20 @@ const statusTemplateSchema = mongoose.Schema(
     description: String,
     tags: [String], // For categorization and search
     
+    // Away message sent to people who message the user while this status is
+    // set (see services/awayReplyService)
+    autoReply: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      message: {
+        type: String,
+        default: '',
+        maxlength: 500
+      }
+    },
+    
     // 🆕 Quick Schedule Options
     quickSchedule: {
       todayAt: String, // "14:00"
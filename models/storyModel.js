@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const mediaVariantsSchema = require('./mediaVariantsSchema');
 
 const storyItemSchema = new mongoose.Schema({
   id: {
@@ -16,6 +17,28 @@ const storyItemSchema = new mongoose.Schema({
     type: String,
     required: function() { return this.type === 'image' || this.type === 'video'; }
   },
+  // Filled from the upload's processing results (see mediaProcessingService)
+  thumbnail: {
+    type: String,
+    default: null
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  // Video length in seconds
+  duration: {
+    type: Number,
+    default: null
+  },
+  variants: {
+    type: mediaVariantsSchema,
+    default: null
+  },
   // For text content
   text: {
     type: String,
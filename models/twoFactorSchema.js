@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * TOTP two-factor settings embedded in User and Admin.
+ * Secrets are AES-GCM encrypted (utils/userEncryption), recovery codes are
+ * stored as SHA-256 hashes; none of it is selected by default.
+ */
+const encryptedSecretSchema = new mongoose.Schema({
+  encrypted: String,
+  iv: String,
+  authTag: String
+}, { _id: false });
+
+const recoveryCodeSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const twoFactorSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  secret: {
+    type: encryptedSecretSchema,
+    default: null,
+    select: false
+  },
+  // Set by setup, becomes `secret` once the first code is confirmed
+  pendingSecret: {
+    type: encryptedSecretSchema,
+    default: null,
+    select: false
+  },
+  recoveryCodes: {
+    type: [recoveryCodeSchema],
+    default: [],
+    select: false
+  },
+  // Last accepted time step - a code can't be used twice
+  lastUsedStep: {
+    type: Number,
+    default: null
+  },
+  enabledAt: {
+    type: Date,
+    default: null
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+module.exports = twoFactorSchema;
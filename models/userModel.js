@@ -1,7 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const twoFactorSchema = require('./twoFactorSchema');
+const mediaVariantsSchema = require('./mediaVariantsSchema');
+const { isValidTimeZone } = require('../utils/recurrence');
 
 /**
  * User Schema with optimized indexing for frequently queried fields
@@ -70,6 +72,16 @@ const userSchema = mongoose.Schema(
       type: Date,
       default: null
     },
+    // When the current status was set, and whether a schedule (rather than
+    // the user) set it
+    statusUpdatedAt: {
+      type: Date,
+      default: null
+    },
+    wasAutoApplied: {
+      type: Boolean,
+      default: false
+    },
     // ✅ NEW: Track previous status for display when user has no current status
     previousStatus: {
       type: String,
@@ -129,6 +141,18 @@ const userSchema = mongoose.Schema(
       ref: 'PrimaryTimeProfile',
       default: null
     },
+    // IANA zone (e.g. "Europe/London") Primary Time, the daily schedule and new
+    // status schedules are read in; null until the app reports one
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: function(timezone) {
+          return !timezone || isValidTimeZone(timezone);
+        },
+        message: props => `${props.value} is not a valid IANA time zone`
+      }
+    },
     // Location data for status updates
     statusLocation: {
       placeName: {
@@ -195,6 +219,11 @@ const userSchema = mongoose.Schema(
     profileImageAuthTag: {
       type: String // Base64 encoded auth tag
     },
+    // Resized copies of profileImage (thumb for lists, large for the profile screen)
+    profileImageVariants: {
+      type: mediaVariantsSchema,
+      default: null
+    },
     // E2EE Device Public Keys (Phase 1)
     devicePublicKeys: [{
       deviceId: String,
@@ -422,6 +451,33 @@ const userSchema = mongoose.Schema(
         default: Date.now
       }
     }],
+    // Privacy: when off, other members never see that this user read their group messages
+    readReceipts: {
+      type: Boolean,
+      default: true
+    },
+    // "Log out everywhere": tokens issued before this are rejected (covers pre-session tokens too)
+    tokensValidAfter: {
+      type: Date,
+      default: null
+    },
+    // Optional TOTP second factor at login
+    twoFactor: {
+      type: twoFactorSchema,
+      default: () => ({})
+    },
+    // Private ICS feed of the user's schedules; only a hash of the URL token is kept
+    calendarFeed: {
+      tokenHash: {
+        type: String,
+        default: null,
+        select: false
+      },
+      createdAt: {
+        type: Date,
+        default: null
+      }
+    },
     // Chat encryption settings
     encryptionSettings: {
       isEnabled: {
@@ -484,13 +540,6 @@ userSchema.pre('save', async function (next) {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, userId: this.userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
-};
-
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -527,6 +576,7 @@ userSchema.index({ phoneNumber: 1, isActive: 1 }); // Contact sync queries
 userSchema.index({ isOnline: 1, lastSeen: -1 }); // Online status queries
 userSchema.index({ mainStatus: 1, mainEndTime: 1 }); // Status expiration checks
 userSchema.index({ subStatus: 1, subEndTime: 1 }); // Sub-status expiration checks
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true }); // ICS feed lookups
 
 const User = mongoose.model('User', userSchema);
 
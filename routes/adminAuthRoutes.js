@@ -2,10 +2,29 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const twoFactorService = require('../services/twoFactorService');
+const { ApiError } = require('../utils/errorClasses');
 
 // JWT Secret (should be in .env file)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 const JWT_EXPIRES_IN = '7d'; // Token expires in 7 days
+// Enforce 2FA for every admin account (otherwise per admin via twoFactorRequired)
+const ADMIN_2FA_REQUIRED = process.env.ADMIN_2FA_REQUIRED === 'true';
+
+const isTwoFactorRequired = (admin) => ADMIN_2FA_REQUIRED || !!admin.twoFactorRequired;
+
+const signAdminToken = (admin) => jwt.sign(
+  { id: admin._id, username: admin.username, role: admin.role },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+// Response for an admin that has to set up 2FA before getting a token
+const twoFactorSetupResponse = (admin) => ({
+  message: 'Two-factor authentication must be set up for this account',
+  twoFactorSetupRequired: true,
+  ...twoFactorService.issueChallenge('admin', admin._id, twoFactorService.PURPOSE_ENROLL)
+});
 
 // Middleware to verify JWT token
 const verifyToken = async (req, res, next) => {
@@ -27,6 +46,13 @@ const verifyToken = async (req, res, next) => {
       return res.status(403).json({ message: 'Account is deactivated' });
     }
 
+    if (isTwoFactorRequired(admin) && !admin.twoFactor?.enabled) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up for this account. Please login again.',
+        twoFactorSetupRequired: true
+      });
+    }
+
     req.admin = admin;
     next();
   } catch (error) {
@@ -35,6 +61,32 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// 2FA setup accepts a normal token or the enrollment token handed out at login
+const verifyEnrollmentAccess = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  let adminId;
+  try {
+    adminId = twoFactorService.verifyChallenge(token, 'admin', twoFactorService.PURPOSE_ENROLL);
+  } catch (error) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const admin = await Admin.findById(adminId).select('-password');
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ message: 'Admin not found or deactivated' });
+    }
+
+    req.admin = admin;
+    req.viaEnrollment = true;
+    next();
+  } catch (error) {
+    console.error('Enrollment token verification error:', error);
+    return res.status(500).json({ message: 'Server error during verification' });
+  }
+};
+
 // Check if setup is needed (no admins exist)
 router.get('/setup/check', async (req, res) => {
   try {
@@ -91,15 +143,18 @@ router.post('/setup', async (req, res) => {
 
     await admin.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: admin._id, username: admin.username, role: admin.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
-
     console.log(`✅ First admin created: ${admin.username}`);
 
+    if (isTwoFactorRequired(admin)) {
+      return res.status(201).json({
+        ...twoFactorSetupResponse(admin),
+        message: 'Admin account created. Set up two-factor authentication to continue.'
+      });
+    }
+
+    // Generate JWT token
+    const token = signAdminToken(admin);
+
     res.status(201).json({
       message: 'Admin account created successfully',
       token,
@@ -166,16 +221,25 @@ router.post('/login', async (req, res) => {
       await admin.resetLoginAttempts();
     }
 
+    // Password is fine - the token is only issued after the second factor
+    if (admin.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor verification required',
+        twoFactorRequired: true,
+        ...twoFactorService.issueChallenge('admin', admin._id, twoFactorService.PURPOSE_LOGIN)
+      });
+    }
+
+    if (isTwoFactorRequired(admin)) {
+      return res.json(twoFactorSetupResponse(admin));
+    }
+
     // Update last login
     admin.lastLogin = new Date();
     await admin.save();
 
     // Generate JWT token
-    const token = jwt.sign(
-      { id: admin._id, username: admin.username, role: admin.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    const token = signAdminToken(admin);
 
     console.log(`✅ Admin logged in: ${admin.username}`);
 
@@ -260,6 +324,149 @@ router.post('/change-password', verifyToken, async (req, res) => {
   }
 });
 
+// Second login step for admins with 2FA
+router.post('/2fa/verify-login', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and a verification code or recovery code are required' });
+    }
+
+    const adminId = twoFactorService.verifyChallenge(challengeToken, 'admin', twoFactorService.PURPOSE_LOGIN);
+    const admin = await Admin.findById(adminId);
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ message: 'Admin not found or deactivated' });
+    }
+
+    const { method, recoveryCodesRemaining } = await twoFactorService.verifySecondFactor('admin', admin._id, { code, recoveryCode });
+
+    admin.lastLogin = new Date();
+    await admin.save();
+
+    const token = signAdminToken(admin);
+
+    console.log(`✅ Admin logged in with 2FA (${method}): ${admin.username}`);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      recoveryCodesRemaining: method === 'recovery_code' ? recoveryCodesRemaining : undefined,
+      admin: {
+        id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        permissions: admin.permissions,
+        lastLogin: admin.lastLogin
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('2FA login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Get 2FA status
+router.get('/2fa/status', verifyToken, async (req, res) => {
+  try {
+    res.json({
+      ...twoFactorService.getStatus(req.admin),
+      required: isTwoFactorRequired(req.admin)
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ message: 'Server error fetching two-factor status' });
+  }
+});
+
+// Start 2FA setup - returns the secret and otpauth:// URI for the QR code
+router.post('/2fa/setup', verifyEnrollmentAccess, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment('admin', req.admin._id, req.admin.username);
+    res.json(enrollment);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error starting two-factor setup' });
+  }
+});
+
+// Confirm 2FA setup with the first code
+router.post('/2fa/enable', verifyEnrollmentAccess, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Verification code is required' });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment('admin', req.admin._id, code);
+
+    console.log(`✅ 2FA enabled for admin: ${req.admin.username}`);
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe - they are only shown once.',
+      recoveryCodes
+    };
+
+    // Setup was part of signing in - finish the login
+    if (req.viaEnrollment) {
+      await Admin.updateOne({ _id: req.admin._id }, { $set: { lastLogin: new Date() } });
+      response.token = signAdminToken(req.admin);
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  }
+});
+
+// Turn 2FA off (password + code)
+router.post('/2fa/disable', verifyToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.admin)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for this account' });
+    }
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Password and a verification code or recovery code are required' });
+    }
+
+    const admin = await Admin.findById(req.admin._id);
+    const isMatch = await admin.comparePassword(password);
+
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    await twoFactorService.verifySecondFactor('admin', admin._id, { code, recoveryCode });
+    await twoFactorService.disable('admin', admin._id);
+
+    console.log(`✅ 2FA disabled for admin: ${admin.username}`);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+});
+
 // Get all admins (super_admin only)
 router.get('/admins', verifyToken, async (req, res) => {
   try {
@@ -322,4 +529,46 @@ router.post('/admins', verifyToken, async (req, res) => {
   }
 });
 
+// Enforce 2FA for an admin (super_admin only)
+router.put('/admins/:id/two-factor', verifyToken, async (req, res) => {
+  try {
+    if (req.admin.role !== 'super_admin') {
+      return res.status(403).json({ message: 'Access denied. Super admin only.' });
+    }
+
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ message: 'required must be true or false' });
+    }
+
+    const admin = await Admin.findByIdAndUpdate(
+      req.params.id,
+      { $set: { twoFactorRequired: required } },
+      { new: true }
+    ).select('-password');
+
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    console.log(`✅ 2FA ${required ? 'enforced' : 'no longer enforced'} for ${admin.username} by ${req.admin.username}`);
+
+    res.json({
+      message: required ? 'Two-factor authentication is now required' : 'Two-factor authentication is now optional',
+      admin: {
+        id: admin._id,
+        username: admin.username,
+        twoFactorRequired: admin.twoFactorRequired,
+        // The ADMIN_2FA_REQUIRED setting overrides the per-admin flag
+        twoFactorEnforced: isTwoFactorRequired(admin),
+        twoFactorEnabled: !!admin.twoFactor?.enabled
+      }
+    });
+  } catch (error) {
+    console.error('Update admin 2FA requirement error:', error);
+    res.status(500).json({ message: 'Server error updating admin' });
+  }
+});
+
 module.exports = { router, verifyToken };
@@ -4,6 +4,7 @@ const User = require('../models/userModel');
 const Post = require('../models/FeedPost');
 const Message = require('../models/Message');
 const Broadcast = require('../models/Broadcast');
+const moderationService = require('../services/moderationService');
 
 // Get dashboard stats
 router.get('/dashboard/stats', async (req, res) => {
@@ -1116,4 +1117,101 @@ router.get('/hashtags/stats', async (req, res) => {
   }
 });
 
+// ========================================
+// MODERATION QUEUE
+// ========================================
+
+// Service errors carry their status code; anything else is a 500
+const sendModerationError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ [ADMIN] ${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Get moderation queue (open cases unless a status is given)
+router.get('/moderation/cases', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, targetType, assigned } = req.query;
+
+    const result = await moderationService.listCases(req.admin, { status, targetType, assigned, page, limit });
+    res.json(result);
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to fetch moderation cases');
+  }
+});
+
+// Get moderation action log
+router.get('/moderation/actions', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const { caseId, adminId } = req.query;
+
+    const result = await moderationService.listActions({ caseId, adminId, page, limit });
+    res.json(result);
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to fetch moderation actions');
+  }
+});
+
+// Get one case with its reports, action log and the reported content
+router.get('/moderation/cases/:caseId', async (req, res) => {
+  try {
+    const moderationCase = await moderationService.getCase(req.params.caseId);
+    res.json({ success: true, case: moderationCase });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to fetch moderation case');
+  }
+});
+
+// Assign case (to yourself unless adminId is given)
+router.post('/moderation/cases/:caseId/assign', async (req, res) => {
+  try {
+    const { adminId, note } = req.body || {};
+    const moderationCase = await moderationService.assignCase(req.params.caseId, req.admin, { adminId, note });
+
+    console.log(`✅ [ADMIN] Case ${req.params.caseId} assigned to ${moderationCase.assignedTo.username}`);
+    res.json({ success: true, case: moderationCase });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to assign case');
+  }
+});
+
+// Escalate case
+router.post('/moderation/cases/:caseId/escalate', async (req, res) => {
+  try {
+    const moderationCase = await moderationService.escalateCase(req.params.caseId, req.admin, { note: req.body?.note });
+
+    console.log(`⬆️ [ADMIN] Case ${req.params.caseId} escalated by ${req.admin.username}`);
+    res.json({ success: true, case: moderationCase });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to escalate case');
+  }
+});
+
+// Resolve case - remove the content and/or ban its owner
+router.post('/moderation/cases/:caseId/resolve', async (req, res) => {
+  try {
+    const { action, note } = req.body || {};
+    const moderationCase = await moderationService.resolveCase(req.params.caseId, req.admin, { action, note });
+    res.json({ success: true, case: moderationCase });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to resolve case');
+  }
+});
+
+// Dismiss case - no violation, hidden content is restored
+router.post('/moderation/cases/:caseId/dismiss', async (req, res) => {
+  try {
+    const moderationCase = await moderationService.dismissCase(req.params.caseId, req.admin, { note: req.body?.note });
+    res.json({ success: true, case: moderationCase });
+  } catch (error) {
+    sendModerationError(res, error, 'Failed to dismiss case');
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
 const {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   checkUserExists
 } = require('../controllers/authController');
+const {
+  refreshAccessToken,
+  getSessions,
+  logoutCurrentSession,
+  revokeSessionById,
+  logoutAllSessions
+} = require('../controllers/sessionController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes
+} = require('../controllers/twoFactorController');
 
 // ✅ SECURITY FIX: Add rate limiting to prevent brute force attacks
 // Simple in-memory rate limiter (for production, use Redis)
@@ -55,6 +71,21 @@ const rateLimiter = (req, res, next) => {
 router.post('/register', registerUser);
 router.post('/login', rateLimiter, loginUser); // ✅ Add rate limiting to login
 router.post('/check', checkUserExists);
+router.post('/refresh', refreshAccessToken); // Rotates the refresh token
+
+// Session management - signed-in devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:sessionId', protect, revokeSessionById);
+router.post('/logout', protect, logoutCurrentSession);
+router.post('/logout-all', protect, logoutAllSessions);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/verify-login', rateLimiter, verifyTwoFactorLogin); // Second login step
+router.get('/2fa/status', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor); // Requires password + code
+router.post('/2fa/recovery-codes', protect, regenerateTwoFactorRecoveryCodes); // Requires password + code
 
 // ✅ FIX: Health check endpoint for connection testing
 router.get('/test', (req, res) => {
@@ -1,7 +1,50 @@
 const express = require('express');
+const path = require('path');
+const multer = require('multer');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
 const calendarIntegration = require('../utils/calendarIntegration');
+const { BadRequestError } = require('../utils/errorClasses');
+const {
+  importIcsFile,
+  linkIcsUrl,
+  getIcsSubscriptions,
+  refreshIcsSubscription,
+  deleteIcsSubscription,
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  serveCalendarFeed
+} = require('../controllers/icsCalendarController');
+
+// .ics uploads are parsed straight from memory and stored as text
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.ics' || file.mimetype === 'text/calendar') {
+      return cb(null, true);
+    }
+    cb(new BadRequestError('Only .ics calendar files are allowed'));
+  },
+  limits: {
+    fileSize: (parseInt(process.env.ICS_MAX_SIZE_KB, 10) || 1024) * 1024
+  }
+});
+
+// ICS import: uploaded files and linked URLs
+router.post('/ics/import', protect, icsUpload.single('file'), importIcsFile);
+router.route('/ics/subscriptions')
+  .get(protect, getIcsSubscriptions)
+  .post(protect, linkIcsUrl);
+router.post('/ics/subscriptions/:subscriptionId/refresh', protect, refreshIcsSubscription);
+router.delete('/ics/subscriptions/:subscriptionId', protect, deleteIcsSubscription);
+
+// Private ICS feed of my schedules
+router.route('/feed')
+  .get(protect, getCalendarFeed)
+  .post(protect, createCalendarFeed)
+  .delete(protect, revokeCalendarFeed);
+router.get('/feed/:token.ics', serveCalendarFeed);
 
 // @desc    Get calendar events for a date range
 // @route   GET /api/calendar/events
@@ -9,7 +9,10 @@ const {
   deleteCall,
   getCallStats,
   getCallDetails,
-  saveCallToHistory
+  saveCallToHistory,
+  getGroupCallHistory,
+  getActiveGroupCall,
+  getGroupCallDetails
 } = require('../controllers/callController');
 
 // All routes are protected
@@ -26,6 +29,11 @@ router.post('/missed/mark-seen', markMissedCallsAsSeen);
 // Call statistics
 router.get('/stats', getCallStats);
 
+// Group calls (before /:callId so "group" isn't read as a call ID)
+router.get('/group/history', getGroupCallHistory);
+router.get('/group/active/:groupId', getActiveGroupCall);
+router.get('/group/:callId', getGroupCallDetails);
+
 // Single call operations
 router.get('/:callId', getCallDetails);
 router.post('/:callId/mark-seen', markCallAsSeen);
@@ -8,6 +8,11 @@ const {
   getUnreadCount,
   getAllUnreadCounts,
   deleteMessage,
+  editMessage,
+  getMessageRevisions,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
   toggleReaction,
   searchMessages,
   sendReply,
@@ -24,6 +29,25 @@ const {
   clearMessages,
   deleteConversation
 } = require('../controllers/chatController');
+const {
+  scheduleDirectMessage,
+  getScheduledDirectMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} = require('../controllers/scheduledMessageController');
+const {
+  starDirectMessage,
+  unstarMessage,
+  getStarredMessages
+} = require('../controllers/starredMessageController');
+const { forwardMessages } = require('../controllers/messageForwardController');
+const {
+  sendDirectPoll,
+  getDirectPollResults,
+  voteDirectPoll,
+  retractDirectPollVote,
+  closeDirectPoll
+} = require('../controllers/pollController');
 
 // All chat routes require authentication
 router.use(protect);
@@ -31,6 +55,17 @@ router.use(protect);
 // Send a message
 router.post('/send', sendMessage);
 
+// Forward existing messages to contacts and group chats
+router.post('/forward', forwardMessages);
+
+// Scheduled ("send later") messages
+router.route('/scheduled')
+  .get(getScheduledDirectMessages)
+  .post(scheduleDirectMessage);
+router.route('/scheduled/:scheduledId')
+  .put(updateScheduledMessage)
+  .delete(cancelScheduledMessage);
+
 // Get chat history with a specific contact
 router.get('/history/:contactId', getChatHistory);
 
@@ -46,6 +81,27 @@ router.get('/unread', getAllUnreadCounts);
 // Delete a message
 router.delete('/message/:messageId', deleteMessage);
 
+// Edit a message and view its revision history
+router.put('/message/:messageId', editMessage);
+router.get('/message/:messageId/revisions', getMessageRevisions);
+
+// Pinned messages (shared by both participants)
+router.post('/message/:messageId/pin', pinMessage);
+router.delete('/message/:messageId/pin', unpinMessage);
+router.get('/pinned/:contactId', getPinnedMessages);
+
+// Starred messages (personal list across all chats)
+router.post('/message/:messageId/star', starDirectMessage);
+router.delete('/message/:messageId/star', unstarMessage);
+router.get('/starred', getStarredMessages);
+
+// Polls
+router.post('/poll', sendDirectPoll);
+router.get('/message/:messageId/poll', getDirectPollResults);
+router.post('/message/:messageId/poll/vote', voteDirectPoll);
+router.delete('/message/:messageId/poll/vote', retractDirectPollVote);
+router.post('/message/:messageId/poll/close', closeDirectPoll);
+
 // Toggle message reaction
 router.post('/message/:messageId/reaction', toggleReaction);
 
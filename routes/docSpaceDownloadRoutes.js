@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const fs = require('fs');
+const storage = require('../services/storageProvider');
 const { protect } = require('../middleware/authMiddleware');
 const DocSpace = require('../models/DocSpace');
 
@@ -18,8 +18,9 @@ router.get('/view/:filename', protect, async (req, res) => {
     console.log('👁️ [VIEW] Request for file:', filename);
     console.log('👁️ [VIEW] File path:', filePath);
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    // Check if file exists (locally or in object storage)
+    const stats = await storage.stat(filePath);
+    if (!stats) {
       console.error('❌ [VIEW] File not found:', filePath);
       return res.status(404).json({
         success: false,
@@ -27,8 +28,6 @@ router.get('/view/:filename', protect, async (req, res) => {
       });
     }
 
-    // Get file stats
-    const stats = fs.statSync(filePath);
     const fileSize = stats.size;
 
     // Only allow PDF files
@@ -49,7 +48,7 @@ router.get('/view/:filename', protect, async (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
 
     // Stream the file
-    const fileStream = fs.createReadStream(filePath);
+    const fileStream = await storage.openReadStream(filePath);
     
     fileStream.on('error', (error) => {
       console.error('❌ [VIEW] Stream error:', error);
@@ -91,8 +90,9 @@ router.get('/:filename', protect, async (req, res) => {
     console.log('📥 [DOWNLOAD] User:', userId);
     console.log('📥 [DOWNLOAD] File path:', filePath);
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    // Check if file exists (locally or in object storage)
+    const stats = await storage.stat(filePath);
+    if (!stats) {
       console.error('❌ [DOWNLOAD] File not found:', filePath);
       return res.status(404).json({
         success: false,
@@ -157,8 +157,6 @@ router.get('/:filename', protect, async (req, res) => {
       console.log('✅ [DOWNLOAD] Owner downloading their own document');
     }
 
-    // Get file stats
-    const stats = fs.statSync(filePath);
     const fileSize = stats.size;
 
     // Only allow PDF files
@@ -182,7 +180,7 @@ router.get('/:filename', protect, async (req, res) => {
     res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
 
     // Stream the file
-    const fileStream = fs.createReadStream(filePath);
+    const fileStream = await storage.openReadStream(filePath);
     
     fileStream.on('error', (error) => {
       console.error('❌ [DOWNLOAD] Stream error:', error);
@@ -21,8 +21,47 @@ const {
   toggleGroupMessageReaction,
   searchGroupMessages,
   muteGroupNotifications,
-  leaveGroup
+  leaveGroup,
+  editGroupMessage,
+  getGroupMessageRevisions,
+  pinGroupMessage,
+  unpinGroupMessage,
+  getPinnedGroupMessages,
+  getGroupAuditLog,
+  markGroupMessagesAsDelivered,
+  getGroupMessageInfo
 } = require('../controllers/groupChatController');
+const { starGroupMessage, unstarMessage } = require('../controllers/starredMessageController');
+const {
+  scheduleGroupMessage,
+  getScheduledGroupMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} = require('../controllers/scheduledMessageController');
+const {
+  sendGroupPoll,
+  getGroupPollResults,
+  voteGroupPoll,
+  retractGroupPollVote,
+  closeGroupPoll
+} = require('../controllers/pollController');
+const {
+  createInviteLink,
+  getInviteLinks,
+  revokeInviteLink,
+  previewInvite,
+  joinViaInvite,
+  getJoinRequests,
+  reviewJoinRequest
+} = require('../controllers/groupInviteController');
+const {
+  replyInThread,
+  getThreadReplies,
+  markGroupThreadAsRead,
+  followGroupThread,
+  unfollowGroupThread,
+  getFollowedGroupThreads
+} = require('../controllers/groupThreadController');
 
 // Configure multer for group image uploads
 const groupImagesDir = path.join(__dirname, '../uploads/group-images');
@@ -68,6 +107,10 @@ router.route('/')
   .get(getUserGroupChats)     // GET /api/group-chats - Get user's group chats
   .post(createGroupChat);     // POST /api/group-chats - Create new group chat
 
+// Invite Link Join Routes (before /:groupId so "invite" isn't read as a group ID)
+router.get('/invite/:code', previewInvite);          // GET /api/group-chats/invite/:code - Preview group behind an invite
+router.post('/invite/:code/join', joinViaInvite);    // POST /api/group-chats/invite/:code/join - Join (or request to join)
+
 router.route('/:groupId')
   .get(getGroupChatDetails)   // GET /api/group-chats/:groupId - Get group details
   .put(updateGroupChat)       // PUT /api/group-chats/:groupId - Update group info
@@ -81,6 +124,7 @@ router.post('/:groupId/messages/search', searchGroupMessages);
 
 // Group Member Actions
 router.post('/:groupId/mark-read', markGroupMessagesAsRead); // POST /api/group-chats/:groupId/mark-read - Mark messages as read
+router.post('/:groupId/mark-delivered', markGroupMessagesAsDelivered); // POST /api/group-chats/:groupId/mark-delivered - Acknowledge received messages
 router.post('/:groupId/mute', muteGroupNotifications);     // POST /api/group-chats/:groupId/mute - Mute group notifications
 router.post('/:groupId/leave', leaveGroup);                // POST /api/group-chats/:groupId/leave - Leave group
 
@@ -89,6 +133,28 @@ router.route('/:groupId/messages')
   .get(getGroupMessages)      // GET /api/group-chats/:groupId/messages - Get messages
   .post(sendGroupMessage);    // POST /api/group-chats/:groupId/messages - Send message
 
+// Scheduled ("send later") Messages Routes
+router.route('/:groupId/scheduled')
+  .get(getScheduledGroupMessages)   // GET /api/group-chats/:groupId/scheduled - List my pending scheduled messages
+  .post(scheduleGroupMessage);      // POST /api/group-chats/:groupId/scheduled - Schedule a message
+
+router.route('/:groupId/scheduled/:scheduledId')
+  .put(updateScheduledMessage)      // PUT /api/group-chats/:groupId/scheduled/:scheduledId - Edit scheduled message
+  .delete(cancelScheduledMessage);  // DELETE /api/group-chats/:groupId/scheduled/:scheduledId - Cancel scheduled message
+
+// Invite Links & Join Requests Routes
+router.route('/:groupId/invite-links')
+  .get(getInviteLinks)        // GET /api/group-chats/:groupId/invite-links - List invite links
+  .post(createInviteLink);    // POST /api/group-chats/:groupId/invite-links - Create invite link
+
+router.delete('/:groupId/invite-links/:linkId', revokeInviteLink); // DELETE /api/group-chats/:groupId/invite-links/:linkId - Revoke invite link
+
+router.get('/:groupId/join-requests', getJoinRequests);               // GET /api/group-chats/:groupId/join-requests - Pending join requests
+router.put('/:groupId/join-requests/:requestId', reviewJoinRequest);  // PUT /api/group-chats/:groupId/join-requests/:requestId - Approve/reject
+
+// Admin Audit Log Route
+router.get('/:groupId/audit-log', getGroupAuditLog); // GET /api/group-chats/:groupId/audit-log - Group system events (admins)
+
 // Group Members Routes
 router.route('/:groupId/members')
   .post(addGroupMembers);     // POST /api/group-chats/:groupId/members - Add members
@@ -103,6 +169,48 @@ router.route('/:groupId/members/:memberId/role')
 router.route('/:groupId/messages/search')
   .get(searchGroupMessages);  // GET /api/group-chats/:groupId/messages/search - Search messages
 
+router.route('/:groupId/messages/:messageId')
+  .put(editGroupMessage);     // PUT /api/group-chats/:groupId/messages/:messageId - Edit message
+
+router.get('/:groupId/messages/:messageId/info', getGroupMessageInfo); // GET /api/group-chats/:groupId/messages/:messageId/info - Delivered to / read by
+
+router.route('/:groupId/messages/:messageId/revisions')
+  .get(getGroupMessageRevisions); // GET /api/group-chats/:groupId/messages/:messageId/revisions - Edit history
+
+router.route('/:groupId/messages/:messageId/pin')
+  .post(pinGroupMessage)      // POST /api/group-chats/:groupId/messages/:messageId/pin - Pin message
+  .delete(unpinGroupMessage); // DELETE /api/group-chats/:groupId/messages/:messageId/pin - Unpin message
+
+router.get('/:groupId/pinned', getPinnedGroupMessages); // GET /api/group-chats/:groupId/pinned - Pinned messages
+
+router.route('/:groupId/messages/:messageId/star')
+  .post(starGroupMessage)     // POST /api/group-chats/:groupId/messages/:messageId/star - Star message
+  .delete(unstarMessage);     // DELETE /api/group-chats/:groupId/messages/:messageId/star - Unstar message
+
+// Polls Routes
+router.post('/:groupId/polls', sendGroupPoll); // POST /api/group-chats/:groupId/polls - Send a poll
+
+router.get('/:groupId/messages/:messageId/poll', getGroupPollResults); // GET /api/group-chats/:groupId/messages/:messageId/poll - Poll results
+
+router.route('/:groupId/messages/:messageId/poll/vote')
+  .post(voteGroupPoll)        // POST /api/group-chats/:groupId/messages/:messageId/poll/vote - Vote / change vote
+  .delete(retractGroupPollVote); // DELETE /api/group-chats/:groupId/messages/:messageId/poll/vote - Retract vote
+
+router.post('/:groupId/messages/:messageId/poll/close', closeGroupPoll); // POST /api/group-chats/:groupId/messages/:messageId/poll/close - Close poll
+
+// Threads Routes
+router.get('/:groupId/threads', getFollowedGroupThreads); // GET /api/group-chats/:groupId/threads - Threads I follow with unread counts
+
+router.route('/:groupId/messages/:messageId/thread')
+  .get(getThreadReplies)      // GET /api/group-chats/:groupId/messages/:messageId/thread - Thread replies
+  .post(replyInThread);       // POST /api/group-chats/:groupId/messages/:messageId/thread - Reply in thread
+
+router.post('/:groupId/messages/:messageId/thread/read', markGroupThreadAsRead); // POST /api/group-chats/:groupId/messages/:messageId/thread/read - Mark thread read
+
+router.route('/:groupId/messages/:messageId/thread/follow')
+  .post(followGroupThread)    // POST /api/group-chats/:groupId/messages/:messageId/thread/follow - Follow thread
+  .delete(unfollowGroupThread); // DELETE /api/group-chats/:groupId/messages/:messageId/thread/follow - Unfollow thread
+
 router.route('/:groupId/messages/:messageId/reactions')
   .post(toggleGroupMessageReaction); // POST /api/group-chats/:groupId/messages/:messageId/reactions - Toggle reaction
 
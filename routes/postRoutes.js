@@ -41,6 +41,13 @@ const {
   deleteReply
 } = require('../controllers/commentController');
 
+const {
+  getPostPollResults,
+  votePostPoll,
+  retractPostPollVote,
+  closePostPoll
+} = require('../controllers/pollController');
+
 // ===== OLD POST ROUTES (Simple status posts) =====
 // @route   POST /api/posts/status
 // @desc    Create a new status post
@@ -138,6 +145,27 @@ router.post('/:postId/like', protect, toggleLike);
 // @access  Private
 router.post('/:postId/bookmark', protect, toggleBookmark);
 
+// ===== POLL ROUTES =====
+// @route   GET /api/posts/:postId/poll
+// @desc    Get poll results for a poll post
+// @access  Private
+router.get('/:postId/poll', protect, getPostPollResults);
+
+// @route   POST /api/posts/:postId/poll/vote
+// @desc    Vote (or change vote) in a poll post
+// @access  Private
+router.post('/:postId/poll/vote', protect, votePostPoll);
+
+// @route   DELETE /api/posts/:postId/poll/vote
+// @desc    Retract vote in a poll post
+// @access  Private
+router.delete('/:postId/poll/vote', protect, retractPostPollVote);
+
+// @route   POST /api/posts/:postId/poll/close
+// @desc    Close a poll post (author only)
+// @access  Private
+router.post('/:postId/poll/close', protect, closePostPoll);
+
 // ===== COMMENT ROUTES =====
 // @route   POST /api/posts/:postId/comments
 // @desc    Create a comment on a post
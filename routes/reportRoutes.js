@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createReport,
+  getMyReports,
+  getReportReasons
+} = require('../controllers/reportController');
+const { protect } = require('../middleware/authMiddleware');
+const { reportLimiter } = require('../middleware/rateLimiter');
+
+// All routes are protected (require authentication)
+router.use(protect);
+
+// @route   POST /api/reports
+// @desc    Report content or a profile
+// @access  Private
+router.post('/', reportLimiter, createReport);
+
+// @route   GET /api/reports/mine
+// @desc    Get my reports and their outcome
+// @access  Private
+router.get('/mine', getMyReports);
+
+// @route   GET /api/reports/reasons
+// @desc    Get reportable target types and reasons
+// @access  Private
+router.get('/reasons', getReportReasons);
+
+module.exports = router;
@@ -9,6 +9,8 @@ const {
   canSeeUserStatus,
   getStatusViewers,
   getUserGroups,
+  getAwayReplyExclusions,
+  updateAwayReplyExclusions,
 } = require('../controllers/statusPrivacyController');
 const { protect } = require('../middleware/authMiddleware');
 
@@ -36,6 +38,11 @@ router.get('/can-see/:userId', canSeeUserStatus);
 router.get('/viewers/:statusId', getStatusViewers);
 router.get('/viewers', getStatusViewers);
 
+// Contacts and groups who don't get the status away message
+router.route('/away-replies')
+  .get(getAwayReplyExclusions)
+  .put(updateAwayReplyExclusions);
+
 // Helper routes
 router.get('/groups', getUserGroups);
 
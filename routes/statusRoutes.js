@@ -22,8 +22,12 @@ const {
   deleteStatusSchedule,
   getUpcomingStatusSchedules,
   getExpandedSchedules,
+  getScheduleTimeline,
   createScheduleFromTemplate,
   createRecurringSchedule,
+  updateScheduleOccurrence,
+  cancelScheduleOccurrence,
+  restoreScheduleOccurrence,
   getStatusAnalytics: getScheduleAnalytics,
 } = require('../controllers/statusScheduleController');
 // Status schedule controllers removed - now using user-specific endpoints only
@@ -71,6 +75,9 @@ router.route('/schedules/upcoming')
 router.route('/schedules/expanded')
   .get(protect, getExpandedSchedules);
 
+router.route('/schedules/timeline')
+  .get(protect, getScheduleTimeline);
+
 router.route('/schedules/recurring')
   .post(protect, createRecurringSchedule);
 
@@ -81,6 +88,14 @@ router.route('/schedules/:id')
   .put(protect, updateStatusSchedule)
   .delete(protect, deleteStatusSchedule);
 
+// Single occurrences of a recurring schedule, by original start (ISO time)
+router.route('/schedules/:id/occurrences/:occurrenceStart')
+  .put(protect, updateScheduleOccurrence)
+  .delete(protect, cancelScheduleOccurrence);
+
+router.route('/schedules/:id/occurrences/:occurrenceStart/override')
+  .delete(protect, restoreScheduleOccurrence);
+
 // 🆕 Enhanced Analytics Route
 router.route('/analytics')
   .get(protect, getScheduleAnalytics);
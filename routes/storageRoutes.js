@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const storage = require('../services/storageProvider');
+const { protect } = require('../middleware/authMiddleware');
+const { streamStoredFile } = require('../middleware/videoStreamingMiddleware');
+
+/**
+ * Signed URLs: issued for any stored file by the active provider. Object
+ * storage hands out its own pre-signed URLs; those of the local disk
+ * provider are served below.
+ */
+
+const DEFAULT_SIGNED_URL_SECONDS = 60 * 60;
+// S3 pre-signed URLs cannot outlive a week
+const MAX_SIGNED_URL_SECONDS = 7 * 24 * 60 * 60;
+
+// @route   GET /api/storage/signed-url?path=/uploads/...&expiresIn=
+// @desc    Issue a time-limited URL for a stored file
+// @access  Private
+router.get('/signed-url', protect, async (req, res) => {
+  const key = storage.keyFromPath(req.query.path);
+  if (!key || storage.isPrivateKey(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'path must be an /uploads/... URL or storage key'
+    });
+  }
+
+  const requested = parseInt(req.query.expiresIn, 10) || DEFAULT_SIGNED_URL_SECONDS;
+  const expiresIn = Math.min(Math.max(requested, 60), MAX_SIGNED_URL_SECONDS);
+
+  try {
+    if (!await storage.exists(key)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const url = await storage.getSignedUrl(key, { expiresIn });
+    res.status(200).json({
+      success: true,
+      data: {
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('❌ [STORAGE] Signed URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create signed URL'
+    });
+  }
+});
+
+// @route   GET /api/storage/signed/*key?expires=&signature=
+// @desc    Serve a stored file through a time-limited signed URL
+// @access  Public (the signature is the credential)
+router.get('/signed/*key', async (req, res) => {
+  const provider = storage.getProvider();
+  const key = storage.keyFromPath(req.params.key.join('/'));
+
+  if (!provider.verifySignature || !key || !provider.verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  try {
+    res.type(path.extname(key) || 'application/octet-stream');
+    await streamStoredFile(req, res, key, res.get('Content-Type'));
+  } catch (error) {
+    console.error('❌ [STORAGE] Signed file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to serve file'
+      });
+    }
+  }
+});
+
+module.exports = router;
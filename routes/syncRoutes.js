@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+  getSyncChanges,
+  acknowledgeSyncEntries
+} = require('../controllers/syncController');
+
+// All sync routes require authentication
+router.use(protect);
+
+// @route   GET /api/sync/changes
+// @desc    Pull everything sent to the user after a sync cursor
+// @access  Private
+router.get('/changes', getSyncChanges);
+
+// @route   POST /api/sync/ack
+// @desc    Acknowledge outbox entries received by a device
+// @access  Private
+router.post('/ack', acknowledgeSyncEntries);
+
+module.exports = router;
@@ -18,6 +18,10 @@ const {
   verifyEncryptionPin,
   updateEncryptionSettings,
   getEncryptionSettings,
+  getReadReceiptsSetting,
+  updateReadReceiptsSetting,
+  getTimezoneSetting,
+  updateTimezoneSetting,
   verifyUserPassword,
   getUserByUsername
 } = require('../controllers/userController');
@@ -30,7 +34,18 @@ const {
   syncAllProfileImages,
   getSyncStatus
 } = require('../controllers/syncProfileImagesController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  requestDeletionCode,
+  deleteMyAccount,
+  getDeletionReceipt
+} = require('../controllers/accountDeletionController');
+const {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+} = require('../controllers/dataExportController');
+const { protect, optionalProtect } = require('../middleware/authMiddleware');
 
 // Connection statistics routes (must be before generic routes)
 router.route('/connection-stats')
@@ -57,6 +72,19 @@ router.route('/profile')
 router.route('/contacts')
   .get(protect, getUserContacts);
 
+// Account deletion - OTP confirmed, purged after the grace period
+router.post('/me/delete/otp', protect, requestDeletionCode);
+router.post('/me/delete', protect, deleteMyAccount);
+router.get('/deletion-receipts/:receiptId', getDeletionReceipt);
+
+// Personal data export - ZIP built in the background, download link by email
+router.route('/me/exports')
+  .post(protect, requestDataExport)
+  .get(protect, getDataExports);
+router.get('/me/exports/:exportId', protect, getDataExport);
+// Works signed in or with the token from the email
+router.get('/me/exports/:exportId/download', optionalProtect, downloadDataExport);
+
 // Public routes
 router.post('/', registerUser);
 router.post('/login', loginUser);
@@ -93,6 +121,16 @@ router.route('/encryption-settings')
   .get(protect, getEncryptionSettings)
   .post(protect, updateEncryptionSettings);
 
+// Read receipts privacy setting
+router.route('/read-receipts')
+  .get(protect, getReadReceiptsSetting)
+  .put(protect, updateReadReceiptsSetting);
+
+// Time zone routines repeat in
+router.route('/timezone')
+  .get(protect, getTimezoneSetting)
+  .put(protect, updateTimezoneSetting);
+
 router.route('/verify-password')
   .post(protect, verifyUserPassword);
 
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Drop the legacy TTL index on groupmessages.expiresAt.
+ *
+ * Disappearing group messages are now purged by messageCleanupScheduler so
+ * members get a `group:messages_expired` event. With the old TTL index still in
+ * place MongoDB may delete them first and clients never hear about it.
+ */
+const dropGroupMessageTtlIndex = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const collection = mongoose.connection.db.collection('groupmessages');
+    const indexes = await collection.indexes();
+    const ttlIndex = indexes.find(index => index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined);
+
+    if (!ttlIndex) {
+      console.log('ℹ️ No TTL index on groupmessages.expiresAt - nothing to do');
+    } else {
+      await collection.dropIndex(ttlIndex.name);
+      console.log(`✅ Dropped TTL index: ${ttlIndex.name}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+};
+
+dropGroupMessageTtlIndex();
@@ -0,0 +1,91 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const StatusSchedule = require('../models/statusScheduleModel');
+const recurrence = require('../utils/recurrence');
+
+/**
+ * Store an RRULE on status schedules that only have the legacy
+ * repeat/recurrenceConfig fields.
+ *
+ * The recurrence engine already derives the same rule on the fly, so this
+ * changes no behaviour - it makes the stored rule the source of truth and pins
+ * each schedule's zone (the server's zone, which is what those schedules were
+ * always evaluated in) so a later server or default change cannot move them.
+ * Schedules that already have a rule are skipped; safe to re-run.
+ *
+ * Usage:
+ * node scripts/migrate-schedule-rules.js
+ *
+ * Options:
+ * --dry-run          : Print the rules that would be stored
+ * --timezone=Zone/X  : Zone to pin instead of the server's (IANA name)
+ */
+
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const timezone = args.find(arg => arg.startsWith('--timezone='))?.split('=')[1] || recurrence.DEFAULT_TIMEZONE;
+
+const stats = {
+  found: 0,
+  migrated: 0,
+  oneOff: 0,
+  errors: 0
+};
+
+const migrateScheduleRules = async () => {
+  try {
+    if (!recurrence.isValidTimeZone(timezone)) {
+      console.error(`❌ ${timezone} is not a valid IANA time zone`);
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`🔁 Storing RRULEs for legacy schedules in ${timezone}${isDryRun ? ' (dry run)' : ''}`);
+
+    const cursor = StatusSchedule.find({
+      repeat: { $nin: ['none', 'custom'] },
+      $or: [{ rrule: null }, { rrule: { $exists: false } }]
+    }).lean().cursor();
+
+    for await (const schedule of cursor) {
+      stats.found++;
+      try {
+        const rrule = recurrence.legacyRRule(schedule);
+        if (!rrule) {
+          // e.g. custom_days with no days - never repeated
+          stats.oneOff++;
+          continue;
+        }
+
+        if (isDryRun) {
+          console.log(`  would set ${schedule._id} (${schedule.repeat}) to ${rrule}`);
+          continue;
+        }
+
+        // updateOne skips the model's hooks, which would re-derive the same rule
+        await StatusSchedule.updateOne(
+          { _id: schedule._id },
+          { $set: { rrule, timezone: schedule.timezone || timezone } }
+        );
+        stats.migrated++;
+      } catch (error) {
+        stats.errors++;
+        console.error(`  ❌ ${schedule._id}: ${error.message}`);
+      }
+    }
+
+    console.log('\n📊 Schedule rule migration summary');
+    console.log(`  Legacy schedules:  ${stats.found}`);
+    console.log(`  Migrated:          ${stats.migrated}`);
+    console.log(`  Not repeating:     ${stats.oneOff}`);
+    console.log(`  Errors:            ${stats.errors}`);
+
+    await mongoose.disconnect();
+    process.exit(stats.errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateScheduleRules();
@@ -0,0 +1,99 @@
+require('dotenv').config();
+const mime = require('mime-types');
+const storage = require('../services/storageProvider');
+
+/**
+ * Copy existing files from uploads/ to the storage provider set in STORAGE_DRIVER.
+ *
+ * Database URLs keep their '/uploads/<key>' form, so nothing else needs
+ * rewriting: once the files are copied the server serves them from the new
+ * provider. Objects already stored with the same size are skipped, which makes
+ * the script safe to re-run after an interruption.
+ *
+ * Usage:
+ * STORAGE_DRIVER=s3 node scripts/migrate-storage.js
+ *
+ * Options:
+ * --dry-run       : List what would be copied without copying it
+ * --delete-local  : Remove each local file once its copy is verified
+ * --prefix=dir/   : Only migrate keys under this prefix, e.g. post-media/
+ */
+
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const deleteLocal = args.includes('--delete-local');
+const prefix = args.find(arg => arg.startsWith('--prefix='))?.split('=')[1] || '';
+
+const stats = {
+  found: 0,
+  copied: 0,
+  alreadyPresent: 0,
+  localDeleted: 0,
+  errors: 0,
+  bytesCopied: 0,
+  startTime: Date.now()
+};
+
+const migrateStorage = async () => {
+  try {
+    const source = storage.getProvider('local');
+    const target = storage.getProvider();
+
+    if (target.isLocal) {
+      console.error('❌ STORAGE_DRIVER points at local disk - set it to the target provider (e.g. s3)');
+      process.exit(1);
+    }
+
+    console.log(`🚚 Migrating uploads/${prefix} to ${target.name}${isDryRun ? ' (dry run)' : ''}`);
+
+    const objects = await source.list(prefix);
+    stats.found = objects.length;
+
+    for (const { key, size } of objects) {
+      try {
+        const existing = await target.stat(key);
+        if (existing && existing.size === size) {
+          stats.alreadyPresent++;
+        } else if (isDryRun) {
+          console.log(`  would copy ${key} (${size} bytes)`);
+          continue;
+        } else {
+          await target.putFile(key, source.localPath(key), {
+            contentType: mime.lookup(key) || 'application/octet-stream'
+          });
+
+          const copy = await target.stat(key);
+          if (!copy || copy.size !== size) {
+            throw new Error(`size mismatch after upload (${copy ? copy.size : 'missing'} != ${size})`);
+          }
+          stats.copied++;
+          stats.bytesCopied += size;
+        }
+
+        if (deleteLocal && !isDryRun) {
+          await source.remove(key);
+          stats.localDeleted++;
+        }
+      } catch (error) {
+        stats.errors++;
+        console.error(`  ❌ ${key}: ${error.message}`);
+      }
+    }
+
+    const duration = ((Date.now() - stats.startTime) / 1000).toFixed(1);
+    console.log('\n📊 Storage migration summary');
+    console.log(`  Files found:       ${stats.found}`);
+    console.log(`  Copied:            ${stats.copied} (${(stats.bytesCopied / 1024 / 1024).toFixed(1)} MB)`);
+    console.log(`  Already present:   ${stats.alreadyPresent}`);
+    console.log(`  Local deleted:     ${stats.localDeleted}`);
+    console.log(`  Errors:            ${stats.errors}`);
+    console.log(`  Duration:          ${duration}s`);
+
+    process.exit(stats.errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateStorage();
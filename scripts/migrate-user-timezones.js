@@ -0,0 +1,108 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const PrimaryTimeProfile = require('../models/PrimaryTimeProfile');
+const recurrence = require('../utils/recurrence');
+const { inferTimeZone, setUserTimezone } = require('../services/userTimezoneService');
+
+/**
+ * Give users without an IANA zone one, from the getTimezoneOffset() value
+ * their app sent with Primary Time profiles and their phone number's country.
+ *
+ * A fixed offset cannot follow DST, so the offset is matched against zones at
+ * the time it was recorded. Daily schedule slots, which were built from the
+ * server's local time, are moved to the same local times in the user's zone;
+ * other schedules keep their instants and are pinned to it. Users who already
+ * have a zone are skipped; safe to re-run.
+ *
+ * Usage:
+ * node scripts/migrate-user-timezones.js
+ *
+ * Options:
+ * --dry-run          : Print the zone each user would get
+ * --timezone=Zone/X  : Zone for users nothing is known about (default: leave them unset)
+ */
+
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const fallbackTimezone = args.find(arg => arg.startsWith('--timezone='))?.split('=')[1] || null;
+
+const stats = {
+  found: 0,
+  migrated: 0,
+  fallback: 0,
+  unresolved: 0,
+  movedSchedules: 0,
+  errors: 0
+};
+
+const migrateUserTimezones = async () => {
+  try {
+    if (fallbackTimezone && !recurrence.isValidTimeZone(fallbackTimezone)) {
+      console.error(`❌ ${fallbackTimezone} is not a valid IANA time zone`);
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`🌍 Assigning time zones to users without one${isDryRun ? ' (dry run)' : ''}`);
+
+    const cursor = User.find({ $or: [{ timezone: null }, { timezone: { $exists: false } }] })
+      .select('_id userId phoneNumber timezone')
+      .cursor();
+
+    for await (const user of cursor) {
+      stats.found++;
+      try {
+        const profile = await PrimaryTimeProfile.findOne({ userId: user._id })
+          .sort({ updatedAt: -1 })
+          .select('timezoneOffset updatedAt createdAt')
+          .lean();
+
+        // 0 is the schema default on profiles saved before the app sent its offset
+        const timezoneOffset = profile?.timezoneOffset ? profile.timezoneOffset : null;
+        let timezone = inferTimeZone({
+          timezoneOffset,
+          recordedAt: profile?.updatedAt || profile?.createdAt,
+          phoneNumber: user.phoneNumber
+        });
+
+        if (!timezone) {
+          if (!fallbackTimezone) {
+            stats.unresolved++;
+            continue;
+          }
+          timezone = fallbackTimezone;
+          stats.fallback++;
+        }
+
+        if (isDryRun) {
+          console.log(`  would set ${user.userId} to ${timezone}${timezoneOffset !== null ? ` (offset ${timezoneOffset})` : ''}`);
+          continue;
+        }
+
+        const result = await setUserTimezone(user, timezone);
+        stats.movedSchedules += result.movedSchedules;
+        stats.migrated++;
+      } catch (error) {
+        stats.errors++;
+        console.error(`  ❌ ${user.userId}: ${error.message}`);
+      }
+    }
+
+    console.log('\n📊 User time zone migration summary');
+    console.log(`  Users without a zone: ${stats.found}`);
+    console.log(`  Migrated:             ${stats.migrated}`);
+    console.log(`  Used --timezone:      ${stats.fallback}`);
+    console.log(`  Left unset:           ${stats.unresolved}`);
+    console.log(`  Daily slots moved:    ${stats.movedSchedules}`);
+    console.log(`  Errors:               ${stats.errors}`);
+
+    await mongoose.disconnect();
+    process.exit(stats.errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateUserTimezones();
@@ -30,7 +30,7 @@ const {
 
 } = require('./middleware/performanceMiddleware');
 
-const { videoStreamingHandler, mediaCacheControl } = require('./middleware/videoStreamingMiddleware');
+const { videoStreamingHandler, mediaCacheControl, serveUploads } = require('./middleware/videoStreamingMiddleware');
 
 const connectDB = require('./config/db');
 
@@ -114,6 +114,8 @@ const connectionRoutes = require('./routes/connectionRoutes');
 
 const blockRoutes = require('./routes/blockRoutes');
 
+const reportRoutes = require('./routes/reportRoutes');
+
 const callRoutes = require('./routes/callRoutes');
 
 const locationRoutes = require('./routes/locationRoutes');
@@ -150,6 +152,8 @@ const placesRoutes = require('./routes/placesRoutes');
 
 const encryptedFileRoutes = require('./routes/encryptedFileRoutes');
 
+const storageRoutes = require('./routes/storageRoutes');
+
 const imageSpaceRoutes = require('./routes/imageSpaceRoutes');
 
 const musicRoutes = require('./routes/musicRoutes');
@@ -580,6 +584,8 @@ app.use('/api/connections', apiLimiter, connectionRoutes); // Connection request
 
 app.use('/api/blocks', apiLimiter, blockRoutes); // User blocking management routes
 
+app.use('/api/reports', apiLimiter, reportRoutes); // Content reporting (moderation queue is under /api/admin)
+
 app.use('/api/calls', apiLimiter, callRoutes); // Call history and management routes
 
 app.use('/api/agents', apiLimiter, agentRoutes); // Agentic framework management routes
@@ -630,6 +636,8 @@ app.use('/api', apiLimiter, require('./routes/commentMentionsRoutes')); // Comme
 
 app.use('/api/chat-games', apiLimiter, require('./routes/chatGameRoutes')); // In-chat games (Tic-Tac-Toe)
 
+app.use('/api/sync', apiLimiter, require('./routes/syncRoutes')); // Offline outbox sync cursor and acks
+
 app.use('/api/intent-notifications', apiLimiter, require('./routes/intentNotificationRoutes')); // Intent notifications (visual contact indicators)
 
 app.use('/api/places', apiLimiter, placesRoutes); // Places caching and nearby places (Geoapify integration)
@@ -672,6 +680,8 @@ app.use('/api/admin', adminAuthMiddleware, adminDashboardRoutes); // Admin panel
 
 app.use('/api', encryptedFileRoutes);
 
+app.use('/api/storage', storageRoutes); // Signed URLs for stored files
+
 
 
 // 🔐 MEDIA DECRYPTION MIDDLEWARE - DISABLED (encryption disabled for better performance)
@@ -696,8 +706,7 @@ app.use('/uploads/profile-images', validateProfileImage);
 
 app.use('/uploads/post-media', mediaCacheControl, videoStreamingHandler('post-media'));
 
-app.use('/uploads/music-library', mediaCacheControl, express.static(path.join(__dirname, 'uploads', 'music-library')));
-app.use('/uploads', mediaCacheControl, express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', mediaCacheControl, serveUploads()); // Local disk or object storage (STORAGE_DRIVER)
 
 
 
@@ -0,0 +1,367 @@
+/**
+ * Account Deletion Service
+ * Self-service account deletion. A request confirmed by OTP logs the user out
+ * everywhere, cancels their pending scheduled messages and schedules the purge
+ * after a grace period; signing in again during the grace period cancels it.
+ * The purge removes the user's content across collections (plus DocSpace
+ * files and uploaded media in storage) and leaves the AccountDeletion
+ * document behind as the deletion receipt.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const AccountDeletion = require('../models/AccountDeletion');
+const User = require('../models/userModel');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const FeedPost = require('../models/FeedPost');
+const Comment = require('../models/Comment');
+const Story = require('../models/storyModel');
+const Blink = require('../models/blinkModel');
+const Pulse = require('../models/Pulse');
+const DocSpace = require('../models/DocSpace');
+const Friend = require('../models/Friend');
+const Call = require('../models/callModel');
+const AIInstance = require('../models/aiInstanceModel');
+const AuthSession = require('../models/AuthSession');
+const OutboxEntry = require('../models/OutboxEntry');
+const OutboxSequence = require('../models/OutboxSequence');
+const SyncDevice = require('../models/SyncDevice');
+const DataExport = require('../models/DataExport');
+const Report = require('../models/Report');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const StarredMessage = require('../models/StarredMessage');
+const PollVote = require('../models/PollVote');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const GroupThreadFollow = require('../models/GroupThreadFollow');
+const StatusSchedule = require('../models/statusScheduleModel');
+const AwayReplyLog = require('../models/AwayReplyLog');
+const CalendarSubscription = require('../models/CalendarSubscription');
+const MediaAsset = require('../models/MediaAsset');
+const otpService = require('./otpService');
+const emailService = require('./emailService');
+const storage = require('./storageProvider');
+const { revokeAllSessions } = require('./sessionService');
+const { removeVotesOfUser } = require('./pollService');
+const { removeArchive } = require('./dataExportService');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errorClasses');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+// Accounts purged per scheduler run
+const PURGE_BATCH_SIZE = 20;
+const OTP_TYPE = 'account_deletion';
+
+const formatRequest = (deletion) => ({
+  receiptId: deletion.receiptId,
+  status: deletion.status,
+  requestedAt: deletion.requestedAt,
+  scheduledFor: deletion.scheduledFor,
+  cancelledAt: deletion.cancelledAt,
+  completedAt: deletion.completedAt
+});
+
+/**
+ * Send the confirmation code - by email, or by SMS for accounts without one
+ * @returns {Promise<Object>} - { channel, expiresIn }
+ */
+const sendDeletionOtp = async (user, req) => {
+  if (user.email) {
+    const result = await otpService.createOTP(user.email.toLowerCase(), OTP_TYPE, req.ip, req.get('user-agent'));
+    if (!result.success) {
+      throw new BadRequestError(result.error);
+    }
+
+    const emailResult = await emailService.sendOTP(user.email, result.otp, OTP_TYPE);
+    if (!emailResult.success) {
+      throw new Error('Failed to send confirmation email. Please try again.');
+    }
+    return { channel: 'email', expiresIn: 60 };
+  }
+
+  const result = await otpService.createPhoneOTP(user.phoneNumber, OTP_TYPE, req.ip, req.get('user-agent'));
+  if (!result.success) {
+    throw new BadRequestError(result.error);
+  }
+  return { channel: 'sms', expiresIn: result.expiresIn };
+};
+
+const verifyDeletionOtp = async (user, otp) => {
+  if (user.email) {
+    const result = await otpService.verifyOTP(user.email.toLowerCase(), String(otp), OTP_TYPE);
+    if (!result.success) throw new BadRequestError(result.error);
+    return 'email_otp';
+  }
+
+  const result = await otpService.verifyPhoneOTP(user.phoneNumber, String(otp), OTP_TYPE);
+  if (!result.success) throw new BadRequestError(result.error);
+  return 'phone_otp';
+};
+
+/**
+ * Confirm a deletion request with the OTP and start the grace period
+ * @param {Object} user - User document
+ * @param {Object} input - { otp, reason }
+ * @returns {Promise<Object>} - The pending request
+ */
+const requestDeletion = async (user, { otp, reason = null }) => {
+  if (!otp) {
+    throw new BadRequestError('Confirmation code is required');
+  }
+
+  const existing = await AccountDeletion.findOne({ userId: user.userId, status: 'pending' });
+  if (existing) {
+    throw new ConflictError('Account deletion is already scheduled');
+  }
+
+  const verifiedVia = await verifyDeletionOtp(user, otp);
+
+  let deletion;
+  try {
+    deletion = await AccountDeletion.create({
+      receiptId: uuidv4(),
+      userId: user.userId,
+      reason: typeof reason === 'string' ? reason.trim().substring(0, 500) || null : null,
+      verifiedVia,
+      scheduledFor: new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('Account deletion is already scheduled');
+    }
+    throw error;
+  }
+
+  // Stop pushes to the account and sign every device out
+  await User.updateOne({ _id: user._id }, { $set: { fcmTokens: [], deviceTokens: [] } });
+  await revokeAllSessions(user.userId, 'account_deletion');
+
+  // Nothing goes out in the name of an account that is being deleted
+  await ScheduledMessage.updateMany(
+    { senderId: user.userId, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), lastError: 'Account deletion requested' } }
+  );
+
+  console.log(`🗑️ [ACCOUNT DELETION] ${user.userId} scheduled for deletion on ${deletion.scheduledFor.toISOString()}`);
+  return formatRequest(deletion);
+};
+
+/**
+ * Cancel a pending request (signing in during the grace period does this too)
+ * @param {string} userId
+ * @param {string} cancelledBy - 'login' | 'user'
+ * @returns {Promise<Object|null>} - The cancelled request, null if none was pending
+ */
+const cancelDeletion = async (userId, cancelledBy = 'user') => {
+  const deletion = await AccountDeletion.findOneAndUpdate(
+    { userId, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy } },
+    { new: true }
+  );
+
+  if (deletion) {
+    console.log(`↩️ [ACCOUNT DELETION] Deletion of ${userId} cancelled (${cancelledBy})`);
+  }
+  return deletion ? formatRequest(deletion) : null;
+};
+
+/**
+ * Deletion receipt (kept after the account is gone)
+ */
+const getReceipt = async (receiptId) => {
+  const deletion = await AccountDeletion.findOne({ receiptId, status: 'completed' }).lean();
+  if (!deletion) {
+    throw new NotFoundError('Deletion receipt not found');
+  }
+
+  return {
+    receiptId: deletion.receiptId,
+    userId: deletion.userId,
+    requestedAt: deletion.requestedAt,
+    verifiedVia: deletion.verifiedVia,
+    completedAt: deletion.completedAt,
+    purged: deletion.purged,
+    filesDeleted: deletion.filesDeleted
+  };
+};
+
+// Uploaded originals and every derivative the processing pipeline made
+const deleteMediaAssets = async (userId) => {
+  const assets = await MediaAsset.find({ ownerId: userId }).lean();
+  for (const asset of assets) {
+    const urls = [asset.url, asset.thumbnailUrl, asset.posterUrl, ...Object.values(asset.variants || {})];
+    await Promise.all([...new Set(urls.filter(Boolean))].map(url => storage.remove(url)));
+  }
+  return MediaAsset.deleteMany({ ownerId: userId });
+};
+
+const deleteDocSpaceFiles = async (userId) => {
+  const docSpace = await DocSpace.findOne({ userId }).lean();
+  if (!docSpace) return 0;
+
+  let deleted = 0;
+  for (const document of docSpace.documents || []) {
+    if (!(await storage.exists(document.fileUrl))) continue;
+    await storage.remove(document.fileUrl);
+    deleted++;
+  }
+  return deleted;
+};
+
+/**
+ * Every piece of user data the purge removes. Steps are idempotent so a purge
+ * that failed halfway is simply run again.
+ */
+const PURGE_STEPS = [
+  // Ballots first, while the polls they count towards still exist
+  ['pollVotes', ({ userId }) => removeVotesOfUser(userId)],
+  ['pollVotesOnContent', async ({ userId }) => {
+    const [messageIds, groupMessageIds, postIds] = await Promise.all([
+      Message.distinct('_id', { $or: [{ senderId: userId }, { receiverId: userId }], poll: { $ne: null } }),
+      GroupMessage.distinct('_id', { senderId: userId, poll: { $ne: null } }),
+      FeedPost.distinct('_id', { userId, poll: { $ne: null } })
+    ]);
+    return PollVote.deleteMany({
+      $or: [
+        { targetType: 'message', targetId: { $in: messageIds } },
+        { targetType: 'group_message', targetId: { $in: groupMessageIds } },
+        { targetType: 'post', targetId: { $in: postIds } }
+      ]
+    });
+  }],
+  // The user's own stars, and other people's stars of messages that go below
+  ['starredMessages', ({ userId }) => StarredMessage.deleteMany({
+    $or: [{ userId }, { senderId: userId }, { contactId: userId }]
+  })],
+  ['scheduledMessages', ({ userId }) => ScheduledMessage.deleteMany({ $or: [{ senderId: userId }, { receiverId: userId }] })],
+  ['messages', ({ userId }) => Message.deleteMany({ $or: [{ senderId: userId }, { receiverId: userId }] })],
+  ['groupMessages', ({ userId }) => GroupMessage.deleteMany({ senderId: userId })],
+  // Other people's comments on the user's posts go with the posts
+  ['postComments', async ({ userId }) => {
+    const postIds = await FeedPost.distinct('_id', { userId });
+    return Comment.deleteMany({ postType: 'FeedPost', postId: { $in: postIds } });
+  }],
+  ['feedPosts', ({ userId }) => FeedPost.deleteMany({ userId })],
+  ['comments', ({ userId }) => Comment.deleteMany({ userId })],
+  ['commentReplies', ({ userId }) => Comment.updateMany({ 'replies.userId': userId }, { $pull: { replies: { userId } } })],
+  ['stories', ({ userId }) => Story.deleteMany({ userId })],
+  ['blinks', ({ userId }) => Blink.deleteMany({ userId })],
+  ['blinkInteractions', ({ userId }) => Blink.updateMany(
+    { $or: [{ 'seenBy.userId': userId }, { 'likes.userId': userId }, { recipients: userId }] },
+    { $pull: { seenBy: { userId }, likes: { userId }, recipients: userId } }
+  )],
+  ['pulses', ({ userId }) => Pulse.deleteMany({ $or: [{ senderId: userId }, { receiverId: userId }] })],
+  ['docSpaces', ({ userId }) => DocSpace.deleteMany({ userId })],
+  ['docSpaceAccess', ({ userId }) => DocSpace.updateMany(
+    { $or: [{ 'generalAccessList.userId': userId }, { 'documentSpecificAccess.userId': userId }] },
+    { $pull: { generalAccessList: { userId }, documentSpecificAccess: { userId } } }
+  )],
+  ['groupMemberships', ({ userId }) => GroupMember.deleteMany({ userId })],
+  ['groupChats', ({ userId }) => GroupChat.updateMany(
+    { $or: [{ members: userId }, { admins: userId }] },
+    [
+      {
+        $set: {
+          members: { $filter: { input: '$members', cond: { $ne: ['$$this', userId] } } },
+          admins: { $filter: { input: '$admins', cond: { $ne: ['$$this', userId] } } }
+        }
+      },
+      { $set: { memberCount: { $size: '$members' } } }
+    ]
+  )],
+  ['groupThreadFollows', ({ userId }) => GroupThreadFollow.deleteMany({ userId })],
+  ['friends', ({ userId }) => Friend.deleteMany({ $or: [{ userId }, { friendUserId: userId }] })],
+  ['calls', ({ userId }) => Call.deleteMany({ $or: [{ callerId: userId }, { receiverId: userId }] })],
+  // AI instances were keyed by Mongo _id at registration, by userId elsewhere
+  ['aiInstances', ({ userId, objectId }) => AIInstance.deleteMany({ userId: { $in: [userId, objectId] } })],
+  ['sessions', ({ userId }) => AuthSession.deleteMany({ userId })],
+  ['outboxEntries', ({ userId }) => OutboxEntry.deleteMany({ userId })],
+  ['outboxSequences', ({ userId }) => OutboxSequence.deleteMany({ userId })],
+  ['syncDevices', ({ userId }) => SyncDevice.deleteMany({ userId })],
+  ['statusSchedules', ({ userId }) => StatusSchedule.deleteMany({ userId })],
+  ['calendarSubscriptions', ({ userId }) => CalendarSubscription.deleteMany({ userId })],
+  ['awayReplies', ({ userId }) => AwayReplyLog.deleteMany({ $or: [{ userId }, { contactId: userId }] })],
+  ['mediaAssets', ({ userId }) => deleteMediaAssets(userId)],
+  // Reports the user filed; cases about their content stay for the audit trail
+  ['reports', ({ userId }) => Report.deleteMany({ reporterId: userId })],
+  ['dataExports', async ({ userId }) => {
+    const exports = await DataExport.find({ userId }).select('+filePath').lean();
+    await Promise.all(exports.filter(e => e.filePath).map(removeArchive));
+    return DataExport.deleteMany({ userId });
+  }],
+  // Last - FCM and device tokens go with the user document
+  ['user', ({ userId }) => User.deleteOne({ userId })]
+];
+
+const resultCount = (result) => (typeof result === 'number' ? result : result?.deletedCount ?? result?.modifiedCount ?? 0);
+
+/**
+ * Remove all data of one user and complete the receipt
+ * @param {Object} deletion - Pending AccountDeletion document
+ */
+const purgeAccount = async (deletion) => {
+  const { userId } = deletion;
+  const user = await User.findOne({ userId }).select('_id').lean();
+  const context = { userId, objectId: user ? user._id.toString() : null };
+
+  const purged = { ...(deletion.purged || {}) };
+  let filesDeleted = 0;
+
+  try {
+    // Files first - the DocSpace document is what tells us where they are
+    filesDeleted = await deleteDocSpaceFiles(userId);
+
+    for (const [name, step] of PURGE_STEPS) {
+      purged[name] = (purged[name] || 0) + resultCount(await step(context));
+    }
+
+    await AccountDeletion.updateOne(
+      { _id: deletion._id },
+      {
+        $set: { status: 'completed', completedAt: new Date(), purged, lastError: null },
+        $inc: { filesDeleted, attempts: 1 }
+      }
+    );
+
+    console.log(`🗑️ [ACCOUNT DELETION] Purged ${userId} (receipt ${deletion.receiptId})`);
+    return true;
+  } catch (error) {
+    console.error(`❌ [ACCOUNT DELETION] Purge of ${userId} failed:`, error.message);
+    // Keep the progress so the receipt adds up after the retry
+    await AccountDeletion.updateOne(
+      { _id: deletion._id },
+      { $set: { purged, lastError: error.message }, $inc: { filesDeleted, attempts: 1 } }
+    );
+    return false;
+  }
+};
+
+/**
+ * Purge every account whose grace period is over. Run by the master scheduler.
+ * @returns {Promise<Object>} - { purged, failed }
+ */
+const purgeDueAccounts = async () => {
+  const due = await AccountDeletion.find({ status: 'pending', scheduledFor: { $lte: new Date() } })
+    .sort({ scheduledFor: 1 })
+    .limit(PURGE_BATCH_SIZE);
+
+  let purged = 0;
+  let failed = 0;
+  for (const deletion of due) {
+    if (await purgeAccount(deletion)) {
+      purged++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { purged, failed };
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  sendDeletionOtp,
+  requestDeletion,
+  cancelDeletion,
+  getReceipt,
+  purgeDueAccounts
+};
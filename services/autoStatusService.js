@@ -1,6 +1,8 @@
 const StatusSchedule = require('../models/statusScheduleModel');
 const User = require('../models/userModel');
 const cron = require('node-cron');
+const recurrence = require('../utils/recurrence');
+const scheduleResolution = require('./scheduleResolutionService');
 
 /**
  * Auto Status Service
@@ -22,28 +24,27 @@ class AutoStatusService {
         userId,
         tags: 'daily_schedule',
         active: true
-      }).sort({ priority: 1 });
+      }).sort({ priority: -1 });
       
       if (schedules.length === 0) {
         return null;
       }
       
-      // Get current time and day
+      // Get current time and day, in the zone the slots repeat in
       const now = new Date();
-      const currentDay = now.getDay(); // 0-6 (Sun-Sat)
-      const currentMinutes = now.getHours() * 60 + now.getMinutes();
+      const timeZone = recurrence.timeZoneOf(schedules[0]);
+      const local = recurrence.toLocalParts(now, timeZone);
+      const currentMinutes = local.hour * 60 + local.minute;
       
       console.log(`🔍 [AUTO-STATUS] Checking ${userId}`);
-      console.log(`   📅 Current Day: ${currentDay} (0=Sun, 1=Mon, 2=Tue, 3=Wed, 4=Thu, 5=Fri, 6=Sat)`);
-      console.log(`   🕐 Current Time: ${now.getHours()}:${now.getMinutes().toString().padStart(2, '0')} (${currentMinutes} minutes)`);
+      console.log(`   📅 Current Day: ${local.dayOfWeek} (0=Sun, 1=Mon, 2=Tue, 3=Wed, 4=Thu, 5=Fri, 6=Sat)`);
+      console.log(`   🕐 Current Time: ${local.hour}:${local.minute.toString().padStart(2, '0')} ${timeZone} (${currentMinutes} minutes)`);
       console.log(`   📊 Found ${schedules.length} schedule(s)`);
       
       // Find matching schedule
       for (const schedule of schedules) {
-        const daysOfWeek = schedule.recurrenceConfig?.daysOfWeek || [];
-        
         console.log(`   🔍 Checking schedule: "${schedule.status}"`);
-        console.log(`      Days: ${daysOfWeek.join(', ')}`);
+        console.log(`      Rule: ${recurrence.rruleFor(schedule) || 'one-off'} (${recurrence.timeZoneOf(schedule)})`);
         
         // ✅ FIX BUG #7: Check if schedule is paused
         if (schedule.pausedUntil && new Date(schedule.pausedUntil) > now) {
@@ -57,46 +58,24 @@ class AutoStatusService {
         
         // Check if schedule has "start from tomorrow" flag
         if (schedule.metadata?.startFromTomorrow) {
-          const createdDate = new Date(schedule.createdAt);
-          const createdDay = createdDate.toDateString();
-          const todayDay = now.toDateString();
+          const scheduleZone = recurrence.timeZoneOf(schedule);
+          const created = recurrence.toLocalParts(schedule.createdAt, scheduleZone);
+          const today = recurrence.toLocalParts(now, scheduleZone);
           
-          if (createdDay === todayDay) {
+          if (created.year === today.year && created.month === today.month && created.day === today.day) {
             console.log(`      ⏸️ Schedule set to start from tomorrow - skipping today`);
             continue;
           }
         }
         
-        // Check if today is in the schedule
-        if (!daysOfWeek.includes(currentDay)) {
-          console.log(`      ❌ Today (${currentDay}) not in schedule days`);
-          continue;
-        }
-        
-        console.log(`      ✅ Today IS in schedule days`);
-        
-        // Get schedule time range
-        const startDate = new Date(schedule.startTime);
-        const endDate = new Date(schedule.endTime);
+        // Day, time, zone, overrides and cancellations all come from the shared
+        // recurrence engine; an overnight slot stays running past midnight
+        const occurrence = recurrence.occurrenceAt(schedule, now);
+        const isInRange = Boolean(occurrence);
         
-        let startMinutes = startDate.getHours() * 60 + startDate.getMinutes();
-        let endMinutes = endDate.getHours() * 60 + endDate.getMinutes();
-        
-        console.log(`      ⏰ Schedule Time: ${startDate.getHours()}:${startDate.getMinutes().toString().padStart(2, '0')} to ${endDate.getHours()}:${endDate.getMinutes().toString().padStart(2, '0')}`);
-        console.log(`      ⏰ Minutes: ${startMinutes} to ${endMinutes}`);
-        
-        // Handle cross-midnight
-        let isInRange = false;
-        if (endMinutes < startMinutes) {
-          // Cross-midnight case (e.g., 11 PM to 5 AM)
-          isInRange = currentMinutes >= startMinutes || currentMinutes < endMinutes;
-          console.log(`      🌙 Cross-midnight schedule`);
-        } else {
-          // Same-day case (e.g., 9 AM to 6 PM)
-          isInRange = currentMinutes >= startMinutes && currentMinutes < endMinutes;
-          console.log(`      ☀️ Same-day schedule`);
+        if (occurrence) {
+          console.log(`      ⏰ Occurrence: ${occurrence.startTime.toISOString()} to ${occurrence.endTime.toISOString()}`);
         }
-        
         console.log(`      ${isInRange ? '✅' : '❌'} Current time ${isInRange ? 'IS' : 'is NOT'} in range`);
         
         if (isInRange) {
@@ -109,7 +88,7 @@ class AutoStatusService {
           
           // Check if status needs updating
           console.log(`      👤 Current user status: "${user.status}"`);
-          console.log(`      🎯 Target status: "${schedule.status}"`);
+          console.log(`      🎯 Target status: "${occurrence.status}"`);
           
           // ✅ FIX BUG #1: Check if user has active manual status
           const hasActiveManualStatus = user.statusUntil && 
@@ -120,12 +99,20 @@ class AutoStatusService {
             const manualStatusExpiry = new Date(user.statusUntil);
             console.log(`⏸️ [AUTO-STATUS] User has active manual status until ${manualStatusExpiry.toLocaleString()}, skipping auto-apply`);
             console.log(`      Manual status: "${user.status}" (set by user)`);
-            console.log(`      Would apply: "${schedule.status}" (from daily schedule)`);
+            console.log(`      Would apply: "${occurrence.status}" (from daily schedule)`);
             console.log(`      ⏰ Manual status expires in ${Math.round((manualStatusExpiry.getTime() - now.getTime()) / 60000)} minutes`);
             return null;
           }
           
-          if (user.status !== schedule.status) {
+          if (user.status !== occurrence.status) {
+            // A schedule, calendar event or Primary Time window claiming this
+            // minute takes precedence over the daily schedule
+            const winner = await scheduleResolution.effectiveAt(user, now);
+            if (winner && winner.sourceId !== String(schedule._id)) {
+              console.log(`⏸️ [AUTO-STATUS] ${winner.source} "${winner.name}" takes precedence over the daily schedule, skipping auto-apply`);
+              return null;
+            }
+            
             const oldStatus = user.status;
             const oldSubStatus = user.subStatus;
             console.log(`      🔄 Status needs updating!`);
@@ -135,10 +122,11 @@ class AutoStatusService {
             console.log(`      📌 Preserving sub-status: "${oldSubStatus || 'none'}"`);
             
             // Update user status
-            user.status = schedule.status;
-            user.customStatus = schedule.customStatus || '';
+            user.status = occurrence.status;
+            user.customStatus = occurrence.customStatus || '';
             user.statusUpdatedAt = now;
             user.wasAutoApplied = true;
+            user.primaryTimeProfileId = null;
             // Note: user.subStatus is NOT modified - it's preserved!
             await user.save();
             
@@ -146,7 +134,7 @@ class AutoStatusService {
               console.log(`      ✅ Sub-status "${oldSubStatus}" preserved after main status change`);
             }
             
-            console.log(`✅ [AUTO-STATUS] Updated ${userId}: "${oldStatus}" → "${schedule.status}"`);
+            console.log(`✅ [AUTO-STATUS] Updated ${userId}: "${oldStatus}" → "${occurrence.status}"`);
             
             // Broadcast to friends via socket
             try {
@@ -181,12 +169,12 @@ class AutoStatusService {
             return {
               userId,
               oldStatus,
-              newStatus: schedule.status,
-              activity: schedule.status,
+              newStatus: occurrence.status,
+              activity: occurrence.status,
               time: now
             };
           } else {
-            console.log(`ℹ️ [AUTO-STATUS] ${userId} already has status "${schedule.status}"`);
+            console.log(`ℹ️ [AUTO-STATUS] ${userId} already has status "${occurrence.status}"`);
           }
           
           // Found matching schedule, no need to check others
@@ -0,0 +1,135 @@
+/**
+ * Away Reply Service
+ * Sends a user's away message to people who message them while their status
+ * says they can't answer (busy, dnd, in a meeting...). The reply text comes
+ * from the StatusTemplate matching the current status, the personal-chat
+ * counterpart of a Page's autoReply.
+ *
+ * Each contact gets one reply per status window - for the first message they
+ * send after the status was set - and never more than one per
+ * AWAY_REPLY_COOLDOWN_MINUTES however often the status changes. Contacts and
+ * members of groups in the user's StatusPrivacy awayReplyExclusions get none.
+ *
+ * Replies are sent by the server, so they are plaintext even in E2EE chats.
+ */
+
+const Message = require('../models/Message');
+const User = require('../models/userModel');
+const StatusTemplate = require('../models/statusTemplateModel');
+const StatusPrivacy = require('../models/statusPrivacyModel');
+const AwayReplyLog = require('../models/AwayReplyLog');
+const { deliverDirectMessage } = require('./messageDeliveryService');
+
+const COOLDOWN_MINUTES = parseInt(process.env.AWAY_REPLY_COOLDOWN_MINUTES, 10) || 60;
+
+const sameText = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const hasActiveStatus = (user, now) => {
+  if (!user.status || user.status.toLowerCase() === 'available') return false;
+  return !user.statusUntil || new Date(user.statusUntil) > now;
+};
+
+/**
+ * Template whose away message applies to the user's current status: one
+ * naming the exact custom status beats one for the status in general
+ * @param {Object} user
+ * @returns {Promise<Object|null>}
+ */
+const findAwayTemplate = async (user) => {
+  const templates = await StatusTemplate.find({
+    user: user._id,
+    'autoReply.enabled': true,
+    'autoReply.message': { $nin: [null, ''] }
+  }).sort({ lastUsed: -1, updatedAt: -1 }).lean();
+
+  const score = (template) => {
+    if (sameText(template.customStatus, user.customStatus)) return 2;
+    if (sameText(template.status, user.status) || sameText(template.mainStatus, user.mainStatus)) return 1;
+    return 0;
+  };
+
+  let best = null;
+  for (const template of templates) {
+    if (score(template) > (best ? score(best) : 0)) {
+      best = template;
+    }
+  }
+  return best;
+};
+
+// Take the (user, contact) slot if the contact hasn't had a reply this status
+// window or cooldown. The unique index makes a concurrent second claim fail.
+const claimReply = async (user, contactId, now) => {
+  const windowStart = user.statusUpdatedAt || user.mainStartTime || new Date(0);
+  const since = Math.min(new Date(windowStart).getTime(), now.getTime() - COOLDOWN_MINUTES * 60 * 1000);
+
+  try {
+    await AwayReplyLog.findOneAndUpdate(
+      { userId: user.userId, contactId, lastRepliedAt: { $lt: new Date(since) } },
+      { $set: { lastRepliedAt: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Send the receiver's away message back to the sender of a 1:1 message, if
+ * the receiver has one for their current status and the sender is due one
+ * @param {Object} message - Saved Message document
+ * @returns {Promise<Object|null>} - The auto-reply Message, or null
+ */
+const replyIfAway = async (message) => {
+  try {
+    const { senderId, receiverId } = message;
+    if (!senderId || !receiverId || senderId === receiverId || message.isAutoReply || message.isGhost) {
+      return null;
+    }
+
+    const now = new Date();
+    const user = await User.findOne({ userId: receiverId })
+      .select('_id userId status customStatus mainStatus statusUntil statusUpdatedAt mainStartTime')
+      .lean();
+    if (!user || !hasActiveStatus(user, now)) return null;
+
+    const template = await findAwayTemplate(user);
+    if (!template) return null;
+
+    const contact = await User.findOne({ userId: senderId }).select('_id').lean();
+    if (!contact || await StatusPrivacy.isExcludedFromAwayReply(user._id, contact._id)) {
+      return null;
+    }
+
+    if (!await claimReply(user, senderId, now)) return null;
+
+    const reply = await Message.create({
+      senderId: receiverId,
+      receiverId: senderId,
+      message: template.autoReply.message,
+      messageType: 'text',
+      timestamp: now,
+      status: 'sent',
+      isAutoReply: true
+    });
+
+    await AwayReplyLog.updateOne(
+      { userId: receiverId, contactId: senderId },
+      { $set: { templateId: template._id, messageId: reply._id } }
+    );
+    await deliverDirectMessage(reply);
+
+    console.log(`💤 [AWAY REPLY] ${receiverId} is "${user.customStatus || user.status}", auto-replied to ${senderId}`);
+    return reply;
+  } catch (error) {
+    console.error('❌ [AWAY REPLY] Error sending away message:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  findAwayTemplate,
+  replyIfAway
+};
@@ -1,6 +1,7 @@
 const Blink = require('../models/blinkModel');
 const User = require('../models/userModel');
 const blinkNotificationService = require('./blinkNotificationService');
+const { getMediaInfo } = require('./mediaProcessingService');
 const fs = require('fs');
 const path = require('path');
 
@@ -169,10 +170,18 @@ class BlinkService {
         recipients = acceptedFriendIds.slice();
       }
 
+      // Real dimensions and thumbnails from upload processing
+      const mediaInfo = await getMediaInfo(blinkData.mediaUrl);
+
       const blink = new Blink({
         userId,
         mediaUrl: blinkData.mediaUrl,
         mediaType: blinkData.mediaType || 'image',
+        thumbnailUrl: mediaInfo?.thumbnailUrl || null,
+        width: mediaInfo?.width || null,
+        height: mediaInfo?.height || null,
+        duration: mediaInfo?.duration || null,
+        variants: mediaInfo?.variants || null,
         musicUrl: blinkData.musicUrl || null,
         music: blinkData.music || null,
         ringColor: blinkData.ringColor || '#8B5CF6',
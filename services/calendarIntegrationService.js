@@ -1,5 +1,6 @@
 const StatusSchedule = require('../models/statusScheduleModel');
 const StatusTemplate = require('../models/statusTemplateModel');
+const User = require('../models/userModel');
 const { addMinutes, isWithinInterval, format } = require('date-fns');
 
 /**
@@ -54,9 +55,16 @@ class CalendarIntegrationService {
       console.log(`📅 No suitable status found for event: ${calendarEvent.title}`);
       return null;
     }
+
+    const user = await User.findOne({ userId }).select('_id').lean();
+    if (!user) {
+      console.log(`📅 User ${userId} not found, skipping calendar event ${calendarEvent.id}`);
+      return null;
+    }
     
     // Create the schedule
     const scheduleData = {
+      user: user._id,
       userId,
       status: statusInfo.status,
       customStatus: statusInfo.customStatus || calendarEvent.title,
@@ -64,6 +72,7 @@ class CalendarIntegrationService {
       endTime: new Date(calendarEvent.end),
       calendarEventId: calendarEvent.id,
       calendarSource: calendarEvent.source || 'system',
+      calendarSubscriptionId: calendarEvent.subscriptionId,
       autoCreatedFromCalendar: true,
       appliedBy: 'calendar',
       active: true,
@@ -80,7 +89,7 @@ class CalendarIntegrationService {
    * Determine appropriate status based on calendar event
    */
   determineStatusFromEvent(event) {
-    const title = event.title.toLowerCase();
+    const title = (event.title || '').toLowerCase();
     const description = (event.description || '').toLowerCase();
     const location = (event.location || '').toLowerCase();
     
@@ -153,15 +162,18 @@ class CalendarIntegrationService {
   
   /**
    * Sync calendar events with status schedules
+   * @param {Object} options - { subscriptionId } limits the sync to schedules from one
+   *   ICS calendar, so syncing it leaves the user's other calendars alone
    */
-  async syncCalendarWithStatus(userId, calendarEvents) {
+  async syncCalendarWithStatus(userId, calendarEvents, { subscriptionId } = {}) {
     console.log(`🔄 Syncing calendar with status for user ${userId}`);
     
     // Get existing calendar-based schedules
     const existingSchedules = await StatusSchedule.find({
       userId,
       autoCreatedFromCalendar: true,
-      active: true
+      active: true,
+      ...(subscriptionId ? { calendarSubscriptionId: subscriptionId } : {})
     });
     
     // Create map of existing schedules by calendar event ID
@@ -1,5 +1,7 @@
 const StatusSchedule = require('../models/statusScheduleModel');
 const User = require('../models/userModel');
+const { findOverlaps } = require('./scheduleResolutionService');
+const recurrence = require('../utils/recurrence');
 
 /**
  * Daily Schedule Service
@@ -197,29 +199,31 @@ class DailyScheduleService {
       tags: 'daily_schedule'
     });
     
+    // Slots are local times in the user's zone, starting today there; the
+    // recurrence engine keeps them at those local times across DST changes
+    const timeZone = user.timezone || recurrence.DEFAULT_TIMEZONE;
+    const { year, month, day } = recurrence.toLocalParts(new Date(), timeZone);
+    const today = { year, month, day };
+    const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+    const tomorrow = { year: nextDay.getUTCFullYear(), month: nextDay.getUTCMonth() + 1, day: nextDay.getUTCDate() };
+    
     // Create new schedules for each time slot
     const schedulesToCreate = timeSlots.map((slot, index) => {
-      // Create Date objects for today with the specified times
-      const now = new Date();
-      const startDate = new Date(now);
-      const endDate = new Date(now);
-      
-      // Set start time
       const startMinutes = this.timeToMinutes(slot.startTime, slot.startPeriod);
-      startDate.setHours(Math.floor(startMinutes / 60), startMinutes % 60, 0, 0);
+      const endMinutes = this.timeToMinutes(slot.endTime, slot.endPeriod);
       
-      // Set end time
-      let endMinutes = this.timeToMinutes(slot.endTime, slot.endPeriod);
+      const startDate = recurrence.fromLocalTime({
+        ...today,
+        hour: Math.floor(startMinutes / 60),
+        minute: startMinutes % 60
+      }, timeZone);
       
-      // Handle cross-midnight properly
-      if (endMinutes <= startMinutes) {
-        // Cross-midnight - end time is next day
-        endDate.setDate(endDate.getDate() + 1);
-        endDate.setHours(Math.floor(endMinutes / 60), endMinutes % 60, 0, 0);
-      } else {
-        // Same day
-        endDate.setHours(Math.floor(endMinutes / 60), endMinutes % 60, 0, 0);
-      }
+      // Cross-midnight - end time is next day
+      const endDate = recurrence.fromLocalTime({
+        ...(endMinutes <= startMinutes ? tomorrow : today),
+        hour: Math.floor(endMinutes / 60),
+        minute: endMinutes % 60
+      }, timeZone);
       
       return {
         user: user._id,
@@ -228,6 +232,7 @@ class DailyScheduleService {
         customStatus: slot.customStatus || '',
         startTime: startDate,
         endTime: endDate,
+        timezone: timeZone,
         repeat: 'custom_days',
         recurrenceConfig: {
           daysOfWeek,
@@ -247,6 +252,9 @@ class DailyScheduleService {
     // Bulk create schedules
     const createdSchedules = await StatusSchedule.insertMany(schedulesToCreate);
     
+    // Other schedules and Primary Time windows that claim the same time
+    const conflicts = await findOverlaps(user, { schedules: createdSchedules });
+    
     return {
       success: true,
       message: 'Daily schedule saved successfully',
@@ -255,6 +263,7 @@ class DailyScheduleService {
         errors: validation.errors,
         warnings: validation.warnings
       },
+      conflicts,
       appliedToDays: daysOfWeek,
       totalSlots: timeSlots.length
     };
@@ -282,13 +291,15 @@ class DailyScheduleService {
     
     // Convert schedules back to time slots
     const timeSlots = schedules.map(schedule => {
-      const startDate = new Date(schedule.startTime);
-      const endDate = new Date(schedule.endTime);
+      // Local times in the zone the slot repeats in
+      const timeZone = recurrence.timeZoneOf(schedule);
+      const start = recurrence.toLocalParts(schedule.startTime, timeZone);
+      const end = recurrence.toLocalParts(schedule.endTime, timeZone);
       
-      let startHours = startDate.getHours();
-      const startMinutes = startDate.getMinutes();
-      let endHours = endDate.getHours();
-      const endMinutes = endDate.getMinutes();
+      let startHours = start.hour;
+      const startMinutes = start.minute;
+      let endHours = end.hour;
+      const endMinutes = end.minute;
       
       // Convert to 12-hour format
       const startPeriod = startHours >= 12 ? 'PM' : 'AM';
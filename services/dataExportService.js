@@ -0,0 +1,471 @@
+/**
+ * Data Export Service
+ * Builds a user's personal data takeout in the background: one JSON file per
+ * kind of data plus the original (decrypted) media files, zipped and stored
+ * through the storage provider as data-exports/<exportId>.zip. Jobs live in MongoDB and are claimed atomically, so
+ * a job survives restarts and only one instance works on it. When the ZIP is
+ * ready the user gets an email with a download link that expires.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const DataExport = require('../models/DataExport');
+const User = require('../models/userModel');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const FeedPost = require('../models/FeedPost');
+const Comment = require('../models/Comment');
+const Story = require('../models/storyModel');
+const Blink = require('../models/blinkModel');
+const Pulse = require('../models/Pulse');
+const Call = require('../models/callModel');
+const Friend = require('../models/Friend');
+const DocSpace = require('../models/DocSpace');
+const LocationSettings = require('../models/LocationSettings');
+const DiyaMemory = require('../models/diyaMemoryModel');
+const AIInstance = require('../models/aiInstanceModel');
+const emailService = require('./emailService');
+const storage = require('./storageProvider');
+const { readDecryptedFile } = require('../middleware/fileEncryptionMiddleware');
+const { getInstance: getPostEncryption } = require('../utils/postEncryption');
+const { ConflictError, NotFoundError, ForbiddenError } = require('../utils/errorClasses');
+
+// Archives are built here, then handed to the storage provider so any node can serve them
+const EXPORTS_DIR = path.join(__dirname, '..', 'exports');
+const DOWNLOAD_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 72;
+// Media beyond this total is listed in the manifest but not copied
+const MAX_MEDIA_BYTES = (parseInt(process.env.DATA_EXPORT_MAX_MEDIA_MB, 10) || 2048) * 1024 * 1024;
+// A job stuck in `processing` this long belongs to an instance that died
+const STALE_JOB_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:5000';
+
+// Local media references inside exported records, e.g. /uploads/chat-images/abc.jpg
+const MEDIA_REF_PATTERN = /\/uploads\/([\w-]+)\/([\w.-]+)/g;
+
+// Never part of an export
+const PRIVATE_USER_FIELDS = ['password', 'encryptedPassword', 'twoFactor', 'fcmTokens', 'deviceTokens', 'tokensValidAfter', 'encryptionSettings'];
+
+let processing = false;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const zipPath = (exportId) => path.join(EXPORTS_DIR, `${exportId}.zip`);
+
+const storageKey = (exportId) => `${storage.DATA_EXPORTS_PREFIX}${exportId}.zip`;
+
+// Archives built before exports moved to the storage provider were kept at an
+// absolute path on the node that built them
+const isLegacyPath = (filePath) => path.isAbsolute(filePath);
+
+/**
+ * Delete an export's ZIP wherever it was stored
+ * @param {Object} dataExport - DataExport with filePath selected
+ */
+const removeArchive = async (dataExport) => {
+  const filePath = dataExport.filePath || storageKey(dataExport.exportId);
+  if (isLegacyPath(filePath)) {
+    await fs.promises.rm(filePath, { force: true });
+  } else {
+    await storage.remove(filePath);
+  }
+};
+
+const formatExport = (dataExport) => ({
+  exportId: dataExport.exportId,
+  status: dataExport.status,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  fileSize: dataExport.fileSize,
+  sections: dataExport.sections,
+  mediaFiles: dataExport.mediaFiles,
+  mediaSkipped: dataExport.mediaSkipped,
+  error: dataExport.status === 'failed' ? dataExport.error : undefined
+});
+
+const decryptComment = async (comment) => {
+  const postEncryption = getPostEncryption();
+  const decrypted = { ...comment };
+  try {
+    if (comment._textEncrypted && comment.text) {
+      decrypted.text = await postEncryption.decryptText(comment.text);
+    }
+    decrypted.replies = await Promise.all((comment.replies || []).map(async reply => (
+      reply._textEncrypted && reply.text
+        ? { ...reply, text: await postEncryption.decryptText(reply.text) }
+        : reply
+    )));
+  } catch (error) {
+    console.error('❌ [DATA EXPORT] Comment decryption failed:', error.message);
+  }
+  return decrypted;
+};
+
+/**
+ * What goes into the archive: file name -> records of the user.
+ * `query` returns a Mongoose query (streamed with a cursor) or a plain value.
+ */
+const SECTIONS = [
+  ['messages', ({ userId }) => Message.find({ $or: [{ senderId: userId }, { receiverId: userId }] }).sort({ createdAt: 1 })],
+  ['group-messages', ({ userId }) => GroupMessage.find({ senderId: userId }).sort({ createdAt: 1 })],
+  ['posts', ({ userId }) => FeedPost.find({ userId }).sort({ createdAt: 1 }),
+    post => getPostEncryption().decryptPost(post)],
+  ['comments', ({ userId }) => Comment.find({ userId }).sort({ createdAt: 1 }), decryptComment],
+  ['stories', ({ userId }) => Story.find({ userId }).sort({ createdAt: 1 })],
+  ['blinks', ({ userId }) => Blink.find({ userId }).sort({ createdAt: 1 })],
+  ['pulses', ({ userId }) => Pulse.find({ $or: [{ senderId: userId }, { receiverId: userId }] }).sort({ createdAt: 1 })],
+  ['call-history', ({ userId }) => Call.find({ $or: [{ callerId: userId }, { receiverId: userId }] }).sort({ createdAt: 1 })],
+  ['friends', ({ userId }) => Friend.find({ userId }).sort({ createdAt: 1 })],
+  ['docspace', ({ userId }) => DocSpace.find({ userId })],
+  // Sharing settings and sessions, plus locations sent in chats
+  ['location-sharing', ({ objectId }) => LocationSettings.find({ userId: objectId })],
+  ['location-messages', ({ userId }) => Message.find({ senderId: userId, messageType: 'location' }).sort({ createdAt: 1 })],
+  ['ai-memory', ({ userId }) => DiyaMemory.find({ userId })],
+  ['ai-instances', ({ userId, objectId }) => AIInstance.find({ userId: { $in: [userId, objectId] } })]
+];
+
+/**
+ * Stream a query as a JSON array, collecting the media it references
+ */
+const jsonArrayStream = (query, transform, mediaRefs, stats) => Readable.from((async function* () {
+  yield '[\n';
+  let first = true;
+  for await (const doc of query.lean().cursor()) {
+    const record = transform ? await transform(doc) : doc;
+    const json = JSON.stringify(record, null, 2);
+    for (const match of json.matchAll(MEDIA_REF_PATTERN)) {
+      mediaRefs.add(`${match[1]}/${match[2]}`);
+    }
+    stats.count++;
+    yield `${first ? '' : ',\n'}${json}`;
+    first = false;
+  }
+  yield '\n]\n';
+})());
+
+/**
+ * Append an entry and wait until the archive has written it
+ */
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+  const onEntry = (entry) => {
+    if (entry.name !== name) return;
+    archive.off('entry', onEntry);
+    archive.off('error', onError);
+    resolve();
+  };
+  const onError = (error) => {
+    archive.off('entry', onEntry);
+    reject(error);
+  };
+  archive.on('entry', onEntry);
+  archive.once('error', onError);
+  archive.append(source, { name });
+});
+
+const addMedia = async (archive, mediaRefs) => {
+  let totalBytes = 0;
+  let copied = 0;
+  const skipped = [];
+
+  for (const ref of mediaRefs) {
+    // Only ever read from inside uploads/
+    const key = storage.keyFromPath(ref);
+    if (!key) continue;
+
+    try {
+      const stats = await storage.stat(key);
+      if (!stats) {
+        skipped.push({ file: ref, reason: 'missing' });
+        continue;
+      }
+
+      const { size } = stats;
+      if (totalBytes + size > MAX_MEDIA_BYTES) {
+        skipped.push({ file: ref, reason: 'size_limit' });
+        continue;
+      }
+
+      const content = await readDecryptedFile(`/uploads/${key}`);
+      await appendEntry(archive, content, `media/${ref.replace(/\.enc$/, '')}`);
+      totalBytes += size;
+      copied++;
+    } catch (error) {
+      skipped.push({ file: ref, reason: 'unreadable' });
+    }
+  }
+
+  return { copied, skipped };
+};
+
+const getProfile = async (userId) => {
+  const user = await User.findOne({ userId }).lean();
+  if (!user) return null;
+
+  PRIVATE_USER_FIELDS.forEach(field => delete user[field]);
+  return user;
+};
+
+/**
+ * Write the ZIP for one job
+ * @returns {Promise<Object>} - { sections, mediaFiles, mediaSkipped, fileSize }
+ */
+const buildArchive = async (dataExport) => {
+  const profile = await getProfile(dataExport.userId);
+  if (!profile) {
+    throw new Error('User no longer exists');
+  }
+
+  await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+  const outputPath = zipPath(dataExport.exportId);
+  const output = fs.createWriteStream(outputPath);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Awaited at the end; errors before that surface through appendEntry
+  written.catch(() => {});
+  archive.pipe(output);
+
+  const context = { userId: dataExport.userId, objectId: profile._id.toString() };
+  const mediaRefs = new Set();
+  const sections = {};
+  let media;
+
+  try {
+    await appendEntry(archive, JSON.stringify(profile, null, 2), 'profile.json');
+    if (profile.profileImage) {
+      for (const match of String(profile.profileImage).matchAll(MEDIA_REF_PATTERN)) {
+        mediaRefs.add(`${match[1]}/${match[2]}`);
+      }
+    }
+
+    for (const [name, query, transform] of SECTIONS) {
+      const stats = { count: 0 };
+      await appendEntry(archive, jsonArrayStream(query(context), transform, mediaRefs, stats), `${name}.json`);
+      sections[name] = stats.count;
+    }
+
+    media = await addMedia(archive, mediaRefs);
+
+    const manifest = {
+      exportId: dataExport.exportId,
+      userId: dataExport.userId,
+      generatedAt: new Date().toISOString(),
+      sections,
+      mediaFiles: media.copied,
+      mediaSkipped: media.skipped
+    };
+    await appendEntry(archive, JSON.stringify(manifest, null, 2), 'manifest.json');
+
+    await archive.finalize();
+    await written;
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    throw error;
+  }
+
+  return {
+    sections,
+    mediaFiles: media.copied,
+    mediaSkipped: media.skipped.length,
+    fileSize: archive.pointer()
+  };
+};
+
+const notifyReady = async (dataExport, downloadToken) => {
+  const user = await User.findOne({ userId: dataExport.userId }).select('email name').lean();
+  if (!user?.email) return;
+
+  const downloadUrl = `${SERVER_URL}/api/users/me/exports/${dataExport.exportId}/download?token=${downloadToken}`;
+  const result = await emailService.sendDataExportReady(user.email, {
+    name: user.name,
+    downloadUrl,
+    expiresAt: dataExport.expiresAt
+  });
+  if (!result.success) {
+    console.error(`❌ [DATA EXPORT] Ready email for ${dataExport.exportId} failed:`, result.error);
+  }
+};
+
+const runJob = async (dataExport) => {
+  console.log(`📦 [DATA EXPORT] Building ${dataExport.exportId} for ${dataExport.userId}`);
+
+  try {
+    const result = await buildArchive(dataExport);
+    await storage.putFile(storageKey(dataExport.exportId), zipPath(dataExport.exportId), { contentType: 'application/zip' });
+    await fs.promises.rm(zipPath(dataExport.exportId), { force: true });
+
+    const downloadToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + DOWNLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+    const ready = await DataExport.findOneAndUpdate(
+      { _id: dataExport._id },
+      {
+        $set: {
+          ...result,
+          status: 'ready',
+          completedAt: new Date(),
+          expiresAt,
+          filePath: storageKey(dataExport.exportId),
+          downloadTokenHash: hashToken(downloadToken),
+          error: null
+        }
+      },
+      { new: true }
+    );
+
+    console.log(`✅ [DATA EXPORT] ${dataExport.exportId} ready (${result.fileSize} bytes, ${result.mediaFiles} media files)`);
+    await notifyReady(ready, downloadToken);
+  } catch (error) {
+    console.error(`❌ [DATA EXPORT] ${dataExport.exportId} failed:`, error.message);
+    await fs.promises.rm(zipPath(dataExport.exportId), { force: true }).catch(() => {});
+    await storage.remove(storageKey(dataExport.exportId)).catch(() => {});
+
+    const retry = dataExport.attempts < MAX_ATTEMPTS;
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $set: { status: retry ? 'queued' : 'failed', error: error.message } }
+    );
+  }
+};
+
+/**
+ * Work through queued jobs one at a time (building a ZIP is heavy)
+ */
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (;;) {
+      const job = await DataExport.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+      await runJob(job);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Queue a new export for a user
+ * @returns {Promise<Object>} - The queued job
+ */
+const requestExport = async (userId) => {
+  const running = await DataExport.exists({ userId, status: { $in: ['queued', 'processing'] } });
+  if (running) {
+    throw new ConflictError('An export is already being prepared');
+  }
+
+  const dataExport = await DataExport.create({ exportId: uuidv4(), userId });
+
+  setImmediate(() => {
+    processQueue().catch(error => console.error('❌ [DATA EXPORT] Queue error:', error.message));
+  });
+
+  return formatExport(dataExport);
+};
+
+const listExports = async (userId) => {
+  const exports = await DataExport.find({ userId }).sort({ createdAt: -1 }).limit(10).lean();
+  return exports.map(formatExport);
+};
+
+const getExport = async (userId, exportId) => {
+  const dataExport = await DataExport.findOne({ exportId, userId }).lean();
+  if (!dataExport) {
+    throw new NotFoundError('Export not found');
+  }
+  return formatExport(dataExport);
+};
+
+/**
+ * Open a download: allowed for the owner or with the emailed token
+ * @param {string} exportId
+ * @param {Object} auth - { userId, token }
+ * @returns {Promise<Object>} - { stream, fileName, fileSize }
+ */
+const getDownload = async (exportId, { userId = null, token = null }) => {
+  const dataExport = await DataExport.findOne({ exportId }).select('+filePath +downloadTokenHash');
+  if (!dataExport) {
+    throw new NotFoundError('Export not found');
+  }
+
+  const ownsExport = userId && dataExport.userId === userId;
+  const tokenMatches = typeof token === 'string' && dataExport.downloadTokenHash
+    && crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(dataExport.downloadTokenHash));
+  if (!ownsExport && !tokenMatches) {
+    throw new ForbiddenError('This download link is not valid');
+  }
+
+  if (dataExport.status !== 'ready' || !dataExport.expiresAt || dataExport.expiresAt <= new Date()) {
+    throw new NotFoundError('This export is not available - it may have expired');
+  }
+
+  const { filePath } = dataExport;
+  const legacy = isLegacyPath(filePath);
+  const stat = legacy
+    ? await fs.promises.stat(filePath).catch(() => null)
+    : await storage.stat(filePath);
+  if (!stat) {
+    throw new NotFoundError('This export is not available - it may have expired');
+  }
+
+  const stream = legacy ? fs.createReadStream(filePath) : await storage.openReadStream(filePath);
+  await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+
+  return {
+    stream,
+    fileName: `syncup-data-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`,
+    fileSize: stat.size
+  };
+};
+
+/**
+ * Hourly: delete expired archives, retry jobs of dead instances, drain the queue
+ * @returns {Promise<Object>} - { expired, requeued }
+ */
+const runMaintenance = async () => {
+  const expiredExports = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } })
+    .select('+filePath');
+  for (const dataExport of expiredExports) {
+    await removeArchive(dataExport);
+    await DataExport.updateOne({ _id: dataExport._id }, { $set: { status: 'expired', filePath: null, downloadTokenHash: null } });
+  }
+
+  const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+  const requeued = await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: staleBefore }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $set: { status: 'queued' } }
+  );
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: staleBefore }, attempts: { $gte: MAX_ATTEMPTS } },
+    { $set: { status: 'failed', error: 'Export timed out' } }
+  );
+
+  await processQueue();
+
+  return { expired: expiredExports.length, requeued: requeued.modifiedCount };
+};
+
+module.exports = {
+  requestExport,
+  listExports,
+  getExport,
+  getDownload,
+  removeArchive,
+  processQueue,
+  runMaintenance
+};
@@ -61,6 +61,20 @@ class DeepLinkService {
     };
   }
 
+  /**
+   * Generate group chat invite URL
+   * @param {string} code - Invite link code
+   * @returns {object} URLs for different platforms
+   */
+  generateGroupInviteLink(code) {
+    return {
+      web: `${BASE_URL}/group-invite/${code}`,
+      app: `${APP_SCHEME}group-invite/${code}`,
+      share: `${BASE_URL}/g/${code}`,
+      qr: `${BASE_URL}/qr/group-invite/${code}`,
+    };
+  }
+
   /**
    * Parse deep link and extract type and ID
    * @param {string} url - Deep link URL
@@ -84,6 +98,7 @@ class DeepLinkService {
         if (pathParts[0] === 'p') return { type: 'post', id: pathParts[1], source: 'web' };
         if (pathParts[0] === 'u') return { type: 'profile', id: pathParts[1], source: 'web' };
         if (pathParts[0] === 's') return { type: 'story', id: pathParts[1], source: 'web' };
+        if (pathParts[0] === 'g') return { type: 'group-invite', id: pathParts[1], source: 'web' };
         
         // Handle full URLs
         return { type: pathParts[0], id: pathParts[1], source: 'web' };
@@ -137,6 +152,16 @@ class DeepLinkService {
         };
         break;
 
+      case 'group-invite':
+        links = this.generateGroupInviteLink(data.code);
+        metadata = {
+          title: data.groupName,
+          description: data.description || 'Join this group chat on Syncup',
+          image: data.groupImage,
+          type: 'website',
+        };
+        break;
+
       default:
         return null;
     }
@@ -144,7 +169,7 @@ class DeepLinkService {
     return {
       links,
       metadata,
-      shareText: this.generateShareText(type, data),
+      shareText: this.generateShareText(type, { ...data, links }),
     };
   }
 
@@ -162,6 +187,8 @@ class DeepLinkService {
         return `Follow ${data.name} on Syncup!\n${data.links.share}`;
       case 'story':
         return `View ${data.userName}'s story on Syncup!\n${data.links.share}`;
+      case 'group-invite':
+        return `Join "${data.groupName}" on Syncup!\n${data.links.share}`;
       default:
         return `Check this out on Syncup!\n${data.links.share}`;
     }
@@ -0,0 +1,303 @@
+const OutboxEntry = require('../models/OutboxEntry');
+const OutboxSequence = require('../models/OutboxSequence');
+const SyncDevice = require('../models/SyncDevice');
+
+/**
+ * Delivery Outbox Service
+ * Every 1:1 message, group message and pulse sent to a user is written to their
+ * outbox before it's emitted. Each of the user's devices stays in the entry's
+ * `pendingDevices` until it acks, so a device that was offline (or dropped
+ * mid-send) gets the backlog replayed in order when it registers again. The
+ * entries double as a per-user log: `seq` is the sync cursor a device can pull
+ * "everything since X" from.
+ *
+ * A seq is taken before its entry is written, so for a moment seq N+1 can be
+ * stored while N is still in flight; sync pages stop short of such a gap.
+ * Deleted and expired messages are scrubbed from the entries, not removed.
+ */
+
+// Older apps don't send an install id - they share one queue
+const DEFAULT_DEVICE_ID = 'default';
+const MAX_DEVICE_ID_LENGTH = 128;
+// Devices not seen for this long stop getting entries queued for them
+const DEVICE_ACTIVE_DAYS = parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 30;
+const REPLAY_BATCH_SIZE = 100;
+const MAX_SYNC_PAGE_SIZE = 500;
+// A missing seq older than this was never written (enqueue failed) - stop waiting for it
+const SEQ_GAP_SETTLE_MS = 10 * 1000;
+
+const resolveDeviceId = (deviceId) => {
+  if (typeof deviceId !== 'string') return DEFAULT_DEVICE_ID;
+  const trimmed = deviceId.trim();
+  return trimmed && trimmed.length <= MAX_DEVICE_ID_LENGTH ? trimmed : DEFAULT_DEVICE_ID;
+};
+
+/**
+ * Record that a device is in use so entries get queued for it
+ */
+const registerDevice = (userId, deviceId, platform = null) => {
+  const update = { $set: { lastSeenAt: new Date() } };
+  if (platform) {
+    update.$set.platform = platform;
+  }
+
+  return SyncDevice.findOneAndUpdate(
+    { userId, deviceId: resolveDeviceId(deviceId) },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const nextSeq = async (userId) => {
+  const sequence = await OutboxSequence.findOneAndUpdate(
+    { userId },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return sequence.seq;
+};
+
+const getLatestSeq = async (userId) => {
+  const sequence = await OutboxSequence.findOne({ userId }).lean();
+  return sequence ? sequence.seq : 0;
+};
+
+/**
+ * Queue an event for all active devices of each recipient: seqs are taken
+ * concurrently and the entries written in one insert, so fanning out to a
+ * whole group costs a few round trips.
+ * Never throws - sending must not fail because of the outbox.
+ * @param {Array<string>} userIds - Recipients
+ * @param {Object} entry - { kind, event, refId, payload }
+ * @returns {Promise<Map<string, number|null>>} - Each recipient's seq, null where queueing failed
+ */
+const enqueueMany = async (userIds, { kind, event, refId, payload }) => {
+  const recipients = [...new Set(userIds)];
+  const seqs = new Map(recipients.map(userId => [userId, null]));
+  if (recipients.length === 0) return seqs;
+
+  try {
+    const activeSince = new Date(Date.now() - DEVICE_ACTIVE_DAYS * 24 * 60 * 60 * 1000);
+    const devices = await SyncDevice.find({ userId: { $in: recipients }, lastSeenAt: { $gte: activeSince } })
+      .select('userId deviceId')
+      .lean();
+    const devicesByUser = new Map();
+    devices.forEach(({ userId, deviceId }) => {
+      devicesByUser.set(userId, [...(devicesByUser.get(userId) || []), deviceId]);
+    });
+
+    const allocated = await Promise.all(recipients.map(userId => nextSeq(userId).catch((error) => {
+      console.error(`❌ [OUTBOX] Failed to take a seq for ${userId}:`, error.message);
+      return null;
+    })));
+
+    const entries = [];
+    recipients.forEach((userId, index) => {
+      const seq = allocated[index];
+      if (seq === null) return;
+      const deviceIds = devicesByUser.get(userId) || [];
+      entries.push({
+        userId,
+        seq,
+        kind,
+        event,
+        refId: refId.toString(),
+        payload: { ...payload, outboxSeq: seq },
+        pendingDevices: deviceIds.length > 0 ? deviceIds : [DEFAULT_DEVICE_ID]
+      });
+    });
+
+    let failed = new Set();
+    try {
+      await OutboxEntry.insertMany(entries, { ordered: false });
+    } catch (error) {
+      console.error(`❌ [OUTBOX] Failed to queue ${kind} ${refId} for some recipients:`, error.message);
+      // Unordered: the rest were written
+      failed = new Set(error.writeErrors ? error.writeErrors.map(writeError => writeError.index) : entries.keys());
+    }
+
+    entries.forEach((entry, index) => {
+      if (!failed.has(index)) seqs.set(entry.userId, entry.seq);
+    });
+  } catch (error) {
+    console.error(`❌ [OUTBOX] Failed to queue ${kind} ${refId} for ${recipients.length} recipient(s):`, error.message);
+  }
+
+  return seqs;
+};
+
+/**
+ * Queue an event for all of a user's active devices.
+ * Never throws - sending must not fail because of the outbox.
+ * @param {string} userId - Recipient
+ * @param {Object} entry - { kind, event, refId, payload }
+ * @returns {Promise<number|null>} - The entry's seq (clients ack with it)
+ */
+const enqueue = async (userId, entry) => {
+  const seqs = await enqueueMany([userId], entry);
+  return seqs.get(userId);
+};
+
+/**
+ * Drop the payload of deleted or expired messages from every outbox they were
+ * queued in, so they are neither replayed nor synced afterwards.
+ * Never throws - deleting must not fail because of the outbox.
+ * @param {Array|string} refIds - _ids of the Message / GroupMessage / Pulse
+ * @returns {Promise<number>} - Entries scrubbed
+ */
+const removeEntries = async (refIds) => {
+  const ids = (Array.isArray(refIds) ? refIds : [refIds]).filter(Boolean).map(String);
+  if (ids.length === 0) return 0;
+
+  try {
+    const result = await OutboxEntry.updateMany(
+      { refId: { $in: ids }, removedAt: null },
+      { $set: { payload: {}, pendingDevices: [], removedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    console.error(`❌ [OUTBOX] Failed to remove entries for ${ids.length} item(s):`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Entries up to the first seq that may still be in flight
+ */
+const contiguousPrefix = (entries, cursor) => {
+  const settledBefore = Date.now() - SEQ_GAP_SETTLE_MS;
+  let expected = cursor + 1;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.seq > expected && new Date(entry.createdAt).getTime() > settledBefore) {
+      return entries.slice(0, i);
+    }
+    expected = entry.seq + 1;
+  }
+  return entries;
+};
+
+/**
+ * A device received entries: take it off their queues
+ * @param {Object} ack - { seqs, upToSeq, refIds } (any combination)
+ * @returns {Promise<number>} - Entries cleared
+ */
+const acknowledge = async (userId, deviceId, { seqs = [], upToSeq = null, refIds = [] } = {}) => {
+  const device = resolveDeviceId(deviceId);
+  const conditions = [];
+
+  const validSeqs = (Array.isArray(seqs) ? seqs : []).map(Number).filter(Number.isInteger);
+  if (validSeqs.length > 0) conditions.push({ seq: { $in: validSeqs } });
+  if (upToSeq !== null && Number.isInteger(Number(upToSeq))) conditions.push({ seq: { $lte: Number(upToSeq) } });
+  const validRefIds = (Array.isArray(refIds) ? refIds : []).filter(Boolean).map(String);
+  if (validRefIds.length > 0) conditions.push({ refId: { $in: validRefIds } });
+
+  if (conditions.length === 0) return 0;
+
+  const result = await OutboxEntry.updateMany(
+    { userId, pendingDevices: device, $or: conditions },
+    { $pull: { pendingDevices: device } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Replay a device's queue over its socket, oldest first. Entries stay queued
+ * until the device acks them, so a replay cut short is simply repeated.
+ * @returns {Promise<number>} - Entries replayed
+ */
+const replayPending = async (socket, userId, deviceId) => {
+  const device = resolveDeviceId(deviceId);
+  let afterSeq = 0;
+  let replayed = 0;
+
+  while (socket.connected) {
+    const entries = await OutboxEntry.find({ userId, pendingDevices: device, seq: { $gt: afterSeq } })
+      .sort({ seq: 1 })
+      .limit(REPLAY_BATCH_SIZE)
+      .lean();
+    if (entries.length === 0) break;
+
+    entries.forEach(entry => {
+      socket.emit(entry.event, { ...entry.payload, outboxSeq: entry.seq, replayed: true });
+    });
+    replayed += entries.length;
+    afterSeq = entries[entries.length - 1].seq;
+
+    if (entries.length < REPLAY_BATCH_SIZE) break;
+  }
+
+  socket.emit('outbox:replay_complete', {
+    count: replayed,
+    lastSeq: afterSeq,
+    latestSeq: await getLatestSeq(userId)
+  });
+
+  if (replayed > 0) {
+    console.log(`📬 [OUTBOX] Replayed ${replayed} pending item(s) to ${userId} (${device})`);
+  }
+  return replayed;
+};
+
+/**
+ * Everything sent to a user after a cursor, across 1:1 chats, group chats and pulses
+ * @param {string} userId
+ * @param {Object} options - { since, limit, deviceId }
+ * @returns {Promise<Object>} - { changes, nextCursor, latestSeq, hasMore, resetRequired }
+ */
+const getChangesSince = async (userId, { since = 0, limit = 100, deviceId = null } = {}) => {
+  const cursor = Math.max(parseInt(since, 10) || 0, 0);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_SYNC_PAGE_SIZE);
+
+  const [entries, latestSeq, oldest] = await Promise.all([
+    OutboxEntry.find({ userId, seq: { $gt: cursor } })
+      .sort({ seq: 1 })
+      .limit(pageSize + 1)
+      .lean(),
+    getLatestSeq(userId),
+    OutboxEntry.findOne({ userId }).sort({ seq: 1 }).select('seq').lean()
+  ]);
+
+  const fetched = entries.slice(0, pageSize);
+  const page = contiguousPrefix(fetched, cursor);
+  // Cut at a gap: the rest is there but the device has to come back for it
+  const hasMore = entries.length > pageSize || page.length < fetched.length;
+  const nextCursor = page.length > 0 ? page[page.length - 1].seq : cursor;
+
+  if (deviceId && page.length > 0) {
+    await SyncDevice.updateOne(
+      { userId, deviceId: resolveDeviceId(deviceId) },
+      { $max: { lastSyncedSeq: nextCursor }, $set: { lastSeenAt: new Date() } }
+    );
+  }
+
+  return {
+    changes: page.filter(entry => !entry.removedAt).map(entry => ({
+      seq: entry.seq,
+      kind: entry.kind,
+      event: entry.event,
+      refId: entry.refId,
+      payload: entry.payload,
+      createdAt: entry.createdAt
+    })),
+    nextCursor,
+    latestSeq,
+    hasMore,
+    // Entries past the cursor already expired - the device has to do a full refetch
+    resetRequired: latestSeq > cursor && (!oldest || oldest.seq > cursor + 1)
+  };
+};
+
+module.exports = {
+  DEFAULT_DEVICE_ID,
+  resolveDeviceId,
+  registerDevice,
+  enqueue,
+  enqueueMany,
+  removeEntries,
+  acknowledge,
+  replayPending,
+  getChangesSince
+};
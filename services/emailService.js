@@ -70,6 +70,10 @@ class EmailService {
         subject: 'Verify Your New Email - Syncup',
         html: this.getEmailChangeTemplate(otp),
       },
+      account_deletion: {
+        subject: 'Confirm Account Deletion - Syncup',
+        html: this.getAccountDeletionTemplate(otp),
+      },
     };
 
     const template = templates[type] || templates.registration;
@@ -90,6 +94,27 @@ class EmailService {
     }
   }
 
+  async sendDataExportReady(email, { name, downloadUrl, expiresAt }) {
+    if (!this.initialized) {
+      this.initialize();
+    }
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: `"Syncup" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject: 'Your Data Export Is Ready - Syncup',
+        html: this.getDataExportReadyTemplate(name, downloadUrl, expiresAt),
+      });
+
+      console.log('✅ [EMAIL SERVICE] Email sent:', info.messageId);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('❌ [EMAIL SERVICE] Send error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   getRegistrationTemplate(otp) {
     return `
       <!DOCTYPE html>
@@ -458,6 +483,242 @@ class EmailService {
       </html>
     `;
   }
+
+  getAccountDeletionTemplate(otp) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            line-height: 1.6; 
+            color: #333;
+            margin: 0;
+            padding: 0;
+            background-color: #f5f5f5;
+          }
+          .container { 
+            max-width: 600px; 
+            margin: 40px auto; 
+            background: white;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+          }
+          .header { 
+            background: linear-gradient(135deg, #f5576c 0%, #f093fb 100%); 
+            color: white; 
+            padding: 40px 30px; 
+            text-align: center;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 28px;
+            font-weight: 700;
+          }
+          .content { 
+            padding: 40px 30px;
+          }
+          .otp-box { 
+            background: #f8f9fa;
+            border: 2px solid #f5576c; 
+            border-radius: 12px; 
+            padding: 30px; 
+            text-align: center; 
+            margin: 30px 0;
+          }
+          .otp-label {
+            margin: 0 0 10px 0;
+            font-size: 14px;
+            color: #666;
+            font-weight: 500;
+          }
+          .otp-code { 
+            font-size: 36px; 
+            font-weight: 700; 
+            color: #f5576c; 
+            letter-spacing: 10px;
+            margin: 10px 0;
+          }
+          .otp-expiry {
+            margin: 10px 0 0 0;
+            font-size: 13px;
+            color: #999;
+          }
+          .info { 
+            background: #d1ecf1; 
+            border-left: 4px solid #17a2b8; 
+            padding: 16px; 
+            margin: 25px 0;
+            border-radius: 4px;
+          }
+          .info strong {
+            color: #0c5460;
+          }
+          .footer { 
+            text-align: center; 
+            padding: 30px;
+            background: #f8f9fa;
+            color: #666; 
+            font-size: 13px;
+            border-top: 1px solid #e9ecef;
+          }
+          .footer p {
+            margin: 5px 0;
+          }
+          p {
+            margin: 15px 0;
+            color: #555;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⚠️ Confirm Account Deletion</h1>
+          </div>
+          <div class="content">
+            <p>You've requested to delete your Syncup account. Enter this code in the app to confirm:</p>
+            
+            <div class="otp-box">
+              <p class="otp-label">Your Confirmation Code</p>
+              <div class="otp-code">${otp}</div>
+              <p class="otp-expiry">⏱️ This code will expire in 1 minute</p>
+            </div>
+
+            <div class="info">
+              <strong>ℹ️ Important:</strong> Your account and all of its data will be permanently deleted once the grace period shown in the app is over. Signing in again before then cancels the deletion. If you didn't request this, change your password right away.
+            </div>
+
+            <p>Don't share this code with anyone.</p>
+            
+            <p style="margin-top: 30px;">Best regards,<br><strong>The Syncup Team</strong></p>
+          </div>
+          <div class="footer">
+            <p><strong>© 2025 Syncup. All rights reserved.</strong></p>
+            <p>This is an automated email, please do not reply.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+  getDataExportReadyTemplate(name, downloadUrl, expiresAt) {
+    const expiry = new Date(expiresAt).toUTCString();
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            line-height: 1.6; 
+            color: #333;
+            margin: 0;
+            padding: 0;
+            background-color: #f5f5f5;
+          }
+          .container { 
+            max-width: 600px; 
+            margin: 40px auto; 
+            background: white;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+          }
+          .header { 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+            color: white; 
+            padding: 40px 30px; 
+            text-align: center;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 28px;
+            font-weight: 700;
+          }
+          .content { 
+            padding: 40px 30px;
+          }
+          .button-box {
+            text-align: center;
+            margin: 30px 0;
+          }
+          .button {
+            display: inline-block;
+            background: #667eea;
+            color: white !important;
+            text-decoration: none;
+            padding: 14px 32px;
+            border-radius: 8px;
+            font-weight: 600;
+          }
+          .expiry {
+            margin: 15px 0 0 0;
+            font-size: 13px;
+            color: #999;
+          }
+          .info { 
+            background: #d1ecf1; 
+            border-left: 4px solid #17a2b8; 
+            padding: 16px; 
+            margin: 25px 0;
+            border-radius: 4px;
+          }
+          .info strong {
+            color: #0c5460;
+          }
+          .footer { 
+            text-align: center; 
+            padding: 30px;
+            background: #f8f9fa;
+            color: #666; 
+            font-size: 13px;
+            border-top: 1px solid #e9ecef;
+          }
+          .footer p {
+            margin: 5px 0;
+          }
+          p {
+            margin: 15px 0;
+            color: #555;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📦 Your Data Is Ready</h1>
+          </div>
+          <div class="content">
+            <p>Hi${name ? ` ${name}` : ''}, the copy of your Syncup data you asked for is ready to download.</p>
+            
+            <div class="button-box">
+              <a class="button" href="${downloadUrl}">Download My Data</a>
+              <p class="expiry">⏱️ This link expires on ${expiry}</p>
+            </div>
+
+            <div class="info">
+              <strong>ℹ️ Keep it safe:</strong> The archive contains your messages, posts, media and other personal data. Anyone with this link can download it, so don't forward this email. If you didn't request an export, change your password right away.
+            </div>
+            
+            <p style="margin-top: 30px;">Best regards,<br><strong>The Syncup Team</strong></p>
+          </div>
+          <div class="footer">
+            <p><strong>© 2025 Syncup. All rights reserved.</strong></p>
+            <p>This is an automated email, please do not reply.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
 }
 
 module.exports = new EmailService();
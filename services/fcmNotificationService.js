@@ -370,7 +370,13 @@ class FCMNotificationService {
           callType: String(callData.callType), // 'voice' or 'video'
           timestamp: new Date().toISOString(),
           // Include offer SDP for immediate call setup
-          offer: JSON.stringify(callData.offer || {})
+          offer: JSON.stringify(callData.offer || {}),
+          // Group calls: the app joins the group call instead of answering an offer
+          ...(callData.isGroupCall ? {
+            isGroupCall: 'true',
+            groupId: String(callData.groupId),
+            groupName: String(callData.groupName || '')
+          } : {})
         },
         tokens: tokens,
         android: {
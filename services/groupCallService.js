@@ -0,0 +1,479 @@
+const { v4: uuidv4 } = require('uuid');
+const GroupCall = require('../models/GroupCall');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const User = require('../models/userModel');
+const fcmNotificationService = require('./fcmNotificationService');
+const socketClusterService = require('./socketClusterService');
+const { getAsync, setAsync, delAsync } = require('../config/redis');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+/**
+ * Group Call Service
+ * Signaling for group voice/video calls using a full mesh: every participant
+ * holds a peer connection to every other participant, so the server only keeps
+ * the roster and relays offers, answers and ICE candidates between pairs.
+ * Convention: whoever joins sends offers to everyone already in the call.
+ * The GroupCall document is the roster, so any instance can handle any
+ * participant; who's busy and the joined list used for relaying live in Redis.
+ */
+
+// Mesh gets heavy fast - keep group calls small
+const MAX_GROUP_CALL_PARTICIPANTS = parseInt(process.env.MAX_GROUP_CALL_PARTICIPANTS, 10) || 8;
+// How long members are rung before they count as missed
+const GROUP_CALL_RING_TIMEOUT_MS = 60000;
+
+const ONGOING_STATUSES = ['ringing', 'active'];
+const GROUP_CALL_ID_PREFIX = 'gcall_';
+// Joined list kept alongside the busy flags so relaying signals doesn't hit the database
+const joinedKey = (callId) => `gcall:joined:${callId}`;
+
+// callId -> ring timeout, for calls started on this instance
+const ringTimeouts = new Map();
+
+/**
+ * callId of the group call a user is in, if any
+ */
+const getUserGroupCallId = async (userId) => {
+  const callId = await socketClusterService.getBusyCallId(userId);
+  return callId && callId.startsWith(GROUP_CALL_ID_PREFIX) ? callId : null;
+};
+
+const isUserInGroupCall = async (userId) => !!(await getUserGroupCallId(userId));
+
+const secondsSince = (date) => Math.max(Math.floor((Date.now() - new Date(date).getTime()) / 1000), 0);
+
+const getJoinedIds = (call) => call.participants
+  .filter(participant => participant.status === 'joined')
+  .map(participant => participant.userId);
+
+const cacheJoinedIds = (call) => {
+  const joinedIds = getJoinedIds(call);
+  return setAsync(joinedKey(call.callId), JSON.stringify(joinedIds), 'EX', 24 * 60 * 60);
+};
+
+const getCachedJoinedIds = async (callId) => {
+  const cached = await getAsync(joinedKey(callId));
+  if (cached) return JSON.parse(cached);
+
+  const call = await GroupCall.findOne({ callId, status: { $in: ONGOING_STATUSES } }).select('callId participants');
+  if (!call) return [];
+  await cacheJoinedIds(call);
+  return getJoinedIds(call);
+};
+
+const emitToParticipants = (call, event, data, exceptUserId = null) => {
+  const { broadcastToUser } = getSocketManager();
+  getJoinedIds(call).forEach(participantId => {
+    if (participantId !== exceptUserId) {
+      broadcastToUser(participantId, event, data);
+    }
+  });
+};
+
+/**
+ * A call is live while someone in it is still connected to some instance
+ */
+const isCallLive = (call) => {
+  const { isUserOnline } = getSocketManager();
+  return getJoinedIds(call).some(participantId => isUserOnline(participantId));
+};
+
+const formatRoster = (call) => call.participants.map(participant => ({
+  userId: participant.userId,
+  name: participant.name,
+  status: participant.status,
+  joinedAt: participant.joinedAt,
+  leftAt: participant.leftAt,
+  duration: participant.duration
+}));
+
+/**
+ * Close the call: everyone still in it leaves, unanswered invites become missed
+ */
+const finishCall = async (callId) => {
+  clearTimeout(ringTimeouts.get(callId));
+  ringTimeouts.delete(callId);
+  await delAsync(joinedKey(callId));
+
+  const call = await GroupCall.findOne({ callId });
+  if (!call || ['ended', 'missed'].includes(call.status)) return call;
+
+  await Promise.all(getJoinedIds(call).map(participantId =>
+    socketClusterService.clearCallBusy(participantId, callId)));
+
+  const now = new Date();
+  call.participants.forEach(participant => {
+    if (participant.status === 'joined') {
+      participant.duration += secondsSince(participant.lastJoinedAt);
+      participant.status = 'left';
+      participant.leftAt = now;
+    } else if (participant.status === 'invited') {
+      participant.status = 'missed';
+    }
+  });
+
+  call.status = call.startTime ? 'ended' : 'missed';
+  call.endTime = now;
+  call.calculateDuration();
+  await call.save();
+
+  console.log(`📞 [GROUP CALL] Call ${callId} ${call.status}, duration: ${call.duration}s`);
+  return call;
+};
+
+/**
+ * Ring timeout: unanswered members are marked missed; a call nobody picked up ends
+ */
+const handleRingTimeout = async (callId) => {
+  ringTimeouts.delete(callId);
+  try {
+    const call = await GroupCall.findOne({ callId, status: { $in: ONGOING_STATUSES } });
+    if (!call) return;
+
+    if (getJoinedIds(call).length <= 1) {
+      emitToParticipants(call, 'group-call:ended', {
+        callId,
+        groupId: call.groupId.toString(),
+        reason: 'no_answer'
+      });
+      await finishCall(callId);
+      return;
+    }
+
+    await GroupCall.updateOne(
+      { callId },
+      { $set: { 'participants.$[invited].status': 'missed' } },
+      { arrayFilters: [{ 'invited.status': 'invited' }] }
+    );
+  } catch (error) {
+    console.error(`❌ [GROUP CALL] Error handling ring timeout for ${callId}:`, error);
+  }
+};
+
+/**
+ * Ring every other active member: socket when online, FCM call push otherwise
+ */
+const ringMembers = async (call, memberIds, initiator) => {
+  const { broadcastToUser } = getSocketManager();
+
+  const incomingData = {
+    callId: call.callId,
+    groupId: call.groupId.toString(),
+    groupName: call.groupName,
+    callerId: call.initiatorId,
+    callerName: call.initiatorName,
+    callerAvatar: initiator?.profileImage || null,
+    callType: call.callType,
+    isGroupCall: true
+  };
+
+  for (const memberId of memberIds) {
+    try {
+      if (broadcastToUser(memberId, 'group-call:incoming', incomingData)) continue;
+
+      await fcmNotificationService.sendCallNotification(memberId, {
+        ...incomingData,
+        callerName: `${call.groupName} - ${call.initiatorName}`
+      });
+    } catch (error) {
+      console.error(`❌ [GROUP CALL] Failed to ring ${memberId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Start a call in a group chat. If the group already has a call going, the
+ * caller is pointed at it instead so they can join.
+ */
+const startCall = async (socket, userId, { groupId, callType } = {}) => {
+  if (!['voice', 'video'].includes(callType)) {
+    socket.emit('group-call:failed', { reason: 'Invalid call type' });
+    return;
+  }
+
+  const membership = groupId ? await GroupMember.isMember(groupId, userId) : null;
+  if (!membership) {
+    socket.emit('group-call:failed', { reason: 'You are not a member of this group' });
+    return;
+  }
+
+  if (await isUserInGroupCall(userId)) {
+    socket.emit('group-call:failed', { reason: 'You are already on a call' });
+    return;
+  }
+
+  const groupChat = await GroupChat.findById(groupId);
+  if (!groupChat || !groupChat.isActive) {
+    socket.emit('group-call:failed', { reason: 'Group chat not found' });
+    return;
+  }
+
+  const ongoing = await GroupCall.findOne({ groupId, status: { $in: ONGOING_STATUSES } });
+  if (ongoing) {
+    if (isCallLive(ongoing)) {
+      socket.emit('group-call:in-progress', {
+        callId: ongoing.callId,
+        groupId,
+        callType: ongoing.callType,
+        participants: formatRoster(ongoing)
+      });
+      return;
+    }
+    // Left over from an instance that went away - nobody is connected to it any more
+    await finishCall(ongoing.callId);
+  }
+
+  const initiator = await User.findOne({ userId }).select('name profileImage');
+  const members = await GroupMember.find({ groupId, isActive: true }).select('userId');
+  const memberIds = members.map(member => member.userId).filter(memberId => memberId !== userId);
+  const users = await User.find({ userId: { $in: memberIds } }).select('userId name').lean();
+  const namesById = new Map(users.map(user => [user.userId, user.name]));
+
+  const now = new Date();
+  const callId = `gcall_${Date.now()}_${uuidv4().slice(0, 8)}`;
+  const call = await GroupCall.create({
+    callId,
+    groupId,
+    groupName: groupChat.groupName,
+    initiatorId: userId,
+    initiatorName: initiator?.name || 'Unknown',
+    callType,
+    participants: [
+      {
+        userId,
+        name: initiator?.name || 'Unknown',
+        status: 'joined',
+        invitedAt: now,
+        joinedAt: now,
+        lastJoinedAt: now
+      },
+      ...memberIds.map(memberId => ({
+        userId: memberId,
+        name: namesById.get(memberId) || 'Unknown',
+        invitedAt: now
+      }))
+    ]
+  });
+
+  ringTimeouts.set(callId, setTimeout(() => handleRingTimeout(callId), GROUP_CALL_RING_TIMEOUT_MS));
+  await socketClusterService.setCallBusy(userId, callId);
+  await cacheJoinedIds(call);
+
+  console.log(`📞 [GROUP CALL] ${userId} started ${callType} call ${callId} in group ${groupId}`);
+
+  socket.emit('group-call:started', {
+    callId,
+    groupId,
+    callType,
+    maxParticipants: MAX_GROUP_CALL_PARTICIPANTS,
+    participants: formatRoster(call)
+  });
+
+  await ringMembers(call, memberIds, initiator);
+};
+
+/**
+ * Join (or rejoin) a group call
+ */
+const joinCall = async (socket, userId, { callId } = {}) => {
+  const ongoing = callId ? await GroupCall.findOne({ callId, status: { $in: ONGOING_STATUSES } }) : null;
+  if (!ongoing) {
+    socket.emit('group-call:failed', { callId, reason: 'Call has ended' });
+    return;
+  }
+
+  const existingParticipants = getJoinedIds(ongoing);
+  if (existingParticipants.includes(userId)) {
+    socket.emit('group-call:failed', { callId, reason: 'You are already in this call' });
+    return;
+  }
+
+  if (await isUserInGroupCall(userId)) {
+    socket.emit('group-call:failed', { callId, reason: 'You are already on a call' });
+    return;
+  }
+
+  const groupId = ongoing.groupId.toString();
+  const membership = await GroupMember.isMember(groupId, userId);
+  if (!membership) {
+    socket.emit('group-call:failed', { callId, reason: 'You are not a member of this group' });
+    return;
+  }
+
+  if (existingParticipants.length >= MAX_GROUP_CALL_PARTICIPANTS) {
+    socket.emit('group-call:failed', { callId, reason: `Call is full (${MAX_GROUP_CALL_PARTICIPANTS} participants max)` });
+    return;
+  }
+
+  const now = new Date();
+  await socketClusterService.setCallBusy(userId, callId);
+
+  const joinUpdate = {
+    'participants.$.status': 'joined',
+    'participants.$.lastJoinedAt': now,
+    'participants.$.leftAt': null
+  };
+  let call = await GroupCall.findOneAndUpdate(
+    { callId, 'participants.userId': userId },
+    { $set: joinUpdate },
+    { new: true }
+  );
+
+  if (!call) {
+    // Joined the group after the call started
+    const user = await User.findOne({ userId }).select('name');
+    call = await GroupCall.findOneAndUpdate(
+      { callId },
+      {
+        $push: {
+          participants: {
+            userId,
+            name: user?.name || 'Unknown',
+            status: 'joined',
+            invitedAt: now,
+            joinedAt: now,
+            lastJoinedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+  } else {
+    const participant = call.participants.find(entry => entry.userId === userId);
+    if (!participant.joinedAt) {
+      participant.joinedAt = now;
+    }
+  }
+
+  // The call is live once a second person is in it
+  if (!call.startTime) {
+    call.startTime = now;
+    call.status = 'active';
+  }
+  const joinedCount = getJoinedIds(call).length;
+  call.maxConcurrentParticipants = Math.max(call.maxConcurrentParticipants, joinedCount);
+  await call.save();
+  await cacheJoinedIds(call);
+
+  const participant = call.participants.find(entry => entry.userId === userId);
+  console.log(`📞 [GROUP CALL] ${userId} joined call ${callId} (${joinedCount} in call)`);
+
+  // The newcomer sends an offer to each of these
+  socket.emit('group-call:joined', {
+    callId,
+    groupId,
+    callType: call.callType,
+    peers: existingParticipants,
+    participants: formatRoster(call)
+  });
+
+  emitToParticipants(call, 'group-call:participant-joined', {
+    callId,
+    userId,
+    name: participant?.name || 'Unknown'
+  }, userId);
+};
+
+/**
+ * Turn down a ringing group call
+ */
+const declineCall = async (socket, userId, { callId } = {}) => {
+  if (!callId) return;
+
+  const call = await GroupCall.findOneAndUpdate(
+    {
+      callId,
+      status: { $in: ONGOING_STATUSES },
+      participants: { $elemMatch: { userId, status: 'invited' } }
+    },
+    { $set: { 'participants.$.status': 'declined' } },
+    { new: true }
+  );
+  if (!call) return;
+
+  emitToParticipants(call, 'group-call:participant-declined', { callId, userId });
+};
+
+/**
+ * Leave a group call. The call ends when the last participant leaves.
+ */
+const leaveCall = async (userId, callId, reason = 'left') => {
+  await socketClusterService.clearCallBusy(userId, callId);
+
+  const ongoing = await GroupCall.findOne({ callId, status: { $in: ONGOING_STATUSES } });
+  const participant = ongoing?.participants.find(entry => entry.userId === userId && entry.status === 'joined');
+  if (!participant) return;
+
+  const call = await GroupCall.findOneAndUpdate(
+    { callId, participants: { $elemMatch: { userId, status: 'joined' } } },
+    {
+      $set: { 'participants.$.status': 'left', 'participants.$.leftAt': new Date() },
+      $inc: { 'participants.$.duration': secondsSince(participant.lastJoinedAt) }
+    },
+    { new: true }
+  );
+  if (!call) return;
+
+  const remaining = getJoinedIds(call).length;
+  if (remaining === 0) {
+    await finishCall(callId);
+    console.log(`📞 [GROUP CALL] Last participant ${userId} left call ${callId}`);
+    return;
+  }
+
+  await cacheJoinedIds(call);
+  console.log(`📞 [GROUP CALL] ${userId} left call ${callId} (${remaining} still in call)`);
+  emitToParticipants(call, 'group-call:participant-left', { callId, userId, reason });
+};
+
+/**
+ * Relay an offer / answer / ICE candidate to one other participant
+ */
+const relaySignal = async (socket, userId, event, { callId, targetUserId, ...payload } = {}) => {
+  const joinedIds = callId ? await getCachedJoinedIds(callId) : [];
+  if (!joinedIds.includes(userId) || !joinedIds.includes(targetUserId)) {
+    socket.emit('group-call:failed', { callId, reason: 'Participant is not in this call' });
+    return;
+  }
+
+  const { broadcastToUser } = getSocketManager();
+  broadcastToUser(targetUserId, event, {
+    callId,
+    fromUserId: userId,
+    ...payload
+  });
+};
+
+/**
+ * Socket dropped: take the user out of whatever group call they were in
+ */
+const handleDisconnect = async (userId) => {
+  const callId = await getUserGroupCallId(userId);
+  if (callId) {
+    await leaveCall(userId, callId, 'disconnected');
+  }
+};
+
+/**
+ * Ongoing call in a group, if any
+ */
+const getActiveCallForGroup = async (groupId) => {
+  const call = await GroupCall.findOne({ groupId, status: { $in: ONGOING_STATUSES } });
+  if (!call || !isCallLive(call)) return null;
+  return call;
+};
+
+module.exports = {
+  MAX_GROUP_CALL_PARTICIPANTS,
+  isUserInGroupCall,
+  formatRoster,
+  startCall,
+  joinCall,
+  declineCall,
+  leaveCall,
+  relaySignal,
+  handleDisconnect,
+  getActiveCallForGroup
+};
@@ -0,0 +1,72 @@
+const GroupChat = require('../models/groupChatModel');
+const GroupMessage = require('../models/groupMessageModel');
+const User = require('../models/userModel');
+const { buildEventText } = require('../utils/groupSystemEvents');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+/**
+ * Group Event Service
+ * Writes typed system messages into a group's message stream so joins, leaves,
+ * role changes and renames show up in history, search and the admin audit log.
+ */
+
+/**
+ * Record a group system event and broadcast it as a regular group message
+ * @param {String|ObjectId} groupId - Group chat
+ * @param {Object} event
+ * @param {String} event.eventType - One of GROUP_EVENT_TYPES
+ * @param {String} event.actorId - User who triggered the event
+ * @param {Array<String>} [event.targetUserIds] - Users the event is about
+ * @param {Object} [event.metadata] - Event specific details (new name, settings, ...)
+ * @param {Array<String>} [event.notifyUserIds] - Extra recipients (e.g. a removed member)
+ * @returns {Promise<Object|null>} - Saved system message, or null when recording failed
+ */
+const recordGroupEvent = async (groupId, { eventType, actorId, targetUserIds = [], metadata = {}, notifyUserIds = [] }) => {
+  try {
+    const users = await User.find({ userId: { $in: [actorId, ...targetUserIds] } })
+      .select('userId name')
+      .lean();
+    const namesById = new Map(users.map(user => [user.userId, user.name]));
+
+    const actorName = namesById.get(actorId) || 'Someone';
+    const targetNames = targetUserIds.map(targetId => namesById.get(targetId) || 'Unknown');
+
+    const systemMessage = await GroupMessage.create({
+      groupId,
+      senderId: 'system',
+      senderName: actorName,
+      message: buildEventText(eventType, actorName, targetNames, metadata),
+      messageType: 'system',
+      systemEvent: {
+        eventType,
+        actorId,
+        targetUserIds,
+        metadata
+      }
+    });
+
+    // Broadcast to the group as it is *after* the change
+    const groupChat = await GroupChat.findById(groupId).select('members');
+    const recipients = new Set([...(groupChat ? groupChat.members : []), ...notifyUserIds]);
+
+    const { broadcastToUser } = getSocketManager();
+    recipients.forEach(member => {
+      broadcastToUser(member, 'group:message', {
+        groupId,
+        message: systemMessage,
+        messageType: 'system'
+      });
+    });
+
+    return systemMessage;
+  } catch (error) {
+    // Never fail the group action itself because the timeline entry couldn't be written
+    console.error(`❌ [GROUP EVENT] Failed to record ${eventType} for group ${groupId}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  recordGroupEvent
+};
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const GroupMessage = require('../models/groupMessageModel');
+const GroupMember = require('../models/groupMemberModel');
+const User = require('../models/userModel');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+/**
+ * Group Receipt Service
+ * Per-member delivery and read receipts for group messages. Receipts live on the
+ * message itself (deliveredTo / readBy) and senders are told about new ones over
+ * the socket. Members who turned read receipts off still get their reads stored
+ * (so turning receipts back on needs no backfill) but are never shown as having
+ * read a message.
+ */
+
+// Upper bound on messages touched by a single delivered/read call
+const MAX_RECEIPT_BATCH = parseInt(process.env.MAX_GROUP_RECEIPT_BATCH, 10) || 500;
+
+const toObjectIds = (messageIds) => [].concat(messageIds || [])
+  .filter(messageId => mongoose.Types.ObjectId.isValid(messageId))
+  .slice(0, MAX_RECEIPT_BATCH)
+  .map(messageId => new mongoose.Types.ObjectId(messageId));
+
+const hidesReadReceipts = (user) => !!user && user.readReceipts === false;
+
+/**
+ * Tell each sender which of their messages got a new receipt
+ * @param {String} groupId - Group chat
+ * @param {String} userId - Member the receipt belongs to
+ * @param {Array<Object>} messages - [{ _id, senderId }]
+ * @param {String} type - delivered | read
+ * @param {Date} at - Receipt time
+ */
+const notifySenders = (groupId, userId, messages, type, at) => {
+  const { broadcastToUser } = getSocketManager();
+
+  const messageIdsBySender = new Map();
+  messages.forEach(message => {
+    if (!messageIdsBySender.has(message.senderId)) {
+      messageIdsBySender.set(message.senderId, []);
+    }
+    messageIdsBySender.get(message.senderId).push(message._id.toString());
+  });
+
+  messageIdsBySender.forEach((messageIds, senderId) => {
+    broadcastToUser(senderId, 'group:message_receipt', {
+      groupId: groupId.toString(),
+      messageIds,
+      userId,
+      type,
+      at: at.toISOString()
+    });
+  });
+};
+
+/**
+ * Record that a member received some group messages
+ * @param {String} groupId - Group chat
+ * @param {String} userId - Member who received them
+ * @param {Array<String>} messageIds - Received messages
+ * @returns {Promise<Array<String>>} - Messages newly marked as delivered
+ */
+const markDelivered = async (groupId, userId, messageIds) => {
+  const ids = toObjectIds(messageIds);
+  if (ids.length === 0) return [];
+
+  const filter = {
+    _id: { $in: ids },
+    groupId,
+    senderId: { $nin: [userId, 'system'] },
+    deletedAt: null,
+    'deliveredTo.userId': { $ne: userId }
+  };
+
+  const messages = await GroupMessage.find(filter).select('_id senderId').lean();
+  if (messages.length === 0) return [];
+
+  const deliveredAt = new Date();
+  await GroupMessage.updateMany(
+    { ...filter, _id: { $in: messages.map(message => message._id) } },
+    { $push: { deliveredTo: { userId, deliveredAt } } }
+  );
+
+  notifySenders(groupId, userId, messages, 'delivered', deliveredAt);
+  return messages.map(message => message._id.toString());
+};
+
+/**
+ * Record that a member read everything up to (and including) a message.
+ * Reading implies delivery, so missing delivery receipts are filled in as well.
+ * @param {String} groupId - Group chat
+ * @param {String} userId - Member who read the messages
+ * @param {ObjectId} upToMessageId - Newest message read
+ * @param {ObjectId} [afterMessageId] - Last message already read before this call
+ * @param {ObjectId} [threadId] - Thread being read; the main timeline when null
+ * @returns {Promise<Array<String>>} - Messages newly marked as read
+ */
+const markReadUpTo = async (groupId, userId, upToMessageId, afterMessageId = null, threadId = null) => {
+  const idRange = { $lte: upToMessageId };
+  if (afterMessageId) {
+    idRange.$gt = afterMessageId;
+  }
+
+  const filter = {
+    _id: idRange,
+    groupId,
+    threadId,
+    senderId: { $nin: [userId, 'system'] },
+    deletedAt: null,
+    'readBy.userId': { $ne: userId }
+  };
+
+  const messages = await GroupMessage.find(filter)
+    .select('_id senderId')
+    .sort({ _id: -1 })
+    .limit(MAX_RECEIPT_BATCH)
+    .lean();
+  if (messages.length === 0) return [];
+
+  const readAt = new Date();
+  const messageIds = messages.map(message => message._id);
+
+  await GroupMessage.updateMany(
+    { ...filter, _id: { $in: messageIds } },
+    { $push: { readBy: { userId, readAt } } }
+  );
+  await GroupMessage.updateMany(
+    { _id: { $in: messageIds }, 'deliveredTo.userId': { $ne: userId } },
+    { $push: { deliveredTo: { userId, deliveredAt: readAt } } }
+  );
+
+  const reader = await User.findOne({ userId }).select('readReceipts').lean();
+  // Senders of members with read receipts off only learn the message arrived
+  notifySenders(groupId, userId, messages, hidesReadReceipts(reader) ? 'delivered' : 'read', readAt);
+
+  return messageIds.map(messageId => messageId.toString());
+};
+
+/**
+ * Delivery/read details of one group message, as shown to its sender
+ * @param {Object} groupMessage - GroupMessage document
+ * @returns {Promise<Object>} - { readBy[], deliveredTo[], counts }
+ */
+const getMessageInfo = async (groupMessage) => {
+  const receiptUserIds = [...new Set([
+    ...groupMessage.readBy.map(receipt => receipt.userId),
+    ...groupMessage.deliveredTo.map(receipt => receipt.userId)
+  ])];
+
+  const users = await User.find({ userId: { $in: receiptUserIds } })
+    .select('userId name profileImage readReceipts')
+    .lean();
+  const usersById = new Map(users.map(user => [user.userId, user]));
+
+  const toEntry = (userId, timestampField, timestamp) => {
+    const user = usersById.get(userId);
+    return {
+      userId,
+      name: user ? user.name : 'Unknown User',
+      profileImage: user ? user.profileImage : null,
+      [timestampField]: timestamp
+    };
+  };
+
+  const readBy = groupMessage.readBy
+    .filter(receipt => !hidesReadReceipts(usersById.get(receipt.userId)))
+    .sort((a, b) => new Date(a.readAt) - new Date(b.readAt))
+    .map(receipt => toEntry(receipt.userId, 'readAt', receipt.readAt));
+
+  // "Delivered to" lists members who got the message but aren't shown as having read it
+  const shownAsRead = new Set(readBy.map(entry => entry.userId));
+  const deliveredTo = groupMessage.deliveredTo
+    .filter(receipt => !shownAsRead.has(receipt.userId))
+    .sort((a, b) => new Date(a.deliveredAt) - new Date(b.deliveredAt))
+    .map(receipt => toEntry(receipt.userId, 'deliveredAt', receipt.deliveredAt));
+
+  // Everyone who was in the group when the message was sent
+  const totalRecipients = await GroupMember.countDocuments({
+    groupId: groupMessage.groupId,
+    isActive: true,
+    userId: { $ne: groupMessage.senderId },
+    joinedAt: { $lte: groupMessage.createdAt }
+  });
+
+  return {
+    messageId: groupMessage._id,
+    readBy,
+    deliveredTo,
+    counts: {
+      totalRecipients,
+      read: readBy.length,
+      delivered: readBy.length + deliveredTo.length,
+      pending: Math.max(totalRecipients - readBy.length - deliveredTo.length, 0)
+    }
+  };
+};
+
+/**
+ * Drop read receipts of members who turned them off from a page of messages
+ * @param {Array<Object>} messages - GroupMessage documents
+ * @returns {Promise<Array<Object>>} - Plain message objects safe to send to clients
+ */
+const hideDisabledReadReceipts = async (messages) => {
+  const plainMessages = messages.map(message => (message.toObject ? message.toObject() : message));
+  const readerIds = [...new Set(plainMessages.flatMap(message => (message.readBy || []).map(receipt => receipt.userId)))];
+  if (readerIds.length === 0) return plainMessages;
+
+  const hiddenReaderIds = new Set(await User.distinct('userId', {
+    userId: { $in: readerIds },
+    readReceipts: false
+  }));
+  if (hiddenReaderIds.size === 0) return plainMessages;
+
+  return plainMessages.map(message => ({
+    ...message,
+    readBy: (message.readBy || []).filter(receipt => !hiddenReaderIds.has(receipt.userId))
+  }));
+};
+
+module.exports = {
+  hideDisabledReadReceipts,
+  markDelivered,
+  markReadUpTo,
+  getMessageInfo
+};
@@ -0,0 +1,192 @@
+const GroupMessage = require('../models/groupMessageModel');
+const GroupThreadFollow = require('../models/GroupThreadFollow');
+const { markReadUpTo } = require('./groupReceiptService');
+
+/**
+ * Group Thread Service
+ * Side threads hang off a root GroupMessage: replies carry the root's id in
+ * `threadId`, the root keeps a reply count and last-reply preview, and each
+ * member's follow state and read position lives in GroupThreadFollow.
+ */
+
+const buildLastReply = (reply) => ({
+  messageId: reply._id,
+  senderId: reply.senderId,
+  senderName: reply.senderName,
+  message: reply.message,
+  messageType: reply.messageType
+});
+
+/**
+ * Public shape of a root message's thread summary
+ */
+const formatThreadSummary = (root) => ({
+  replyCount: root.thread?.replyCount || 0,
+  lastReplyAt: root.thread?.lastReplyAt || null,
+  lastReply: root.thread?.lastReply?.messageId ? root.thread.lastReply : null
+});
+
+/**
+ * Bump the root's reply count and last-reply preview for a new reply
+ * @returns {Promise<Object>} - Updated root message
+ */
+const addReplyToThread = (root, reply) => {
+  return GroupMessage.findByIdAndUpdate(
+    root._id,
+    {
+      $inc: { 'thread.replyCount': 1 },
+      $set: {
+        'thread.lastReplyAt': reply.createdAt,
+        'thread.lastReply': buildLastReply(reply)
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Recompute a root's summary from the replies still stored (after replies were purged)
+ */
+const refreshThreadSummary = async (threadId) => {
+  const filter = { threadId, deletedAt: null };
+  const [replyCount, lastReply] = await Promise.all([
+    GroupMessage.countDocuments(filter),
+    GroupMessage.findOne(filter).sort({ createdAt: -1 })
+  ]);
+
+  await GroupMessage.updateOne(
+    { _id: threadId },
+    {
+      $set: {
+        'thread.replyCount': replyCount,
+        'thread.lastReplyAt': lastReply ? lastReply.createdAt : null,
+        'thread.lastReply': lastReply ? buildLastReply(lastReply) : {}
+      }
+    }
+  );
+};
+
+/**
+ * Follow a thread. With `onlyIfNew`, members who explicitly unfollowed stay unfollowed.
+ */
+const followThread = (groupId, threadId, userId, { onlyIfNew = false } = {}) => {
+  const update = onlyIfNew
+    ? { $setOnInsert: { groupId, isFollowing: true } }
+    : { $setOnInsert: { groupId }, $set: { isFollowing: true } };
+
+  return GroupThreadFollow.findOneAndUpdate(
+    { threadId, userId },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const unfollowThread = (groupId, threadId, userId) => {
+  return GroupThreadFollow.findOneAndUpdate(
+    { threadId, userId },
+    { $setOnInsert: { groupId }, $set: { isFollowing: false } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * userIds following a thread
+ */
+const getThreadFollowerIds = (threadId) => {
+  return GroupThreadFollow.distinct('userId', { threadId, isFollowing: true });
+};
+
+/**
+ * Replies from others the member hasn't read yet
+ */
+const countUnreadReplies = (threadId, userId, lastReadReplyId) => {
+  const query = {
+    threadId,
+    deletedAt: null,
+    senderId: { $ne: userId }
+  };
+  if (lastReadReplyId) {
+    query._id = { $gt: lastReadReplyId };
+  }
+  return GroupMessage.countDocuments(query);
+};
+
+/**
+ * Move the member's read position to the newest reply and record read receipts
+ * @returns {Promise<Object>} - Updated follow record
+ */
+const markThreadRead = async (groupId, threadId, userId) => {
+  const existing = await GroupThreadFollow.findOne({ threadId, userId });
+  const latestReply = await GroupMessage.findOne({ threadId, deletedAt: null })
+    .sort({ _id: -1 })
+    .select('_id');
+
+  // Reading a thread doesn't follow it
+  const follow = await GroupThreadFollow.findOneAndUpdate(
+    { threadId, userId },
+    {
+      $setOnInsert: { groupId, isFollowing: false },
+      $set: {
+        lastReadReplyId: latestReply ? latestReply._id : existing?.lastReadReplyId || null,
+        lastReadAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (latestReply) {
+    await markReadUpTo(groupId, userId, latestReply._id, existing?.lastReadReplyId || null, threadId);
+  }
+
+  return follow;
+};
+
+/**
+ * Threads a member follows in a group, most recently active first, with unread counts
+ */
+const getFollowedThreads = async (groupId, userId) => {
+  const follows = await GroupThreadFollow.find({ groupId, userId, isFollowing: true }).lean();
+  if (follows.length === 0) return [];
+
+  const roots = await GroupMessage.find({
+    _id: { $in: follows.map(follow => follow.threadId) },
+    deletedAt: null
+  })
+    .select('_id senderId senderName message messageType createdAt thread')
+    .lean();
+  const rootsById = new Map(roots.map(root => [root._id.toString(), root]));
+
+  const threads = await Promise.all(follows
+    .filter(follow => rootsById.has(follow.threadId.toString()))
+    .map(async (follow) => {
+      const root = rootsById.get(follow.threadId.toString());
+      return {
+        threadId: root._id,
+        root: {
+          _id: root._id,
+          senderId: root.senderId,
+          senderName: root.senderName,
+          message: root.message,
+          messageType: root.messageType,
+          createdAt: root.createdAt
+        },
+        thread: formatThreadSummary(root),
+        unreadCount: await countUnreadReplies(root._id, userId, follow.lastReadReplyId)
+      };
+    }));
+
+  return threads.sort((a, b) =>
+    new Date(b.thread.lastReplyAt || b.root.createdAt) - new Date(a.thread.lastReplyAt || a.root.createdAt));
+};
+
+module.exports = {
+  formatThreadSummary,
+  addReplyToThread,
+  refreshThreadSummary,
+  followThread,
+  unfollowThread,
+  getThreadFollowerIds,
+  countUnreadReplies,
+  markThreadRead,
+  getFollowedThreads
+};
@@ -0,0 +1,644 @@
+/**
+ * ICS Calendar Service
+ * Calendar input that needs no live provider connection, and calendar output
+ * any calendar app can subscribe to:
+ *
+ *   import - users upload an .ics file or link an ICS URL (webcal:// works).
+ *            Events in the next ICS_SYNC_WINDOW_DAYS, with RRULE/EXDATE
+ *            recurrences and RECURRENCE-ID overrides expanded, go through
+ *            calendarIntegrationService like any other calendar events.
+ *            Linked URLs are re-fetched every ICS_REFRESH_MINUTES; uploaded
+ *            files are re-expanded from the stored copy so recurring events
+ *            keep rolling forward.
+ *   feed   - a private URL (the token is the credential) publishing the
+ *            user's StatusSchedules and PrimaryTimeProfiles as iCalendar.
+ *            Schedules that were themselves imported from a calendar are left
+ *            out so subscribing the feed next to that calendar shows no duplicates.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const ical = require('node-ical');
+const { v4: uuidv4 } = require('uuid');
+const CalendarSubscription = require('../models/CalendarSubscription');
+const StatusSchedule = require('../models/statusScheduleModel');
+const PrimaryTimeProfile = require('../models/PrimaryTimeProfile');
+const User = require('../models/userModel');
+const calendarIntegrationService = require('./calendarIntegrationService');
+const recurrence = require('../utils/recurrence');
+const { toLocalParts } = recurrence;
+const { escapeText, formatUtc, formatLocal, property, timezoneComponent, buildCalendar } = require('../utils/icalendar');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errorClasses');
+
+const SYNC_WINDOW_DAYS = parseInt(process.env.ICS_SYNC_WINDOW_DAYS, 10) || 30;
+const REFRESH_MINUTES = parseInt(process.env.ICS_REFRESH_MINUTES, 10) || 60;
+const MAX_ICS_BYTES = (parseInt(process.env.ICS_MAX_SIZE_KB, 10) || 1024) * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+const MAX_SUBSCRIPTIONS = 10;
+// Upper bound on occurrences taken from one calendar per sync
+const MAX_OCCURRENCES = 500;
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:5000';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Linked calendars are fetched by the server, so never from internal addresses
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// node-ical gives either a string or { params, val }
+const textValue = (value) => (typeof value === 'string' ? value : value?.val || '');
+
+const formatSubscription = (subscription) => ({
+  subscriptionId: subscription.subscriptionId,
+  name: subscription.name,
+  sourceType: subscription.sourceType,
+  active: subscription.active,
+  lastSyncedAt: subscription.lastSyncedAt,
+  lastError: subscription.lastError,
+  eventCount: subscription.eventCount,
+  createdAt: subscription.createdAt
+});
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Validate a calendar URL and make sure it resolves to a public address
+ * @param {string} rawUrl - http(s):// or webcal(s)://
+ * @returns {Promise<URL>}
+ */
+const assertPublicUrl = async (rawUrl) => {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw new BadRequestError('Invalid calendar URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new BadRequestError('Calendar URL must start with https://, http:// or webcal://');
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(url.hostname, { all: true });
+  } catch (error) {
+    throw new BadRequestError(`Could not find the calendar server ${url.hostname}`);
+  }
+  if (addresses.some(({ address, family }) => privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new BadRequestError('Calendar URL must point to a public server');
+  }
+  return url;
+};
+
+const readLimited = async (response) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_ICS_BYTES) {
+      throw new BadRequestError(`Calendar is larger than ${Math.round(MAX_ICS_BYTES / 1024)} KB`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Download an ICS URL (redirects are followed and re-checked)
+ * @param {string} rawUrl
+ * @returns {Promise<string>} - ICS text
+ */
+const fetchIcs = async (rawUrl) => {
+  let url = await assertPublicUrl(rawUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await fetch(url, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        headers: { Accept: 'text/calendar, */*;q=0.5' }
+      });
+    } catch (error) {
+      throw new BadRequestError(`Could not download the calendar: ${error.message}`);
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw new BadRequestError('Calendar URL redirects too many times');
+      }
+      url = await assertPublicUrl(new URL(location, url).href);
+      continue;
+    }
+    if (!response.ok) {
+      throw new BadRequestError(`Calendar server answered with HTTP ${response.status}`);
+    }
+    return readLimited(response);
+  }
+};
+
+/**
+ * @param {string} content - ICS text
+ * @returns {Promise<Object>} - node-ical components keyed by UID
+ */
+const parseCalendar = async (content) => {
+  if (typeof content !== 'string' || !/BEGIN:VCALENDAR/i.test(content)) {
+    throw new BadRequestError('Not an iCalendar (.ics) file');
+  }
+  if (Buffer.byteLength(content) > MAX_ICS_BYTES) {
+    throw new BadRequestError(`Calendar is larger than ${Math.round(MAX_ICS_BYTES / 1024)} KB`);
+  }
+  try {
+    return await ical.async.parseICS(content);
+  } catch (error) {
+    throw new BadRequestError(`Could not read the calendar: ${error.message}`);
+  }
+};
+
+/**
+ * Occurrences in the sync window as calendar events for calendarIntegrationService.
+ * Recurring events get one event per occurrence, identified by the occurrence's
+ * original start so a moved (RECURRENCE-ID) occurrence updates its schedule.
+ *
+ * @param {Object} calendar - parseCalendar result
+ * @param {string} subscriptionId
+ * @returns {Array<Object>} - { id, title, description, location, start, end, source, subscriptionId }
+ */
+const expandEvents = (calendar, subscriptionId) => {
+  const from = new Date();
+  const to = new Date(from.getTime() + SYNC_WINDOW_DAYS * DAY_MS);
+  const events = [];
+
+  for (const component of Object.values(calendar)) {
+    if (component?.type !== 'VEVENT') continue;
+    // Cancelled and "free" (transparent) events do not make anyone busy
+    if (component.status === 'CANCELLED' || component.transparency === 'TRANSPARENT') continue;
+
+    let instances;
+    try {
+      instances = ical.expandRecurringEvent(component, { from, to, expandOngoing: true });
+    } catch (error) {
+      console.warn(`⚠️ [ICS] Skipping event ${component.uid}: ${error.message}`);
+      continue;
+    }
+
+    for (const instance of instances) {
+      // All-day entries (birthdays, holidays) would claim whole days
+      if (instance.isFullDay || !instance.end || instance.event.status === 'CANCELLED') continue;
+
+      const occurrence = (instance.isOverride && instance.event.recurrenceid) || instance.start;
+      events.push({
+        id: instance.isRecurring
+          ? `ics:${subscriptionId}:${component.uid}:${new Date(occurrence).toISOString()}`
+          : `ics:${subscriptionId}:${component.uid}`,
+        title: textValue(instance.summary) || 'Busy',
+        description: textValue(instance.event.description),
+        location: textValue(instance.event.location),
+        start: new Date(instance.start),
+        end: new Date(instance.end),
+        source: 'ics',
+        subscriptionId
+      });
+    }
+  }
+
+  return events
+    .sort((a, b) => a.start - b.start)
+    .slice(0, MAX_OCCURRENCES);
+};
+
+const syncContent = async (subscription, content) => {
+  const events = expandEvents(await parseCalendar(content), subscription.subscriptionId);
+  const results = await calendarIntegrationService.syncCalendarWithStatus(
+    subscription.userId,
+    events,
+    { subscriptionId: subscription.subscriptionId }
+  );
+
+  subscription.lastSyncedAt = new Date();
+  subscription.lastError = null;
+  subscription.eventCount = events.length;
+  await CalendarSubscription.updateOne(
+    { _id: subscription._id },
+    { $set: { lastSyncedAt: subscription.lastSyncedAt, lastError: null, eventCount: events.length } }
+  );
+
+  return results;
+};
+
+const assertSubscriptionLimit = async (userId) => {
+  const count = await CalendarSubscription.countDocuments({ userId });
+  if (count >= MAX_SUBSCRIPTIONS) {
+    throw new BadRequestError(`You can connect at most ${MAX_SUBSCRIPTIONS} calendars`);
+  }
+};
+
+/**
+ * Import an uploaded .ics file
+ * @param {string} userId
+ * @param {Object} file - { name, content }
+ * @returns {Promise<Object>} - { subscription, results: { created, updated, skipped } }
+ */
+const importFile = async (userId, { name, content }) => {
+  await assertSubscriptionLimit(userId);
+  // Reject bad files before anything is stored
+  await parseCalendar(content);
+
+  const subscription = await CalendarSubscription.create({
+    subscriptionId: uuidv4(),
+    userId,
+    name: name || 'Imported calendar',
+    sourceType: 'upload',
+    content
+  });
+
+  const results = await syncContent(subscription, content);
+  console.log(`📅 [ICS] ${userId} imported ${subscription.eventCount} events from a file`);
+  return { subscription: formatSubscription(subscription), results };
+};
+
+/**
+ * Link an ICS URL; it is fetched now and refreshed periodically
+ * @param {string} userId
+ * @param {Object} link - { name, url }
+ * @returns {Promise<Object>} - { subscription, results }
+ */
+const subscribeUrl = async (userId, { name, url }) => {
+  if (!url) {
+    throw new BadRequestError('Calendar URL is required');
+  }
+  await assertSubscriptionLimit(userId);
+
+  const existing = await CalendarSubscription.exists({ userId, url });
+  if (existing) {
+    throw new ConflictError('This calendar is already linked');
+  }
+
+  const content = await fetchIcs(url);
+  await parseCalendar(content);
+
+  const subscription = await CalendarSubscription.create({
+    subscriptionId: uuidv4(),
+    userId,
+    name: name || 'Linked calendar',
+    sourceType: 'url',
+    url
+  });
+
+  const results = await syncContent(subscription, content);
+  console.log(`📅 [ICS] ${userId} linked a calendar with ${subscription.eventCount} events`);
+  return { subscription: formatSubscription(subscription), results };
+};
+
+/**
+ * Re-read a subscription's source and re-sync its schedules.
+ * Failures are recorded on the subscription and rethrown.
+ */
+const runRefresh = async (subscription) => {
+  try {
+    const content = subscription.sourceType === 'url'
+      ? await fetchIcs(subscription.url)
+      : subscription.content;
+    return await syncContent(subscription, content);
+  } catch (error) {
+    await CalendarSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastSyncedAt: new Date(), lastError: error.message } }
+    );
+    throw error;
+  }
+};
+
+const refreshSubscription = async (userId, subscriptionId) => {
+  const subscription = await CalendarSubscription.findOne({ subscriptionId, userId }).select('+url +content');
+  if (!subscription) {
+    throw new NotFoundError('Calendar not found');
+  }
+
+  const results = await runRefresh(subscription);
+  return { subscription: formatSubscription(subscription), results };
+};
+
+const listSubscriptions = async (userId) => {
+  const subscriptions = await CalendarSubscription.find({ userId }).sort({ createdAt: -1 }).lean();
+  return subscriptions.map(formatSubscription);
+};
+
+/**
+ * Disconnect a calendar; its upcoming schedules are deactivated
+ * @returns {Promise<Object>} - { schedulesRemoved }
+ */
+const removeSubscription = async (userId, subscriptionId) => {
+  const subscription = await CalendarSubscription.findOneAndDelete({ subscriptionId, userId });
+  if (!subscription) {
+    throw new NotFoundError('Calendar not found');
+  }
+
+  const { modifiedCount } = await StatusSchedule.updateMany(
+    { userId, calendarSubscriptionId: subscriptionId, active: true },
+    { $set: { active: false } }
+  );
+  return { schedulesRemoved: modifiedCount };
+};
+
+/**
+ * Hourly: refresh subscriptions not synced for ICS_REFRESH_MINUTES
+ * @returns {Promise<Object>} - { refreshed, failed }
+ */
+const refreshDueSubscriptions = async () => {
+  const dueBefore = new Date(Date.now() - REFRESH_MINUTES * 60 * 1000);
+  const subscriptions = await CalendarSubscription.find({
+    active: true,
+    $or: [{ lastSyncedAt: null }, { lastSyncedAt: { $lte: dueBefore } }]
+  }).select('+url +content').sort({ lastSyncedAt: 1 }).limit(100);
+
+  let refreshed = 0;
+  let failed = 0;
+  for (const subscription of subscriptions) {
+    try {
+      await runRefresh(subscription);
+      refreshed++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ [ICS] Refreshing calendar ${subscription.subscriptionId} failed:`, error.message);
+    }
+  }
+  return { refreshed, failed };
+};
+
+// ========================================
+// FEED
+// ========================================
+
+const feedUrls = (token) => {
+  const url = `${SERVER_URL}/api/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:\/\//, 'webcal://') };
+};
+
+const getFeedInfo = async (userId) => {
+  const user = await User.findOne({ userId }).select('calendarFeed.createdAt').lean();
+  const createdAt = user?.calendarFeed?.createdAt || null;
+  return { enabled: Boolean(createdAt), createdAt };
+};
+
+/**
+ * Create the user's feed URL, or replace it (the old URL stops working).
+ * The URL is only shown here; just a hash of its token is stored.
+ * @returns {Promise<Object>} - { enabled, createdAt, url, webcalUrl }
+ */
+const rotateFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const createdAt = new Date();
+
+  const user = await User.findOneAndUpdate(
+    { userId },
+    { $set: { 'calendarFeed.tokenHash': hashToken(token), 'calendarFeed.createdAt': createdAt } }
+  );
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return { enabled: true, createdAt, ...feedUrls(token) };
+};
+
+const revokeFeed = async (userId) => {
+  await User.updateOne(
+    { userId },
+    { $set: { 'calendarFeed.tokenHash': null, 'calendarFeed.createdAt': null } }
+  );
+};
+
+const zonedProperty = (name, date, timeZone) => property(name, formatLocal(toLocalParts(date, timeZone)), { TZID: timeZone });
+
+/**
+ * VEVENTs for a StatusSchedule: the series (RRULE and EXDATEs from the shared
+ * recurrence engine, times local to the schedule's zone) plus one VEVENT per
+ * changed occurrence, linked to the series by RECURRENCE-ID
+ */
+const scheduleEvents = (schedule) => {
+  const uid = property('UID', `status-schedule-${schedule._id}@syncup`);
+  const dtstamp = property('DTSTAMP', formatUtc(schedule.updatedAt || schedule.createdAt || new Date()));
+  const rrule = recurrence.rruleFor(schedule);
+  const timeZone = recurrence.timeZoneOf(schedule);
+  const details = (values) => [
+    property('SUMMARY', escapeText(values.customStatus || values.status)),
+    ...(values.notes ? [property('DESCRIPTION', escapeText(values.notes))] : []),
+    'TRANSP:OPAQUE'
+  ];
+
+  if (!rrule) {
+    return [[
+      'BEGIN:VEVENT', uid, dtstamp,
+      property('DTSTART', formatUtc(schedule.startTime)),
+      property('DTEND', formatUtc(schedule.endTime)),
+      ...details(schedule),
+      'END:VEVENT'
+    ].join('\r\n')];
+  }
+
+  const series = [
+    'BEGIN:VEVENT', uid, dtstamp,
+    zonedProperty('DTSTART', schedule.startTime, timeZone),
+    zonedProperty('DTEND', schedule.endTime, timeZone),
+    property('RRULE', rrule)
+  ];
+  const exdates = recurrence.cancelledOccurrenceStarts(schedule)
+    .map(date => formatLocal(toLocalParts(date, timeZone)));
+  if (exdates.length > 0) {
+    series.push(property('EXDATE', exdates.join(','), { TZID: timeZone }));
+  }
+  series.push(...details(schedule), 'END:VEVENT');
+
+  const changed = (schedule.occurrenceOverrides || [])
+    .filter(override => !override.cancelled)
+    .map(override => {
+      const originalStart = new Date(override.occurrenceStart);
+      const start = override.startTime ? new Date(override.startTime) : originalStart;
+      const end = override.endTime
+        ? new Date(override.endTime)
+        : new Date(start.getTime() + (new Date(schedule.endTime) - new Date(schedule.startTime)));
+      return [
+        'BEGIN:VEVENT', uid, dtstamp,
+        zonedProperty('RECURRENCE-ID', originalStart, timeZone),
+        property('DTSTART', formatUtc(start)),
+        property('DTEND', formatUtc(end)),
+        ...details({
+          status: override.status || schedule.status,
+          customStatus: override.customStatus ?? schedule.customStatus,
+          notes: override.notes ?? schedule.notes
+        }),
+        'END:VEVENT'
+      ].join('\r\n');
+    });
+
+  return [series.join('\r\n'), ...changed];
+};
+
+/**
+ * Fixed-offset zone for a PrimaryTimeProfile's timezoneOffset
+ * (minutes behind UTC, as Date#getTimezoneOffset: -330 is UTC+05:30)
+ */
+const offsetZone = (timezoneOffset = 0) => {
+  const east = -timezoneOffset;
+  const sign = east >= 0 ? '+' : '-';
+  const hhmm = `${pad(Math.floor(Math.abs(east) / 60))}${pad(Math.abs(east) % 60)}`;
+  return { tzid: `UTC${sign}${hhmm}`, utcOffset: `${sign}${hhmm}` };
+};
+
+const offsetTimezoneComponent = ({ tzid, utcOffset }) => [
+  'BEGIN:VTIMEZONE',
+  property('TZID', tzid),
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  `TZOFFSETFROM:${utcOffset}`,
+  `TZOFFSETTO:${utcOffset}`,
+  property('TZNAME', tzid),
+  'END:STANDARD',
+  'END:VTIMEZONE'
+].join('\r\n');
+
+// Profiles run in their owner's IANA zone, or in the fixed offset they were
+// saved with when the owner has none
+const profileZone = (profile, user) => (
+  user.timezone
+    ? { tzid: user.timezone, timeZone: user.timezone }
+    : { ...offsetZone(profile.timezoneOffset), timeZone: recurrence.offsetTimeZone(profile.timezoneOffset) }
+);
+
+const profileEffectiveFrom = (profile) => {
+  const dateRange = profile.recurrence?.type === 'date_range';
+  return new Date((dateRange && profile.recurrence.startDate) || profile.createdAt || Date.now());
+};
+
+const profileEvent = (profile, { tzid, timeZone }) => {
+  const days = (profile.days || []).filter(day => day >= 0 && day <= 6);
+  if (days.length === 0) return null;
+
+  // First of the profile's days on or after it took effect, in its local time
+  // (the UTC fields of `local` hold the local wall-clock time)
+  const dateRange = profile.recurrence?.type === 'date_range';
+  const { year, month, day } = toLocalParts(profileEffectiveFrom(profile), timeZone);
+  const local = new Date(Date.UTC(year, month - 1, day));
+  while (!days.includes(local.getUTCDay())) {
+    local.setUTCDate(local.getUTCDate() + 1);
+  }
+
+  const [startHour, startMinute] = profile.startTime.split(':').map(Number);
+  const [endHour, endMinute] = profile.endTime.split(':').map(Number);
+  const endDay = new Date(local);
+  // Overnight profiles end the next day
+  if (profile.endTime <= profile.startTime) {
+    endDay.setUTCDate(endDay.getUTCDate() + 1);
+  }
+
+  const dayParts = (date) => ({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+  const rrule = [`FREQ=WEEKLY`, `BYDAY=${days.map(day => WEEKDAY_CODES[day]).join(',')}`];
+  if (dateRange && profile.recurrence.endDate) {
+    rrule.push(`UNTIL=${formatUtc(profile.recurrence.endDate)}`);
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    property('UID', `primary-time-${profile._id}@syncup`),
+    property('DTSTAMP', formatUtc(profile.updatedAt || profile.createdAt || new Date())),
+    property('DTSTART', formatLocal({ ...dayParts(local), hour: startHour, minute: startMinute }), { TZID: tzid }),
+    property('DTEND', formatLocal({ ...dayParts(endDay), hour: endHour, minute: endMinute }), { TZID: tzid }),
+    property('RRULE', rrule.join(';')),
+    property('SUMMARY', escapeText(profile.status)),
+    property('DESCRIPTION', escapeText(`Primary time: ${profile.name}`)),
+    ...(profile.location?.placeName ? [property('LOCATION', escapeText(profile.location.placeName))] : []),
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ].join('\r\n');
+};
+
+/**
+ * Render the ICS feed behind a feed token
+ * @param {string} token
+ * @returns {Promise<string>} - iCalendar text
+ */
+const buildFeed = async (token) => {
+  if (!token) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+  const user = await User.findOne({ 'calendarFeed.tokenHash': hashToken(token) }).select('_id userId name timezone').lean();
+  if (!user) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+
+  const [schedules, profiles] = await Promise.all([
+    StatusSchedule.find({
+      userId: user.userId,
+      active: true,
+      isTemplate: { $ne: true },
+      autoCreatedFromCalendar: { $ne: true }
+    }).lean(),
+    PrimaryTimeProfile.find({ userId: user._id, isEnabled: true }).lean()
+  ]);
+
+  // Zones recurring schedules and profiles are written in, from their earliest start
+  const scheduleZones = new Map();
+  const addZone = (timeZone, start) => {
+    if (!scheduleZones.has(timeZone) || start < scheduleZones.get(timeZone)) {
+      scheduleZones.set(timeZone, start);
+    }
+  };
+
+  const timezones = new Map();
+  const profileEvents = profiles.map(profile => {
+    const zone = profileZone(profile, user);
+    if (user.timezone) {
+      addZone(zone.tzid, profileEffectiveFrom(profile));
+    } else {
+      timezones.set(zone.tzid, zone);
+    }
+    return profileEvent(profile, zone);
+  }).filter(Boolean);
+
+  for (const schedule of schedules) {
+    if (!recurrence.rruleFor(schedule)) continue;
+    addZone(recurrence.timeZoneOf(schedule), new Date(schedule.startTime));
+  }
+  const zonesUntil = new Date(Date.now() + 2 * 365 * DAY_MS);
+
+  return buildCalendar(
+    [
+      ...[...timezones.values()].map(offsetTimezoneComponent),
+      ...[...scheduleZones].map(([timeZone, from]) => timezoneComponent(timeZone, { from, to: zonesUntil })),
+      ...schedules.flatMap(scheduleEvents),
+      ...profileEvents
+    ],
+    { name: `${user.name || 'SyncUp'} - status schedule`, refreshMinutes: REFRESH_MINUTES }
+  );
+};
+
+module.exports = {
+  importFile,
+  subscribeUrl,
+  refreshSubscription,
+  listSubscriptions,
+  removeSubscription,
+  refreshDueSubscriptions,
+  getFeedInfo,
+  rotateFeedToken,
+  revokeFeed,
+  buildFeed,
+  // Exposed for calendar sources that already have parsed ICS
+  parseCalendar,
+  expandEvents
+};
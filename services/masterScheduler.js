@@ -33,7 +33,8 @@ class MasterScheduler {
         await Promise.allSettled([
           this.runPrimaryTimeScheduler(),
           this.runLocationSharingCleanup(),
-          this.runStatusExpiration()
+          this.runStatusExpiration(),
+          this.runScheduledMessages()
         ]);
         
         const duration = Date.now() - startTime;
@@ -54,7 +55,10 @@ class MasterScheduler {
         await Promise.allSettled([
           this.runStoryCleanup(),
           this.runOTPCleanup(),
-          this.runMessageCleanup()
+          this.runMessageCleanup(),
+          this.runAccountDeletionPurge(),
+          this.runDataExportMaintenance(),
+          this.runCalendarSubscriptionRefresh()
         ]);
         
         const duration = Date.now() - startTime;
@@ -68,8 +72,8 @@ class MasterScheduler {
 
     this.isRunning = true;
     console.log('✅ Master Scheduler started');
-    console.log('   📅 1-minute tasks: Primary Time, Location Cleanup, Status Expiration');
-    console.log('   📅 1-hour tasks: Story Cleanup, OTP Cleanup, Message Cleanup');
+    console.log('   📅 1-minute tasks: Primary Time, Location Cleanup, Status Expiration, Scheduled Messages');
+    console.log('   📅 1-hour tasks: Story Cleanup, OTP Cleanup, Message Cleanup, Account Deletion Purge, Data Export Maintenance, Calendar Subscription Refresh');
 
     // Run initial cleanup on startup (non-blocking)
     this.runInitialCleanup();
@@ -135,6 +139,15 @@ class MasterScheduler {
     }
   }
 
+  async runScheduledMessages() {
+    try {
+      const scheduledMessageService = require('./scheduledMessageService');
+      await scheduledMessageService.processDueMessages();
+    } catch (error) {
+      console.error('❌ [SCHEDULED MESSAGES] Error:', error.message);
+    }
+  }
+
   // ========================================
   // 1-HOUR TASKS
   // ========================================
@@ -171,6 +184,7 @@ class MasterScheduler {
       // `cleanupExpiredMessages()`. Calling the wrong name threw
       // "cleanup is not a function" on every scheduled run.
       await messageCleanupScheduler.cleanupExpiredMessages();
+      await messageCleanupScheduler.cleanupExpiredGroupMessages();
       if (process.env.NODE_ENV !== 'production') {
         console.log('✅ [MESSAGE CLEANUP] Completed');
       }
@@ -179,6 +193,42 @@ class MasterScheduler {
     }
   }
 
+  async runAccountDeletionPurge() {
+    try {
+      const accountDeletionService = require('./accountDeletionService');
+      const result = await accountDeletionService.purgeDueAccounts();
+      if (result.purged > 0 || result.failed > 0) {
+        console.log('✅ [ACCOUNT DELETION] Purge completed:', result);
+      }
+    } catch (error) {
+      console.error('❌ [ACCOUNT DELETION] Error:', error.message);
+    }
+  }
+
+  async runDataExportMaintenance() {
+    try {
+      const dataExportService = require('./dataExportService');
+      const result = await dataExportService.runMaintenance();
+      if (result.expired > 0 || result.requeued > 0) {
+        console.log('✅ [DATA EXPORT] Maintenance completed:', result);
+      }
+    } catch (error) {
+      console.error('❌ [DATA EXPORT] Error:', error.message);
+    }
+  }
+
+  async runCalendarSubscriptionRefresh() {
+    try {
+      const icsCalendarService = require('./icsCalendarService');
+      const result = await icsCalendarService.refreshDueSubscriptions();
+      if (result.refreshed > 0 || result.failed > 0) {
+        console.log('✅ [ICS CALENDAR] Refresh completed:', result);
+      }
+    } catch (error) {
+      console.error('❌ [ICS CALENDAR] Error:', error.message);
+    }
+  }
+
   // ========================================
   // INITIAL CLEANUP (ON STARTUP)
   // ========================================
@@ -193,7 +243,11 @@ class MasterScheduler {
         this.runOTPCleanup(),
         this.runMessageCleanup(),
         this.runLocationSharingCleanup(),
-        this.runStatusExpiration()
+        this.runStatusExpiration(),
+        // Deliver anything that came due while the server was down
+        this.runScheduledMessages(),
+        // Pick up exports that were queued before the restart
+        this.runDataExportMaintenance()
       ]);
       
       console.log('✅ Initial cleanup completed');
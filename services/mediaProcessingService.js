@@ -0,0 +1,350 @@
+/**
+ * Media Processing Service
+ * Post-upload pipeline for profile, chat, story, blink, pulse and post media.
+ * Runs on the file multer just wrote to uploads/, before it is handed to
+ * storage, so nothing is ever served with its original metadata:
+ *
+ *   images - HEIC/HEIF converted to JPEG, EXIF orientation applied, EXIF/GPS
+ *            and other metadata stripped, WebP variants in several sizes
+ *   videos - container metadata (GPS, device) stripped, dimensions and
+ *            duration read with ffprobe, a JPEG poster frame plus variants
+ *
+ * Results are kept in MediaAsset under the upload's URL. Posts, stories,
+ * blinks, pulses and messages are created later with that URL and copy the
+ * dimensions and derivative URLs onto themselves via getMediaInfoMap.
+ *
+ * Video processing needs ffmpeg/ffprobe on the PATH (or FFMPEG_PATH and
+ * FFPROBE_PATH). Without them videos are stored unprocessed and the asset is
+ * marked failed; uploads never fail because of processing.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const MediaAsset = require('../models/MediaAsset');
+const storage = require('./storageProvider');
+
+const execFileAsync = promisify(execFile);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.MEDIA_FFMPEG_TIMEOUT_MS, 10) || 120000;
+
+// Longest edge in pixels of each derivative
+const IMAGE_VARIANTS = {
+  thumb: 160,
+  small: 480,
+  medium: 1080,
+  large: 2048
+};
+const VARIANT_QUALITY = 80;
+const ORIGINAL_JPEG_QUALITY = 90;
+
+const HEIC_MIME_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.qt', '.webm', '.3gp', '.3gpp', '.mkv', '.m4v', '.avi', '.mpeg', '.mpg'];
+// Containers that take -movflags (moving the index up front lets playback start early)
+const MOV_EXTENSIONS = ['.mp4', '.mov', '.qt', '.3gp', '.3gpp', '.m4v'];
+
+const isHeic = (file) => HEIC_MIME_TYPES.includes(file.mimetype)
+  || HEIC_EXTENSIONS.includes(path.extname(file.filename).toLowerCase());
+
+const mediaTypeOf = (file) => {
+  if (file.mimetype?.startsWith('image/') || isHeic(file)) return 'image';
+  if (file.mimetype?.startsWith('video/') || VIDEO_EXTENSIONS.includes(path.extname(file.filename).toLowerCase())) {
+    return 'video';
+  }
+  return null;
+};
+
+const uploadUrl = (filePath) => `/uploads/${storage.keyFromPath(filePath)}`;
+
+// Derivatives are prefixed rather than suffixed so names like 'post-video-*'
+// keep meaning "the video itself" to videoStreamingHandler
+const derivativePath = (file, prefix, ext) => path.join(
+  path.dirname(file.path),
+  `${prefix}-${path.basename(file.filename, path.extname(file.filename))}${ext}`
+);
+
+const replaceFile = async (filePath, data) => {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tmpPath, data);
+  await fs.promises.rename(tmpPath, filePath);
+};
+
+/**
+ * Resized WebP copies of an image
+ * @returns {Promise<{variants: Object, files: Array}>} - URLs by size name and the files written
+ */
+const writeVariants = async (input, file, baseName = null) => {
+  const variants = {};
+  const files = [];
+
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const variantPath = derivativePath(file, baseName ? `${name}-${baseName}` : name, '.webp');
+    await sharp(input)
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: VARIANT_QUALITY })
+      .toFile(variantPath);
+    variants[name] = uploadUrl(variantPath);
+    files.push({ path: variantPath, mimetype: 'image/webp' });
+  }
+
+  return { variants, files };
+};
+
+/**
+ * Normalize an uploaded image in place and build its variants.
+ * HEIC/HEIF uploads are rewritten as JPEG, so the multer file's filename,
+ * path, mimetype and size are updated to match.
+ */
+const processImage = async (file) => {
+  let input = await fs.promises.readFile(file.path);
+  let convertedFrom = null;
+
+  if (isHeic(file)) {
+    input = Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: ORIGINAL_JPEG_QUALITY / 100 }));
+    convertedFrom = file.mimetype || 'image/heic';
+
+    const jpegName = `${path.basename(file.filename, path.extname(file.filename))}.jpg`;
+    const jpegPath = path.join(path.dirname(file.path), jpegName);
+    await fs.promises.writeFile(jpegPath, input);
+    await fs.promises.unlink(file.path).catch(() => {});
+    Object.assign(file, { filename: jpegName, path: jpegPath, mimetype: 'image/jpeg' });
+  }
+
+  const metadata = await sharp(input).metadata();
+  const animated = (metadata.pages || 1) > 1;
+
+  // Re-encoding drops EXIF (GPS, camera, timestamps) and XMP; the ICC profile
+  // is kept so colours do not shift
+  let image = sharp(input, { animated }).keepIccProfile();
+  if (!animated) image = image.autoOrient();
+  if (metadata.format === 'jpeg') image = image.jpeg({ quality: ORIGINAL_JPEG_QUALITY, mozjpeg: true });
+
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  await replaceFile(file.path, data);
+  file.size = data.length;
+
+  const { variants, files } = await writeVariants(data, file);
+
+  return {
+    asset: {
+      mediaType: 'image',
+      width: info.width,
+      height: info.pageHeight || info.height,
+      thumbnailUrl: variants.thumb,
+      variants,
+      convertedFrom
+    },
+    files
+  };
+};
+
+const probeVideo = async (filePath) => {
+  const { stdout } = await execFileAsync(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ], { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+
+  const probe = JSON.parse(stdout);
+  const videoStream = (probe.streams || []).find(stream => stream.codec_type === 'video');
+  if (!videoStream) {
+    throw new Error('No video stream found');
+  }
+
+  // Phones record portrait video as landscape plus a rotation flag
+  const rotation = Number(
+    (videoStream.side_data_list || []).find(data => data.rotation !== undefined)?.rotation
+    ?? videoStream.tags?.rotate
+    ?? 0
+  );
+  const rotated = Math.abs(rotation) % 180 === 90;
+  const duration = parseFloat(probe.format?.duration || videoStream.duration);
+
+  return {
+    width: rotated ? videoStream.height : videoStream.width,
+    height: rotated ? videoStream.width : videoStream.height,
+    duration: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : null
+  };
+};
+
+/**
+ * Strip container metadata in place, read dimensions/duration and grab a poster frame
+ */
+const processVideo = async (file) => {
+  const ext = path.extname(file.filename).toLowerCase() || '.mp4';
+  const strippedPath = path.join(os.tmpdir(), `media-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`);
+
+  try {
+    await execFileAsync(FFMPEG_PATH, [
+      '-v', 'error', '-y',
+      '-i', file.path,
+      '-map', '0:v', '-map', '0:a?',
+      '-c', 'copy',
+      '-map_metadata', '-1',
+      '-map_chapters', '-1',
+      ...(MOV_EXTENSIONS.includes(ext) ? ['-movflags', '+faststart'] : []),
+      strippedPath
+    ], { timeout: FFMPEG_TIMEOUT_MS });
+
+    await fs.promises.copyFile(strippedPath, file.path);
+    file.size = (await fs.promises.stat(file.path)).size;
+  } finally {
+    await fs.promises.unlink(strippedPath).catch(() => {});
+  }
+
+  const { width, height, duration } = await probeVideo(file.path);
+
+  const posterPath = derivativePath(file, 'poster', '.jpg');
+  await execFileAsync(FFMPEG_PATH, [
+    '-v', 'error', '-y',
+    '-ss', String(duration ? Math.min(1, duration / 2) : 0),
+    '-i', file.path,
+    '-frames:v', '1',
+    '-q:v', '3',
+    posterPath
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+
+  const poster = await fs.promises.readFile(posterPath);
+  const { variants, files } = await writeVariants(poster, file, 'poster');
+  const posterUrl = uploadUrl(posterPath);
+
+  return {
+    asset: {
+      mediaType: 'video',
+      width,
+      height,
+      duration,
+      posterUrl,
+      thumbnailUrl: posterUrl,
+      variants
+    },
+    files: [{ path: posterPath, mimetype: 'image/jpeg' }, ...files]
+  };
+};
+
+const formatMediaInfo = (asset) => ({
+  mediaType: asset.mediaType,
+  width: asset.width,
+  height: asset.height,
+  duration: asset.duration,
+  thumbnailUrl: asset.thumbnailUrl,
+  posterUrl: asset.posterUrl,
+  variants: asset.variants || {},
+  status: asset.status
+});
+
+/**
+ * Process a freshly uploaded file and hand it, with its derivatives, to storage.
+ * Call it before building the upload's URL: HEIC uploads come out renamed to .jpg.
+ *
+ * @param {Object} file - Multer file ({ path, filename, mimetype, size }), updated in place
+ * @param {Object} options - { ownerId, category }
+ * @returns {Promise<Object|null>} - Media info for the response, null for non-media files
+ */
+const processUpload = async (file, { ownerId, category }) => {
+  const mediaType = mediaTypeOf(file);
+  if (!mediaType) {
+    await storage.persistUpload(file);
+    return null;
+  }
+
+  let result = null;
+  let error = null;
+  try {
+    result = mediaType === 'image' ? await processImage(file) : await processVideo(file);
+  } catch (processingError) {
+    error = processingError.code === 'ENOENT' && mediaType === 'video'
+      ? 'ffmpeg is not installed'
+      : processingError.message;
+    console.error(`❌ [MEDIA] Processing ${file.filename} failed, storing it unprocessed:`, error);
+  }
+
+  await storage.persistUpload(file);
+  for (const derivative of result?.files || []) {
+    await storage.persistUpload(derivative);
+  }
+
+  const url = uploadUrl(file.path);
+  const asset = await MediaAsset.findOneAndUpdate(
+    { url },
+    {
+      $set: {
+        ownerId,
+        category,
+        mediaType,
+        mimeType: file.mimetype,
+        ...(result?.asset || {}),
+        status: error ? 'failed' : 'ready',
+        error
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  if (!error) {
+    console.log(`🖼️ [MEDIA] Processed ${mediaType} ${url} (${asset.width}x${asset.height})`);
+  }
+  return formatMediaInfo(asset);
+};
+
+/**
+ * Media info of uploads by URL, for copying onto the documents that own them.
+ * Accepts any URL form clients send back ('/uploads/...' or absolute).
+ *
+ * @param {Array<string>} urls
+ * @returns {Promise<Map<string, Object>>} - Keyed by the URL as passed in; unknown URLs are absent
+ */
+const getMediaInfoMap = async (urls) => {
+  const uploadUrls = new Map();
+  for (const url of urls.filter(Boolean)) {
+    const key = storage.keyFromPath(url);
+    if (key) uploadUrls.set(url, `/uploads/${key}`);
+  }
+  if (uploadUrls.size === 0) return new Map();
+
+  const assets = await MediaAsset.find({ url: { $in: [...new Set(uploadUrls.values())] }, status: 'ready' }).lean();
+  const byUploadUrl = new Map(assets.map(asset => [asset.url, formatMediaInfo(asset)]));
+
+  const infoMap = new Map();
+  for (const [url, uploadUrl] of uploadUrls) {
+    if (byUploadUrl.has(uploadUrl)) infoMap.set(url, byUploadUrl.get(uploadUrl));
+  }
+  return infoMap;
+};
+
+const getMediaInfo = async (url) => {
+  if (!url) return null;
+  return (await getMediaInfoMap([url])).get(url) || null;
+};
+
+/**
+ * Delete the derivatives of an upload (the original is the caller's business)
+ * @param {string} url
+ */
+const removeDerivatives = async (url) => {
+  const key = storage.keyFromPath(url);
+  if (!key) return;
+
+  const asset = await MediaAsset.findOneAndDelete({ url: `/uploads/${key}` }).lean();
+  if (!asset) return;
+
+  const derivatives = [asset.posterUrl, ...Object.values(asset.variants || {})].filter(Boolean);
+  await Promise.all(derivatives.map(derivative => storage.remove(derivative)));
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  processUpload,
+  getMediaInfoMap,
+  getMediaInfo,
+  removeDerivatives
+};
@@ -1,10 +1,23 @@
 const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const GroupChat = require('../models/groupChatModel');
+const StarredMessage = require('../models/StarredMessage');
+const GroupThreadFollow = require('../models/GroupThreadFollow');
+const { deleteVotesFor } = require('./pollService');
+const { refreshThreadSummary } = require('./groupThreadService');
+const { removeEntries: removeOutboxEntries } = require('./deliveryOutboxService');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
 
 let cleanupInterval = null;
 
+// Upper bound of expired group messages purged per run
+const GROUP_CLEANUP_BATCH_SIZE = 1000;
+
 /**
  * Message Cleanup Scheduler
- * Automatically deletes expired timer mode messages and notifies users via socket
+ * Automatically deletes expired timer mode messages and disappearing group
+ * messages, and notifies users via socket
  */
 const messageCleanupScheduler = {
   /**
@@ -17,6 +30,7 @@ const messageCleanupScheduler = {
     cleanupInterval = setInterval(async () => {
       try {
         await this.cleanupExpiredMessages();
+        await this.cleanupExpiredGroupMessages();
       } catch (error) {
         console.error('❌ [MESSAGE CLEANUP] Error in cleanup scheduler:', error);
       }
@@ -24,6 +38,7 @@ const messageCleanupScheduler = {
     
     // Run initial cleanup immediately
     this.cleanupExpiredMessages();
+    this.cleanupExpiredGroupMessages();
     
     console.log('✅ [MESSAGE CLEANUP] Scheduler started (runs every 60 seconds)');
   },
@@ -71,6 +86,7 @@ const messageCleanupScheduler = {
         try {
           // Delete from database
           await Message.deleteOne({ _id: message._id });
+          await removeOutboxEntries(message._id);
           
           console.log(`🗑️ [MESSAGE CLEANUP] Deleted expired message ${message._id}`);
           console.log(`   - Sender: ${message.senderId}`);
@@ -113,12 +129,113 @@ const messageCleanupScheduler = {
     }
   },
 
+  /**
+   * Purge group messages past their disappearing-messages expiry and tell
+   * each group's members which messages to drop
+   */
+  async cleanupExpiredGroupMessages() {
+    try {
+      const now = new Date();
+
+      const expiredMessages = await GroupMessage.find({
+        expiresAt: { $ne: null, $lte: now }
+      })
+        .select('_id groupId threadId')
+        .limit(GROUP_CLEANUP_BATCH_SIZE)
+        .lean();
+
+      if (expiredMessages.length === 0) {
+        return { deleted: 0 };
+      }
+
+      // A thread goes away with its root message
+      const rootIds = expiredMessages.map(message => message._id);
+      const orphanedReplies = await GroupMessage.find({ threadId: { $in: rootIds } })
+        .select('_id groupId threadId')
+        .lean();
+      const expiredIdSet = new Set(rootIds.map(id => id.toString()));
+      orphanedReplies
+        .filter(reply => !expiredIdSet.has(reply._id.toString()))
+        .forEach(reply => {
+          expiredIdSet.add(reply._id.toString());
+          expiredMessages.push(reply);
+        });
+
+      const expiredIds = expiredMessages.map(message => message._id);
+      await GroupMessage.deleteMany({ _id: { $in: expiredIds } });
+      await StarredMessage.deleteMany({ messageId: { $in: expiredIds } });
+      await deleteVotesFor('group_message', expiredIds);
+      await GroupThreadFollow.deleteMany({ threadId: { $in: expiredIds } });
+      await removeOutboxEntries(expiredIds);
+
+      // Replies that expired out of a surviving thread: fix its count and preview
+      const touchedThreadIds = [...new Set(expiredMessages
+        .filter(message => message.threadId && !expiredIdSet.has(message.threadId.toString()))
+        .map(message => message.threadId.toString()))];
+      for (const threadId of touchedThreadIds) {
+        await refreshThreadSummary(threadId);
+      }
+
+      // Group the purged ids per group chat for one event per group
+      const expiredByGroup = new Map();
+      expiredMessages.forEach(message => {
+        const groupId = message.groupId.toString();
+        if (!expiredByGroup.has(groupId)) {
+          expiredByGroup.set(groupId, []);
+        }
+        expiredByGroup.get(groupId).push(message._id.toString());
+      });
+
+      const { broadcastToUser } = getSocketManager();
+
+      for (const [groupId, messageIds] of expiredByGroup) {
+        try {
+          const groupChat = await GroupChat.findById(groupId);
+          if (!groupChat) continue;
+
+          // Don't leave an expired message as the chat list preview
+          const lastMessageId = groupChat.lastMessage && groupChat.lastMessage.messageId;
+          if (lastMessageId && messageIds.includes(lastMessageId.toString())) {
+            const latest = await GroupMessage.findOne({ groupId, threadId: null, deletedAt: null }).sort({ createdAt: -1 });
+            if (latest) {
+              groupChat.updateLastMessage(latest);
+            } else {
+              groupChat.lastMessage = undefined;
+            }
+            await groupChat.save();
+          }
+
+          const expiredData = {
+            groupId,
+            messageIds,
+            reason: 'disappearing_messages',
+            timestamp: now.toISOString()
+          };
+
+          groupChat.members.forEach(memberId => {
+            broadcastToUser(memberId, 'group:messages_expired', expiredData);
+          });
+
+          console.log(`🗑️ [MESSAGE CLEANUP] Purged ${messageIds.length} disappearing messages from group ${groupId}`);
+        } catch (notifyError) {
+          console.error(`❌ [MESSAGE CLEANUP] Error notifying group ${groupId}:`, notifyError);
+        }
+      }
+
+      return { deleted: expiredIds.length };
+    } catch (error) {
+      console.error('❌ [MESSAGE CLEANUP] Error in cleanupExpiredGroupMessages:', error);
+      return { deleted: 0, error: error.message };
+    }
+  },
+
   /**
    * Manually trigger cleanup (for testing)
    */
   async triggerCleanup() {
     console.log('🔧 [MESSAGE CLEANUP] Manual cleanup triggered');
     await this.cleanupExpiredMessages();
+    await this.cleanupExpiredGroupMessages();
   }
 };
 
@@ -0,0 +1,270 @@
+const User = require('../models/userModel');
+const GroupMember = require('../models/groupMemberModel');
+const enhancedNotificationService = require('./enhancedNotificationService');
+const fcmNotificationService = require('./fcmNotificationService');
+const deliveryOutboxService = require('./deliveryOutboxService');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+/**
+ * Message Delivery Service
+ * Shared real-time delivery path for 1:1 and group messages once they are saved.
+ * Used by the chat controllers and by the scheduled message job so that every
+ * message reaches recipients the same way (outbox entry + socket emit + FCM wakeup).
+ */
+
+/**
+ * Deliver a saved 1:1 message to its receiver
+ * @param {Object} savedMessage - Saved Message document
+ * @returns {Promise<boolean>} - Whether the receiver got it over WebSocket
+ */
+const deliverDirectMessage = async (savedMessage) => {
+  const { broadcastToUser } = getSocketManager();
+  const { senderId, receiverId } = savedMessage;
+
+  try {
+    console.log('📡 Attempting to broadcast message to receiver...');
+    console.log('🔍 Broadcasting to receiverId (userId):', receiverId);
+
+    // CRITICAL FIX: Get sender information for notifications
+    const sender = await User.findOne({ userId: senderId }).select('name profileImage');
+    const senderName = sender ? sender.name : 'Unknown User';
+    const senderProfileImage = sender ? sender.profileImage : null;
+
+    console.log('👤 Sender info for notification:', { senderId, senderName, senderProfileImage });
+
+    const messageData = {
+      _id: savedMessage._id,
+      senderId: savedMessage.senderId,
+      receiverId: savedMessage.receiverId,
+      senderName: senderName, // ✅ ADDED for notifications
+      senderProfileImage: senderProfileImage, // ✅ ADDED for notifications
+      message: savedMessage.message,
+      messageType: savedMessage.messageType,
+      timestamp: savedMessage.timestamp,
+      status: 'sent', // ✅ Start with 'sent', will update to 'delivered' if broadcast succeeds
+      sharedPost: savedMessage.sharedPost,     // ✅ Include shared post
+      imageUrl: savedMessage.imageUrl,         // ✅ Include image URL
+      fileMetadata: savedMessage.fileMetadata, // ✅ Include file metadata
+      poll: savedMessage.poll || null,
+      // ✅ FIX: Include ghost mode fields
+      isGhost: savedMessage.isGhost,
+      ghostSessionId: savedMessage.ghostSessionId,
+      viewedBy: savedMessage.viewedBy || [],
+      // Forwarding info for the "Forwarded" label
+      isForwarded: savedMessage.isForwarded || false,
+      forwardCount: savedMessage.forwardCount || 0,
+      // Sent by the sender's status away message
+      isAutoReply: savedMessage.isAutoReply || false,
+      // E2EE Phase 2 - Include encrypted payload
+      e2ee: savedMessage.e2ee || { enabled: false }
+    };
+
+    // Queue it first: the receiver's devices ack with outboxSeq, and whatever they
+    // miss is replayed when they reconnect
+    messageData.outboxSeq = await deliveryOutboxService.enqueue(receiverId, {
+      kind: 'message',
+      event: 'message:new',
+      refId: savedMessage._id,
+      payload: messageData
+    });
+
+    // E2EE Phase 2 - Log encrypted message relay
+    if (savedMessage.e2ee && savedMessage.e2ee.enabled) {
+      console.log('🔐 [E2EE] Relaying encrypted message (server cannot decrypt)');
+    }
+
+    // Strategy 1: Primary WebSocket broadcast
+    console.log('📡 [BROADCAST] Attempting to broadcast message:new to receiver:', receiverId);
+    const broadcastSuccess = broadcastToUser(receiverId, 'message:new', messageData);
+    console.log('📡 [BROADCAST] Broadcast result:', broadcastSuccess ? 'SUCCESS' : 'FAILED');
+
+    // CRITICAL: Send notification via enhancedNotificationService (WebSocket + FCM wakeup)
+    try {
+      console.log('🔔 [NOTIFICATION] Sending chat message notification...');
+      await enhancedNotificationService.sendChatMessageNotification(
+        senderId,
+        receiverId,
+        savedMessage
+      );
+      console.log('✅ [NOTIFICATION] Notification sent successfully');
+    } catch (notifError) {
+      console.error('❌ [NOTIFICATION] Error sending notification:', notifError);
+      // Don't fail the message send if notification fails
+    }
+
+    if (broadcastSuccess) {
+      console.log('✅ [STATUS UPDATE] Updating message status from "sent" to "delivered"');
+      savedMessage.status = 'delivered';
+      await savedMessage.save();
+
+      // ✅ Emit delivery confirmation to sender
+      const deliveryConfirmation = broadcastToUser(senderId, 'message:delivered', {
+        messageId: savedMessage._id.toString()
+      });
+
+      if (deliveryConfirmation) {
+        console.log('✅ [DELIVERY CONFIRM] Delivery confirmation sent to sender:', senderId);
+      } else {
+        console.log('⚠️ [DELIVERY CONFIRM] Failed to send delivery confirmation - sender may be offline');
+      }
+    } else {
+      console.log('⚠️ [BROADCAST] Primary WebSocket failed - receiver offline');
+      console.log('📱 [MESSAGE] FCM notification will wake the app when delivered');
+    }
+
+    return broadcastSuccess;
+  } catch (socketError) {
+    console.error('❌ Error broadcasting message:', socketError);
+    // Message is still saved, just not delivered in real-time
+    return false;
+  }
+};
+
+/**
+ * Deliver a saved group message to all active members except the sender
+ * @param {Object} groupMessage - Saved GroupMessage document
+ * @param {Object} groupChat - GroupChat document the message belongs to
+ * @param {Object} [options]
+ * @param {Array<String>} [options.recipientIds] - Limit delivery to these members (thread followers)
+ * @returns {Promise<Object>} - Delivery counters (FCM wakeups go out after it resolves)
+ */
+const deliverGroupMessage = async (groupMessage, groupChat, { recipientIds = null } = {}) => {
+  const { broadcastToUser } = getSocketManager();
+  const groupId = groupChat._id.toString();
+  const senderId = groupMessage.senderId;
+  const senderName = groupMessage.senderName;
+  const threadId = groupMessage.threadId ? groupMessage.threadId.toString() : null;
+
+  // Update group's last message and activity (thread replies stay out of the chat list preview)
+  if (!threadId) {
+    await groupChat.updateLastMessage(groupMessage);
+    await groupChat.save();
+  }
+
+  const memberFilter = recipientIds
+    ? { $in: recipientIds.filter(recipientId => recipientId !== senderId) }
+    : { $ne: senderId };
+  const activeMembers = await GroupMember.find({
+    groupId,
+    isActive: true,
+    userId: memberFilter
+  });
+
+  // Only members with a live socket (on any node) receive it now - everyone else
+  // gets their delivery receipt once their app fetches or acknowledges the message
+  const { isUserOnline } = getSocketManager();
+  activeMembers
+    .filter(member => isUserOnline(member.userId))
+    .forEach(member => groupMessage.markAsDelivered(member.userId));
+  await groupMessage.save();
+
+  let successfulBroadcasts = 0;
+  let notificationsSent = 0;
+  const wakeupTargets = [];
+
+  // CRITICAL: Broadcast group message to all active members via WebSocket
+  try {
+    console.log('📡 [GROUP MESSAGE] Broadcasting message to group members...');
+
+    const broadcastData = {
+      _id: groupMessage._id,
+      senderId: groupMessage.senderId,
+      receiverId: groupId, // Group ID as receiver for group messages
+      message: groupMessage.message,
+      messageType: groupMessage.messageType,
+      timestamp: groupMessage.createdAt,
+      status: 'delivered',
+      groupId: groupId,
+      senderName: groupMessage.senderName,
+      imageUrl: groupMessage.imageUrl,
+      fileMetadata: groupMessage.fileMetadata,
+      voiceMetadata: groupMessage.voiceMetadata,
+      poll: groupMessage.poll || null,
+      expiresAt: groupMessage.expiresAt || null,
+      isForwarded: groupMessage.isForwarded || false,
+      forwardCount: groupMessage.forwardCount || 0,
+      threadId,
+      isGroupMessage: true
+    };
+
+    // Queue it for every member in one go before anything is emitted
+    const outboxSeqs = await deliveryOutboxService.enqueueMany(activeMembers.map(member => member.userId), {
+      kind: 'group_message',
+      event: 'message:new',
+      refId: groupMessage._id,
+      payload: broadcastData
+    });
+
+    for (const member of activeMembers) {
+      try {
+        const outboxSeq = outboxSeqs.get(member.userId);
+        const broadcastSuccess = broadcastToUser(member.userId, 'message:new', { ...broadcastData, outboxSeq });
+        if (broadcastSuccess) {
+          successfulBroadcasts++;
+        } else {
+          console.log(`⚠️ [GROUP MESSAGE] Member ${member.userId} offline, message saved for later`);
+        }
+
+        const notificationData = {
+          type: 'group_message',
+          title: `${groupChat.groupName} - ${senderName}`,
+          body: groupMessage.message || 'Sent a message',
+          data: {
+            type: 'group_message',
+            groupId: groupId,
+            groupName: groupChat.groupName,
+            senderId: senderId,
+            senderName: senderName,
+            messageId: groupMessage._id.toString(),
+            threadId,
+            chatId: groupId,
+            timestamp: groupMessage.createdAt.toISOString(),
+            isGroupMessage: true
+          }
+        };
+
+        // Broadcast notification event to member
+        if (broadcastToUser(member.userId, 'notification:new', notificationData)) {
+          notificationsSent++;
+        }
+
+        // 📱 Offline, unmuted members get woken up so they reconnect and fetch the message
+        if (!broadcastSuccess && !member.notificationSettings?.muted) {
+          wakeupTargets.push(member.userId);
+        }
+      } catch (memberError) {
+        console.error(`❌ [GROUP MESSAGE] Error delivering to member ${member.userId}:`, memberError.message);
+      }
+    }
+
+    console.log(`📊 [GROUP MESSAGE] Broadcast ${successfulBroadcasts}/${activeMembers.length}, notifications ${notificationsSent}`);
+
+    // Sent in parallel without holding up the sender's request
+    if (wakeupTargets.length > 0) {
+      Promise.allSettled(wakeupTargets.map(memberId => fcmNotificationService.sendWakeupNotification(memberId, {
+        senderId: groupId,
+        senderName: `${groupChat.groupName} - ${senderName}`,
+        messageId: groupMessage._id.toString()
+      }))).then(results => {
+        const wakeupsSent = results.filter(result => result.status === 'fulfilled' && result.value?.success).length;
+        console.log(`📱 [GROUP MESSAGE] FCM wakeups ${wakeupsSent}/${wakeupTargets.length}`);
+      });
+    }
+  } catch (broadcastError) {
+    console.error('❌ [GROUP MESSAGE] Error broadcasting group message:', broadcastError);
+    // Don't fail the request if broadcasting fails - message is still saved
+  }
+
+  return {
+    memberCount: activeMembers.length,
+    successfulBroadcasts,
+    notificationsSent,
+    wakeupsQueued: wakeupTargets.length
+  };
+};
+
+module.exports = {
+  deliverDirectMessage,
+  deliverGroupMessage
+};
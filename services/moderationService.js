@@ -0,0 +1,518 @@
+/**
+ * Moderation Service
+ * User reports and the admin triage queue. Reports about the same target are
+ * grouped into one open ModerationCase; once enough different users report
+ * it, hideable content (posts, comments, blinks, pages) is taken down until an
+ * admin looks at it. Admins assign, escalate, resolve or dismiss cases, every
+ * step is written to the ModerationAction log, and reporters are notified
+ * when their case is closed.
+ */
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Report = require('../models/Report');
+const ModerationCase = require('../models/ModerationCase');
+const ModerationAction = require('../models/ModerationAction');
+const Notification = require('../models/Notification');
+const Admin = require('../models/Admin');
+const User = require('../models/userModel');
+const FeedPost = require('../models/FeedPost');
+const Comment = require('../models/Comment');
+const Story = require('../models/storyModel');
+const Blink = require('../models/blinkModel');
+const Page = require('../models/Page');
+const Message = require('../models/Message');
+const { revokeAllSessions } = require('./sessionService');
+const { getInstance: getPostEncryption } = require('../utils/postEncryption');
+const { BadRequestError, ConflictError, NotFoundError, ForbiddenError } = require('../utils/errorClasses');
+
+// Lazy require to avoid circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+// Distinct reporters on one open case before hideable content is taken down
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 5;
+
+const TARGET_TYPES = Report.schema.path('targetType').enumValues;
+const REASONS = Report.schema.path('reason').enumValues;
+const RESOLVE_ACTIONS = ['remove_content', 'ban_user', 'remove_content_and_ban_user'];
+
+const byObjectId = (model, fields) => (id) => (
+  mongoose.isValidObjectId(id) ? model.findById(id).select(fields).lean() : null
+);
+
+// Soft-hide through the model's own isActive flag; only hides live content,
+// so restoring never brings back something its owner deleted
+const isActiveToggle = (model) => ({
+  hide: async (id) => (await model.updateOne({ _id: id, isActive: true }, { $set: { isActive: false } })).modifiedCount > 0,
+  restore: (id) => model.updateOne({ _id: id, isActive: false }, { $set: { isActive: true } })
+});
+
+/**
+ * How each kind of target is looked up, who owns it, and what hiding or
+ * removing it means. `hide` is missing for targets that can't be hidden.
+ */
+const TARGETS = {
+  post: {
+    load: byObjectId(FeedPost, 'userId caption media isActive createdAt'),
+    preview: (post) => getPostEncryption().decryptPost(post),
+    ownerId: async (post) => post.userId,
+    ...isActiveToggle(FeedPost),
+    remove: (id) => FeedPost.updateOne({ _id: id }, { $set: { isActive: false } })
+  },
+  comment: {
+    load: byObjectId(Comment, 'userId postId postType text isActive createdAt'),
+    ownerId: async (comment) => comment.userId,
+    ...isActiveToggle(Comment),
+    remove: (id) => Comment.updateOne({ _id: id }, { $set: { isActive: false } })
+  },
+  blink: {
+    load: byObjectId(Blink, 'userId mediaUrl mediaType caption isActive createdAt'),
+    ownerId: async (blink) => blink.userId,
+    ...isActiveToggle(Blink),
+    remove: (id) => Blink.updateOne({ _id: id }, { $set: { isActive: false } })
+  },
+  page: {
+    load: byObjectId(Page, 'owner name username description profileImage isSuspended createdAt'),
+    ownerId: async (page) => {
+      const owner = await User.findById(page.owner).select('userId').lean();
+      return owner ? owner.userId : null;
+    },
+    hide: async (id) => (await Page.updateOne(
+      { _id: id, isSuspended: false },
+      { $set: { isSuspended: true, suspensionReason: 'Under review after user reports' } }
+    )).modifiedCount > 0,
+    restore: (id) => Page.updateOne({ _id: id }, { $set: { isSuspended: false, suspensionReason: '' } }),
+    remove: (id) => Page.updateOne(
+      { _id: id },
+      { $set: { isSuspended: true, suspensionReason: 'Removed for violating community guidelines' } }
+    )
+  },
+  story: {
+    load: byObjectId(Story, 'userId items createdAt expiresAt'),
+    ownerId: async (story) => story.userId,
+    remove: (id) => Story.deleteOne({ _id: id })
+  },
+  message: {
+    load: byObjectId(Message, 'senderId receiverId message messageType imageUrl timestamp'),
+    ownerId: async (message) => message.senderId,
+    // Only the recipient has seen a direct message
+    canReport: (message, reporterId) => message.receiverId === reporterId,
+    remove: (id) => Message.deleteOne({ _id: id })
+  },
+  profile: {
+    load: (userId) => User.findOne({ userId }).select('userId name username profileImage bio isBanned').lean(),
+    ownerId: async (user) => user.userId
+  }
+};
+
+const formatCase = (moderationCase) => ({
+  caseId: moderationCase.caseId,
+  targetType: moderationCase.targetType,
+  targetId: moderationCase.targetId,
+  targetOwnerId: moderationCase.targetOwnerId,
+  status: moderationCase.status,
+  reportCount: moderationCase.reportCount,
+  reasons: moderationCase.reasons,
+  lastReportedAt: moderationCase.lastReportedAt,
+  assignedTo: moderationCase.assignedTo?.adminId ? moderationCase.assignedTo : null,
+  escalatedAt: moderationCase.escalatedAt,
+  contentHidden: moderationCase.contentHidden,
+  hiddenBy: moderationCase.hiddenBy,
+  resolution: moderationCase.resolution?.closedAt ? moderationCase.resolution : null,
+  createdAt: moderationCase.createdAt
+});
+
+const formatReport = (report) => ({
+  reportId: report.reportId,
+  targetType: report.targetType,
+  targetId: report.targetId,
+  reason: report.reason,
+  details: report.details,
+  status: report.status,
+  outcome: report.outcome,
+  createdAt: report.createdAt,
+  closedAt: report.closedAt
+});
+
+const logAction = (caseId, action, admin = null, { note = null, details = {} } = {}) => ModerationAction.create({
+  caseId,
+  action,
+  adminId: admin ? admin._id : null,
+  adminUsername: admin ? admin.username : null,
+  note,
+  details
+});
+
+/**
+ * Add the report to the target's open case, opening one if needed
+ */
+const addToCase = async (report, targetOwnerId) => {
+  const update = {
+    $setOnInsert: { caseId: uuidv4(), targetOwnerId, status: 'open', isOpen: true },
+    $inc: { reportCount: 1, [`reasons.${report.reason}`]: 1 },
+    $set: { lastReportedAt: new Date() }
+  };
+  const filter = { targetType: report.targetType, targetId: report.targetId, isOpen: true };
+
+  try {
+    return await ModerationCase.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first reports raced to open the case - the loser joins it
+    if (error.code === 11000) {
+      return ModerationCase.findOneAndUpdate(filter, update, { new: true });
+    }
+    throw error;
+  }
+};
+
+const autoHideIfNeeded = async (moderationCase) => {
+  const target = TARGETS[moderationCase.targetType];
+  if (!target.hide || moderationCase.contentHidden || moderationCase.reportCount < AUTO_HIDE_THRESHOLD) {
+    return;
+  }
+
+  if (await target.hide(moderationCase.targetId)) {
+    await ModerationCase.updateOne(
+      { _id: moderationCase._id },
+      { $set: { contentHidden: true, hiddenBy: 'auto' } }
+    );
+    await logAction(moderationCase.caseId, 'auto_hidden', null, {
+      details: { reportCount: moderationCase.reportCount, threshold: AUTO_HIDE_THRESHOLD }
+    });
+    console.log(`🙈 [MODERATION] ${moderationCase.targetType} ${moderationCase.targetId} auto-hidden after ${moderationCase.reportCount} reports`);
+  }
+};
+
+/**
+ * Report a piece of content or a profile
+ * @param {string} reporterId
+ * @param {Object} input - { targetType, targetId, reason, details }
+ * @returns {Promise<Object>} - The report
+ */
+const submitReport = async (reporterId, { targetType, targetId, reason, details = null }) => {
+  if (!TARGET_TYPES.includes(targetType)) {
+    throw new BadRequestError(`targetType must be one of: ${TARGET_TYPES.join(', ')}`);
+  }
+  if (!REASONS.includes(reason)) {
+    throw new BadRequestError(`reason must be one of: ${REASONS.join(', ')}`);
+  }
+  if (!targetId || typeof targetId !== 'string') {
+    throw new BadRequestError('targetId is required');
+  }
+
+  const target = TARGETS[targetType];
+  const content = await target.load(targetId);
+  if (!content) {
+    throw new NotFoundError('The reported content was not found');
+  }
+  if (target.canReport && !target.canReport(content, reporterId)) {
+    throw new ForbiddenError('You can only report content you have received');
+  }
+
+  const targetOwnerId = await target.ownerId(content);
+  if (targetOwnerId === reporterId) {
+    throw new BadRequestError('You cannot report your own content');
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      reportId: uuidv4(),
+      reporterId,
+      targetType,
+      targetId,
+      reason,
+      details: typeof details === 'string' ? details.trim().substring(0, 1000) || null : null
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('You have already reported this');
+    }
+    throw error;
+  }
+
+  const moderationCase = await addToCase(report, targetOwnerId);
+  report.caseId = moderationCase.caseId;
+  await report.save();
+
+  await autoHideIfNeeded(moderationCase);
+
+  console.log(`🚩 [MODERATION] ${reporterId} reported ${targetType} ${targetId} (${reason}), case ${moderationCase.caseId}`);
+  return formatReport(report);
+};
+
+const listMyReports = async (reporterId, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+  const [reports, total] = await Promise.all([
+    Report.find({ reporterId }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Report.countDocuments({ reporterId })
+  ]);
+
+  return { reports: reports.map(formatReport), total, page, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Triage queue - escalated cases first, then the most reported
+ * @param {Object} admin - The signed-in admin
+ * @param {Object} filters - { status, targetType, assigned: 'me' | 'unassigned' | adminId, page, limit }
+ */
+const listCases = async (admin, { status, targetType, assigned, page = 1, limit = 20 } = {}) => {
+  const query = status ? { status } : { isOpen: true };
+  if (targetType) query.targetType = targetType;
+  if (assigned === 'me') {
+    query['assignedTo.adminId'] = admin._id;
+  } else if (assigned === 'unassigned') {
+    query['assignedTo.adminId'] = null;
+  } else if (assigned && mongoose.isValidObjectId(assigned)) {
+    query['assignedTo.adminId'] = assigned;
+  }
+
+  const skip = (page - 1) * limit;
+  const [cases, total] = await Promise.all([
+    ModerationCase.find(query)
+      .sort({ escalatedAt: -1, reportCount: -1, lastReportedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ModerationCase.countDocuments(query)
+  ]);
+
+  return { cases: cases.map(formatCase), total, page, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * One case with its reports, action log and the reported content
+ */
+const getCase = async (caseId) => {
+  const moderationCase = await ModerationCase.findOne({ caseId }).lean();
+  if (!moderationCase) {
+    throw new NotFoundError('Case not found');
+  }
+
+  const { load, preview } = TARGETS[moderationCase.targetType];
+  const [reports, actions, content] = await Promise.all([
+    Report.find({ caseId }).sort({ createdAt: 1 }).lean(),
+    ModerationAction.find({ caseId }).sort({ createdAt: 1 }).lean(),
+    load(moderationCase.targetId)
+  ]);
+  const target = content && preview ? await preview(content) : content;
+
+  return {
+    ...formatCase(moderationCase),
+    target,
+    reports: reports.map(report => ({ ...formatReport(report), reporterId: report.reporterId })),
+    actions
+  };
+};
+
+const findOpenCase = async (caseId) => {
+  const moderationCase = await ModerationCase.findOne({ caseId });
+  if (!moderationCase) {
+    throw new NotFoundError('Case not found');
+  }
+  if (!moderationCase.isOpen) {
+    throw new ConflictError(`Case is already ${moderationCase.status}`);
+  }
+  return moderationCase;
+};
+
+/**
+ * Assign a case to an admin (the caller when no adminId is given)
+ */
+const assignCase = async (caseId, admin, { adminId = null, note = null } = {}) => {
+  const moderationCase = await findOpenCase(caseId);
+
+  let assignee = admin;
+  if (adminId && String(adminId) !== String(admin._id)) {
+    assignee = mongoose.isValidObjectId(adminId) ? await Admin.findById(adminId).select('username isActive') : null;
+    if (!assignee || !assignee.isActive) {
+      throw new BadRequestError('Admin not found or deactivated');
+    }
+  }
+
+  moderationCase.assignedTo = { adminId: assignee._id, username: assignee.username, assignedAt: new Date() };
+  if (moderationCase.status === 'open') {
+    moderationCase.status = 'in_review';
+  }
+  await moderationCase.save();
+
+  await logAction(caseId, 'assigned', admin, {
+    note,
+    details: { assignedTo: assignee._id, assignedToUsername: assignee.username }
+  });
+  return formatCase(moderationCase);
+};
+
+/**
+ * Escalate a case - it moves to the top of the queue
+ */
+const escalateCase = async (caseId, admin, { note = null } = {}) => {
+  const moderationCase = await findOpenCase(caseId);
+  if (moderationCase.status === 'escalated') {
+    throw new ConflictError('Case is already escalated');
+  }
+
+  moderationCase.status = 'escalated';
+  moderationCase.escalatedAt = new Date();
+  await moderationCase.save();
+
+  await logAction(caseId, 'escalated', admin, { note });
+  return formatCase(moderationCase);
+};
+
+const notifyReporters = async (moderationCase, outcome) => {
+  const reports = await Report.find({ caseId: moderationCase.caseId }).select('reportId reporterId').lean();
+  const message = moderationCase.status === 'resolved'
+    ? `Thanks for your report. We reviewed the ${moderationCase.targetType} you reported and took action.`
+    : `Thanks for your report. We reviewed the ${moderationCase.targetType} you reported and found it doesn't go against our community guidelines.`;
+
+  for (const report of reports) {
+    const data = {
+      reportId: report.reportId,
+      caseId: moderationCase.caseId,
+      targetType: moderationCase.targetType,
+      status: moderationCase.status,
+      outcome
+    };
+
+    try {
+      await Notification.create({
+        userId: report.reporterId,
+        type: 'report_resolved',
+        fromUserId: 'system',
+        message,
+        data
+      });
+      getSocketManager().broadcastToUser(report.reporterId, 'notification:report', {
+        type: 'report_resolved',
+        title: 'Report update',
+        body: message,
+        data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ [MODERATION] Failed to notify reporter ${report.reporterId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Close a case and hand the outcome to its reports and reporters
+ */
+const closeCase = async (moderationCase, admin, status, action, note) => {
+  const closedAt = new Date();
+  const closed = await ModerationCase.findOneAndUpdate(
+    { _id: moderationCase._id, isOpen: true },
+    {
+      $set: {
+        status,
+        isOpen: false,
+        resolution: { action, note, adminId: admin._id, closedAt }
+      }
+    },
+    { new: true }
+  );
+  if (!closed) {
+    throw new ConflictError('Case was closed in the meantime');
+  }
+
+  await Report.updateMany({ caseId: closed.caseId }, { $set: { status, outcome: action, closedAt } });
+  await logAction(closed.caseId, status, admin, { note, details: { action } });
+  await notifyReporters(closed, action);
+
+  console.log(`⚖️ [MODERATION] Case ${closed.caseId} ${status} by ${admin.username} (${action})`);
+  return formatCase(closed);
+};
+
+/**
+ * Resolve a case by acting on the content and/or its owner
+ * @param {Object} input - { action: 'remove_content' | 'ban_user' | 'remove_content_and_ban_user', note }
+ */
+const resolveCase = async (caseId, admin, { action, note = null } = {}) => {
+  if (!RESOLVE_ACTIONS.includes(action)) {
+    throw new BadRequestError(`action must be one of: ${RESOLVE_ACTIONS.join(', ')}`);
+  }
+
+  const moderationCase = await findOpenCase(caseId);
+  const target = TARGETS[moderationCase.targetType];
+  const removeContent = action !== 'ban_user';
+  const banUser = action !== 'remove_content';
+
+  if (removeContent && !target.remove) {
+    throw new BadRequestError(`A ${moderationCase.targetType} can't be removed - ban the user instead`);
+  }
+  if (banUser && !moderationCase.targetOwnerId) {
+    throw new BadRequestError('The owner of this content is unknown');
+  }
+
+  if (removeContent) {
+    await target.remove(moderationCase.targetId);
+    await logAction(caseId, 'content_removed', admin, { note });
+  }
+
+  if (banUser) {
+    await User.updateOne(
+      { userId: moderationCase.targetOwnerId },
+      {
+        $set: {
+          isBanned: true,
+          banReason: note || `Moderation case ${caseId}`,
+          bannedAt: new Date(),
+          bannedBy: admin.username
+        }
+      }
+    );
+    await revokeAllSessions(moderationCase.targetOwnerId, 'banned');
+    await logAction(caseId, 'user_banned', admin, { note, details: { userId: moderationCase.targetOwnerId } });
+  }
+
+  return closeCase(moderationCase, admin, 'resolved', action, note);
+};
+
+/**
+ * Dismiss a case - nothing wrong with the content, so it is restored if it was hidden
+ */
+const dismissCase = async (caseId, admin, { note = null } = {}) => {
+  const moderationCase = await findOpenCase(caseId);
+  const target = TARGETS[moderationCase.targetType];
+
+  if (moderationCase.contentHidden && target.restore) {
+    await target.restore(moderationCase.targetId);
+    await ModerationCase.updateOne({ _id: moderationCase._id }, { $set: { contentHidden: false } });
+    await logAction(caseId, 'content_restored', admin, { note });
+  }
+
+  return closeCase(moderationCase, admin, 'dismissed', 'no_violation', note);
+};
+
+/**
+ * Moderation action log, newest first
+ * @param {Object} filters - { caseId, adminId, page, limit }
+ */
+const listActions = async ({ caseId, adminId, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (caseId) query.caseId = caseId;
+  if (adminId && mongoose.isValidObjectId(adminId)) query.adminId = adminId;
+
+  const skip = (page - 1) * limit;
+  const [actions, total] = await Promise.all([
+    ModerationAction.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ModerationAction.countDocuments(query)
+  ]);
+
+  return { actions, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+module.exports = {
+  TARGET_TYPES,
+  REASONS,
+  submitReport,
+  listMyReports,
+  listCases,
+  getCase,
+  assignCase,
+  escalateCase,
+  resolveCase,
+  dismissCase,
+  listActions
+};
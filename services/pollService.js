@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const FeedPost = require('../models/FeedPost');
+const PollVote = require('../models/PollVote');
+const User = require('../models/userModel');
+const { BadRequestError, NotFoundError } = require('../utils/errorClasses');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+/**
+ * Poll Service
+ * Shared poll logic for 1:1 messages, group messages and feed posts.
+ * Each user has a single ballot per poll (PollVote); option tallies on the
+ * embedded poll are adjusted atomically from the difference between the old
+ * and new ballot so concurrent votes never lose counts.
+ */
+
+const MAX_POLL_OPTIONS = 12;
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_DURATION_DAYS = parseInt(process.env.MAX_POLL_DURATION_DAYS, 10) || 30;
+
+// Poll target type -> model the poll is embedded in
+const TARGET_MODELS = {
+  message: Message,
+  group_message: GroupMessage,
+  post: FeedPost
+};
+
+/**
+ * Validate client input and build the embedded poll definition
+ * @param {Object} input - { question, options[], allowMultiple, isAnonymous, closesAt }
+ * @returns {Object} - Poll ready to be stored on a message or post
+ */
+const buildPoll = (input) => {
+  if (!input || typeof input !== 'object') {
+    throw new BadRequestError('Poll details are required');
+  }
+
+  const question = typeof input.question === 'string' ? input.question.trim() : '';
+  if (!question) {
+    throw new BadRequestError('Poll question is required');
+  }
+  if (question.length > 300) {
+    throw new BadRequestError('Poll question cannot exceed 300 characters');
+  }
+
+  if (!Array.isArray(input.options)) {
+    throw new BadRequestError('Poll options are required');
+  }
+
+  // Accept plain strings or { text } objects
+  const optionTexts = input.options
+    .map(option => (typeof option === 'string' ? option : option && option.text))
+    .map(text => (typeof text === 'string' ? text.trim() : ''))
+    .filter(Boolean);
+
+  if (optionTexts.length < MIN_POLL_OPTIONS || optionTexts.length > MAX_POLL_OPTIONS) {
+    throw new BadRequestError(`A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`);
+  }
+  if (optionTexts.some(text => text.length > 100)) {
+    throw new BadRequestError('Poll option cannot exceed 100 characters');
+  }
+  if (new Set(optionTexts.map(text => text.toLowerCase())).size !== optionTexts.length) {
+    throw new BadRequestError('Poll options must be unique');
+  }
+
+  let closesAt = null;
+  if (input.closesAt) {
+    closesAt = new Date(input.closesAt);
+    const maxCloseTime = Date.now() + MAX_POLL_DURATION_DAYS * 24 * 60 * 60 * 1000;
+    if (isNaN(closesAt.getTime()) || closesAt.getTime() <= Date.now() || closesAt.getTime() > maxCloseTime) {
+      throw new BadRequestError(`Poll close time must be in the future and within ${MAX_POLL_DURATION_DAYS} days`);
+    }
+  }
+
+  return {
+    question,
+    options: optionTexts.map(text => ({
+      optionId: crypto.randomUUID(),
+      text,
+      voteCount: 0
+    })),
+    allowMultiple: input.allowMultiple === true,
+    isAnonymous: input.isAnonymous === true,
+    closesAt,
+    closedAt: null,
+    totalVoters: 0
+  };
+};
+
+const isPollClosed = (poll) => {
+  if (poll.closedAt) return true;
+  return !!poll.closesAt && new Date(poll.closesAt).getTime() <= Date.now();
+};
+
+/**
+ * Public shape of a poll (counts only, no voters)
+ */
+const formatPoll = (poll) => ({
+  question: poll.question,
+  options: poll.options.map(option => ({
+    optionId: option.optionId,
+    text: option.text,
+    voteCount: option.voteCount || 0
+  })),
+  allowMultiple: poll.allowMultiple,
+  isAnonymous: poll.isAnonymous,
+  closesAt: poll.closesAt,
+  closedAt: poll.closedAt,
+  isClosed: isPollClosed(poll),
+  totalVoters: poll.totalVoters || 0
+});
+
+const ensureOpenPoll = (target) => {
+  if (!target.poll) {
+    throw new BadRequestError('This is not a poll');
+  }
+  if (isPollClosed(target.poll)) {
+    throw new BadRequestError('This poll is closed');
+  }
+};
+
+/**
+ * Apply a ballot change to the embedded tallies in one atomic update
+ * @returns {Promise<Object|null>} - Updated poll
+ */
+const applyTallyChange = async (targetType, targetId, added, removed, voterDelta) => {
+  const inc = {};
+  const arrayFilters = [];
+
+  added.forEach((optionId, index) => {
+    inc[`poll.options.$[add${index}].voteCount`] = 1;
+    arrayFilters.push({ [`add${index}.optionId`]: optionId });
+  });
+  removed.forEach((optionId, index) => {
+    inc[`poll.options.$[rem${index}].voteCount`] = -1;
+    arrayFilters.push({ [`rem${index}.optionId`]: optionId });
+  });
+  if (voterDelta) {
+    inc['poll.totalVoters'] = voterDelta;
+  }
+
+  const Model = TARGET_MODELS[targetType];
+  if (Object.keys(inc).length === 0) {
+    const unchanged = await Model.findById(targetId).select('poll').lean();
+    return unchanged ? unchanged.poll : null;
+  }
+
+  const updated = await Model.findByIdAndUpdate(
+    targetId,
+    { $inc: inc },
+    { new: true, arrayFilters }
+  ).select('poll').lean();
+
+  return updated ? updated.poll : null;
+};
+
+/**
+ * Cast or replace the user's ballot
+ * @param {String} targetType - message | group_message | post
+ * @param {Object} target - Document the poll is embedded in
+ * @param {String} userId - Voter
+ * @param {Array<String>} optionIds - Selected options
+ * @returns {Promise<Object>} - Updated poll
+ */
+const castVote = async (targetType, target, userId, optionIds) => {
+  ensureOpenPoll(target);
+  const { poll } = target;
+
+  const selected = [...new Set([].concat(optionIds || []))].filter(optionId => typeof optionId === 'string' && optionId);
+  if (selected.length === 0) {
+    throw new BadRequestError('Select at least one option');
+  }
+  if (!poll.allowMultiple && selected.length > 1) {
+    throw new BadRequestError('This poll allows only one choice');
+  }
+
+  const validOptionIds = new Set(poll.options.map(option => option.optionId));
+  if (selected.some(optionId => !validOptionIds.has(optionId))) {
+    throw new BadRequestError('Invalid poll option');
+  }
+
+  const filter = { targetType, targetId: target._id, userId };
+  const update = { $set: { optionIds: selected, votedAt: new Date() } };
+
+  // Swap the ballot atomically and get the previous one back to compute the tally delta
+  let previous;
+  try {
+    previous = await PollVote.findOneAndUpdate(filter, update, { upsert: true, new: false });
+  } catch (error) {
+    // Two first votes raced on the unique index - the other one created the ballot
+    if (error.code !== 11000) throw error;
+    previous = await PollVote.findOneAndUpdate(filter, update, { new: false });
+  }
+
+  const previousIds = previous ? previous.optionIds : [];
+  const added = selected.filter(optionId => !previousIds.includes(optionId));
+  const removed = previousIds.filter(optionId => !selected.includes(optionId));
+
+  return applyTallyChange(targetType, target._id, added, removed, previous ? 0 : 1);
+};
+
+/**
+ * Remove the user's ballot
+ * @returns {Promise<Object>} - Updated poll
+ */
+const retractVote = async (targetType, target, userId) => {
+  ensureOpenPoll(target);
+
+  const previous = await PollVote.findOneAndDelete({ targetType, targetId: target._id, userId });
+  if (!previous) {
+    throw new NotFoundError('You have not voted in this poll');
+  }
+
+  return applyTallyChange(targetType, target._id, [], previous.optionIds, -1);
+};
+
+/**
+ * Close a poll before its close time
+ * @returns {Promise<Object>} - Updated poll
+ */
+const closePoll = async (targetType, target) => {
+  if (!target.poll) {
+    throw new BadRequestError('This is not a poll');
+  }
+  if (isPollClosed(target.poll)) {
+    throw new BadRequestError('This poll is already closed');
+  }
+
+  const Model = TARGET_MODELS[targetType];
+  const updated = await Model.findOneAndUpdate(
+    { _id: target._id, 'poll.closedAt': null },
+    { $set: { 'poll.closedAt': new Date() } },
+    { new: true }
+  ).select('poll').lean();
+
+  if (!updated) {
+    throw new BadRequestError('This poll is already closed');
+  }
+  return updated.poll;
+};
+
+/**
+ * Poll results for a viewer. Voter lists are only included for non-anonymous polls.
+ */
+const getPollResults = async (targetType, target, viewerId) => {
+  if (!target.poll) {
+    throw new BadRequestError('This is not a poll');
+  }
+
+  const results = formatPoll(target.poll);
+
+  const myBallot = await PollVote.findOne({ targetType, targetId: target._id, userId: viewerId })
+    .select('optionIds')
+    .lean();
+  results.myVote = myBallot ? myBallot.optionIds : [];
+
+  if (!target.poll.isAnonymous) {
+    const ballots = await PollVote.find({ targetType, targetId: target._id })
+      .select('userId optionIds votedAt')
+      .sort({ votedAt: 1 })
+      .lean();
+
+    const voters = await User.find({ userId: { $in: ballots.map(ballot => ballot.userId) } })
+      .select('userId name profileImage')
+      .lean();
+    const votersById = new Map(voters.map(voter => [voter.userId, voter]));
+
+    results.options.forEach(option => {
+      option.voters = ballots
+        .filter(ballot => ballot.optionIds.includes(option.optionId))
+        .map(ballot => {
+          const voter = votersById.get(ballot.userId);
+          return {
+            userId: ballot.userId,
+            name: voter ? voter.name : 'Unknown User',
+            profileImage: voter ? voter.profileImage : null,
+            votedAt: ballot.votedAt
+          };
+        });
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Push live tallies to everyone looking at the poll
+ * @param {Array<String>} recipientIds - userIds to notify
+ * @param {Object} data - { targetType, targetId, ...context }
+ * @param {Object} poll - Updated poll
+ * @param {Object} [vote] - { userId, optionIds } of the ballot that changed
+ */
+const broadcastPollUpdate = (recipientIds, data, poll, vote = null) => {
+  const { broadcastToUser } = getSocketManager();
+
+  const payload = {
+    ...data,
+    poll: formatPoll(poll),
+    // Never reveal who voted in anonymous polls
+    vote: poll.isAnonymous ? null : vote,
+    timestamp: new Date()
+  };
+
+  [...new Set(recipientIds)].forEach(recipientId => {
+    broadcastToUser(recipientId, 'poll:updated', payload);
+  });
+};
+
+/**
+ * userIds following a feed post poll live: the author plus everyone who voted
+ */
+const getPostPollAudience = async (post) => {
+  const voterIds = await PollVote.distinct('userId', { targetType: 'post', targetId: post._id });
+  return [post.userId, ...voterIds];
+};
+
+/**
+ * Drop all ballots of a deleted poll
+ */
+const deleteVotesFor = (targetType, targetIds) => {
+  return PollVote.deleteMany({ targetType, targetId: { $in: [].concat(targetIds) } });
+};
+
+/**
+ * Withdraw every ballot of a user (account deletion) and take it out of the
+ * poll's tallies. Each ballot is removed before its tally so a retry never
+ * counts it off twice.
+ * @returns {Promise<number>} - Ballots removed
+ */
+const removeVotesOfUser = async (userId) => {
+  let removed = 0;
+  let ballot;
+  while ((ballot = await PollVote.findOneAndDelete({ userId }))) {
+    await applyTallyChange(ballot.targetType, ballot.targetId, [], ballot.optionIds || [], -1);
+    removed++;
+  }
+  return removed;
+};
+
+module.exports = {
+  buildPoll,
+  isPollClosed,
+  formatPoll,
+  castVote,
+  retractVote,
+  closePoll,
+  getPollResults,
+  broadcastPollUpdate,
+  getPostPollAudience,
+  deleteVotesFor,
+  removeVotesOfUser
+};
@@ -1,6 +1,8 @@
 const PrimaryTimeProfile = require('../models/PrimaryTimeProfile');
 const User = require('../models/userModel');
 const StatusHistory = require('../models/statusHistoryModel');
+const scheduleResolution = require('./scheduleResolutionService');
+const recurrence = require('../utils/recurrence');
 const cron = require('node-cron');
 
 /**
@@ -17,39 +19,23 @@ class PrimaryTimeSchedulerService {
 
   /**
    * Check if a profile should be active at the given time
+   * @param {Object} profile
+   * @param {Date} now
+   * @param {string} [timeZone] - the owner's IANA zone; the profile's legacy
+   *   fixed timezoneOffset is used when the owner has none
    */
-  shouldProfileBeActive(profile, now = new Date()) {
-    // Convert UTC server time to user's local time using profile's timezoneOffset
-    // timezoneOffset is from JS getTimezoneOffset(): negative means ahead of UTC
-    // e.g., IST (UTC+05:30) → offset = -330
-    // To get local time: UTC - offset (since offset is negative for ahead)
-    const offsetMs = (profile.timezoneOffset || 0) * 60 * 1000;
-    const localNow = new Date(now.getTime() - offsetMs);
-
-    const currentDay = localNow.getDay(); // 0-6 (Sun-Sat)
-    const currentTime = `${String(localNow.getHours()).padStart(2, '0')}:${String(localNow.getMinutes()).padStart(2, '0')}`;
-
-    console.log(`   🕐 [TIME CHECK] Profile "${profile.name}": serverUTC=${now.toISOString()}, offset=${profile.timezoneOffset || 0}min, localTime=${currentTime}, window=${profile.startTime}-${profile.endTime}, day=${currentDay}, days=${profile.days}`);
-
-    // Check if today is in the days array
-    if (!profile.days.includes(currentDay)) {
-      console.log(`   ❌ [TIME CHECK] Day ${currentDay} not in profile days [${profile.days}]`);
-      return false;
-    }
-
-    // Check date range if applicable
-    if (profile.recurrence.type === 'date_range') {
-      if (profile.recurrence.startDate && localNow < new Date(profile.recurrence.startDate)) {
-        return false;
-      }
-      if (profile.recurrence.endDate && localNow > new Date(profile.recurrence.endDate)) {
-        return false;
-      }
-    }
-
-    // Check time range
-    const isInWindow = currentTime >= profile.startTime && currentTime < profile.endTime;
-    console.log(`   ${isInWindow ? '✅' : '❌'} [TIME CHECK] ${currentTime} >= ${profile.startTime} && ${currentTime} < ${profile.endTime} → ${isInWindow}`);
+  shouldProfileBeActive(profile, now = new Date(), timeZone = null) {
+    const zone = recurrence.isValidTimeZone(timeZone) ? timeZone : recurrence.offsetTimeZone(profile.timezoneOffset);
+    const local = recurrence.toLocalParts(now, zone);
+    const currentTime = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+
+    console.log(`   🕐 [TIME CHECK] Profile "${profile.name}": serverUTC=${now.toISOString()}, zone=${zone}, localTime=${currentTime}, window=${profile.startTime}-${profile.endTime}, day=${local.dayOfWeek}, days=${profile.days}`);
+
+    // Days, date range, overnight windows and DST changes are handled the same
+    // way the resolution layer and the calendar feed see them
+    const [window] = scheduleResolution.profileIntervals(profile, now, new Date(now.getTime() + 1), timeZone);
+    const isInWindow = Boolean(window);
+    console.log(`   ${isInWindow ? '✅' : '❌'} [TIME CHECK] ${currentTime} in ${profile.startTime}-${profile.endTime} window on days [${profile.days}] → ${isInWindow}`);
     return isInWindow;
   }
 
@@ -73,8 +59,11 @@ class PrimaryTimeSchedulerService {
       console.log(`🔍 [PRIMARY TIME SCHEDULER] Checking user ${userId}`);
       console.log(`   📊 Found ${enabledProfiles.length} enabled profile(s)`);
 
+      const user = await User.findById(userId);
+      const timeZone = user?.timezone || null;
+
       // Find enabled profiles that should be active right now (within time window)
-      const shouldBeActiveProfiles = enabledProfiles.filter(p => this.shouldProfileBeActive(p, now));
+      const shouldBeActiveProfiles = enabledProfiles.filter(p => this.shouldProfileBeActive(p, now, timeZone));
 
       if (shouldBeActiveProfiles.length === 0) {
         // No profiles should be active right now — deactivate any that are currently active
@@ -92,7 +81,18 @@ class PrimaryTimeSchedulerService {
       }
 
       // Get highest priority profile that should be active
-      const targetProfile = shouldBeActiveProfiles[0]; // Already sorted by priority desc
+      let targetProfile = shouldBeActiveProfiles[0]; // Already sorted by priority desc
+
+      // A manual status, scheduled status or calendar event claiming this
+      // minute takes precedence over Primary Time
+      const winner = user ? await scheduleResolution.effectiveAt(user, now) : null;
+      if (winner && winner.source !== 'primary_time') {
+        console.log(`   ⏸️ ${winner.source} "${winner.name}" takes precedence over "${targetProfile.name}" — not activating`);
+        return null;
+      }
+      if (winner) {
+        targetProfile = shouldBeActiveProfiles.find(p => p._id.toString() === winner.sourceId) || targetProfile;
+      }
 
       // Check if this profile is already active
       if (targetProfile.isActive) {
@@ -129,21 +129,15 @@ class PrimaryTimeSchedulerService {
     try {
       const now = new Date();
 
-      // Calculate duration until end time using profile's timezone offset
-      // Profile stores local times (e.g., "17:00" IST). Server runs in UTC.
-      const [endHours, endMinutes] = profile.endTime.split(':').map(Number);
-      const offsetMs = (profile.timezoneOffset || 0) * 60 * 1000;
-      const localNow = new Date(now.getTime() - offsetMs);
-      const localEnd = new Date(localNow);
-      localEnd.setHours(endHours, endMinutes, 0, 0);
-
-      // If local end time is before local now, it's tomorrow
-      if (localEnd <= localNow) {
-        localEnd.setDate(localEnd.getDate() + 1);
+      const user = await User.findById(userId);
+      if (!user) {
+        console.error(`   ❌ User ${userId} not found`);
+        return;
       }
 
-      // Convert local end back to UTC for storage
-      const endTime = new Date(localEnd.getTime() + offsetMs);
+      // The current window's end, in the user's zone (the profile's offset
+      // for users without one), with DST changes accounted for
+      const endTime = profile.currentWindowEnd(now, user.timezone);
       const durationMinutes = Math.round((endTime.getTime() - now.getTime()) / (1000 * 60));
 
       console.log(`   ⏰ Duration: ${durationMinutes} minutes (until ${profile.endTime})`);
@@ -153,11 +147,6 @@ class PrimaryTimeSchedulerService {
       await profile.save();
 
       // Update user status
-      const user = await User.findById(userId);
-      if (!user) {
-        console.error(`   ❌ User ${userId} not found`);
-        return;
-      }
 
       const oldStatus = user.status;
 
@@ -279,6 +268,12 @@ class PrimaryTimeSchedulerService {
         return;
       }
 
+      // Another source has replaced this profile's status since it was applied
+      if (!user.primaryTimeProfileId || user.primaryTimeProfileId.toString() !== profile._id.toString()) {
+        console.log(`   ℹ️ Status no longer set by "${profile.name}" — leaving it as is`);
+        return;
+      }
+
       // Save previous status for history
       if (user.status && user.status.toLowerCase() !== 'available') {
         user.previousStatus = user.customStatus || user.status;
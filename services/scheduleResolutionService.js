@@ -0,0 +1,373 @@
+/**
+ * Schedule Resolution Service
+ * One place that decides which status a user should have at any moment when
+ * several sources claim it:
+ *
+ *   manual_status  - a status the user set themselves that has not expired
+ *   schedule       - StatusSchedules the user created
+ *   calendar       - StatusSchedules created from a connected or imported calendar
+ *   primary_time   - enabled PrimaryTimeProfiles
+ *   daily_schedule - the slots saved through dailyScheduleService
+ *
+ * Sources are listed in precedence order: something planned for a specific
+ * time beats a standing routine, and what the user entered by hand beats what
+ * was imported. Within a source the higher `priority` wins, then the
+ * occurrence that started later.
+ *
+ * autoStatusService, primaryTimeScheduler and statusScheduler ask effectiveAt()
+ * before applying anything, so only the winner is applied. The same timeline
+ * backs the preview endpoint and the overlap warnings returned when a schedule
+ * or profile is created.
+ */
+
+const StatusSchedule = require('../models/statusScheduleModel');
+const PrimaryTimeProfile = require('../models/PrimaryTimeProfile');
+const recurrence = require('../utils/recurrence');
+const { BadRequestError } = require('../utils/errorClasses');
+
+const SOURCE_PRECEDENCE = ['manual_status', 'schedule', 'calendar', 'primary_time', 'daily_schedule'];
+
+const SOURCE_LABELS = {
+  manual_status: 'your current status',
+  schedule: 'Scheduled status',
+  calendar: 'Calendar event',
+  primary_time: 'Primary Time',
+  daily_schedule: 'Daily schedule'
+};
+
+const TIMELINE_MAX_DAYS = parseInt(process.env.SCHEDULE_TIMELINE_MAX_DAYS, 10) || 62;
+// How far ahead a new schedule is checked against existing ones
+const CONFLICT_WINDOW_DAYS = parseInt(process.env.SCHEDULE_CONFLICT_WINDOW_DAYS, 10) || 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sourceOfSchedule = (schedule) => {
+  if (schedule.autoCreatedFromCalendar) return 'calendar';
+  if ((schedule.tags || []).includes('daily_schedule')) return 'daily_schedule';
+  return 'schedule';
+};
+
+const nameOfSchedule = (schedule) =>
+  schedule.templateName || schedule.customStatus || schedule.status;
+
+/**
+ * Intervals of a StatusSchedule overlapping [from, to), with the pause and
+ * "start from tomorrow" rules autoStatusService applies to daily slots
+ * @param {Object} schedule - StatusSchedule document or lean object
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<Object>}
+ */
+const scheduleIntervals = (schedule, from, to) => {
+  const source = sourceOfSchedule(schedule);
+  const pausedUntil = schedule.pausedUntil ? new Date(schedule.pausedUntil).getTime() : null;
+  const timeZone = recurrence.timeZoneOf(schedule);
+  const localDay = (date) => {
+    const { year, month, day } = recurrence.toLocalParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+  };
+  const skipDay = schedule.metadata?.startFromTomorrow && schedule.createdAt
+    ? localDay(schedule.createdAt)
+    : null;
+
+  const intervals = [];
+  for (const occurrence of recurrence.expandOccurrences(schedule, from, to)) {
+    let start = occurrence.startTime.getTime();
+    const end = occurrence.endTime.getTime();
+
+    if (skipDay && localDay(occurrence.startTime) === skipDay) continue;
+    if (pausedUntil) {
+      if (pausedUntil >= end) continue;
+      start = Math.max(start, pausedUntil);
+    }
+
+    intervals.push({
+      source,
+      sourceId: String(schedule._id),
+      name: nameOfSchedule(schedule),
+      priority: schedule.priority || 0,
+      occurrenceStart: occurrence.occurrenceStart,
+      start,
+      end,
+      status: occurrence.status,
+      customStatus: occurrence.customStatus || ''
+    });
+  }
+  return intervals;
+};
+
+/**
+ * Windows of a PrimaryTimeProfile overlapping [from, to), in the owner's zone
+ * @param {Object} profile - PrimaryTimeProfile document or lean object
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} [timeZone] - the owner's IANA zone (legacy offset when unset)
+ * @returns {Array<Object>}
+ */
+const profileIntervals = (profile, from, to, timeZone = null) =>
+  recurrence.primaryTimeWindows(profile, from, to, timeZone).map(({ start, end }) => ({
+    source: 'primary_time',
+    sourceId: String(profile._id),
+    name: profile.name,
+    priority: profile.priority || 0,
+    occurrenceStart: new Date(start),
+    start,
+    end,
+    status: profile.status,
+    customStatus: profile.status
+  }));
+
+/**
+ * A status the user set by hand that has not expired yet
+ */
+const manualStatusInterval = (user, from, to) => {
+  const now = Date.now();
+  const until = user.statusUntil ? new Date(user.statusUntil).getTime() : null;
+  if (!until || until <= now || user.wasAutoApplied !== false) return null;
+
+  const start = Math.min(user.statusUpdatedAt ? new Date(user.statusUpdatedAt).getTime() : now, now);
+  if (!(start < new Date(to).getTime() && until > new Date(from).getTime())) return null;
+
+  return {
+    source: 'manual_status',
+    sourceId: null,
+    name: user.customStatus || user.status,
+    priority: 0,
+    occurrenceStart: new Date(start),
+    start,
+    end: until,
+    status: user.status,
+    customStatus: user.customStatus || ''
+  };
+};
+
+/**
+ * Whether interval a takes precedence over interval b
+ */
+const outranks = (a, b) => {
+  const rankA = SOURCE_PRECEDENCE.indexOf(a.source);
+  const rankB = SOURCE_PRECEDENCE.indexOf(b.source);
+  if (rankA !== rankB) return rankA < rankB;
+  if (a.priority !== b.priority) return a.priority > b.priority;
+  return a.start > b.start;
+};
+
+const describe = (interval) => ({
+  source: interval.source,
+  sourceId: interval.sourceId,
+  name: interval.name,
+  status: interval.status,
+  customStatus: interval.customStatus
+});
+
+/**
+ * Every interval from every source for a user overlapping [from, to)
+ * @param {Object} user - User document (needs _id, userId and the status fields)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array<Object>>}
+ */
+const collectIntervals = async (user, from, to) => {
+  const [schedules, profiles] = await Promise.all([
+    StatusSchedule.find({
+      userId: user.userId,
+      active: true,
+      isTemplate: { $ne: true },
+      startTime: { $lt: to }
+    }).lean(),
+    PrimaryTimeProfile.find({ userId: user._id, isEnabled: true }).lean()
+  ]);
+
+  const intervals = [
+    ...schedules.flatMap(schedule => scheduleIntervals(schedule, from, to)),
+    ...profiles.flatMap(profile => profileIntervals(profile, from, to, user.timezone))
+  ];
+
+  const manual = manualStatusInterval(user, from, to);
+  if (manual) intervals.push(manual);
+
+  return intervals;
+};
+
+/**
+ * Split [from, to) at every interval boundary and keep the winner of each
+ * piece; neighbouring pieces won by the same occurrence are merged
+ * @param {Array<Object>} intervals
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<Object>} - segments { start, end, ...winner, overridden: [] }
+ */
+const resolveIntervals = (intervals, from, to) => {
+  const rangeStart = new Date(from).getTime();
+  const rangeEnd = new Date(to).getTime();
+
+  const boundaries = [...new Set([
+    rangeStart,
+    rangeEnd,
+    ...intervals.flatMap(interval => [interval.start, interval.end])
+  ])]
+    .filter(time => time >= rangeStart && time <= rangeEnd)
+    .sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const covering = intervals.filter(interval => interval.start <= start && interval.end >= end);
+    if (covering.length === 0) continue;
+
+    const winner = covering.reduce((best, interval) => (outranks(interval, best) ? interval : best));
+    const overridden = covering.filter(interval => interval !== winner);
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous.end === start && previous.interval === winner) {
+      previous.end = end;
+      for (const interval of overridden) previous.overridden.add(interval);
+      continue;
+    }
+    segments.push({ start, end, interval: winner, overridden: new Set(overridden) });
+  }
+
+  return segments.map(({ start, end, interval, overridden }) => ({
+    start: new Date(start),
+    end: new Date(end),
+    ...describe(interval),
+    occurrenceStart: interval.occurrenceStart,
+    overridden: [...overridden].map(describe)
+  }));
+};
+
+/**
+ * The effective status timeline for a user over a date range
+ * @param {Object} user - User document
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @returns {Promise<Object>} - { startDate, endDate, precedence, segments, conflicts }
+ */
+const getTimeline = async (user, startDate, endDate) => {
+  const from = new Date(startDate);
+  const to = new Date(endDate);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new BadRequestError('startDate and endDate must be valid dates');
+  }
+  if (to <= from) {
+    throw new BadRequestError('endDate must be after startDate');
+  }
+  if (to - from > TIMELINE_MAX_DAYS * DAY_MS) {
+    throw new BadRequestError(`The timeline covers at most ${TIMELINE_MAX_DAYS} days`);
+  }
+
+  const segments = resolveIntervals(await collectIntervals(user, from, to), from, to);
+
+  return {
+    startDate: from,
+    endDate: to,
+    precedence: SOURCE_PRECEDENCE,
+    segments,
+    conflicts: segments.filter(segment => segment.overridden.length > 0).length
+  };
+};
+
+/**
+ * The interval that should decide the user's status at an instant, or null
+ * @param {Object} user - User document
+ * @param {Date} at
+ * @returns {Promise<Object|null>} - { source, sourceId, name, status, customStatus, start, end, occurrenceStart }
+ */
+const effectiveAt = async (user, at = new Date()) => {
+  const time = new Date(at).getTime();
+  const from = new Date(time);
+  const to = new Date(time + 1);
+
+  const covering = (await collectIntervals(user, from, to))
+    .filter(interval => interval.start <= time && interval.end > time);
+  if (covering.length === 0) return null;
+
+  const winner = covering.reduce((best, interval) => (outranks(interval, best) ? interval : best));
+  return {
+    ...describe(winner),
+    start: new Date(winner.start),
+    end: new Date(winner.end),
+    occurrenceStart: winner.occurrenceStart
+  };
+};
+
+/**
+ * Warnings for where new schedules or profiles overlap the user's existing
+ * ones from now through the next CONFLICT_WINDOW_DAYS (or a later one-off).
+ * One warning per existing source, naming the first overlap and which side
+ * takes precedence. Never throws - a failed check just returns no warnings.
+ * @param {Object} user - User document
+ * @param {Object} created - { schedules: [], profiles: [] } that were just saved
+ * @returns {Promise<Array<Object>>}
+ */
+const findOverlaps = async (user, { schedules = [], profiles = [] } = {}) => {
+  try {
+    const ownIds = new Set([...schedules, ...profiles].map(item => String(item._id)));
+    const from = new Date();
+    // Reach far enough to cover a one-off (or a series' first occurrence) set further out
+    const latestEnd = Math.max(0, ...schedules.map(schedule => new Date(schedule.endTime).getTime()));
+    const to = new Date(Math.max(from.getTime() + CONFLICT_WINDOW_DAYS * DAY_MS, latestEnd));
+
+    const created = [
+      ...schedules.flatMap(schedule => scheduleIntervals(schedule, from, to)),
+      ...profiles.flatMap(profile => profileIntervals(profile, from, to, user.timezone))
+    ];
+    if (created.length === 0) return [];
+
+    const existing = (await collectIntervals(user, from, to))
+      .filter(interval => !ownIds.has(interval.sourceId));
+
+    const bySource = new Map();
+    for (const mine of created) {
+      for (const theirs of existing) {
+        if (!(mine.start < theirs.end && theirs.start < mine.end)) continue;
+
+        const key = `${theirs.source}:${theirs.sourceId}`;
+        const overlapStart = Math.max(mine.start, theirs.start);
+        const found = bySource.get(key);
+        if (found) {
+          found.overlaps++;
+          if (overlapStart < found.firstOverlapStart.getTime()) {
+            found.firstOverlapStart = new Date(overlapStart);
+            found.firstOverlapEnd = new Date(Math.min(mine.end, theirs.end));
+          }
+          continue;
+        }
+
+        bySource.set(key, {
+          ...describe(theirs),
+          firstOverlapStart: new Date(overlapStart),
+          firstOverlapEnd: new Date(Math.min(mine.end, theirs.end)),
+          overlaps: 1,
+          takesPrecedence: outranks(mine, theirs) ? 'new' : 'existing'
+        });
+      }
+    }
+
+    return [...bySource.values()]
+      .sort((a, b) => a.firstOverlapStart - b.firstOverlapStart)
+      .map(warning => ({
+        ...warning,
+        message: `Overlaps ${SOURCE_LABELS[warning.source]} "${warning.name}" from ${warning.firstOverlapStart.toISOString()}` +
+          `${warning.overlaps > 1 ? ` (${warning.overlaps} times)` : ''}; ` +
+          (warning.takesPrecedence === 'new'
+            ? 'the new one takes precedence'
+            : `${SOURCE_LABELS[warning.source]} takes precedence`)
+      }));
+  } catch (error) {
+    console.error('❌ [SCHEDULE RESOLUTION] Overlap check failed:', error.message);
+    return [];
+  }
+};
+
+module.exports = {
+  SOURCE_PRECEDENCE,
+  scheduleIntervals,
+  profileIntervals,
+  resolveIntervals,
+  getTimeline,
+  effectiveAt,
+  findOverlaps
+};
@@ -0,0 +1,268 @@
+/**
+ * Scheduled Message Service
+ * Delivers "send later" messages once they are due. Driven by the master
+ * scheduler's one-minute tick; pending entries live in MongoDB so nothing
+ * is lost across restarts.
+ */
+
+const mongoose = require('mongoose');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Message = require('../models/Message');
+const GroupMessage = require('../models/groupMessageModel');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const User = require('../models/userModel');
+const Block = require('../models/blockModel');
+const OutboxEntry = require('../models/OutboxEntry');
+const { deliverDirectMessage, deliverGroupMessage } = require('./messageDeliveryService');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+// Stop retrying after this many failed delivery attempts
+const MAX_ATTEMPTS = 3;
+// Upper bound of messages delivered per tick
+const BATCH_SIZE = 100;
+
+/**
+ * Delivery failure that will not succeed on retry (blocked, left group, ...)
+ */
+class NonRetryableError extends Error {}
+
+/**
+ * Create a message under an _id reserved in advance; null when another
+ * attempt already created it
+ */
+const createOnce = async (Model, fields) => {
+  try {
+    return await Model.create(fields);
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?._id) return null;
+    throw error;
+  }
+};
+
+// Delivery queues the message in recipients' outboxes first, so a message
+// without entries was saved by an attempt that died before pushing it
+const wasQueued = (messageId) => OutboxEntry.exists({ refId: messageId.toString() });
+
+class ScheduledMessageService {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  /**
+   * Deliver every scheduled message that is due
+   */
+  async processDueMessages() {
+    // Guard against overlapping ticks when a batch runs longer than a minute
+    if (this.isProcessing) {
+      return { processed: 0, skipped: true };
+    }
+
+    this.isProcessing = true;
+    let processed = 0;
+    let failed = 0;
+    // Failures go back to pending; leave their retry to a later tick
+    const failedIds = [];
+
+    try {
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const scheduled = await ScheduledMessage.claimNextDue(new Date(), failedIds);
+        if (!scheduled) break;
+
+        try {
+          await this.deliver(scheduled);
+          processed++;
+        } catch (error) {
+          failed++;
+          failedIds.push(scheduled._id);
+          await this.handleFailure(scheduled, error);
+        }
+      }
+
+      if (processed > 0 || failed > 0) {
+        console.log(`📬 [SCHEDULED MESSAGES] Delivered ${processed}, failed ${failed}`);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return { processed, failed };
+  }
+
+  /**
+   * Deliver a single claimed scheduled message
+   */
+  async deliver(scheduled) {
+    const messageId = await this.reserveMessageId(scheduled);
+    const savedMessage = scheduled.chatType === 'group'
+      ? await this.deliverToGroup(scheduled, messageId)
+      : await this.deliverToContact(scheduled, messageId);
+
+    scheduled.status = 'sent';
+    scheduled.sentAt = new Date();
+    scheduled.sentMessageId = savedMessage._id;
+    scheduled.lockedAt = null;
+    scheduled.lastError = null;
+    await scheduled.save();
+
+    this.notifySender(scheduled, 'scheduled_message:sent', {
+      messageId: savedMessage._id.toString()
+    });
+
+    return savedMessage;
+  }
+
+  /**
+   * _id the delivered message is created under. Stored before the message is
+   * created, so a retry after a stale lock finds it instead of sending twice.
+   */
+  async reserveMessageId(scheduled) {
+    if (scheduled.sentMessageId) return scheduled.sentMessageId;
+
+    const messageId = new mongoose.Types.ObjectId();
+    const reserved = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduled._id, sentMessageId: null },
+      { $set: { sentMessageId: messageId } },
+      { new: true }
+    ).select('sentMessageId').lean();
+
+    // Lost the race to a concurrent attempt: use the id it reserved
+    const sentMessageId = reserved
+      ? messageId
+      : (await ScheduledMessage.findById(scheduled._id).select('sentMessageId').lean()).sentMessageId;
+    scheduled.sentMessageId = sentMessageId;
+    return sentMessageId;
+  }
+
+  async deliverToContact(scheduled, messageId) {
+    const { senderId, receiverId } = scheduled;
+
+    // An earlier attempt may have saved it before its lock went stale
+    let savedMessage = await Message.findById(messageId);
+    if (!savedMessage) {
+      // Block state may have changed since the message was scheduled
+      const blockStatus = await Block.isMutuallyBlocked(senderId, receiverId);
+      if (blockStatus.anyBlocked) {
+        throw new NonRetryableError('Cannot send message to this user');
+      }
+
+      // Either account may have been deleted since the message was scheduled
+      const [sender, receiver] = await Promise.all([
+        User.findOne({ userId: senderId }).select('_id').lean(),
+        User.findOne({ userId: receiverId }).select('_id').lean()
+      ]);
+      if (!sender) {
+        throw new NonRetryableError('Sender not found');
+      }
+      if (!receiver) {
+        throw new NonRetryableError('Receiver not found');
+      }
+
+      savedMessage = await createOnce(Message, {
+        _id: messageId,
+        senderId,
+        receiverId,
+        message: scheduled.message,
+        messageType: scheduled.messageType,
+        imageUrl: scheduled.imageUrl,
+        fileMetadata: scheduled.fileMetadata || undefined,
+        voiceMetadata: scheduled.voiceMetadata || undefined,
+        e2ee: scheduled.e2ee || { enabled: false },
+        timestamp: new Date(),
+        status: 'sent'
+      }) || await Message.findById(messageId);
+    }
+
+    if (!await wasQueued(messageId)) {
+      await deliverDirectMessage(savedMessage);
+    }
+    return savedMessage;
+  }
+
+  async deliverToGroup(scheduled, messageId) {
+    const { senderId, groupId } = scheduled;
+
+    const groupChat = await GroupChat.findById(groupId);
+    if (!groupChat || !groupChat.isActive) {
+      throw new NonRetryableError('Group chat not found');
+    }
+
+    // An earlier attempt may have saved it before its lock went stale
+    let groupMessage = await GroupMessage.findById(messageId);
+    if (!groupMessage) {
+      // Membership and posting rights are re-checked at delivery time
+      const membership = await GroupMember.findOne({ groupId, userId: senderId, isActive: true });
+      if (!membership || !membership.permissions.canSendMessages) {
+        throw new NonRetryableError('Sender can no longer post in this group');
+      }
+      if (groupChat.settings.onlyAdminsCanMessage && membership.role !== 'admin') {
+        throw new NonRetryableError('Only admins can send messages in this group');
+      }
+
+      const sender = await User.findOne({ userId: senderId }).select('name');
+      if (!sender) {
+        throw new NonRetryableError('Sender not found');
+      }
+
+      groupMessage = await createOnce(GroupMessage, {
+        _id: messageId,
+        groupId,
+        senderId,
+        senderName: sender.name,
+        message: scheduled.message,
+        messageType: scheduled.messageType,
+        imageUrl: scheduled.imageUrl,
+        voiceMetadata: scheduled.voiceMetadata || undefined,
+        fileMetadata: scheduled.fileMetadata || undefined,
+        encrypted: scheduled.encrypted,
+        encryptionData: scheduled.encryptionData || undefined
+      }) || await GroupMessage.findById(messageId);
+    }
+
+    if (!await wasQueued(messageId)) {
+      await deliverGroupMessage(groupMessage, groupChat);
+    }
+    return groupMessage;
+  }
+
+  /**
+   * Re-queue a failed delivery, or give up after MAX_ATTEMPTS
+   */
+  async handleFailure(scheduled, error) {
+    console.error(`❌ [SCHEDULED MESSAGES] Delivery of ${scheduled._id} failed:`, error.message);
+
+    const giveUp = error instanceof NonRetryableError || scheduled.attempts >= MAX_ATTEMPTS;
+
+    scheduled.status = giveUp ? 'failed' : 'pending';
+    scheduled.lastError = error.message;
+    scheduled.lockedAt = null;
+
+    try {
+      await scheduled.save();
+    } catch (saveError) {
+      console.error('❌ [SCHEDULED MESSAGES] Failed to record delivery failure:', saveError.message);
+    }
+
+    if (giveUp) {
+      this.notifySender(scheduled, 'scheduled_message:failed', { reason: error.message });
+    }
+  }
+
+  notifySender(scheduled, event, extra = {}) {
+    try {
+      getSocketManager().broadcastToUser(scheduled.senderId, event, {
+        scheduledMessageId: scheduled._id.toString(),
+        chatType: scheduled.chatType,
+        receiverId: scheduled.receiverId,
+        groupId: scheduled.groupId ? scheduled.groupId.toString() : null,
+        scheduledFor: scheduled.scheduledFor,
+        ...extra
+      });
+    } catch (error) {
+      console.error('❌ [SCHEDULED MESSAGES] Failed to notify sender:', error.message);
+    }
+  }
+}
+
+module.exports = new ScheduledMessageService();
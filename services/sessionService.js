@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/userModel');
+const { generateAccessToken, ACCESS_TOKEN_EXPIRE } = require('../utils/generateToken');
+const { UnauthorizedError, NotFoundError } = require('../utils/errorClasses');
+// Lazy require to break circular dependency with socketManager
+const getSocketManager = () => require('../socketManager');
+
+/**
+ * Session Service
+ * Every sign-in creates an AuthSession for the device. The client gets a
+ * short-lived access token (JWT carrying the sessionId) and a refresh token
+ * that is swapped for a new one on every refresh. Presenting a refresh token
+ * that was already swapped out means it leaked, so the whole session is revoked.
+ */
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 60;
+// Don't write lastUsedAt on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 512;
+const MAX_DEVICE_FIELD_LENGTH = 128;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const deviceField = (value) => (typeof value === 'string' && value.trim()
+  ? value.trim().substring(0, MAX_DEVICE_FIELD_LENGTH)
+  : null);
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: req.headers['user-agent']?.substring(0, MAX_USER_AGENT_LENGTH) || null
+});
+
+const buildTokens = (user, sessionId, refreshToken) => {
+  const accessToken = generateAccessToken(user._id, user.userId, sessionId);
+  return {
+    // `token` kept for clients that predate refresh tokens
+    token: accessToken,
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+    sessionId
+  };
+};
+
+const formatSession = (session, currentSessionId = null) => ({
+  sessionId: session.sessionId,
+  deviceId: session.deviceId,
+  deviceName: session.deviceName,
+  platform: session.platform,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: session.sessionId === currentSessionId
+});
+
+const disconnectSockets = (userId, sessionId = null) => {
+  try {
+    getSocketManager().disconnectUserSockets(userId, sessionId);
+  } catch (error) {
+    console.error('❌ [SESSION] Failed to disconnect sockets:', error.message);
+  }
+};
+
+/**
+ * Sign a user in on a device
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (IP and user agent are recorded)
+ * @param {Object} [device] - { deviceId, deviceName, platform } from the client
+ * @returns {Promise<Object>} - Token pair and sessionId
+ */
+const createSession = async (user, req, { deviceId = null, deviceName = null, platform = null } = {}) => {
+  const sessionId = uuidv4();
+  const refreshToken = newRefreshToken(sessionId);
+
+  await AuthSession.create({
+    sessionId,
+    user: user._id,
+    userId: user.userId,
+    deviceId: deviceField(deviceId),
+    deviceName: deviceField(deviceName),
+    platform: deviceField(platform),
+    ...getClientInfo(req),
+    refreshTokenHash: hashToken(refreshToken),
+    refreshExpiresAt: refreshExpiry()
+  });
+
+  console.log(`🔑 [SESSION] New session ${sessionId} for ${user.userId}`);
+  return buildTokens(user, sessionId, refreshToken);
+};
+
+/**
+ * Revoke one session and drop its sockets
+ */
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  const session = await AuthSession.findOneAndUpdate(
+    { sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new NotFoundError('Session not found');
+  }
+
+  disconnectSockets(userId, sessionId);
+  console.log(`🚪 [SESSION] Session ${sessionId} of ${userId} revoked (${reason})`);
+  return session;
+};
+
+/**
+ * Revoke every session of a user, including tokens issued before sessions existed
+ * @returns {Promise<number>} - Sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  // Whole seconds, because JWT `iat` is in seconds
+  const cutoff = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+  const result = await AuthSession.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await User.updateOne({ userId }, { $set: { tokensValidAfter: cutoff } });
+
+  disconnectSockets(userId);
+  console.log(`🚪 [SESSION] All ${result.modifiedCount} session(s) of ${userId} revoked (${reason})`);
+  return result.modifiedCount;
+};
+
+/**
+ * Swap a refresh token for a new token pair
+ * @param {string} refreshToken
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - New token pair
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const separator = typeof refreshToken === 'string' ? refreshToken.indexOf('.') : -1;
+  if (separator <= 0) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  const sessionId = refreshToken.slice(0, separator);
+  const session = await AuthSession.findOne({ sessionId }).select('+refreshTokenHash');
+  if (!session) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+  if (session.revokedAt) {
+    throw new UnauthorizedError('Session has been revoked');
+  }
+  if (session.refreshExpiresAt <= new Date()) {
+    throw new UnauthorizedError('Refresh token expired');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = newRefreshToken(sessionId);
+
+  // Only the current token can be swapped - the condition makes concurrent use of it lose too
+  const rotated = presentedHash === session.refreshTokenHash && await AuthSession.findOneAndUpdate(
+    { sessionId, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        refreshExpiresAt: refreshExpiry(),
+        lastUsedAt: new Date(),
+        ...getClientInfo(req)
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    console.warn(`⚠️ [SESSION] Refresh token reuse on session ${sessionId} of ${session.userId} - revoking`);
+    await AuthSession.updateOne(
+      { sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+    disconnectSockets(session.userId, sessionId);
+    throw new UnauthorizedError('Refresh token has already been used - please sign in again');
+  }
+
+  const user = await User.findById(session.user).select('_id userId isActive');
+  if (!user || user.isActive === false) {
+    throw new UnauthorizedError('Account is deactivated');
+  }
+
+  return buildTokens(user, sessionId, nextRefreshToken);
+};
+
+/**
+ * Check a verified access token against its session. Runs on every request and
+ * socket handshake so a revoked session stops working straight away.
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - User the token belongs to
+ * @returns {Promise<Object|null>} - The session (null for pre-session tokens)
+ */
+const validateSession = async (decoded, user) => {
+  if (user.tokensValidAfter && decoded.iat * 1000 < new Date(user.tokensValidAfter).getTime()) {
+    throw new UnauthorizedError('Session has been revoked');
+  }
+
+  // Tokens issued before sessions existed - expire on their own, or via "log out everywhere"
+  if (!decoded.sid) return null;
+
+  const session = await AuthSession.findOne({ sessionId: decoded.sid })
+    .select('sessionId userId revokedAt lastUsedAt')
+    .lean();
+  if (!session || session.revokedAt || session.userId !== user.userId) {
+    throw new UnauthorizedError('Session has been revoked');
+  }
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    AuthSession.updateOne({ sessionId: session.sessionId }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('❌ [SESSION] Failed to update lastUsedAt:', error.message));
+  }
+
+  return session;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await AuthSession.find({
+    userId,
+    revokedAt: null,
+    refreshExpiresAt: { $gt: new Date() }
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => formatSession(session, currentSessionId));
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  validateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,246 @@
+const os = require('os');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { client, isRedisAvailable, getAsync, setAsync, delAsync } = require('../config/redis');
+
+/**
+ * Socket Cluster Service
+ * Lets several API instances share one Socket.IO deployment. Each user's socket
+ * joins a `user:<userId>` room and the Redis adapter carries emits to whichever
+ * node holds it; presence (which node a user is on), typing and call-busy state
+ * live in Redis so every node sees the same picture.
+ * Without Redis nothing is shared and the server behaves as a single node:
+ * room emits stay local and state falls back to config/redis.js' memory cache.
+ */
+
+const NODE_ID = process.env.SOCKET_NODE_ID || `${os.hostname()}:${process.pid}`;
+
+// userId -> nodeId of every user connected anywhere in the cluster
+const PRESENCE_HASH = 'socket:presence';
+// Online/offline announcements so nodes can keep a local mirror of the hash
+const PRESENCE_CHANNEL = 'socket:presence:events';
+const NODE_KEY_PREFIX = 'socket:node:';
+
+const HEARTBEAT_INTERVAL_MS = 10000;
+// A node that hasn't heartbeated for this long is gone and its users are offline
+const NODE_TTL_SECONDS = 30;
+// How long to wait for the shared Redis client at startup before going single-node
+const REDIS_READY_TIMEOUT_MS = 5000;
+
+// Safety net in case a call ends without anyone clearing the busy flag
+const CALL_BUSY_TTL_SECONDS = parseInt(process.env.CALL_BUSY_TTL_SECONDS, 10) || 4 * 60 * 60;
+// Clients re-send typing_start while typing, so a missed typing_stop expires quickly
+const TYPING_TTL_SECONDS = 10;
+
+let clustered = false;
+let io = null;
+let presenceClient = null;
+// userId -> nodeId for users connected to other nodes
+const remoteUsers = new Map();
+
+const userRoom = (userId) => `user:${userId}`;
+const callBusyKey = (userId) => `call:busy:${userId}`;
+const typingKey = (userId) => `typing:${userId}`;
+
+const waitForRedis = async () => {
+  const deadline = Date.now() + REDIS_READY_TIMEOUT_MS;
+  while (!isRedisAvailable() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  return isRedisAvailable();
+};
+
+const handlePresenceEvent = (message) => {
+  try {
+    const { type, userId, nodeId } = JSON.parse(message);
+    if (nodeId === NODE_ID) return;
+
+    if (type === 'online') {
+      remoteUsers.set(userId, nodeId);
+    } else if (type === 'offline' && remoteUsers.get(userId) === nodeId) {
+      remoteUsers.delete(userId);
+    }
+  } catch (error) {
+    console.error('❌ [SOCKET CLUSTER] Bad presence event:', error.message);
+  }
+};
+
+const heartbeat = async () => {
+  try {
+    await client.set(`${NODE_KEY_PREFIX}${NODE_ID}`, Date.now().toString(), { EX: NODE_TTL_SECONDS });
+  } catch (error) {
+    console.error('❌ [SOCKET CLUSTER] Heartbeat failed:', error.message);
+  }
+};
+
+/**
+ * Drop users of nodes that stopped heartbeating (crashed without cleaning up)
+ */
+const pruneDeadNodes = async () => {
+  try {
+    const nodeIds = [...new Set(remoteUsers.values())];
+    for (const nodeId of nodeIds) {
+      if (await client.exists(`${NODE_KEY_PREFIX}${nodeId}`)) continue;
+
+      const staleUserIds = [...remoteUsers.entries()]
+        .filter(([, userNodeId]) => userNodeId === nodeId)
+        .map(([userId]) => userId);
+      staleUserIds.forEach(userId => remoteUsers.delete(userId));
+      if (staleUserIds.length > 0) {
+        await client.hDel(PRESENCE_HASH, staleUserIds);
+      }
+      console.log(`🧹 [SOCKET CLUSTER] Node ${nodeId} is gone, cleared ${staleUserIds.length} user(s)`);
+    }
+  } catch (error) {
+    console.error('❌ [SOCKET CLUSTER] Error pruning dead nodes:', error.message);
+  }
+};
+
+/**
+ * Attach the Redis adapter and start sharing presence. Falls back to single-node
+ * mode (and says so) when Redis is disabled or unreachable.
+ * @param {Object} socketIo - Socket.IO server
+ * @returns {Promise<boolean>} - Whether the node joined the cluster
+ */
+const initialize = async (socketIo) => {
+  io = socketIo;
+
+  if (process.env.REDIS_ENABLED === 'false' || !(await waitForRedis())) {
+    console.log('ℹ️ [SOCKET CLUSTER] Redis unavailable - running as a single node');
+    return false;
+  }
+
+  let pubClient = null;
+  let subClient = null;
+  try {
+    pubClient = client.duplicate();
+    subClient = client.duplicate();
+    presenceClient = client.duplicate();
+    [pubClient, subClient, presenceClient].forEach(redisClient => {
+      redisClient.on('error', (err) => console.error(`❌ [SOCKET CLUSTER] Redis error: ${err.message || err}`));
+    });
+    await Promise.all([pubClient.connect(), subClient.connect(), presenceClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient));
+
+    await presenceClient.subscribe(PRESENCE_CHANNEL, handlePresenceEvent);
+    const presence = await client.hGetAll(PRESENCE_HASH);
+    Object.entries(presence).forEach(([userId, nodeId]) => {
+      if (nodeId !== NODE_ID) remoteUsers.set(userId, nodeId);
+    });
+
+    // Users this node held before a restart aren't connected any more
+    const ownUserIds = Object.keys(presence).filter(userId => presence[userId] === NODE_ID);
+    if (ownUserIds.length > 0) {
+      await client.hDel(PRESENCE_HASH, ownUserIds);
+    }
+
+    await heartbeat();
+    setInterval(heartbeat, HEARTBEAT_INTERVAL_MS).unref();
+    setInterval(pruneDeadNodes, NODE_TTL_SECONDS * 1000).unref();
+
+    clustered = true;
+    console.log(`✅ [SOCKET CLUSTER] Node ${NODE_ID} joined the cluster (${remoteUsers.size} user(s) on other nodes)`);
+    return true;
+  } catch (error) {
+    console.error('❌ [SOCKET CLUSTER] Failed to join the cluster, running as a single node:', error.message);
+    await Promise.all([pubClient, subClient, presenceClient]
+      .filter(redisClient => redisClient && redisClient.isOpen)
+      .map(redisClient => redisClient.quit().catch(() => {})));
+    presenceClient = null;
+    return false;
+  }
+};
+
+const announcePresence = async (type, userId) => {
+  if (!clustered) return;
+
+  try {
+    if (type === 'online') {
+      await client.hSet(PRESENCE_HASH, userId, NODE_ID);
+    } else {
+      // Only clear the entry if the user hasn't reconnected to another node meanwhile
+      const currentNodeId = await client.hGet(PRESENCE_HASH, userId);
+      if (currentNodeId === NODE_ID) {
+        await client.hDel(PRESENCE_HASH, userId);
+      }
+    }
+    await client.publish(PRESENCE_CHANNEL, JSON.stringify({ type, userId, nodeId: NODE_ID }));
+  } catch (error) {
+    console.error(`❌ [SOCKET CLUSTER] Error announcing ${userId} ${type}:`, error.message);
+  }
+};
+
+/**
+ * A user connected to this node
+ */
+const markOnline = (userId) => {
+  remoteUsers.delete(userId);
+  return announcePresence('online', userId);
+};
+
+/**
+ * A user disconnected from this node
+ */
+const markOffline = (userId) => announcePresence('offline', userId);
+
+/**
+ * Whether the user is connected to another node
+ */
+const isOnlineElsewhere = (userId) => clustered && remoteUsers.has(userId);
+
+/**
+ * Emit to a user connected to another node through the adapter
+ * @returns {boolean} - Whether the user was online anywhere else
+ */
+const emitToRemoteUser = (userId, event, data) => {
+  if (!io || !isOnlineElsewhere(userId)) return false;
+  io.to(userRoom(userId)).emit(event, data);
+  return true;
+};
+
+/**
+ * Call-busy state: callId of the 1:1 or group call a user is in
+ */
+const setCallBusy = (userId, callId) => setAsync(callBusyKey(userId), callId, 'EX', CALL_BUSY_TTL_SECONDS);
+
+/**
+ * Clear the busy flag, but only if it still belongs to the given call
+ */
+const clearCallBusy = async (userId, callId = null) => {
+  if (callId && (await getAsync(callBusyKey(userId))) !== callId) return;
+  await delAsync(callBusyKey(userId));
+};
+
+const getBusyCallId = (userId) => getAsync(callBusyKey(userId));
+
+/**
+ * Typing state: who a user is currently typing to
+ */
+const setTyping = (userId, receiverId) => setAsync(typingKey(userId), receiverId, 'EX', TYPING_TTL_SECONDS);
+
+const clearTyping = (userId) => delAsync(typingKey(userId));
+
+const getTypingTarget = (userId) => getAsync(typingKey(userId));
+
+const getClusterStats = () => ({
+  nodeId: NODE_ID,
+  clustered,
+  remoteUsers: remoteUsers.size
+});
+
+module.exports = {
+  NODE_ID,
+  initialize,
+  userRoom,
+  markOnline,
+  markOffline,
+  isOnlineElsewhere,
+  emitToRemoteUser,
+  setCallBusy,
+  clearCallBusy,
+  getBusyCallId,
+  setTyping,
+  clearTyping,
+  getTypingTarget,
+  getClusterStats
+};
@@ -0,0 +1,169 @@
+/**
+ * Storage Provider abstraction layer
+ *
+ * Selects where uploaded files live based on the STORAGE_DRIVER env var and
+ * delegates reads and writes to it, so upload handlers, file serving and
+ * streaming work the same on one server with a local disk or on many servers
+ * sharing an S3 bucket.
+ *
+ * Files are addressed by key: their path below uploads/, e.g.
+ * 'chat-images/chat-123.jpg'. URLs stored in the database keep the
+ * '/uploads/<key>' form and are served through the active provider.
+ *
+ * Multer keeps writing uploads to uploads/ first; `persistUpload` then hands
+ * the file to the provider (a no-op for local disk).
+ *
+ * Supported providers:
+ *   - local : files under uploads/ (default)
+ *   - s3    : AWS S3 or an S3-compatible server such as MinIO
+ *
+ * Env vars:
+ *   STORAGE_DRIVER = 'local' | 's3'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const localStorageProvider = require('./storageProviders/localStorageProvider');
+const s3StorageProvider = require('./storageProviders/s3StorageProvider');
+
+const PROVIDERS = {
+  local: localStorageProvider,
+  s3: s3StorageProvider,
+};
+
+const UPLOADS_DIR = localStorageProvider.root;
+
+const getProvider = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const provider = PROVIDERS[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(
+      `[storageProvider] Unknown STORAGE_DRIVER "${name}". Supported: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  return provider;
+};
+
+const isLocal = () => getProvider().isLocal;
+
+/**
+ * Storage key of a file, from any of the forms used around the codebase:
+ * a '/uploads/...' URL (relative or absolute), a path under uploads/, or the key itself.
+ * @param {string} reference
+ * @returns {string|null} - e.g. 'chat-images/chat-123.jpg', null when not an upload
+ */
+const keyFromPath = (reference) => {
+  if (!reference) return null;
+  const value = String(reference);
+
+  let key;
+  const match = value.match(/(?:^|\/)uploads\/([^?#]+)/);
+  if (path.isAbsolute(value) && value.startsWith(UPLOADS_DIR + path.sep)) {
+    key = path.relative(UPLOADS_DIR, value).split(path.sep).join('/');
+  } else if (match) {
+    key = decodeURIComponent(match[1]);
+  } else if (!path.isAbsolute(value) && !value.includes('://')) {
+    // Already a key
+    key = value;
+  } else {
+    return null;
+  }
+
+  const normalized = path.posix.normalize(key);
+  if (normalized.startsWith('..') || path.posix.isAbsolute(normalized)) return null;
+  return normalized;
+};
+
+const requireKey = (reference) => {
+  const key = keyFromPath(reference);
+  if (!key) {
+    throw new Error(`[storageProvider] Not an uploaded file: ${reference}`);
+  }
+  return key;
+};
+
+/**
+ * Hand a file multer wrote to uploads/ over to storage
+ * @param {Object} file - Multer file ({ path, mimetype })
+ * @returns {Promise<string>} - Storage key
+ */
+const persistUpload = async (file) => {
+  const key = requireKey(file.path);
+  const provider = getProvider();
+
+  await provider.putFile(key, file.path, { contentType: file.mimetype });
+  if (!provider.isLocal) {
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+  return key;
+};
+
+/**
+ * Store a file from anywhere on disk under a key
+ */
+const putFile = (key, sourcePath, options = {}) => getProvider().putFile(key, sourcePath, options);
+
+const putBuffer = (key, buffer, options = {}) => getProvider().putBuffer(key, buffer, options);
+
+/**
+ * Read a stored file, optionally just a byte range (inclusive, like HTTP ranges)
+ * @returns {Promise<Readable>}
+ */
+const openReadStream = (reference, range = {}) => getProvider().openReadStream(requireKey(reference), range);
+
+/**
+ * @returns {Promise<Object|null>} - { size, lastModified, contentType }, null when missing
+ */
+const stat = (reference) => getProvider().stat(requireKey(reference));
+
+const exists = async (reference) => Boolean(await stat(reference));
+
+const readBuffer = (reference) => getProvider().readBuffer(requireKey(reference));
+
+/**
+ * Delete a stored file; missing files and non-upload references are ignored
+ */
+const remove = async (reference) => {
+  const key = keyFromPath(reference);
+  if (!key) return;
+  await getProvider().remove(key);
+};
+
+const list = (prefix = '') => getProvider().list(prefix);
+
+// Users' data exports: only downloadable through their own endpoint
+const DATA_EXPORTS_PREFIX = 'data-exports/';
+const PRIVATE_PREFIXES = [DATA_EXPORTS_PREFIX];
+
+/**
+ * Whether a key must not be served over /uploads or get a signed URL
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isPrivateKey = (key) => PRIVATE_PREFIXES.some(prefix => key.startsWith(prefix));
+
+/**
+ * Time-limited URL to a stored file that needs no other authentication
+ * @param {string} reference
+ * @param {Object} options - { expiresIn } in seconds (default 1 hour)
+ * @returns {Promise<string>}
+ */
+const getSignedUrl = (reference, options = {}) => getProvider().getSignedUrl(requireKey(reference), options);
+
+module.exports = {
+  UPLOADS_DIR,
+  DATA_EXPORTS_PREFIX,
+  getProvider,
+  isLocal,
+  keyFromPath,
+  persistUpload,
+  putFile,
+  putBuffer,
+  openReadStream,
+  stat,
+  exists,
+  readBuffer,
+  remove,
+  list,
+  isPrivateKey,
+  getSignedUrl,
+};
@@ -0,0 +1,135 @@
+/**
+ * Local disk storage provider
+ *
+ * Stores objects as files under uploads/, which is how uploads have always
+ * been kept, so switching to this provider needs no migration. Signed URLs
+ * point at /api/storage/signed/<key> and carry an HMAC of the key and expiry.
+ *
+ * Env vars:
+ *   STORAGE_SIGNING_SECRET = secret for signed URLs (falls back to JWT_SECRET)
+ *   SERVER_URL             = base URL the signed URLs are built on
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..', '..', 'uploads');
+
+const resolveKey = (key) => {
+  const filePath = path.join(ROOT, key);
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    throw new Error(`[localStorageProvider] Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${key}:${expires}`)
+  .digest('base64url');
+
+const putFile = async (key, sourcePath) => {
+  const destination = resolveKey(key);
+  // Multer already wrote the upload to its final place
+  if (path.resolve(sourcePath) === destination) return;
+
+  await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+  try {
+    await fs.promises.rename(sourcePath, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(sourcePath, destination);
+    await fs.promises.unlink(sourcePath);
+  }
+};
+
+const putBuffer = async (key, buffer) => {
+  const destination = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+  await fs.promises.writeFile(destination, buffer);
+};
+
+const openReadStream = async (key, { start, end } = {}) => fs.createReadStream(resolveKey(key), { start, end });
+
+const stat = async (key) => {
+  try {
+    const stats = await fs.promises.stat(resolveKey(key));
+    if (!stats.isFile()) return null;
+    return { size: stats.size, lastModified: stats.mtime, contentType: null };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const readBuffer = (key) => fs.promises.readFile(resolveKey(key));
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Every stored object under a prefix
+ * @returns {Promise<Array<{key: string, size: number}>>}
+ */
+const list = async (prefix = '') => {
+  const directory = prefix ? resolveKey(prefix) : ROOT;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { recursive: true, withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const objects = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(entry.parentPath || entry.path, entry.name);
+    const { size } = await fs.promises.stat(filePath);
+    objects.push({ key: path.relative(ROOT, filePath).split(path.sep).join('/'), size });
+  }
+  return objects;
+};
+
+const getSignedUrl = async (key, { expiresIn = 3600 } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const baseUrl = process.env.SERVER_URL || 'http://localhost:5000';
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${baseUrl}/api/storage/signed/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+/**
+ * Check a signed URL handed out by getSignedUrl
+ */
+const verifySignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(sign(key, Number(expires)));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+  name: 'local',
+  isLocal: true,
+  root: ROOT,
+  localPath: resolveKey,
+  putFile,
+  putBuffer,
+  openReadStream,
+  stat,
+  readBuffer,
+  remove,
+  list,
+  getSignedUrl,
+  verifySignature
+};
@@ -0,0 +1,160 @@
+/**
+ * S3-compatible storage provider
+ *
+ * Works against AWS S3 or any S3-compatible server; for local development
+ * point it at MinIO:
+ *
+ *   STORAGE_DRIVER=s3
+ *   S3_ENDPOINT=http://localhost:9000
+ *   S3_BUCKET=syncup-uploads
+ *   S3_ACCESS_KEY_ID=minioadmin
+ *   S3_SECRET_ACCESS_KEY=minioadmin
+ *
+ * Env vars:
+ *   S3_BUCKET             = bucket holding the uploads (required)
+ *   S3_REGION             = region (default us-east-1, MinIO ignores it)
+ *   S3_ENDPOINT           = custom endpoint for S3-compatible servers
+ *   S3_ACCESS_KEY_ID      = access key (defaults to the AWS credential chain)
+ *   S3_SECRET_ACCESS_KEY  = secret key
+ *   S3_FORCE_PATH_STYLE   = 'true' for path-style URLs (default true when S3_ENDPOINT is set)
+ *   S3_KEY_PREFIX         = prefix for every object key, e.g. 'uploads/'
+ */
+
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+
+let client = null;
+
+const getClient = () => {
+  if (client) return client;
+
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(endpoint);
+
+  client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      : undefined
+  });
+  return client;
+};
+
+const getBucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('[s3StorageProvider] S3_BUCKET not set. This provider is not yet configured.');
+  }
+  return process.env.S3_BUCKET;
+};
+
+const prefix = () => process.env.S3_KEY_PREFIX || '';
+const toObjectKey = (key) => `${prefix()}${key}`;
+const fromObjectKey = (objectKey) => objectKey.slice(prefix().length);
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey'
+  || error.$metadata?.httpStatusCode === 404;
+
+const putFile = async (key, sourcePath, { contentType } = {}) => {
+  const { size } = await fs.promises.stat(sourcePath);
+  await getClient().send(new PutObjectCommand({
+    Bucket: getBucket(),
+    Key: toObjectKey(key),
+    Body: fs.createReadStream(sourcePath),
+    ContentLength: size,
+    ContentType: contentType
+  }));
+};
+
+const putBuffer = async (key, buffer, { contentType } = {}) => {
+  await getClient().send(new PutObjectCommand({
+    Bucket: getBucket(),
+    Key: toObjectKey(key),
+    Body: buffer,
+    ContentType: contentType
+  }));
+};
+
+const openReadStream = async (key, { start, end } = {}) => {
+  const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+  const { Body } = await getClient().send(new GetObjectCommand({
+    Bucket: getBucket(),
+    Key: toObjectKey(key),
+    Range: range
+  }));
+  return Body;
+};
+
+const stat = async (key) => {
+  try {
+    const head = await getClient().send(new HeadObjectCommand({ Bucket: getBucket(), Key: toObjectKey(key) }));
+    return { size: head.ContentLength, lastModified: head.LastModified, contentType: head.ContentType || null };
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+};
+
+const readBuffer = async (key) => {
+  const { Body } = await getClient().send(new GetObjectCommand({ Bucket: getBucket(), Key: toObjectKey(key) }));
+  return Buffer.from(await Body.transformToByteArray());
+};
+
+const remove = async (key) => {
+  // Deleting a missing object succeeds on S3
+  await getClient().send(new DeleteObjectCommand({ Bucket: getBucket(), Key: toObjectKey(key) }));
+};
+
+/**
+ * Every stored object under a prefix
+ * @returns {Promise<Array<{key: string, size: number}>>}
+ */
+const list = async (keyPrefix = '') => {
+  const objects = [];
+  let ContinuationToken;
+  do {
+    const page = await getClient().send(new ListObjectsV2Command({
+      Bucket: getBucket(),
+      Prefix: toObjectKey(keyPrefix),
+      ContinuationToken
+    }));
+    for (const object of page.Contents || []) {
+      objects.push({ key: fromObjectKey(object.Key), size: object.Size });
+    }
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return objects;
+};
+
+const getSignedUrl = (key, { expiresIn = 3600 } = {}) => presign(
+  getClient(),
+  new GetObjectCommand({ Bucket: getBucket(), Key: toObjectKey(key) }),
+  { expiresIn }
+);
+
+module.exports = {
+  name: 's3',
+  isLocal: false,
+  putFile,
+  putBuffer,
+  openReadStream,
+  stat,
+  readBuffer,
+  remove,
+  list,
+  getSignedUrl
+};
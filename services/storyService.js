@@ -3,6 +3,7 @@ const StorySeen = require('../models/storySeenModel');
 const StoryLike = require('../models/storyLikeModel');
 const StoryView = require('../models/storyViewModel');
 const User = require('../models/userModel');
+const { getMediaInfoMap } = require('./mediaProcessingService');
 
 class StoryService {
   // Get active stories from user's contacts AND the user's own stories
@@ -184,6 +185,19 @@ class StoryService {
       });
       
       console.log('✅ All items processed successfully:', processedItems.length);
+
+      // Real dimensions and thumbnails from upload processing
+      const mediaInfo = await getMediaInfoMap(processedItems.map(item => item.url));
+      processedItems.forEach(item => {
+        const info = mediaInfo.get(item.url);
+        if (info) {
+          item.thumbnail = info.thumbnailUrl;
+          item.width = info.width;
+          item.height = info.height;
+          item.duration = info.duration;
+          item.variants = info.variants;
+        }
+      });
       
       // Set expiration time (24 hours from now)
       const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
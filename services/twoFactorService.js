@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const Admin = require('../models/Admin');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { encryptField, decryptField } = require('../utils/userEncryption');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errorClasses');
+
+/**
+ * Two-Factor Service
+ * Optional TOTP second factor for users and admins. Setup stores a pending
+ * secret that only becomes active once the first code from the authenticator
+ * app checks out; at that point one-time recovery codes are handed out.
+ * Login with 2FA on is two steps: the password step returns a short-lived
+ * challenge token, which is exchanged for a real session together with a code.
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Syncup';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRE = '5m';
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Challenge purposes
+const PURPOSE_LOGIN = '2fa_challenge';
+const PURPOSE_ENROLL = '2fa_enroll';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+const MODELS = {
+  user: User,
+  admin: Admin
+};
+
+const getModel = (kind) => {
+  const Model = MODELS[kind];
+  if (!Model) {
+    throw new Error(`Unknown 2FA account kind: ${kind}`);
+  }
+  return Model;
+};
+
+const loadAccount = async (kind, accountId) => {
+  const account = await getModel(kind).findById(accountId).select(SECRET_FIELDS);
+  if (!account) {
+    throw new NotFoundError('Account not found');
+  }
+  return account;
+};
+
+// Separate key so a challenge token can never pass as an access token
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa`;
+
+// Encrypted secrets come back as subdocuments
+const plainSecret = (value) => (value && value.toObject ? value.toObject() : value);
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const storeRecoveryCodes = async (Model, accountId) => {
+  const codes = newRecoveryCodes();
+  await Model.updateOne(
+    { _id: accountId },
+    { $set: { 'twoFactor.recoveryCodes': codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null })) } }
+  );
+  return codes;
+};
+
+/**
+ * Public 2FA state of an account
+ */
+const getStatus = (account) => {
+  const twoFactor = account.twoFactor || {};
+  const recoveryCodes = Array.isArray(twoFactor.recoveryCodes) ? twoFactor.recoveryCodes : null;
+
+  return {
+    enabled: !!twoFactor.enabled,
+    enabledAt: twoFactor.enabledAt || null,
+    // Only known when the codes were selected
+    recoveryCodesRemaining: recoveryCodes ? recoveryCodes.filter(code => !code.usedAt).length : undefined
+  };
+};
+
+/**
+ * Start setup: new secret plus the otpauth:// URI for the QR code.
+ * Calling it again replaces a pending secret that was never confirmed.
+ * @param {string} kind - 'user' | 'admin'
+ * @param {string} accountId - Mongo _id
+ * @param {string} accountName - Label shown in the authenticator app
+ * @returns {Promise<Object>} - { secret, otpauthUri, issuer }
+ */
+const beginEnrollment = async (kind, accountId, accountName) => {
+  const Model = getModel(kind);
+  const account = await Model.findById(accountId).select('twoFactor.enabled');
+  if (!account) {
+    throw new NotFoundError('Account not found');
+  }
+  if (account.twoFactor?.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await Model.updateOne(
+    { _id: accountId },
+    { $set: { 'twoFactor.pendingSecret': encryptField(secret) } }
+  );
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName, issuer: TOTP_ISSUER }),
+    issuer: TOTP_ISSUER
+  };
+};
+
+/**
+ * Finish setup with the first code from the app
+ * @returns {Promise<string[]>} - Recovery codes (only ever shown this once)
+ */
+const confirmEnrollment = async (kind, accountId, code) => {
+  const Model = getModel(kind);
+  const account = await loadAccount(kind, accountId);
+  if (account.twoFactor?.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+  if (!account.twoFactor?.pendingSecret?.encrypted) {
+    throw new BadRequestError('Start two-factor setup first');
+  }
+
+  const pendingSecret = plainSecret(account.twoFactor.pendingSecret);
+  const step = verifyCode(decryptField(pendingSecret), code);
+  if (step === null) {
+    throw new BadRequestError('Invalid verification code');
+  }
+
+  await Model.updateOne(
+    { _id: accountId },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.failedAttempts': 0,
+        'twoFactor.lockedUntil': null
+      }
+    }
+  );
+  const recoveryCodes = await storeRecoveryCodes(Model, accountId);
+
+  console.log(`🔐 [2FA] Enabled for ${kind} ${accountId}`);
+  return recoveryCodes;
+};
+
+const recordFailure = async (Model, account) => {
+  const failedAttempts = (account.twoFactor.failedAttempts || 0) + 1;
+  const update = { 'twoFactor.failedAttempts': failedAttempts };
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    update['twoFactor.failedAttempts'] = 0;
+    update['twoFactor.lockedUntil'] = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  }
+  await Model.updateOne({ _id: account._id }, { $set: update });
+};
+
+/**
+ * Check a TOTP code or a recovery code. Codes are single use; repeated
+ * failures lock the second factor for a while.
+ * @param {string} kind - 'user' | 'admin'
+ * @param {string} accountId - Mongo _id
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Promise<Object>} - { method, recoveryCodesRemaining }
+ */
+const verifySecondFactor = async (kind, accountId, { code = null, recoveryCode = null } = {}) => {
+  const Model = getModel(kind);
+  const account = await loadAccount(kind, accountId);
+  const twoFactor = account.twoFactor;
+
+  if (!twoFactor?.enabled || !twoFactor.secret?.encrypted) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+  if (twoFactor.lockedUntil && twoFactor.lockedUntil > new Date()) {
+    const minutesLeft = Math.ceil((twoFactor.lockedUntil - Date.now()) / 60000);
+    throw new TooManyRequestsError(`Too many invalid codes. Try again in ${minutesLeft} minutes.`);
+  }
+  if (!code && !recoveryCode) {
+    throw new BadRequestError('Please provide a verification code or a recovery code');
+  }
+
+  let method = null;
+
+  if (code) {
+    const step = verifyCode(decryptField(plainSecret(twoFactor.secret)), code);
+    // The condition on lastUsedStep also stops two requests racing with the same code
+    const accepted = step !== null && await Model.findOneAndUpdate(
+      {
+        _id: account._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null } }
+    );
+    if (accepted) method = 'totp';
+  } else {
+    const consumed = await Model.findOneAndUpdate(
+      {
+        _id: account._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+      },
+      {
+        $set: {
+          'twoFactor.recoveryCodes.$.usedAt': new Date(),
+          'twoFactor.failedAttempts': 0,
+          'twoFactor.lockedUntil': null
+        }
+      }
+    );
+    if (consumed) method = 'recovery_code';
+  }
+
+  if (!method) {
+    await recordFailure(Model, account);
+    throw new UnauthorizedError('Invalid verification code');
+  }
+
+  const remaining = twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+    - (method === 'recovery_code' ? 1 : 0);
+  if (method === 'recovery_code') {
+    console.log(`🔐 [2FA] Recovery code used by ${kind} ${accountId} (${remaining} left)`);
+  }
+
+  return { method, recoveryCodesRemaining: remaining };
+};
+
+/**
+ * Turn 2FA off. Callers must have re-authenticated the account first.
+ */
+const disable = async (kind, accountId) => {
+  await getModel(kind).updateOne(
+    { _id: accountId },
+    {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': [],
+        'twoFactor.lastUsedStep': null,
+        'twoFactor.enabledAt': null,
+        'twoFactor.failedAttempts': 0,
+        'twoFactor.lockedUntil': null
+      }
+    }
+  );
+  console.log(`🔓 [2FA] Disabled for ${kind} ${accountId}`);
+};
+
+/**
+ * Replace all recovery codes. Callers must have re-authenticated the account first.
+ * @returns {Promise<string[]>}
+ */
+const regenerateRecoveryCodes = async (kind, accountId) => {
+  const Model = getModel(kind);
+  const account = await Model.findById(accountId).select('twoFactor.enabled');
+  if (!account?.twoFactor?.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+  return storeRecoveryCodes(Model, accountId);
+};
+
+/**
+ * Short-lived token that proves the password step passed
+ * @param {string} kind - 'user' | 'admin'
+ * @param {string} accountId - Mongo _id
+ * @param {string} purpose - PURPOSE_LOGIN or PURPOSE_ENROLL
+ * @returns {Object} - { challengeToken, expiresIn }
+ */
+const issueChallenge = (kind, accountId, purpose = PURPOSE_LOGIN) => ({
+  challengeToken: jwt.sign(
+    { sub: accountId.toString(), kind, purpose },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_TOKEN_EXPIRE }
+  ),
+  expiresIn: CHALLENGE_TOKEN_EXPIRE
+});
+
+/**
+ * Verify a challenge token
+ * @returns {string} - The account's Mongo _id
+ */
+const verifyChallenge = (token, kind, purpose = PURPOSE_LOGIN) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, challengeSecret());
+  } catch (error) {
+    throw new UnauthorizedError('Challenge expired or invalid - please sign in again');
+  }
+
+  if (decoded.kind !== kind || decoded.purpose !== purpose) {
+    throw new UnauthorizedError('Challenge expired or invalid - please sign in again');
+  }
+  return decoded.sub;
+};
+
+module.exports = {
+  PURPOSE_LOGIN,
+  PURPOSE_ENROLL,
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disable,
+  regenerateRecoveryCodes,
+  issueChallenge,
+  verifyChallenge
+};
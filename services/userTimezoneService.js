@@ -0,0 +1,203 @@
+/**
+ * User Time Zone Service
+ * A user's IANA zone (User.timezone) is the zone their routines repeat in:
+ * daily schedule slots, recurring schedules, Primary Time windows and
+ * scheduled page posts. Changing it keeps routines at the same local time in
+ * the new zone, so a 09:00 standup is still 09:00 after the user moves.
+ *
+ * Users registered before zones were stored only have the getTimezoneOffset()
+ * value their app sent with Primary Time profiles; inferTimeZone turns that
+ * into a zone for scripts/migrate-user-timezones.js.
+ */
+
+const User = require('../models/userModel');
+const StatusSchedule = require('../models/statusScheduleModel');
+const recurrence = require('../utils/recurrence');
+const { BadRequestError, NotFoundError } = require('../utils/errorClasses');
+
+// Calling codes of countries that use a single zone. Indian numbers are
+// stored as 10 digits without +91 (see the User phoneNumber hook)
+const CALLING_CODE_ZONES = {
+  '20': 'Africa/Cairo',
+  '27': 'Africa/Johannesburg',
+  '31': 'Europe/Amsterdam',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '44': 'Europe/London',
+  '49': 'Europe/Berlin',
+  '60': 'Asia/Kuala_Lumpur',
+  '63': 'Asia/Manila',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '66': 'Asia/Bangkok',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '91': 'Asia/Kolkata',
+  '92': 'Asia/Karachi',
+  '94': 'Asia/Colombo',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '353': 'Europe/Dublin',
+  '880': 'Asia/Dhaka',
+  '965': 'Asia/Kuwait',
+  '966': 'Asia/Riyadh',
+  '968': 'Asia/Muscat',
+  '971': 'Asia/Dubai',
+  '973': 'Asia/Bahrain',
+  '974': 'Asia/Qatar',
+  '977': 'Asia/Kathmandu'
+};
+
+// Tried in order when only an offset is known; the first zone with that
+// offset at the time it was recorded wins
+const COMMON_ZONES = [
+  'Asia/Kolkata', 'Asia/Dubai', 'Asia/Karachi', 'Asia/Dhaka', 'Asia/Kathmandu',
+  'Asia/Riyadh', 'Asia/Singapore', 'Asia/Bangkok', 'Asia/Tokyo',
+  'Europe/London', 'Europe/Berlin', 'Europe/Athens', 'Europe/Moscow',
+  'Africa/Lagos', 'Africa/Nairobi',
+  'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+  'America/Sao_Paulo', 'Australia/Sydney', 'Pacific/Auckland'
+];
+
+/**
+ * Zone of a single-zone country from a stored phone number
+ * @param {string} phoneNumber
+ * @returns {string|null}
+ */
+const zoneForPhoneNumber = (phoneNumber) => {
+  if (!phoneNumber) return null;
+  if (/^\d{10}$/.test(phoneNumber)) return CALLING_CODE_ZONES['91'];
+
+  const digits = String(phoneNumber).replace(/^\+/, '');
+  for (const length of [3, 2]) {
+    const zone = CALLING_CODE_ZONES[digits.slice(0, length)];
+    if (zone) return zone;
+  }
+  return null;
+};
+
+/**
+ * Best IANA zone for a legacy getTimezoneOffset() value
+ * @param {Object} hints
+ * @param {number} [hints.timezoneOffset] - minutes behind UTC, as sent by the app
+ * @param {Date} [hints.recordedAt] - when the offset was sent (DST matters)
+ * @param {string} [hints.phoneNumber]
+ * @returns {string|null}
+ */
+const inferTimeZone = ({ timezoneOffset = null, recordedAt = new Date(), phoneNumber = null } = {}) => {
+  const phoneZone = zoneForPhoneNumber(phoneNumber);
+  if (timezoneOffset === null || timezoneOffset === undefined) return phoneZone;
+
+  const east = -timezoneOffset;
+  const matches = (zone) => recurrence.utcOffsetMinutes(zone, recordedAt) === east;
+
+  if (phoneZone && matches(phoneZone)) return phoneZone;
+
+  const common = COMMON_ZONES.find(matches);
+  if (common) return common;
+
+  // Etc/GMT names are POSIX-style: Etc/GMT-3 is UTC+3
+  if (east === 0) return 'UTC';
+  if (east % 60 === 0) return `Etc/GMT${east > 0 ? '-' : '+'}${Math.abs(east / 60)}`;
+
+  return Intl.supportedValuesOf('timeZone').find(matches) || null;
+};
+
+/**
+ * Zone a schedule's local times were written in, when they should follow the
+ * user to a new zone; null when the schedule keeps its instants
+ */
+const followsUserZone = (schedule, previousTimezone) => {
+  if (schedule.autoCreatedFromCalendar || !recurrence.rruleFor(schedule)) return null;
+  if (previousTimezone) {
+    return schedule.timezone === previousTimezone ? previousTimezone : null;
+  }
+  // Daily schedule slots were built from the server's local time
+  if (schedule.tags?.includes('daily_schedule')) return recurrence.timeZoneOf(schedule);
+  return null;
+};
+
+/**
+ * Set a user's zone and move their routines to it
+ * @param {Object} user - User document
+ * @param {string} timezone - IANA zone
+ * @returns {Promise<Object>} - { timezone, previousTimezone, movedSchedules }
+ */
+const setUserTimezone = async (user, timezone) => {
+  if (!recurrence.isValidTimeZone(timezone)) {
+    throw new BadRequestError(`${timezone} is not a valid IANA time zone (e.g. Europe/London)`);
+  }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const previousTimezone = user.timezone || null;
+  if (previousTimezone === timezone) {
+    return { timezone, previousTimezone, movedSchedules: 0 };
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { timezone } });
+  user.timezone = timezone;
+
+  const schedules = await StatusSchedule.find({
+    userId: user.userId,
+    isTemplate: { $ne: true },
+    $or: [{ timezone: null }, { timezone: previousTimezone }]
+  });
+
+  let movedSchedules = 0;
+  for (const schedule of schedules) {
+    const fromZone = followsUserZone(schedule, previousTimezone);
+    if (!fromZone) {
+      // One-off and imported times are instants; just record their zone
+      if (!schedule.timezone) {
+        await StatusSchedule.updateOne({ _id: schedule._id }, { $set: { timezone } });
+      }
+      continue;
+    }
+
+    const move = (date) => (date ? recurrence.changeTimeZone(date, fromZone, timezone) : date);
+    const occurrenceOverrides = (schedule.occurrenceOverrides || []).map(override => ({
+      ...override.toObject(),
+      occurrenceStart: move(override.occurrenceStart),
+      startTime: move(override.startTime),
+      endTime: move(override.endTime)
+    }));
+
+    // updateOne, so the series-change hook does not drop the moved overrides
+    await StatusSchedule.updateOne({ _id: schedule._id }, {
+      $set: {
+        startTime: move(schedule.startTime),
+        endTime: move(schedule.endTime),
+        timezone,
+        occurrenceOverrides
+      }
+    });
+    movedSchedules++;
+  }
+
+  console.log(`🌍 [TIMEZONE] ${user.userId}: ${previousTimezone || 'none'} → ${timezone} (${movedSchedules} routine(s) moved)`);
+  return { timezone, previousTimezone, movedSchedules };
+};
+
+/**
+ * Record the zone the app reports for a user who has none yet. Later changes
+ * go through setUserTimezone explicitly.
+ * @param {Object} user - User document
+ * @param {string} timezone
+ * @returns {Promise<boolean>} - whether the zone was recorded
+ */
+const rememberTimezone = async (user, timezone) => {
+  if (!user || user.timezone || !recurrence.isValidTimeZone(timezone)) return false;
+  await setUserTimezone(user, timezone);
+  return true;
+};
+
+module.exports = {
+  zoneForPhoneNumber,
+  inferTimeZone,
+  setUserTimezone,
+  rememberTimezone
+};
@@ -9,6 +9,12 @@ const AIMessageService = require('./services/aiMessageService');
 const AISocketService = require('./services/aiSocketService');
 const { connectionLogger } = require('./utils/loggerSetup');
 const fcmNotificationService = require('./services/fcmNotificationService');
+const GroupMember = require('./models/groupMemberModel');
+const groupReceiptService = require('./services/groupReceiptService');
+const groupCallService = require('./services/groupCallService');
+const socketClusterService = require('./services/socketClusterService');
+const deliveryOutboxService = require('./services/deliveryOutboxService');
+const sessionService = require('./services/sessionService');
 
 // Use the enhanced logging system
 const socketLogger = connectionLogger;
@@ -37,6 +43,39 @@ const connectionStats = {
 // Store io instance globally for access from controllers
 let io = null;
 
+/**
+ * Emit to a user wherever they are connected: the local socket when they're on
+ * this node, otherwise through the cluster adapter
+ * @returns {boolean} - Whether the user was online
+ */
+const emitToUser = (userId, event, data) => {
+  const socket = userSockets.get(userId);
+  if (socket && socket.connected) {
+    socket.emit(event, data);
+    return true;
+  }
+  return socketClusterService.emitToRemoteUser(userId, event, data);
+};
+
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Disconnect a user's sockets on every node - one session's, or all of them
+ */
+const disconnectUserSockets = (userId, sessionId = null) => {
+  if (!io) return;
+  const room = sessionId ? sessionRoom(sessionId) : socketClusterService.userRoom(userId);
+  io.in(room).disconnectSockets(true);
+};
+
+/**
+ * Whether a user has a live socket on any node
+ */
+const isUserOnline = (userId) => {
+  const socket = userSockets.get(userId);
+  return !!(socket && socket.connected) || socketClusterService.isOnlineElsewhere(userId);
+};
+
 /**
  * Initialize Socket.IO with the HTTP server
  * @param {Object} server - HTTP server instance
@@ -76,6 +115,11 @@ const initializeSocketIO = (server) => {
   const aiSocketService = new AISocketService();
   aiSocketService.initialize(io);
 
+  // Share rooms and presence with the other instances (single node without Redis)
+  socketClusterService.initialize(io).catch(error => {
+    console.error('❌ [SOCKET CLUSTER] Initialization error:', error);
+  });
+
   // Enhanced authentication middleware with rate limiting
   const authAttempts = new Map();
   
@@ -129,7 +173,7 @@ const initializeSocketIO = (server) => {
       
       // Get user from database with minimal fields
       console.log('🔍 Looking up user in database...');
-      const user = await User.findById(decoded.id).select('userId name isActive').lean();
+      const user = await User.findById(decoded.id).select('userId name isActive tokensValidAfter').lean();
       
       if (!user) {
         connectionStats.authFailures++;
@@ -151,12 +195,22 @@ const initializeSocketIO = (server) => {
         return next(new Error('Authentication error: Account deactivated'));
       }
       
+      // Logged-out devices can't reconnect with a token that hasn't expired yet
+      try {
+        await sessionService.validateSession(decoded, user);
+      } catch (sessionError) {
+        connectionStats.authFailures++;
+        console.log('❌ Session revoked for user:', user.userId);
+        return next(new Error('Authentication error: Session revoked'));
+      }
+      
       // Attach user to socket
       socket.user = {
         id: user._id,
         userId: user.userId,
         name: user.name
       };
+      socket.sessionId = decoded.sid || null;
       
       console.log('✅ Authentication successful, user attached to socket:', {
         mongoId: socket.user.id.toString(),
@@ -226,6 +280,13 @@ const initializeSocketIO = (server) => {
     
     // Store user socket connection using userId (NOT MongoDB _id)
     userSockets.set(userId, socket);
+    // Install id picks the outbox queue this connection acks and replays
+    socket.deviceId = deliveryOutboxService.resolveDeviceId(socket.handshake.auth?.deviceId || socket.handshake.query?.deviceId);
+    socket.join(socketClusterService.userRoom(userId));
+    if (socket.sessionId) {
+      socket.join(sessionRoom(socket.sessionId));
+    }
+    await socketClusterService.markOnline(userId);
     console.log(`\n${'='.repeat(80)}`);
     console.log(`🔗 [USER CONNECTED] User registered in userSockets Map`);
     console.log(`🔗 [USER CONNECTED] Name: ${userName}`);
@@ -284,13 +345,11 @@ const initializeSocketIO = (server) => {
         let notifiedCount = 0;
         for (const contactUser of contactUsers) {
           if (contactUser.userId) {
-            const contactSocket = userSockets.get(contactUser.userId);
-            if (contactSocket && contactSocket.connected) {
-              contactSocket.emit('contact_online_status', {
-                userId: userId,
-                isOnline: true,
-                lastSeen: new Date()
-              });
+            if (emitToUser(contactUser.userId, 'contact_online_status', {
+              userId: userId,
+              isOnline: true,
+              lastSeen: new Date()
+            })) {
               notifiedCount++;
             }
           }
@@ -411,9 +470,7 @@ const initializeSocketIO = (server) => {
           const offlinePayload = { userId, isOnline: false, lastSeen: new Date() };
           for (const contactUser of contactUsers) {
             if (contactUser.userId) {
-              const contactSocket = userSockets.get(contactUser.userId);
-              if (contactSocket && contactSocket.connected) {
-                contactSocket.emit('contact_online_status', offlinePayload);
+              if (emitToUser(contactUser.userId, 'contact_online_status', offlinePayload)) {
                 notifiedCount++;
               }
             }
@@ -440,8 +497,35 @@ const initializeSocketIO = (server) => {
         totalActive: connectionStats.activeConnections
       });
       
-      userSockets.delete(userId);
-      userContactsMap.delete(userId);
+      // 👥📞 Drop out of any group call so the others stop waiting for this peer
+      try {
+        await groupCallService.handleDisconnect(userId);
+      } catch (error) {
+        console.error('❌ [GROUP CALL] Error handling disconnect:', error);
+      }
+      
+      // ✍️ Don't leave the other side looking at a typing indicator
+      try {
+        const typingTo = await socketClusterService.getTypingTarget(userId);
+        if (typingTo) {
+          await socketClusterService.clearTyping(userId);
+          emitToUser(typingTo, 'typing:stop', {
+            userId,
+            senderId: userId,
+            name: userName,
+            timestamp: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        console.error('❌ [TYPING] Error clearing typing state:', error);
+      }
+      
+      // A reconnect may already have replaced this socket
+      if (userSockets.get(userId) === socket) {
+        userSockets.delete(userId);
+        userContactsMap.delete(userId);
+        await socketClusterService.markOffline(userId);
+      }
     });
     
     // Handle connection errors
@@ -502,14 +586,23 @@ const initializeSocketIO = (server) => {
       try {
         console.log('🔌 [SOCKET] Manual user registration request:', data);
         
+        if (data?.deviceId) {
+          socket.deviceId = deliveryOutboxService.resolveDeviceId(data.deviceId);
+        }
+        await deliveryOutboxService.registerDevice(userId, socket.deviceId, data?.platform);
+        
         // Confirm registration
         socket.emit('user:registered', {
           success: true,
           userId: userId,
+          deviceId: socket.deviceId,
           message: 'User successfully registered with socket'
         });
         
         console.log('✅ [SOCKET] Manual user registration confirmed for:', userId);
+        
+        // 📬 Replay whatever this device missed while it was away
+        await deliveryOutboxService.replayPending(socket, userId, socket.deviceId);
       } catch (error) {
         console.error('❌ [SOCKET] Error in manual user registration:', error);
         socket.emit('user:registered', {
@@ -523,7 +616,7 @@ const initializeSocketIO = (server) => {
     // 📱 DEVICE REGISTRATION: Register device token for background notifications
     socket.on('device:register', async (data) => {
       try {
-        const { deviceToken, platform } = data;
+        const { deviceToken, platform, deviceId } = data;
         
         console.log('📱 [DEVICE] Device registration request:', {
           userId,
@@ -579,6 +672,13 @@ const initializeSocketIO = (server) => {
           totalDevices: user.deviceTokens.length
         });
         
+        // 📬 Replay whatever this device missed while it was away
+        if (deviceId) {
+          socket.deviceId = deliveryOutboxService.resolveDeviceId(deviceId);
+        }
+        await deliveryOutboxService.registerDevice(userId, socket.deviceId, platform);
+        await deliveryOutboxService.replayPending(socket, userId, socket.deviceId);
+        
       } catch (error) {
         console.error('❌ [DEVICE] Device registration error:', error);
         socket.emit('device:registered', {
@@ -631,11 +731,10 @@ const initializeSocketIO = (server) => {
         
         console.log(`👻 [GHOST MODE ENTER] Found other user: ${otherUser.name} (userId: ${otherUser.userId})`);
         console.log(`👻 [GHOST MODE ENTER] Checking socket connection for ${otherUser.userId}...`);
-        console.log(`👻 [GHOST MODE ENTER] Does userSockets have this userId?`, userSockets.has(otherUser.userId));
+        console.log(`👻 [GHOST MODE ENTER] Is this user online?`, isUserOnline(otherUser.userId));
         
         // Notify the other user
-        const otherUserSocket = userSockets.get(otherUser.userId);
-        if (otherUserSocket && otherUserSocket.connected) {
+        if (isUserOnline(otherUser.userId)) {
           const payload = {
             chatId: userId, // The user who entered ghost mode
             userId: userId,
@@ -643,11 +742,10 @@ const initializeSocketIO = (server) => {
             userName: userName
           };
           console.log(`👻 [GHOST MODE ENTER] Emitting to ${otherUser.name} with payload:`, JSON.stringify(payload, null, 2));
-          otherUserSocket.emit('ghost-mode-entered', payload);
+          emitToUser(otherUser.userId, 'ghost-mode-entered', payload);
           console.log(`✅ [GHOST MODE ENTER] Successfully notified ${otherUser.name}`);
         } else {
           console.error(`❌ [GHOST MODE ENTER] Other user ${otherUser.name} not connected or socket not found`);
-          console.log(`❌ [GHOST MODE ENTER] Socket exists: ${!!otherUserSocket}, Connected: ${otherUserSocket?.connected}`);
         }
         console.log(`${'='.repeat(80)}\n`);
       } catch (error) {
@@ -685,8 +783,7 @@ const initializeSocketIO = (server) => {
         console.log(`👻 [GHOST MODE EXIT] Checking socket connection for ${otherUser.userId}...`);
         
         // Notify the other user
-        const otherUserSocket = userSockets.get(otherUser.userId);
-        if (otherUserSocket && otherUserSocket.connected) {
+        if (isUserOnline(otherUser.userId)) {
           const payload = {
             chatId: userId, // The user who exited ghost mode
             userId: userId,
@@ -694,11 +791,10 @@ const initializeSocketIO = (server) => {
             userName: userName
           };
           console.log(`👻 [GHOST MODE EXIT] Emitting to ${otherUser.name} with payload:`, JSON.stringify(payload, null, 2));
-          otherUserSocket.emit('ghost-mode-exited', payload);
+          emitToUser(otherUser.userId, 'ghost-mode-exited', payload);
           console.log(`✅ [GHOST MODE EXIT] Successfully notified ${otherUser.name} about exit`);
         } else {
           console.error(`❌ [GHOST MODE EXIT] Other user ${otherUser.name} not connected or socket not found`);
-          console.log(`❌ [GHOST MODE EXIT] Socket exists: ${!!otherUserSocket}, Connected: ${otherUserSocket?.connected}`);
         }
         console.log(`${'='.repeat(80)}\n`);
       } catch (error) {
@@ -742,11 +838,10 @@ const initializeSocketIO = (server) => {
         
         console.log(`⏳ [TIMER MODE ACTIVATE] Found other user: ${otherUser.name} (userId: ${otherUser.userId})`);
         console.log(`⏳ [TIMER MODE ACTIVATE] Checking socket connection for ${otherUser.userId}...`);
-        console.log(`⏳ [TIMER MODE ACTIVATE] Does userSockets have this userId?`, userSockets.has(otherUser.userId));
+        console.log(`⏳ [TIMER MODE ACTIVATE] Is this user online?`, isUserOnline(otherUser.userId));
         
         // Notify the other user
-        const otherUserSocket = userSockets.get(otherUser.userId);
-        if (otherUserSocket && otherUserSocket.connected) {
+        if (isUserOnline(otherUser.userId)) {
           const payload = {
             chatId: userId, // The user who activated timer mode
             userId: userId,
@@ -754,11 +849,10 @@ const initializeSocketIO = (server) => {
             userName: userName
           };
           console.log(`⏳ [TIMER MODE ACTIVATE] Emitting to ${otherUser.name} with payload:`, JSON.stringify(payload, null, 2));
-          otherUserSocket.emit('timer-mode-activated', payload);
+          emitToUser(otherUser.userId, 'timer-mode-activated', payload);
           console.log(`✅ [TIMER MODE ACTIVATE] Successfully notified ${otherUser.name}`);
         } else {
           console.error(`❌ [TIMER MODE ACTIVATE] Other user ${otherUser.name} not connected or socket not found`);
-          console.log(`❌ [TIMER MODE ACTIVATE] Socket exists: ${!!otherUserSocket}, Connected: ${otherUserSocket?.connected}`);
         }
         console.log(`${'='.repeat(80)}\n`);
       } catch (error) {
@@ -834,9 +928,8 @@ const initializeSocketIO = (server) => {
           }
           
           // Emit to other user
-          const otherUserSocket = userSockets.get(otherUser.userId);
-          if (otherUserSocket && otherUserSocket.connected) {
-            otherUserSocket.emit('timer-messages-deleted', notificationData);
+          if (isUserOnline(otherUser.userId)) {
+            emitToUser(otherUser.userId, 'timer-messages-deleted', notificationData);
             console.log(`✅ [TIMER MODE DEACTIVATE] Notified other user (${otherUser.userId})`);
           }
         } else {
@@ -844,19 +937,17 @@ const initializeSocketIO = (server) => {
         }
         
         // Notify the other user about deactivation
-        const otherUserSocket = userSockets.get(otherUser.userId);
-        if (otherUserSocket && otherUserSocket.connected) {
+        if (isUserOnline(otherUser.userId)) {
           const payload = {
             chatId: userId, // The user who deactivated timer mode
             userId: userId,
             userName: userName
           };
           console.log(`⏳ [TIMER MODE DEACTIVATE] Emitting to ${otherUser.name} with payload:`, JSON.stringify(payload, null, 2));
-          otherUserSocket.emit('timer-mode-deactivated', payload);
+          emitToUser(otherUser.userId, 'timer-mode-deactivated', payload);
           console.log(`✅ [TIMER MODE DEACTIVATE] Successfully notified ${otherUser.name} about deactivation`);
         } else {
           console.error(`❌ [TIMER MODE DEACTIVATE] Other user ${otherUser.name} not connected or socket not found`);
-          console.log(`❌ [TIMER MODE DEACTIVATE] Socket exists: ${!!otherUserSocket}, Connected: ${otherUserSocket?.connected}`);
         }
         console.log(`${'='.repeat(80)}\n`);
       } catch (error) {
@@ -903,8 +994,7 @@ const initializeSocketIO = (server) => {
         console.log(`✅ [CONTINUOUS TIMER ACTIVATE] Continuous timer activated successfully`);
         
         // Notify the other user
-        const otherUserSocket = userSockets.get(otherUser.userId);
-        if (otherUserSocket && otherUserSocket.connected) {
+        if (isUserOnline(otherUser.userId)) {
           const payload = {
             chatId: userId, // The user who activated continuous timer
             userId: userId,
@@ -912,7 +1002,7 @@ const initializeSocketIO = (server) => {
             timerDuration: timerDuration
           };
           console.log(`🔄 [CONTINUOUS TIMER ACTIVATE] Emitting to ${otherUser.name} with payload:`, JSON.stringify(payload, null, 2));
-          otherUserSocket.emit('continuous-timer-activated', payload);
+          emitToUser(otherUser.userId, 'continuous-timer-activated', payload);
           console.log(`✅ [CONTINUOUS TIMER ACTIVATE] Successfully notified ${otherUser.name}`);
         } else {
           console.error(`❌ [CONTINUOUS TIMER ACTIVATE] Other user ${otherUser.name} not connected or socket not found`);
@@ -955,15 +1045,14 @@ const initializeSocketIO = (server) => {
         console.log(`✅ [CONTINUOUS TIMER DEACTIVATE] Continuous timer deactivated successfully`);
         
         // Notify the other user
-        const otherUserSocket = userSockets.get(otherUser.userId);
-        if (otherUserSocket && otherUserSocket.connected) {
+        if (isUserOnline(otherUser.userId)) {
           const payload = {
             chatId: userId, // The user who deactivated continuous timer
             userId: userId,
             userName: userName
           };
           console.log(`🔄 [CONTINUOUS TIMER DEACTIVATE] Emitting to ${otherUser.name} with payload:`, JSON.stringify(payload, null, 2));
-          otherUserSocket.emit('continuous-timer-deactivated', payload);
+          emitToUser(otherUser.userId, 'continuous-timer-deactivated', payload);
           console.log(`✅ [CONTINUOUS TIMER DEACTIVATE] Successfully notified ${otherUser.name}`);
         } else {
           console.error(`❌ [CONTINUOUS TIMER DEACTIVATE] Other user ${otherUser.name} not connected or socket not found`);
@@ -981,32 +1070,31 @@ const initializeSocketIO = (server) => {
       console.log(`✍️ User ${socket.user.name} started typing to ${data.receiverId}`);
       
       try {
-        // Convert receiverId (userId) to MongoDB _id for socket lookup
         const receiver = await User.findOne({ userId: data.receiverId }).select('_id userId name');
         if (!receiver) {
           console.log(`❌ Receiver not found in database: ${data.receiverId}`);
           return;
         }
         
-        const receiverObjectId = receiver._id.toString();
         console.log(`🎯 Typing indicator receiver details:`, {
           receiverId: receiver.userId,
-          receiverObjectId,
           receiverName: receiver.name
         });
         
-        // Broadcast typing indicator to the receiver using MongoDB _id
-        const receiverSocket = userSockets.get(receiverObjectId);
-        if (receiverSocket && receiverSocket.connected) {
-          receiverSocket.emit('typing:start', {
-            userId: socket.user.userId,
-            senderId: userId,
-            name: socket.user.name,
-            timestamp: new Date().toISOString()
-          });
-          console.log(`✅ Typing start successfully broadcasted to ${receiver.name} (${receiverObjectId})`);
+        // Shared so whichever node sees the disconnect can clear the indicator
+        await socketClusterService.setTyping(userId, receiver.userId);
+        
+        // Broadcast typing indicator to the receiver (sockets are keyed by userId)
+        const delivered = emitToUser(receiver.userId, 'typing:start', {
+          userId: socket.user.userId,
+          senderId: userId,
+          name: socket.user.name,
+          timestamp: new Date().toISOString()
+        });
+        if (delivered) {
+          console.log(`✅ Typing start successfully broadcasted to ${receiver.name} (${receiver.userId})`);
         } else {
-          console.log(`❌ Receiver ${receiver.name} (${receiverObjectId}) not found or offline`);
+          console.log(`❌ Receiver ${receiver.name} (${receiver.userId}) not found or offline`);
         }
       } catch (error) {
         console.error(`❌ Error broadcasting typing start:`, error);
@@ -1017,32 +1105,31 @@ const initializeSocketIO = (server) => {
       console.log(`⏹️ User ${socket.user.name} stopped typing to ${data.receiverId}`);
       
       try {
-        // Convert receiverId (userId) to MongoDB _id for socket lookup
         const receiver = await User.findOne({ userId: data.receiverId }).select('_id userId name');
         if (!receiver) {
           console.log(`❌ Receiver not found in database: ${data.receiverId}`);
           return;
         }
         
-        const receiverObjectId = receiver._id.toString();
         console.log(`🎯 Typing stop receiver details:`, {
           receiverId: receiver.userId,
-          receiverObjectId,
           receiverName: receiver.name
         });
         
-        // Broadcast typing stop to the receiver using MongoDB _id
-        const receiverSocket = userSockets.get(receiverObjectId);
-        if (receiverSocket && receiverSocket.connected) {
-          receiverSocket.emit('typing:stop', {
-            userId: socket.user.userId,
-            senderId: userId,
-            name: socket.user.name,
-            timestamp: new Date().toISOString()
-          });
-          console.log(`✅ Typing stop successfully broadcasted to ${receiver.name} (${receiverObjectId})`);
+        // Shared so whichever node sees the disconnect can clear the indicator
+        await socketClusterService.clearTyping(userId);
+        
+        // Broadcast typing stop to the receiver (sockets are keyed by userId)
+        const delivered = emitToUser(receiver.userId, 'typing:stop', {
+          userId: socket.user.userId,
+          senderId: userId,
+          name: socket.user.name,
+          timestamp: new Date().toISOString()
+        });
+        if (delivered) {
+          console.log(`✅ Typing stop successfully broadcasted to ${receiver.name} (${receiver.userId})`);
         } else {
-          console.log(`❌ Receiver ${receiver.name} (${receiverObjectId}) not found or offline`);
+          console.log(`❌ Receiver ${receiver.name} (${receiver.userId}) not found or offline`);
         }
       } catch (error) {
         console.error(`❌ Error broadcasting typing stop:`, error);
@@ -1053,17 +1140,24 @@ const initializeSocketIO = (server) => {
     // New messages are sent via REST controller, which persists and broadcasts.
     
     // 📞 WEBRTC CALLING FEATURES
-    // Track active calls to prevent duplicate calls (shared across all connections)
+    // Ring timeouts of calls started on this node (shared across all connections)
     const activeCalls = global.activeCalls || (global.activeCalls = new Map());
     
-    // Helper function to check if user is on a call
-    const isUserOnCall = (checkUserId) => {
-      for (const [callId, callData] of activeCalls.entries()) {
-        if (callData.callerId === checkUserId || callData.receiverId === checkUserId) {
-          return true;
-        }
+    // Busy state is shared across nodes: the callId of the 1:1 or group call a user is in
+    const isUserOnCall = async (checkUserId) => {
+      return !!(await socketClusterService.getBusyCallId(checkUserId));
+    };
+    
+    const clearCallState = async (call) => {
+      const activeCall = activeCalls.get(call.callId);
+      if (activeCall && activeCall.timeoutId) {
+        clearTimeout(activeCall.timeoutId);
       }
-      return false;
+      activeCalls.delete(call.callId);
+      await Promise.all([
+        socketClusterService.clearCallBusy(call.callerId, call.callId),
+        socketClusterService.clearCallBusy(call.receiverId, call.callId)
+      ]);
     };
     
     // Call initiation
@@ -1087,19 +1181,17 @@ const initializeSocketIO = (server) => {
           return;
         }
         
-        // Check if receiver is online (primary WebSocket)
-        const receiverSocket = userSockets.get(receiver.userId);
-        const isReceiverOnline = receiverSocket && receiverSocket.connected;
+        // Check if receiver is online (primary WebSocket, on any node)
+        const isReceiverOnline = isUserOnline(receiver.userId);
         
         console.log(`🔍 [CALL] Receiver online status:`, {
           receiverId: receiver.userId,
-          hasSocket: !!receiverSocket,
-          isConnected: receiverSocket?.connected || false,
+          isConnected: isReceiverOnline,
           deviceTokens: receiver.deviceTokens?.length || 0
         });
         
         // Check if receiver is busy (already on a call)
-        if (isUserOnCall(receiver.userId)) {
+        if (await isUserOnCall(receiver.userId)) {
           console.log(`📞 Receiver ${receiverId} is busy on another call`);
           // FIXED: send callId not userId — frontend CallSignaling expects { callId }
           const tempId = `busy_${Date.now()}`;
@@ -1108,7 +1200,7 @@ const initializeSocketIO = (server) => {
         }
         
         // Check if caller is busy
-        if (isUserOnCall(userId)) {
+        if (await isUserOnCall(userId)) {
           console.log(`📞 Caller ${userId} is already on a call`);
           socket.emit('call:failed', { reason: 'You are already on a call' });
           return;
@@ -1146,13 +1238,10 @@ const initializeSocketIO = (server) => {
             await call.save();
             
             // Remove from active calls
-            activeCalls.delete(callId);
+            await clearCallState(call);
             
             // Notify caller
-            const callerSocket = userSockets.get(userId);
-            if (callerSocket && callerSocket.connected) {
-              callerSocket.emit('call:timeout', { callId });
-            }
+            emitToUser(userId, 'call:timeout', { callId });
             
             // Send missed call FCM notification to receiver
             try {
@@ -1183,6 +1272,10 @@ const initializeSocketIO = (server) => {
           callType,
           timeoutId: callTimeout
         });
+        await Promise.all([
+          socketClusterService.setCallBusy(userId, callId),
+          socketClusterService.setCallBusy(receiver.userId, callId)
+        ]);
         
         console.log(`✅ Call ${callId} created, notifying receiver ${receiver.name}`);
         
@@ -1199,8 +1292,8 @@ const initializeSocketIO = (server) => {
         // NOTIFICATION STRATEGY
         // Strategy 1: WebSocket (receiver is online and connected)
         if (isReceiverOnline) {
-          console.log(`📱 [CALL] Strategy 1: Sending via WebSocket to ${receiverSocket.id}`);
-          receiverSocket.emit('call:incoming', callNotificationData);
+          console.log(`📱 [CALL] Strategy 1: Sending via WebSocket to ${receiver.userId}`);
+          emitToUser(receiver.userId, 'call:incoming', callNotificationData);
           console.log(`✅ [CALL] call:incoming emitted via WebSocket`);
           
           // Confirm to caller
@@ -1241,8 +1334,7 @@ const initializeSocketIO = (server) => {
             socket.emit('call:failed', { callId, reason: 'User is offline and unreachable' });
             
             // Clean up call
-            activeCalls.delete(callId);
-            clearTimeout(callTimeout);
+            await clearCallState(call);
             
             await Call.findOneAndUpdate(
               { callId },
@@ -1289,12 +1381,17 @@ const initializeSocketIO = (server) => {
           return;
         }
         
-        // Clear timeout
+        // Clear timeout (if the call was started on this node - others check the status)
         const activeCall = activeCalls.get(callId);
         if (activeCall && activeCall.timeoutId) {
           clearTimeout(activeCall.timeoutId);
           console.log(`⏰ Call timeout cleared for ${callId}`);
         }
+        // Keep both sides busy for the length of the call
+        await Promise.all([
+          socketClusterService.setCallBusy(call.callerId, callId),
+          socketClusterService.setCallBusy(call.receiverId, callId)
+        ]);
         
         // Update call status
         call.status = 'connected';
@@ -1305,17 +1402,15 @@ const initializeSocketIO = (server) => {
         console.log(`✅ Call ${callId} connected`);
         
         // Notify caller that call was answered
-        const callerSocket = userSockets.get(call.callerId);
-        if (callerSocket && callerSocket.connected) {
-          callerSocket.emit('call:answered', {
-            callId,
-            answer
-          });
-          
+        const callerNotified = emitToUser(call.callerId, 'call:answered', {
+          callId,
+          answer
+        });
+        if (callerNotified) {
           // CRITICAL FIX: Also notify caller that call is connected
           // This allows caller to transition from "connecting" to "connected" state
           setTimeout(() => {
-            callerSocket.emit('call:connected', { callId });
+            emitToUser(call.callerId, 'call:connected', { callId });
             console.log(`✅ Sent call:connected to caller ${call.callerId}`);
           }, 100); // Small delay to ensure answer is processed first
         }
@@ -1346,17 +1441,10 @@ const initializeSocketIO = (server) => {
           await call.save();
           
           // Clear timeout and remove from active calls
-          const activeCall = activeCalls.get(callId);
-          if (activeCall && activeCall.timeoutId) {
-            clearTimeout(activeCall.timeoutId);
-          }
-          activeCalls.delete(callId);
+          await clearCallState(call);
           
           // Notify caller about rejection
-          const callerSocket = userSockets.get(call.callerId);
-          if (callerSocket && callerSocket.connected) {
-            callerSocket.emit('call:rejected', { callId });
-          }
+          emitToUser(call.callerId, 'call:rejected', { callId });
         }
         
       } catch (error) {
@@ -1381,11 +1469,7 @@ const initializeSocketIO = (server) => {
           await call.save();
           
           // Clear timeout and remove from active calls
-          const activeCall = activeCalls.get(callId);
-          if (activeCall && activeCall.timeoutId) {
-            clearTimeout(activeCall.timeoutId);
-          }
-          activeCalls.delete(callId);
+          await clearCallState(call);
           
           console.log(`✅ Call ${callId} ended, duration: ${call.duration}s`);
           
@@ -1395,14 +1479,11 @@ const initializeSocketIO = (server) => {
           
           [callerId, receiverId].forEach(notifyUserId => {
             if (notifyUserId !== userId) { // Don't notify the user who ended the call
-              const userSocket = userSockets.get(notifyUserId);
-              if (userSocket && userSocket.connected) {
-                userSocket.emit('call:ended', {
-                  callId,
-                  duration: call.duration,
-                  endReason: 'user_ended'
-                });
-              }
+              emitToUser(notifyUserId, 'call:ended', {
+                callId,
+                duration: call.duration,
+                endReason: 'user_ended'
+              });
             }
           });
         }
@@ -1420,13 +1501,12 @@ const initializeSocketIO = (server) => {
         const { callId, candidate, targetUserId } = data;
         
         // Forward ICE candidate to target user
-        const targetSocket = userSockets.get(targetUserId);
-        if (targetSocket && targetSocket.connected) {
-          targetSocket.emit('call:ice-candidate', {
-            callId,
-            candidate,
-            fromUserId: userId
-          });
+        const forwarded = emitToUser(targetUserId, 'call:ice-candidate', {
+          callId,
+          candidate,
+          fromUserId: userId
+        });
+        if (forwarded) {
           console.log(`✅ ICE candidate forwarded to ${targetUserId}`);
         } else {
           console.log(`❌ Target user ${targetUserId} not connected`);
@@ -1448,14 +1528,12 @@ const initializeSocketIO = (server) => {
         const call = await Call.findOne({ callId });
         if (call) {
           const targetUserId = call.callerId === userId ? call.receiverId : call.callerId;
-          const targetSocket = userSockets.get(targetUserId);
           
-          if (targetSocket && targetSocket.connected) {
-            targetSocket.emit('call:quality-update', {
-              callId,
-              quality,
-              metrics
-            });
+          if (emitToUser(targetUserId, 'call:quality-update', {
+            callId,
+            quality,
+            metrics
+          })) {
             console.log(`✅ Quality update forwarded to ${targetUserId}`);
           }
         }
@@ -1475,13 +1553,11 @@ const initializeSocketIO = (server) => {
         const call = await Call.findOne({ callId });
         if (call) {
           const targetUserId = call.callerId === userId ? call.receiverId : call.callerId;
-          const targetSocket = userSockets.get(targetUserId);
           
-          if (targetSocket && targetSocket.connected) {
-            targetSocket.emit('call:ice-restart', {
-              callId,
-              offer
-            });
+          if (emitToUser(targetUserId, 'call:ice-restart', {
+            callId,
+            offer
+          })) {
             console.log(`✅ ICE restart offer forwarded to ${targetUserId}`);
           }
         }
@@ -1501,13 +1577,11 @@ const initializeSocketIO = (server) => {
         const call = await Call.findOne({ callId });
         if (call) {
           const targetUserId = call.callerId === userId ? call.receiverId : call.callerId;
-          const targetSocket = userSockets.get(targetUserId);
           
-          if (targetSocket && targetSocket.connected) {
-            targetSocket.emit('call:ice-restart-answer', {
-              callId,
-              answer
-            });
+          if (emitToUser(targetUserId, 'call:ice-restart-answer', {
+            callId,
+            answer
+          })) {
             console.log(`✅ ICE restart answer forwarded to ${targetUserId}`);
           }
         }
@@ -1516,6 +1590,57 @@ const initializeSocketIO = (server) => {
       }
     });
     
+    // 👥📞 GROUP CALLS: Mesh signaling - the server keeps the roster and relays between pairs
+    socket.on('group-call:start', async (data) => {
+      try {
+        if (await isUserOnCall(userId)) {
+          socket.emit('group-call:failed', { reason: 'You are already on a call' });
+          return;
+        }
+        await groupCallService.startCall(socket, userId, data);
+      } catch (error) {
+        console.error('❌ [GROUP CALL] Error starting call:', error);
+        socket.emit('group-call:failed', { reason: 'Server error' });
+      }
+    });
+    
+    socket.on('group-call:join', async (data) => {
+      try {
+        if (await isUserOnCall(userId)) {
+          socket.emit('group-call:failed', { callId: data?.callId, reason: 'You are already on a call' });
+          return;
+        }
+        await groupCallService.joinCall(socket, userId, data);
+      } catch (error) {
+        console.error('❌ [GROUP CALL] Error joining call:', error);
+        socket.emit('group-call:failed', { callId: data?.callId, reason: 'Failed to join call' });
+      }
+    });
+    
+    socket.on('group-call:decline', async (data) => {
+      try {
+        await groupCallService.declineCall(socket, userId, data);
+      } catch (error) {
+        console.error('❌ [GROUP CALL] Error declining call:', error);
+      }
+    });
+    
+    socket.on('group-call:leave', async (data) => {
+      try {
+        await groupCallService.leaveCall(userId, data?.callId);
+      } catch (error) {
+        console.error('❌ [GROUP CALL] Error leaving call:', error);
+      }
+    });
+    
+    ['group-call:offer', 'group-call:answer', 'group-call:ice-candidate'].forEach(event => {
+      socket.on(event, (data) => {
+        groupCallService.relaySignal(socket, userId, event, data).catch(error => {
+          console.error(`❌ [GROUP CALL] Error relaying ${event}:`, error);
+        });
+      });
+    });
+    
     // Note: Call timeout is now handled per-call using setTimeout in call:initiate
     // This eliminates the need for inefficient polling every 30 seconds
     
@@ -1523,27 +1648,39 @@ const initializeSocketIO = (server) => {
     socket.on('message:delivered', (data) => {
       console.log(`✅ Message ${data.messageId} delivered`);
       
+      // The receiving device has it - take it off this device's outbox queue
+      deliveryOutboxService.acknowledge(userId, socket.deviceId, { refIds: [data.messageId] })
+        .catch(error => console.error('❌ [OUTBOX] Error acknowledging delivery:', error));
+      
       // Notify sender that message was delivered
-      const senderSocket = userSockets.get(data.senderId.toString());
-      if (senderSocket && senderSocket.connected) {
-        senderSocket.emit('message:delivered', {
-          messageId: data.messageId,
-          timestamp: new Date().toISOString()
-        });
-      }
+      emitToUser(data.senderId.toString(), 'message:delivered', {
+        messageId: data.messageId,
+        timestamp: new Date().toISOString()
+      });
     });
     
     socket.on('message:read', (data) => {
       console.log(`👁️ Message ${data.messageId} read`);
       
       // Notify sender that message was read
-      const senderSocket = userSockets.get(data.senderId.toString());
-      if (senderSocket && senderSocket.connected) {
-        senderSocket.emit('message:read', {
-          messageId: data.messageId,
-          readBy: userId,
-          timestamp: new Date().toISOString()
-        });
+      emitToUser(data.senderId.toString(), 'message:read', {
+        messageId: data.messageId,
+        readBy: userId,
+        timestamp: new Date().toISOString()
+      });
+    });
+    
+    // 👥 GROUP RECEIPTS: Member's app acknowledges group messages it received
+    socket.on('group:message_delivered', async (data) => {
+      try {
+        if (!data?.groupId || !Array.isArray(data.messageIds)) return;
+
+        const membership = await GroupMember.isMember(data.groupId, userId);
+        if (!membership) return;
+
+        await groupReceiptService.markDelivered(data.groupId, userId, data.messageIds);
+      } catch (error) {
+        console.error('❌ [GROUP RECEIPTS] Error recording delivery:', error);
       }
     });
     
@@ -1605,6 +1742,36 @@ const initializeSocketIO = (server) => {
       });
     });
     
+    // 📬 OUTBOX: Device acknowledges entries by outboxSeq (or everything up to one)
+    socket.on('outbox:ack', async (data, callback) => {
+      try {
+        const cleared = await deliveryOutboxService.acknowledge(userId, socket.deviceId, {
+          seqs: data?.seqs,
+          upToSeq: data?.upToSeq ?? null,
+          refIds: data?.messageIds
+        });
+        if (typeof callback === 'function') callback({ success: true, cleared });
+      } catch (error) {
+        console.error('❌ [OUTBOX] Error acknowledging entries:', error);
+        if (typeof callback === 'function') callback({ success: false, message: 'Acknowledgement failed' });
+      }
+    });
+    
+    // 📬 OUTBOX: Device pulls everything sent to the user after its sync cursor
+    socket.on('sync:request', async (data) => {
+      try {
+        const result = await deliveryOutboxService.getChangesSince(userId, {
+          since: data?.since,
+          limit: data?.limit,
+          deviceId: socket.deviceId
+        });
+        socket.emit('sync:changes', { success: true, ...result });
+      } catch (error) {
+        console.error('❌ [OUTBOX] Error loading sync changes:', error);
+        socket.emit('sync:changes', { success: false, message: 'Sync failed' });
+      }
+    });
+    
     // 📊 CONNECTION ANALYTICS: Track message delivery
     socket.on('message:delivery_confirmation', (data) => {
       console.log(`📊 [ANALYTICS] Message delivery confirmed:`, {
@@ -1613,6 +1780,11 @@ const initializeSocketIO = (server) => {
         userId
       });
       
+      if (data.messageId) {
+        deliveryOutboxService.acknowledge(userId, socket.deviceId, { refIds: [data.messageId] })
+          .catch(error => console.error('❌ [OUTBOX] Error acknowledging delivery:', error));
+      }
+      
       // Update delivery statistics
       connectionStats.messageDeliveryCount = (connectionStats.messageDeliveryCount || 0) + 1;
       connectionStats.averageDeliveryTime = connectionStats.averageDeliveryTime 
@@ -1974,9 +2146,7 @@ const initializeSocketIO = (server) => {
           console.log(`📡 [LOCATION] Targeted broadcast to ${recipientIds.length} active recipient(s)`);
           
           recipientIds.forEach(recipientId => {
-            const recipientSocket = userSockets.get(recipientId);
-            if (recipientSocket) {
-              recipientSocket.emit('location:friend_update', locationUpdateData);
+            if (emitToUser(recipientId, 'location:friend_update', locationUpdateData)) {
               broadcastCount++;
               console.log(`  ✅ Sent to ${recipientId}`);
             } else {
@@ -2126,6 +2296,18 @@ const broadcastToUser = (userId, event, data, options = {}) => {
         if (socket.connected) socket.emit('delivery_timeout', { messageId, event });
       }, options.timeout || 30000);
       
+      return true;
+    } else if (socketClusterService.isOnlineElsewhere(userIdString)) {
+      // Connected to another node - the adapter relays it (no ack across nodes)
+      console.log(`📨 Broadcasting ${event} to user ${userIdString} via the cluster`);
+      socketClusterService.emitToRemoteUser(userIdString, event, {
+        ...data,
+        messageId,
+        timestamp: new Date().toISOString(),
+        serverTime: Date.now(),
+        priority: options.priority || 'normal'
+      });
+      connectionStats.messagesSent++;
       return true;
     } else {
       console.log(`❌ Message receiver ${userIdString} not found or offline.`);
@@ -2406,11 +2588,9 @@ const broadcastStatusUpdate = async (user, statusData, validatedPrivacySettings
           continue;
         }
         
-        const recipientSocket = userSockets.get(recipient.userId);
-        if (recipientSocket && recipientSocket.connected) {
-          // ✅ FIX Bug #6: Only emit ONE event per recipient to avoid triple processing on frontend
-          // Frontend listens for contact_status_update as the primary status event
-          recipientSocket.emit('contact_status_update', statusUpdateData);
+        // ✅ FIX Bug #6: Only emit ONE event per recipient to avoid triple processing on frontend
+        // Frontend listens for contact_status_update as the primary status event
+        if (emitToUser(recipient.userId, 'contact_status_update', statusUpdateData)) {
           successfulBroadcasts++;
         }
       }
@@ -2540,6 +2720,8 @@ module.exports = {
   broadcastSystemAnnouncement,
   getConnectionStats,
   getUserSockets: () => userSockets,
+  isUserOnline,
+  disconnectUserSockets,
   getConnectionStats: () => connectionStats,
   getSocketManager: () => io // Export io instance for game events
 };
@@ -0,0 +1,189 @@
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+// Every query resolves to `value`, however it is chained
+const mockQuery = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const mockModel = () => ({
+  find: jest.fn(() => mockQuery([])),
+  findOne: jest.fn(() => mockQuery(null)),
+  findOneAndUpdate: jest.fn(async () => null),
+  distinct: jest.fn(async () => []),
+  create: jest.fn(async (doc) => doc),
+  updateOne: jest.fn(async () => ({ modifiedCount: 1 })),
+  updateMany: jest.fn(async () => ({ modifiedCount: 1 })),
+  deleteOne: jest.fn(async () => ({ deletedCount: 1 })),
+  deleteMany: jest.fn(async () => ({ deletedCount: 1 }))
+});
+
+jest.mock('../models/AccountDeletion', () => mockModel());
+jest.mock('../models/userModel', () => mockModel());
+jest.mock('../models/Message', () => mockModel());
+jest.mock('../models/groupMessageModel', () => mockModel());
+jest.mock('../models/FeedPost', () => mockModel());
+jest.mock('../models/Comment', () => mockModel());
+jest.mock('../models/storyModel', () => mockModel());
+jest.mock('../models/blinkModel', () => mockModel());
+jest.mock('../models/Pulse', () => mockModel());
+jest.mock('../models/DocSpace', () => mockModel());
+jest.mock('../models/Friend', () => mockModel());
+jest.mock('../models/callModel', () => mockModel());
+jest.mock('../models/aiInstanceModel', () => mockModel());
+jest.mock('../models/AuthSession', () => mockModel());
+jest.mock('../models/OutboxEntry', () => mockModel());
+jest.mock('../models/OutboxSequence', () => mockModel());
+jest.mock('../models/SyncDevice', () => mockModel());
+jest.mock('../models/DataExport', () => mockModel());
+jest.mock('../models/Report', () => mockModel());
+jest.mock('../models/ScheduledMessage', () => mockModel());
+jest.mock('../models/StarredMessage', () => mockModel());
+jest.mock('../models/PollVote', () => mockModel());
+jest.mock('../models/groupChatModel', () => mockModel());
+jest.mock('../models/groupMemberModel', () => mockModel());
+jest.mock('../models/GroupThreadFollow', () => mockModel());
+jest.mock('../models/statusScheduleModel', () => mockModel());
+jest.mock('../models/AwayReplyLog', () => mockModel());
+jest.mock('../models/CalendarSubscription', () => mockModel());
+jest.mock('../models/MediaAsset', () => mockModel());
+jest.mock('../services/otpService', () => ({
+  verifyOTP: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../services/emailService', () => ({}));
+jest.mock('../services/storageProvider', () => ({
+  exists: jest.fn(async () => true),
+  remove: jest.fn(async () => {})
+}));
+jest.mock('../services/sessionService', () => ({
+  revokeAllSessions: jest.fn(async () => 2)
+}));
+jest.mock('../services/pollService', () => ({
+  removeVotesOfUser: jest.fn(async () => 3)
+}));
+jest.mock('../services/dataExportService', () => ({
+  removeArchive: jest.fn(async () => {})
+}));
+
+const AccountDeletion = require('../models/AccountDeletion');
+const User = require('../models/userModel');
+const Message = require('../models/Message');
+const Pulse = require('../models/Pulse');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const StarredMessage = require('../models/StarredMessage');
+const GroupChat = require('../models/groupChatModel');
+const GroupMember = require('../models/groupMemberModel');
+const AwayReplyLog = require('../models/AwayReplyLog');
+const MediaAsset = require('../models/MediaAsset');
+const DataExport = require('../models/DataExport');
+const storage = require('../services/storageProvider');
+const { revokeAllSessions } = require('../services/sessionService');
+const { removeVotesOfUser } = require('../services/pollService');
+const { removeArchive } = require('../services/dataExportService');
+const { requestDeletion, purgeDueAccounts } = require('../services/accountDeletionService');
+
+describe('Account Deletion Service', () => {
+  const userId = 'user-1';
+  const deletion = { _id: 'deletion-1', receiptId: 'receipt-1', userId, purged: {} };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AccountDeletion.find.mockReturnValue(mockQuery([deletion]));
+    User.findOne.mockReturnValue(mockQuery({ _id: '64b000000000000000000001' }));
+  });
+
+  describe('requestDeletion', () => {
+    it('should sign the user out and cancel their pending scheduled messages', async () => {
+      AccountDeletion.create.mockImplementation(async (doc) => ({ ...doc, status: 'pending' }));
+      const user = { _id: '64b000000000000000000001', userId, email: 'test@example.com' };
+
+      const request = await requestDeletion(user, { otp: '123456' });
+
+      expect(request.status).toBe('pending');
+      expect(revokeAllSessions).toHaveBeenCalledWith(userId, 'account_deletion');
+      expect(ScheduledMessage.updateMany).toHaveBeenCalledWith(
+        { senderId: userId, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'cancelled' }) }
+      );
+    });
+
+    it('should not schedule a second deletion', async () => {
+      AccountDeletion.findOne.mockReturnValueOnce(mockQuery({ status: 'pending' }));
+
+      await expect(requestDeletion({ userId, email: 'test@example.com' }, { otp: '123456' }))
+        .rejects.toThrow('Account deletion is already scheduled');
+    });
+  });
+
+  describe('purgeDueAccounts', () => {
+    it('should remove the user from every collection and complete the receipt', async () => {
+      MediaAsset.find.mockReturnValue(mockQuery([
+        { url: '/uploads/chat-images/a.jpg', thumbnailUrl: '/uploads/chat-images/a-thumb.jpg', variants: { small: '/uploads/chat-images/a-small.jpg' } }
+      ]));
+      DataExport.find.mockReturnValue(mockQuery([{ exportId: 'export-1', filePath: 'data-exports/export-1.zip' }]));
+
+      const result = await purgeDueAccounts();
+
+      expect(result).toEqual({ purged: 1, failed: 0 });
+      expect(removeVotesOfUser).toHaveBeenCalledWith(userId);
+      expect(Message.deleteMany).toHaveBeenCalledWith({ $or: [{ senderId: userId }, { receiverId: userId }] });
+      expect(ScheduledMessage.deleteMany).toHaveBeenCalledWith({ $or: [{ senderId: userId }, { receiverId: userId }] });
+      expect(StarredMessage.deleteMany).toHaveBeenCalledWith({ $or: [{ userId }, { senderId: userId }, { contactId: userId }] });
+      expect(GroupMember.deleteMany).toHaveBeenCalledWith({ userId });
+      expect(AwayReplyLog.deleteMany).toHaveBeenCalledWith({ $or: [{ userId }, { contactId: userId }] });
+
+      // Pulled out of group chats, with the member count following
+      const [groupFilter, pipeline] = GroupChat.updateMany.mock.calls[0];
+      expect(groupFilter).toEqual({ $or: [{ members: userId }, { admins: userId }] });
+      expect(pipeline[1]).toEqual({ $set: { memberCount: { $size: '$members' } } });
+
+      // Stored files go too
+      expect(storage.remove).toHaveBeenCalledWith('/uploads/chat-images/a.jpg');
+      expect(storage.remove).toHaveBeenCalledWith('/uploads/chat-images/a-thumb.jpg');
+      expect(storage.remove).toHaveBeenCalledWith('/uploads/chat-images/a-small.jpg');
+      expect(removeArchive.mock.calls[0][0]).toMatchObject({ exportId: 'export-1' });
+
+      // The user document goes last
+      const userDeletedAt = User.deleteOne.mock.invocationCallOrder[0];
+      expect(userDeletedAt).toBeGreaterThan(Message.deleteMany.mock.invocationCallOrder[0]);
+      expect(userDeletedAt).toBeGreaterThan(GroupChat.updateMany.mock.invocationCallOrder[0]);
+
+      const [receiptFilter, receiptUpdate] = AccountDeletion.updateOne.mock.calls[0];
+      expect(receiptFilter).toEqual({ _id: 'deletion-1' });
+      expect(receiptUpdate.$set.status).toBe('completed');
+      expect(receiptUpdate.$set.purged).toMatchObject({ pollVotes: 3, messages: 1, groupChats: 1, user: 1 });
+    });
+
+    it('should keep the progress of a purge that fails halfway', async () => {
+      Pulse.deleteMany.mockRejectedValueOnce(new Error('connection lost'));
+
+      const result = await purgeDueAccounts();
+
+      expect(result).toEqual({ purged: 0, failed: 1 });
+      expect(User.deleteOne).not.toHaveBeenCalled();
+
+      const [, receiptUpdate] = AccountDeletion.updateOne.mock.calls[0];
+      expect(receiptUpdate.$set.status).toBeUndefined();
+      expect(receiptUpdate.$set.lastError).toBe('connection lost');
+      expect(receiptUpdate.$set.purged).toMatchObject({ messages: 1 });
+      expect(receiptUpdate.$set.purged.pulses).toBeUndefined();
+      expect(receiptUpdate.$inc.attempts).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const mockQuery = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => Promise.resolve(value ? { ...value } : value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// In-memory ScheduledMessage with the claim/reserve shapes the service uses
+jest.mock('../models/ScheduledMessage', () => {
+  const docs = [];
+  const STALE_LOCK_MS = 5 * 60 * 1000;
+  const byId = (id) => docs.find(doc => doc._id === id) || null;
+
+  return {
+    docs,
+    STALE_LOCK_MS,
+    claimNextDue: jest.fn(async (now, excludeIds = []) => {
+      const doc = docs.find(candidate => !excludeIds.includes(candidate._id) && candidate.scheduledFor <= now && (
+        candidate.status === 'pending' ||
+        (candidate.status === 'processing' && candidate.lockedAt <= new Date(now.getTime() - STALE_LOCK_MS))
+      ));
+      if (!doc) return null;
+      doc.status = 'processing';
+      doc.lockedAt = now;
+      doc.attempts += 1;
+      return doc;
+    }),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const doc = byId(filter._id);
+      if (!doc || doc.sentMessageId != null) return mockQuery(null);
+      Object.assign(doc, update.$set);
+      return mockQuery(doc);
+    }),
+    findById: jest.fn(id => mockQuery(byId(id)))
+  };
+});
+
+// Saved messages keyed by _id, with the duplicate key error a second create gets
+jest.mock('../models/Message', () => {
+  const saved = new Map();
+  return {
+    saved,
+    findById: jest.fn(async id => saved.get(id.toString()) || null),
+    create: jest.fn(async (fields) => {
+      if (saved.has(fields._id.toString())) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { _id: 1 } });
+      }
+      saved.set(fields._id.toString(), fields);
+      return fields;
+    })
+  };
+});
+
+jest.mock('../models/OutboxEntry', () => {
+  const queued = new Set();
+  return {
+    queued,
+    exists: jest.fn(async ({ refId }) => (queued.has(refId) ? { _id: refId } : null))
+  };
+});
+
+jest.mock('../models/blockModel', () => ({
+  isMutuallyBlocked: jest.fn(async () => ({ anyBlocked: false }))
+}));
+jest.mock('../models/userModel', () => ({
+  findOne: jest.fn(({ userId }) => mockQuery({ _id: `${userId}-object-id` }))
+}));
+jest.mock('../models/groupMessageModel', () => ({}));
+jest.mock('../models/groupChatModel', () => ({}));
+jest.mock('../models/groupMemberModel', () => ({}));
+jest.mock('../services/messageDeliveryService', () => ({
+  deliverDirectMessage: jest.fn(),
+  deliverGroupMessage: jest.fn()
+}));
+jest.mock('../socketManager', () => ({
+  broadcastToUser: jest.fn()
+}));
+
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Message = require('../models/Message');
+const OutboxEntry = require('../models/OutboxEntry');
+const Block = require('../models/blockModel');
+const { deliverDirectMessage } = require('../services/messageDeliveryService');
+const { broadcastToUser } = require('../socketManager');
+const scheduledMessageService = require('../services/scheduledMessageService');
+
+describe('Scheduled Message Service', () => {
+  let scheduled;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Message.saved.clear();
+    OutboxEntry.queued.clear();
+    // Delivery queues the message in the recipient's outbox first
+    deliverDirectMessage.mockImplementation(async (message) => {
+      OutboxEntry.queued.add(message._id.toString());
+    });
+
+    scheduled = {
+      _id: 'scheduled-1',
+      senderId: 'sender-1',
+      receiverId: 'receiver-1',
+      chatType: 'direct',
+      message: 'Happy birthday!',
+      messageType: 'text',
+      scheduledFor: new Date(Date.now() - 1000),
+      status: 'pending',
+      attempts: 0,
+      lockedAt: null,
+      sentMessageId: null,
+      lastError: null,
+      save: jest.fn(async () => scheduled)
+    };
+    ScheduledMessage.docs.length = 0;
+    ScheduledMessage.docs.push(scheduled);
+  });
+
+  const tick = () => scheduledMessageService.processDueMessages();
+
+  it('should deliver a due message under the id it reserved', async () => {
+    const result = await tick();
+
+    expect(result).toEqual({ processed: 1, failed: 0 });
+    expect(scheduled.status).toBe('sent');
+    expect(scheduled.lockedAt).toBeNull();
+    expect(Message.create).toHaveBeenCalledTimes(1);
+    expect(Message.create.mock.calls[0][0]._id).toBe(scheduled.sentMessageId);
+    expect(deliverDirectMessage).toHaveBeenCalledTimes(1);
+    expect(broadcastToUser).toHaveBeenCalledWith('sender-1', 'scheduled_message:sent', expect.objectContaining({
+      messageId: scheduled.sentMessageId.toString()
+    }));
+  });
+
+  it('should put a message whose delivery failed back in the queue for the next tick', async () => {
+    deliverDirectMessage.mockRejectedValueOnce(new Error('connection lost'));
+
+    const result = await tick();
+
+    expect(result).toEqual({ processed: 0, failed: 1 });
+    expect(scheduled.attempts).toBe(1);
+    expect(scheduled.status).toBe('pending');
+    expect(scheduled.lockedAt).toBeNull();
+    expect(scheduled.lastError).toBe('connection lost');
+    expect(broadcastToUser).not.toHaveBeenCalled();
+  });
+
+  it('should retry under the same id without creating the message twice', async () => {
+    deliverDirectMessage.mockRejectedValueOnce(new Error('connection lost'));
+    await tick();
+    const reservedId = scheduled.sentMessageId;
+
+    await tick();
+
+    expect(scheduled.status).toBe('sent');
+    expect(scheduled.attempts).toBe(2);
+    expect(scheduled.sentMessageId).toBe(reservedId);
+    expect(Message.create).toHaveBeenCalledTimes(1);
+    // The saved message never reached the recipient's outbox, so it is pushed again
+    expect(deliverDirectMessage).toHaveBeenCalledTimes(2);
+    expect(Message.saved.size).toBe(1);
+  });
+
+  it('should not push the message again when an attempt died after queuing it', async () => {
+    // A worker reserved the id, saved and queued the message, then died
+    // before marking it sent; its lock has since gone stale
+    scheduled.status = 'processing';
+    scheduled.lockedAt = new Date(Date.now() - ScheduledMessage.STALE_LOCK_MS - 1000);
+    scheduled.attempts = 1;
+    await scheduledMessageService.reserveMessageId(scheduled);
+    Message.saved.set(scheduled.sentMessageId.toString(), { _id: scheduled.sentMessageId });
+    OutboxEntry.queued.add(scheduled.sentMessageId.toString());
+
+    await tick();
+
+    expect(scheduled.status).toBe('sent');
+    expect(Message.create).not.toHaveBeenCalled();
+    expect(deliverDirectMessage).not.toHaveBeenCalled();
+  });
+
+  it('should give up after the last attempt', async () => {
+    deliverDirectMessage.mockRejectedValue(new Error('connection lost'));
+
+    await tick();
+    await tick();
+    expect(scheduled.status).toBe('pending');
+
+    await tick();
+
+    expect(scheduled.attempts).toBe(3);
+    expect(scheduled.status).toBe('failed');
+    expect(broadcastToUser).toHaveBeenCalledWith('sender-1', 'scheduled_message:failed', expect.objectContaining({
+      reason: 'connection lost'
+    }));
+    expect(await tick()).toEqual({ processed: 0, failed: 0 });
+  });
+
+  it('should fail straight away when the message can never be delivered', async () => {
+    Block.isMutuallyBlocked.mockResolvedValueOnce({ anyBlocked: true });
+
+    await tick();
+
+    expect(scheduled.attempts).toBe(1);
+    expect(scheduled.status).toBe('failed');
+    expect(scheduled.lastError).toBe('Cannot send message to this user');
+    expect(Message.create).not.toHaveBeenCalled();
+    expect(broadcastToUser).toHaveBeenCalledWith('sender-1', 'scheduled_message:failed', expect.any(Object));
+  });
+});
@@ -0,0 +1,159 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+// In-memory AuthSession with the query shapes sessionService uses
+jest.mock('../models/AuthSession', () => {
+  const sessions = [];
+  const matches = (session, filter) => Object.entries(filter)
+    .every(([key, value]) => (value === null ? session[key] == null : session[key] === value));
+  const query = (value) => {
+    const chain = {
+      select: () => chain,
+      lean: () => Promise.resolve(value ? { ...value } : value),
+      then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+  };
+  const apply = (session, update) => {
+    Object.assign(session, update.$set);
+    Object.entries(update.$inc || {}).forEach(([key, amount]) => {
+      session[key] = (session[key] || 0) + amount;
+    });
+  };
+
+  return {
+    sessions,
+    create: jest.fn(async (doc) => {
+      const session = { revokedAt: null, rotationCount: 0, lastUsedAt: new Date(), ...doc };
+      sessions.push(session);
+      return session;
+    }),
+    findOne: jest.fn((filter) => query(sessions.find(session => matches(session, filter)) || null)),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      if (!session) return null;
+      apply(session, update);
+      return session;
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      if (session) apply(session, update);
+      return { modifiedCount: session ? 1 : 0 };
+    })
+  };
+});
+
+jest.mock('../models/userModel', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../socketManager', () => ({
+  disconnectUserSockets: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/userModel');
+const { disconnectUserSockets } = require('../socketManager');
+const {
+  createSession,
+  rotateRefreshToken,
+  validateSession
+} = require('../services/sessionService');
+
+describe('Session Service', () => {
+  const user = { _id: '64b000000000000000000001', userId: 'user-1', isActive: true };
+  const req = { ip: '127.0.0.1', headers: { 'user-agent': 'jest' } };
+
+  beforeEach(() => {
+    AuthSession.sessions.length = 0;
+    jest.clearAllMocks();
+    User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+  });
+
+  describe('createSession', () => {
+    it('should issue an access token bound to a new session', async () => {
+      const tokens = await createSession(user, req, { deviceName: 'Pixel', platform: 'android' });
+
+      expect(tokens.accessToken).toBe(tokens.token);
+      expect(tokens.refreshToken.startsWith(`${tokens.sessionId}.`)).toBe(true);
+      expect(jwt.verify(tokens.accessToken, process.env.JWT_SECRET).sid).toBe(tokens.sessionId);
+
+      const [session] = AuthSession.sessions;
+      expect(session.userId).toBe('user-1');
+      expect(session.deviceName).toBe('Pixel');
+      // Only the hash of the refresh token is stored
+      expect(session.refreshTokenHash).not.toBe(tokens.refreshToken);
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('should swap a refresh token for a new pair on the same session', async () => {
+      const first = await createSession(user, req);
+      const second = await rotateRefreshToken(first.refreshToken, req);
+
+      expect(second.sessionId).toBe(first.sessionId);
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(AuthSession.sessions[0].rotationCount).toBe(1);
+
+      const third = await rotateRefreshToken(second.refreshToken, req);
+      expect(third.sessionId).toBe(first.sessionId);
+    });
+
+    it('should revoke the session when a swapped-out refresh token is used again', async () => {
+      const first = await createSession(user, req);
+      const second = await rotateRefreshToken(first.refreshToken, req);
+
+      await expect(rotateRefreshToken(first.refreshToken, req))
+        .rejects.toThrow('Refresh token has already been used');
+
+      const [session] = AuthSession.sessions;
+      expect(session.revokedAt).toBeInstanceOf(Date);
+      expect(session.revokedReason).toBe('refresh_token_reuse');
+      expect(disconnectUserSockets).toHaveBeenCalledWith('user-1', first.sessionId);
+
+      // The legitimate holder's current token dies with the session
+      await expect(rotateRefreshToken(second.refreshToken, req))
+        .rejects.toThrow('Session has been revoked');
+    });
+
+    it('should reject malformed, unknown and expired refresh tokens', async () => {
+      await expect(rotateRefreshToken('no-separator', req)).rejects.toThrow('Invalid refresh token');
+      await expect(rotateRefreshToken(undefined, req)).rejects.toThrow('Invalid refresh token');
+      await expect(rotateRefreshToken('unknown-session.abc', req)).rejects.toThrow('Invalid refresh token');
+
+      const tokens = await createSession(user, req);
+      AuthSession.sessions[0].refreshExpiresAt = new Date(Date.now() - 1000);
+      await expect(rotateRefreshToken(tokens.refreshToken, req)).rejects.toThrow('Refresh token expired');
+    });
+
+    it('should not issue tokens for a deactivated account', async () => {
+      const tokens = await createSession(user, req);
+      User.findById.mockReturnValue({ select: () => Promise.resolve({ ...user, isActive: false }) });
+
+      await expect(rotateRefreshToken(tokens.refreshToken, req)).rejects.toThrow('Account is deactivated');
+    });
+  });
+
+  describe('validateSession', () => {
+    it('should accept tokens of a live session and reject revoked ones', async () => {
+      const tokens = await createSession(user, req);
+      const decoded = jwt.verify(tokens.accessToken, process.env.JWT_SECRET);
+
+      await expect(validateSession(decoded, user)).resolves.toMatchObject({ sessionId: tokens.sessionId });
+
+      AuthSession.sessions[0].revokedAt = new Date();
+      await expect(validateSession(decoded, user)).rejects.toThrow('Session has been revoked');
+    });
+
+    it('should reject tokens issued before "log out everywhere"', async () => {
+      const tokens = await createSession(user, req);
+      const decoded = jwt.verify(tokens.accessToken, process.env.JWT_SECRET);
+
+      const loggedOutUser = { ...user, tokensValidAfter: new Date((decoded.iat + 1) * 1000) };
+      await expect(validateSession(decoded, loggedOutUser)).rejects.toThrow('Session has been revoked');
+    });
+  });
+});
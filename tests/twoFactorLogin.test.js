@@ -0,0 +1,224 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.USER_ENCRYPTION_KEY = process.env.USER_ENCRYPTION_KEY || 'k'.repeat(32);
+
+// One in-memory account with the update shapes twoFactorService uses
+jest.mock('../models/userModel', () => {
+  const state = { account: null };
+  const setPath = (target, dottedPath, value) => {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    keys.reduce((node, key) => node[key], target)[last] = value;
+  };
+  const applySet = (update) => Object.entries(update.$set || {})
+    .filter(([dottedPath]) => !dottedPath.includes('$'))
+    .forEach(([dottedPath, value]) => setPath(state.account, dottedPath, value));
+  // Reads get a copy, like a document loaded from the database
+  const snapshot = () => {
+    const { save, ...data } = state.account;
+    return { ...structuredClone(data), save };
+  };
+  const query = () => {
+    const chain = {
+      select: () => chain,
+      then: (resolve, reject) => Promise.resolve(snapshot()).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  return {
+    state,
+    findOne: jest.fn(query),
+    findById: jest.fn(query),
+    updateOne: jest.fn(async (filter, update) => {
+      applySet(update);
+      return { modifiedCount: 1 };
+    }),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const twoFactor = state.account.twoFactor;
+      if (filter.$or) {
+        const step = filter.$or[1]['twoFactor.lastUsedStep'].$lt;
+        if (twoFactor.lastUsedStep !== null && twoFactor.lastUsedStep >= step) return null;
+      }
+      if (filter['twoFactor.recoveryCodes']) {
+        const { hash } = filter['twoFactor.recoveryCodes'].$elemMatch;
+        const entry = twoFactor.recoveryCodes.find(candidate => candidate.hash === hash && !candidate.usedAt);
+        if (!entry) return null;
+        entry.usedAt = update.$set['twoFactor.recoveryCodes.$.usedAt'];
+      }
+      applySet(update);
+      return state.account;
+    })
+  };
+});
+
+jest.mock('../models/Admin', () => ({}));
+jest.mock('../models/aiInstanceModel', () => ({}));
+jest.mock('../services/sessionService', () => ({
+  createSession: jest.fn(async () => ({
+    token: 'access-token',
+    accessToken: 'access-token',
+    refreshToken: 'session-1.refresh',
+    expiresIn: '15m',
+    sessionId: 'session-1'
+  }))
+}));
+jest.mock('../services/accountDeletionService', () => ({
+  cancelDeletion: jest.fn(async () => null)
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const User = require('../models/userModel');
+const { createSession } = require('../services/sessionService');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { encryptField } = require('../utils/userEncryption');
+const { issueChallenge, PURPOSE_ENROLL } = require('../services/twoFactorService');
+const { loginUser, verifyTwoFactorLogin } = require('../controllers/authController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+describe('Two-factor login', () => {
+  const password = 'password123';
+  const recoveryCode = 'abcde-12345';
+  let secret;
+  let passwordHash;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(password, 4);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    secret = generateSecret();
+    User.state.account = {
+      _id: '64b000000000000000000001',
+      userId: 'user-1',
+      name: 'Test User',
+      phoneNumber: '+1234567890',
+      password: passwordHash,
+      isActive: true,
+      save: jest.fn(),
+      twoFactor: {
+        enabled: true,
+        secret: encryptField(secret),
+        recoveryCodes: [{ hash: hashRecoveryCode(recoveryCode), usedAt: null }],
+        lastUsedStep: null,
+        failedAttempts: 0,
+        lockedUntil: null
+      }
+    };
+  });
+
+  const login = async () => {
+    const res = mockResponse();
+    await loginUser({ body: { phoneNumber: '+1234567890', password }, ip: '127.0.0.1', headers: {} }, res);
+    return res;
+  };
+
+  const verifyLogin = async (body) => {
+    const res = mockResponse();
+    await verifyTwoFactorLogin({ body, ip: '127.0.0.1', headers: {} }, res);
+    return res;
+  };
+
+  describe('POST /api/auth/login', () => {
+    it('should return a challenge instead of a session when 2FA is enabled', async () => {
+      const res = await login();
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.twoFactorRequired).toBe(true);
+      expect(body.data.challengeToken).toBeDefined();
+      expect(body.data.accessToken).toBeUndefined();
+      expect(createSession).not.toHaveBeenCalled();
+    });
+
+    it('should issue a challenge token that cannot pass as an access token', async () => {
+      const res = await login();
+      const { challengeToken } = res.json.mock.calls[0][0].data;
+
+      expect(() => jwt.verify(challengeToken, process.env.JWT_SECRET)).toThrow();
+    });
+  });
+
+  describe('POST /api/auth/2fa/verify-login', () => {
+    it('should create the session once the authenticator code checks out', async () => {
+      const { challengeToken } = (await login()).json.mock.calls[0][0].data;
+
+      const res = await verifyLogin({ challengeToken, code: generateCode(secret) });
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(createSession).toHaveBeenCalledTimes(1);
+      expect(res.json.mock.calls[0][0].data.accessToken).toBe('access-token');
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { challengeToken } = (await login()).json.mock.calls[0][0].data;
+      const code = generateCode(secret);
+
+      await verifyLogin({ challengeToken, code });
+      const res = await verifyLogin({ challengeToken, code });
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(createSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('should accept a recovery code only once', async () => {
+      const { challengeToken } = (await login()).json.mock.calls[0][0].data;
+
+      const first = await verifyLogin({ challengeToken, recoveryCode: 'ABCDE 12345' });
+      expect(first.set).toHaveBeenCalledWith('X-Recovery-Codes-Remaining', '0');
+      expect(createSession).toHaveBeenCalledTimes(1);
+
+      const second = await verifyLogin({ challengeToken, recoveryCode });
+      expect(second.status).toHaveBeenCalledWith(401);
+      expect(createSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('should lock the second factor after repeated wrong codes', async () => {
+      const { challengeToken } = (await login()).json.mock.calls[0][0].data;
+      const wrongCode = generateCode(secret) === '000000' ? '111111' : '000000';
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const res = await verifyLogin({ challengeToken, code: wrongCode });
+        expect(res.status).toHaveBeenCalledWith(401);
+      }
+
+      const locked = await verifyLogin({ challengeToken, code: generateCode(secret) });
+      expect(locked.status).toHaveBeenCalledWith(429);
+      expect(createSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject challenge tokens issued for another purpose', async () => {
+      const { challengeToken } = issueChallenge('user', User.state.account._id, PURPOSE_ENROLL);
+
+      const res = await verifyLogin({ challengeToken, code: generateCode(secret) });
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(createSession).not.toHaveBeenCalled();
+    });
+
+    it('should require a code or a recovery code', async () => {
+      const { challengeToken } = (await login()).json.mock.calls[0][0].data;
+
+      const res = await verifyLogin({ challengeToken });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
@@ -147,30 +147,7 @@ class FileEncryption {
       
       // Read encrypted file
       const encryptedFile = await fs.readFile(inputPath);
-      
-      // Extract components
-      const salt = encryptedFile.slice(0, this.saltLength);
-      const iv = encryptedFile.slice(this.saltLength, this.saltLength + this.ivLength);
-      const authTag = encryptedFile.slice(
-        this.saltLength + this.ivLength,
-        this.saltLength + this.ivLength + this.authTagLength
-      );
-      const encrypted = encryptedFile.slice(
-        this.saltLength + this.ivLength + this.authTagLength
-      );
-      
-      // Derive key
-      const key = this.deriveKey(salt);
-      
-      // Create decipher
-      const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
-      decipher.setAuthTag(authTag);
-      
-      // Decrypt
-      const decrypted = Buffer.concat([
-        decipher.update(encrypted),
-        decipher.final()
-      ]);
+      const decrypted = await this.decryptBuffer(encryptedFile);
       
       // Write to output if specified
       if (outputPath) {
@@ -186,6 +163,38 @@ class FileEncryption {
     }
   }
 
+  /**
+   * Decrypt the contents of an encrypted file (salt + iv + authTag + data)
+   * 
+   * @param {Buffer} encryptedFile - Encrypted file contents
+   * @returns {Promise<Buffer>} Decrypted data
+   */
+  async decryptBuffer(encryptedFile) {
+    // Extract components
+    const salt = encryptedFile.slice(0, this.saltLength);
+    const iv = encryptedFile.slice(this.saltLength, this.saltLength + this.ivLength);
+    const authTag = encryptedFile.slice(
+      this.saltLength + this.ivLength,
+      this.saltLength + this.ivLength + this.authTagLength
+    );
+    const encrypted = encryptedFile.slice(
+      this.saltLength + this.ivLength + this.authTagLength
+    );
+    
+    // Derive key
+    const key = await this.deriveKey(salt);
+    
+    // Create decipher
+    const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
+    decipher.setAuthTag(authTag);
+    
+    // Decrypt
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final()
+    ]);
+  }
+
   /**
    * Encrypt file in place (replaces original with encrypted version)
    * 
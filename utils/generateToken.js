@@ -1,15 +1,19 @@
 const jwt = require('jsonwebtoken');
 
+// Access tokens are short-lived - clients renew them with their session's refresh token
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+
 /**
- * Generate a JWT token for authentication
+ * Generate a short-lived access token bound to a session
  * @param {string} id - MongoDB ObjectId of the user
  * @param {string} userId - UUID of the user
+ * @param {string} sessionId - AuthSession the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (id, userId) => {
-  return jwt.sign({ id, userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
+const generateAccessToken = (id, userId, sessionId) => {
+  return jwt.sign({ id, userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
   });
 };
 
-module.exports = { generateToken };
+module.exports = { generateAccessToken, ACCESS_TOKEN_EXPIRE };
@@ -0,0 +1,89 @@
+/**
+ * Group chat system events - typed "A added B" style entries written to the
+ * group's message stream. Shared by the GroupMessage model and groupEventService.
+ */
+
+const GROUP_EVENT_TYPES = [
+  'group_created',
+  'member_added',
+  'member_joined',
+  'member_removed',
+  'member_left',
+  'admin_promoted',
+  'admin_demoted',
+  'group_renamed',
+  'description_changed',
+  'group_image_changed',
+  'settings_changed',
+  'disappearing_messages_changed'
+];
+
+// Wording for admin-only toggles: [when turned on, when turned off]
+const SETTING_LABELS = {
+  onlyAdminsCanMessage: ['allow only admins to send messages', 'allow all members to send messages'],
+  onlyAdminsCanAddMembers: ['allow only admins to add members', 'allow all members to add members'],
+  onlyAdminsCanEditGroupInfo: ['allow only admins to edit group info', 'allow all members to edit group info'],
+  onlyAdminsCanPinMessages: ['allow only admins to pin messages', 'allow all members to pin messages']
+};
+
+// "A", "A and B", "A, B and C"
+const joinNames = (names) => {
+  if (names.length <= 1) return names[0] || 'someone';
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Human readable text for an event
+ * @param {String} eventType - One of GROUP_EVENT_TYPES
+ * @param {String} actorName - Who did it
+ * @param {Array<String>} targetNames - Who it was done to
+ * @param {Object} metadata - Event specific details
+ * @returns {String}
+ */
+const buildEventText = (eventType, actorName, targetNames = [], metadata = {}) => {
+  const targets = joinNames(targetNames);
+
+  switch (eventType) {
+    case 'group_created':
+      return `${actorName} created group "${metadata.groupName}"`;
+    case 'member_added':
+      return `${actorName} added ${targets}`;
+    case 'member_joined':
+      return metadata.via === 'invite_link'
+        ? `${actorName} joined using this group's invite link`
+        : `${actorName} joined the group`;
+    case 'member_removed':
+      return `${actorName} removed ${targets}`;
+    case 'member_left':
+      return `${actorName} left`;
+    case 'admin_promoted':
+      return `${targets} ${targetNames.length > 1 ? 'are' : 'is'} now ${targetNames.length > 1 ? 'admins' : 'an admin'}`;
+    case 'admin_demoted':
+      return `${targets} ${targetNames.length > 1 ? 'are' : 'is'} no longer ${targetNames.length > 1 ? 'admins' : 'an admin'}`;
+    case 'group_renamed':
+      return `${actorName} renamed the group to "${metadata.newName}"`;
+    case 'description_changed':
+      return `${actorName} changed the group description`;
+    case 'group_image_changed':
+      return `${actorName} changed the group photo`;
+    case 'settings_changed': {
+      const changedKeys = Object.keys(metadata.changes || {});
+      const [onLabel, offLabel] = SETTING_LABELS[changedKeys[0]] || [];
+      if (changedKeys.length === 1 && onLabel) {
+        return `${actorName} changed this group's settings to ${metadata.changes[changedKeys[0]] ? onLabel : offLabel}`;
+      }
+      return `${actorName} changed the group settings`;
+    }
+    case 'disappearing_messages_changed':
+      return metadata.enabled
+        ? `${actorName} turned on disappearing messages. New messages will disappear after ${metadata.durationLabel}.`
+        : `${actorName} turned off disappearing messages.`;
+    default:
+      return `${actorName} updated the group`;
+  }
+};
+
+module.exports = {
+  GROUP_EVENT_TYPES,
+  buildEventText
+};
@@ -0,0 +1,172 @@
+/**
+ * iCalendar (RFC 5545) writing helpers
+ * Used to publish users' schedules as a subscribable ICS feed
+ */
+
+const { Temporal } = require('temporal-polyfill');
+
+const PRODUCT_ID = '-//SyncUp//Status Schedules//EN';
+// Offset changes listed per VTIMEZONE (a few per year for DST zones)
+const MAX_TRANSITIONS = 200;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Escape a TEXT value (commas, semicolons, backslashes and newlines)
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets per physical line, never splitting a UTF-8 character
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * UTC DATE-TIME, e.g. 20260315T093000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T`
+    + `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * Local DATE-TIME without zone designator, e.g. 20260315T093000 (paired with a TZID)
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @returns {string}
+ */
+const formatLocal = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+  `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+
+/**
+ * A property line, e.g. property('DTSTART', '20260315T093000', { TZID: 'Europe/London' })
+ * @param {string} name
+ * @param {string} value - Already formatted/escaped
+ * @param {Object} params
+ * @returns {string}
+ */
+const property = (name, value, params = {}) => {
+  const paramText = Object.entries(params)
+    .map(([key, paramValue]) => `;${key}=${paramValue}`)
+    .join('');
+  return foldLine(`${name}${paramText}:${value}`);
+};
+
+const formatOffset = (offsetNanoseconds) => {
+  const minutes = Math.round(offsetNanoseconds / 6e10);
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+};
+
+/**
+ * VTIMEZONE for an IANA zone, listing every UTC offset change between two
+ * instants. Each change is its own observance, so no DST rules need deriving.
+ * @param {string} timeZone - IANA zone, used as the TZID
+ * @param {Object} range - { from, to } - times the calendar's local times fall in
+ * @returns {string}
+ */
+const timezoneComponent = (timeZone, { from, to }) => {
+  const observance = (kind, onset, offsetFrom, offsetTo) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${onset}`,
+    `TZOFFSETFROM:${offsetFrom}`,
+    `TZOFFSETTO:${offsetTo}`,
+    `END:${kind}`
+  ];
+
+  let current = Temporal.Instant.fromEpochMilliseconds(new Date(from).getTime()).toZonedDateTimeISO(timeZone);
+  const initialOffset = formatOffset(current.offsetNanoseconds);
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    property('TZID', timeZone),
+    ...observance('STANDARD', '19700101T000000', initialOffset, initialOffset)
+  ];
+
+  const until = new Date(to).getTime();
+  for (let i = 0; i < MAX_TRANSITIONS; i++) {
+    const next = current.getTimeZoneTransition('next');
+    if (!next || next.epochMilliseconds > until) break;
+
+    // An observance starts at the local time as read before the change
+    const before = current.offsetNanoseconds;
+    const after = next.offsetNanoseconds;
+    const onset = new Date(next.epochMilliseconds + before / 1e6);
+    lines.push(...observance(
+      after > before ? 'DAYLIGHT' : 'STANDARD',
+      formatLocal({
+        year: onset.getUTCFullYear(),
+        month: onset.getUTCMonth() + 1,
+        day: onset.getUTCDate(),
+        hour: onset.getUTCHours(),
+        minute: onset.getUTCMinutes(),
+        second: onset.getUTCSeconds()
+      }),
+      formatOffset(before),
+      formatOffset(after)
+    ));
+    current = next;
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines.join('\r\n');
+};
+
+/**
+ * Wrap components into a VCALENDAR document
+ * @param {Array<string>} components - Already serialized VEVENT/VTIMEZONE blocks
+ * @param {Object} options - { name, refreshMinutes }
+ * @returns {string}
+ */
+const buildCalendar = (components, { name = 'SyncUp', refreshMinutes = 60 } = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  property('PRODID', PRODUCT_ID),
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  property('X-WR-CALNAME', escapeText(name)),
+  `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+  `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+  ...components,
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  property,
+  timezoneComponent,
+  buildCalendar
+};
@@ -163,25 +163,9 @@ class MediaFileEncryption {
         throw new Error(`Encrypted file not found: ${encryptedPath}`);
       }
 
-      // Decode IV and auth tag
-      const iv = Buffer.from(ivBase64, 'base64');
-      const authTag = Buffer.from(authTagBase64, 'base64');
-
-      // Get master key
-      const masterKey = await this.getMasterKey();
-
-      // Create decipher
-      const decipher = crypto.createDecipheriv(this.algorithm, masterKey, iv);
-      decipher.setAuthTag(authTag);
-
       // Read encrypted file
       const encryptedData = fs.readFileSync(encryptedPath);
-
-      // Decrypt
-      const decrypted = Buffer.concat([
-        decipher.update(encryptedData),
-        decipher.final()
-      ]);
+      const decrypted = await this.decryptBuffer(encryptedData, ivBase64, authTagBase64);
 
       console.log('✅ [MEDIA ENCRYPTION] File decrypted successfully');
       console.log('   Decrypted size:', decrypted.length, 'bytes');
@@ -212,31 +196,63 @@ class MediaFileEncryption {
         throw new Error(`Encrypted file not found: ${encryptedPath}`);
       }
 
-      // Decode IV and auth tag
-      const iv = Buffer.from(ivBase64, 'base64');
-      const authTag = Buffer.from(authTagBase64, 'base64');
+      await this.decryptStream(fs.createReadStream(encryptedPath), ivBase64, authTagBase64, res, mimeType);
 
-      // Get master key
-      const masterKey = await this.getMasterKey();
+    } catch (error) {
+      console.error('❌ [MEDIA ENCRYPTION] Stream decryption failed:', error);
+      throw error;
+    }
+  }
 
-      // Create decipher
-      const decipher = crypto.createDecipheriv(this.algorithm, masterKey, iv);
-      decipher.setAuthTag(authTag);
+  /**
+   * Decrypt encrypted file contents held in memory
+   * 
+   * @param {Buffer} encryptedData - Encrypted file contents
+   * @param {string} ivBase64 - IV in base64
+   * @param {string} authTagBase64 - Auth tag in base64
+   * @returns {Promise<Buffer>} - Decrypted file data
+   */
+  async decryptBuffer(encryptedData, ivBase64, authTagBase64) {
+    const iv = Buffer.from(ivBase64, 'base64');
+    const authTag = Buffer.from(authTagBase64, 'base64');
+    const masterKey = await this.getMasterKey();
+
+    const decipher = crypto.createDecipheriv(this.algorithm, masterKey, iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([
+      decipher.update(encryptedData),
+      decipher.final()
+    ]);
+  }
 
-      // Set response headers
-      res.setHeader('Content-Type', mimeType);
+  /**
+   * Decrypt a stream of encrypted file contents (local file or object storage) to the response
+   * 
+   * @param {Readable} readStream - Encrypted file contents
+   * @param {string} ivBase64 - IV in base64
+   * @param {string} authTagBase64 - Auth tag in base64
+   * @param {Object} res - Express response object
+   * @param {string} mimeType - MIME type for response header
+   */
+  async decryptStream(readStream, ivBase64, authTagBase64, res, mimeType = 'application/octet-stream') {
+    // Decode IV and auth tag
+    const iv = Buffer.from(ivBase64, 'base64');
+    const authTag = Buffer.from(authTagBase64, 'base64');
 
-      // Create read stream and pipe through decipher to response
-      const readStream = fs.createReadStream(encryptedPath);
+    // Get master key
+    const masterKey = await this.getMasterKey();
 
-      readStream.pipe(decipher).pipe(res);
+    // Create decipher
+    const decipher = crypto.createDecipheriv(this.algorithm, masterKey, iv);
+    decipher.setAuthTag(authTag);
 
-      console.log('✅ [MEDIA ENCRYPTION] File streaming started');
+    // Set response headers
+    res.setHeader('Content-Type', mimeType);
 
-    } catch (error) {
-      console.error('❌ [MEDIA ENCRYPTION] Stream decryption failed:', error);
-      throw error;
-    }
+    readStream.pipe(decipher).pipe(res);
+
+    console.log('✅ [MEDIA ENCRYPTION] File streaming started');
   }
 
   /**
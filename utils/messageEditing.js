@@ -0,0 +1,28 @@
+/**
+ * Message editing helpers
+ * Shared by 1:1 and group chat edit flows
+ */
+
+// How long after sending a message its author may still edit it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15;
+const EDIT_WINDOW_MS = EDIT_WINDOW_MINUTES * 60 * 1000;
+
+// Upper bound on stored revisions per message
+const MAX_EDIT_REVISIONS = 20;
+
+/**
+ * Check whether a message sent at `sentAt` is still inside the edit window
+ * @param {Date|string} sentAt - When the message was originally sent
+ * @returns {boolean}
+ */
+const isWithinEditWindow = (sentAt) => {
+  if (!sentAt) return false;
+  return Date.now() - new Date(sentAt).getTime() <= EDIT_WINDOW_MS;
+};
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  EDIT_WINDOW_MS,
+  MAX_EDIT_REVISIONS,
+  isWithinEditWindow
+};
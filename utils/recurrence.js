@@ -0,0 +1,513 @@
+/**
+ * Recurrence engine for status schedules (RFC 5545 RRULE)
+ *
+ * A schedule's first occurrence is its startTime-endTime. Its `rrule` repeats
+ * that occurrence and is evaluated against the start's wall-clock time in the
+ * schedule's IANA `timezone`, so 09:00-17:00 stays 09:00-17:00 local across
+ * DST changes. As in RFC 5545, a local time that a DST gap skips is moved
+ * forward by the gap (02:30 becomes 03:30 when clocks jump from 02:00 to
+ * 03:00) and a local time that happens twice is the first of the two.
+ *
+ * Occurrences are identified by their original start (the RECURRENCE-ID).
+ * Entries in `occurrenceOverrides` change one occurrence ("this occurrence
+ * only") or cancel it.
+ *
+ * Schedules saved before rules were stored only have the `repeat` enum and
+ * `recurrenceConfig`; legacyRRule translates those, so every caller (the
+ * schedulers, the expanded-schedule endpoint and the ICS feed) reads the same
+ * rule either way.
+ *
+ * PrimaryTimeProfile windows (weekly days at local times) are expanded here
+ * too, in the owner's zone, so every scheduler reads local time the same way.
+ */
+
+const { RRuleTemporal } = require('rrule-temporal');
+const { Temporal } = require('temporal-polyfill');
+
+// Zone for schedules saved without one - the server's, which is what the
+// schedulers used before schedules carried a zone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE
+  || Intl.DateTimeFormat().resolvedOptions().timeZone
+  || 'UTC';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Statuses that change every minute or second are not schedules
+const ALLOWED_FREQUENCIES = ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Upper bound on occurrences returned by one expansion
+const MAX_OCCURRENCES = 1000;
+// A DST change can make an occurrence's wall-clock duration longer than the first one's
+const DST_SLACK_MS = 3 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// IANA names only; fixed offsets such as "+05:30" cannot follow DST
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone || /^[+-]/.test(timeZone)) return false;
+  try {
+    Temporal.Now.zonedDateTimeISO(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const timeZoneOf = (schedule) => (isValidTimeZone(schedule.timezone) ? schedule.timezone : DEFAULT_TIMEZONE);
+
+/**
+ * Fixed-offset zone ("+05:30") for a legacy Date#getTimezoneOffset() value
+ * (minutes behind UTC, so -330 is UTC+05:30)
+ * @param {number} timezoneOffset
+ * @returns {string}
+ */
+const offsetTimeZone = (timezoneOffset = 0) => {
+  const east = -(timezoneOffset || 0);
+  const sign = east >= 0 ? '+' : '-';
+  return `${sign}${pad(Math.floor(Math.abs(east) / 60))}:${pad(Math.abs(east) % 60)}`;
+};
+
+const toZoned = (date, timeZone) => Temporal.Instant
+  .fromEpochMilliseconds(new Date(date).getTime())
+  .toZonedDateTimeISO(timeZone);
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, dayOfWeek (0 = Sunday) }
+ */
+const toLocalParts = (date, timeZone) => {
+  const zoned = toZoned(date, timeZone);
+  return {
+    year: zoned.year,
+    month: zoned.month,
+    day: zoned.day,
+    hour: zoned.hour,
+    minute: zoned.minute,
+    second: zoned.second,
+    dayOfWeek: zoned.dayOfWeek % 7
+  };
+};
+
+/**
+ * The instant a local wall-clock time happens in a zone. A time a DST gap
+ * skips is moved forward by the gap; a time that happens twice is the first.
+ * @param {string|Object} local - "YYYY-MM-DDTHH:MM[:SS]" or { year, month, day, hour, minute, second }
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const fromLocalTime = (local, timeZone) => {
+  const plain = typeof local === 'string'
+    ? Temporal.PlainDateTime.from(local)
+    : Temporal.PlainDateTime.from({ hour: 0, minute: 0, second: 0, ...local });
+  return new Date(fromWallClock(plain, timeZone).epochMilliseconds);
+};
+
+/**
+ * The instant with the same local time in another zone (09:00 London to
+ * 09:00 New York)
+ * @param {Date} date
+ * @param {string} fromZone
+ * @param {string} toZone
+ * @returns {Date}
+ */
+const changeTimeZone = (date, fromZone, toZone) => new Date(
+  fromWallClock(toZoned(date, fromZone).toPlainDateTime(), toZone).epochMilliseconds
+);
+
+/**
+ * UTC offset of a zone at an instant, in minutes east of UTC
+ * @param {string} timeZone
+ * @param {Date} [date]
+ * @returns {number}
+ */
+const utcOffsetMinutes = (timeZone, date = new Date()) => toZoned(date, timeZone).offsetNanoseconds / 6e10;
+
+/**
+ * Canonical form of a rule: the RRULE value without the "RRULE:" name
+ * @param {string} rrule
+ * @returns {string|null}
+ */
+const normalizeRRule = (rrule) => {
+  if (!rrule) return null;
+  return String(rrule).trim().replace(/^RRULE:/i, '').replace(/;+$/, '').toUpperCase() || null;
+};
+
+/**
+ * Why a rule cannot be used, or null when it is fine
+ * @param {string} rrule
+ * @returns {string|null}
+ */
+const validateRRule = (rrule) => {
+  const normalized = normalizeRRule(rrule);
+  if (!normalized) return 'Recurrence rule is empty';
+  if (/[\r\n]/.test(normalized)) return 'Recurrence rule must be a single RRULE value';
+
+  const freq = /(?:^|;)FREQ=([A-Z]+)/.exec(normalized)?.[1];
+  if (!freq) return 'Recurrence rule needs a FREQ';
+  if (!ALLOWED_FREQUENCIES.includes(freq)) {
+    return `Recurrence frequency must be one of ${ALLOWED_FREQUENCIES.join(', ')}`;
+  }
+
+  try {
+    new RRuleTemporal({ rruleString: normalized, dtstart: Temporal.Now.zonedDateTimeISO('UTC') });
+    return null;
+  } catch (error) {
+    return `Invalid recurrence rule: ${error.message}`;
+  }
+};
+
+const formatUntil = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T`
+    + `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * RRULE equivalent of the `repeat` enum plus `recurrenceConfig`
+ * (null for one-off schedules)
+ * @param {Object} schedule
+ * @returns {string|null}
+ */
+const legacyRRule = (schedule) => {
+  const config = schedule.recurrenceConfig || {};
+  const interval = config.interval > 1 ? config.interval : 1;
+  const parts = [];
+
+  switch (schedule.repeat) {
+    case 'daily':
+      parts.push('FREQ=DAILY');
+      break;
+    case 'weekdays':
+    case 'work_schedule':
+      parts.push('FREQ=WEEKLY', 'BYDAY=MO,TU,WE,TH,FR');
+      break;
+    case 'weekends':
+      parts.push('FREQ=WEEKLY', 'BYDAY=SA,SU');
+      break;
+    case 'weekly':
+      parts.push('FREQ=WEEKLY');
+      break;
+    case 'biweekly':
+      parts.push('FREQ=WEEKLY', 'INTERVAL=2');
+      break;
+    case 'monthly':
+      parts.push('FREQ=MONTHLY');
+      break;
+    case 'custom_days': {
+      const days = [...new Set(config.daysOfWeek || [])].filter(day => day >= 0 && day <= 6);
+      if (days.length === 0) return null;
+      parts.push('FREQ=WEEKLY', `BYDAY=${days.map(day => WEEKDAY_CODES[day]).join(',')}`);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  if (interval > 1 && !parts.some(part => part.startsWith('INTERVAL='))) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (config.endDate) {
+    parts.push(`UNTIL=${formatUntil(config.endDate)}`);
+  } else if (config.maxOccurrences > 0) {
+    parts.push(`COUNT=${config.maxOccurrences}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * The rule a schedule repeats by, stored or derived from the legacy fields
+ * @param {Object} schedule
+ * @returns {string|null}
+ */
+const rruleFor = (schedule) => normalizeRRule(schedule.rrule) || legacyRRule(schedule);
+
+/**
+ * Original starts of cancelled occurrences: cancelling overrides plus the
+ * legacy `recurrenceConfig.exceptions` (calendar days, at the first
+ * occurrence's local start time)
+ * @param {Object} schedule
+ * @returns {Array<Date>}
+ */
+const cancelledOccurrenceStarts = (schedule) => {
+  const timeZone = timeZoneOf(schedule);
+  const startTime = toZoned(schedule.startTime, timeZone).toPlainTime();
+
+  const cancelled = (schedule.occurrenceOverrides || [])
+    .filter(override => override.cancelled)
+    .map(override => new Date(override.occurrenceStart));
+
+  for (const exception of schedule.recurrenceConfig?.exceptions || []) {
+    const day = new Date(exception);
+    if (Number.isNaN(day.getTime())) continue;
+    const zoned = Temporal.PlainDate
+      .from({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() })
+      .toZonedDateTime({ timeZone, plainTime: startTime });
+    cancelled.push(new Date(zoned.epochMilliseconds));
+  }
+
+  return cancelled;
+};
+
+// Rules are expanded on wall-clock time - local times written as UTC, which
+// has no DST - and each local time is then placed in the schedule's zone.
+// Expanding in the zone itself would drop the times a DST gap skips.
+const WALL_CLOCK_ZONE = 'UTC';
+
+const toWallClock = (date, timeZone) => toZoned(date, timeZone)
+  .toPlainDateTime()
+  .toZonedDateTime(WALL_CLOCK_ZONE);
+
+// 'compatible' is the RFC 5545 reading: later across a gap, earlier in an overlap
+const fromWallClock = (plainDateTime, timeZone) => plainDateTime
+  .toZonedDateTime(timeZone, { disambiguation: 'compatible' });
+
+// UNTIL is an instant; in wall-clock terms it is its local time in the zone
+const wallClockRRule = (rrule, timeZone) => rrule.replace(
+  /UNTIL=(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/,
+  (match, year, month, day, hour, minute, second) => {
+    const until = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    return `UNTIL=${formatUntil(toWallClock(until, timeZone).epochMilliseconds)}`;
+  }
+);
+
+const buildRule = (schedule, timeZone) => {
+  const rrule = rruleFor(schedule);
+  if (!rrule) return null;
+
+  try {
+    return new RRuleTemporal({
+      rruleString: wallClockRRule(rrule, timeZone),
+      dtstart: toWallClock(schedule.startTime, timeZone)
+    });
+  } catch (error) {
+    console.error(`❌ [RECURRENCE] Bad rule on schedule ${schedule._id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Starts a rule generates in [from, to], as { wallClock (PlainDateTime), start (ms) }
+ */
+const ruleStarts = (rule, timeZone, from, to) => {
+  const seen = new Set();
+  const starts = [];
+  const wallFrom = toWallClock(from, timeZone).epochMilliseconds - DST_SLACK_MS;
+  const wallTo = toWallClock(to, timeZone).epochMilliseconds + DST_SLACK_MS;
+
+  for (const generated of rule.between(new Date(wallFrom), new Date(wallTo), true)) {
+    const wallClock = generated.toPlainDateTime();
+    const start = fromWallClock(wallClock, timeZone).epochMilliseconds;
+    // A gap can move a local time onto one the rule also generates
+    if (start < from || start > to || seen.has(start)) continue;
+    seen.add(start);
+    starts.push({ wallClock, start });
+  }
+  return starts;
+};
+
+/**
+ * End of an occurrence: its local start plus the first occurrence's
+ * wall-clock length, falling back to the exact length when DST makes that
+ * meaningless
+ */
+const occurrenceEnd = ({ wallClock, start }, timeZone, wallDuration, exactDurationMs) => {
+  const end = fromWallClock(wallClock.add(wallDuration), timeZone).epochMilliseconds;
+  return end > start ? end : start + exactDurationMs;
+};
+
+const buildOccurrence = (schedule, { originalStart, start, end, override = null, recurring }) => ({
+  scheduleId: schedule._id,
+  occurrenceStart: new Date(originalStart),
+  startTime: new Date(start),
+  endTime: new Date(end),
+  status: override?.status || schedule.status,
+  customStatus: override?.customStatus ?? schedule.customStatus,
+  notes: override?.notes ?? schedule.notes,
+  isRecurring: recurring,
+  isOverride: Boolean(override)
+});
+
+/**
+ * Windows of a PrimaryTimeProfile (weekly `days`, "HH:MM" `startTime` and
+ * `endTime`) overlapping [from, to). Local times are read in `timeZone`, the
+ * owner's zone, or through the profile's legacy fixed `timezoneOffset` when
+ * the owner has none. A window whose end is not after its start runs past
+ * midnight. DST gaps and repeats are handled as for schedules.
+ * @param {Object} profile
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} [timeZone] - IANA zone
+ * @returns {Array<Object>} - { start, end } in epoch milliseconds
+ */
+const primaryTimeWindows = (profile, from, to, timeZone = null) => {
+  const rangeStart = new Date(from).getTime();
+  const rangeEnd = new Date(to).getTime();
+  const days = profile.days || [];
+  if (!(rangeEnd > rangeStart) || days.length === 0 || !profile.startTime || !profile.endTime) return [];
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : offsetTimeZone(profile.timezoneOffset);
+  const startTime = Temporal.PlainTime.from(profile.startTime);
+  const endTime = Temporal.PlainTime.from(profile.endTime);
+  const overnight = Temporal.PlainTime.compare(endTime, startTime) <= 0;
+
+  const dateRange = profile.recurrence?.type === 'date_range';
+  const rangeFrom = dateRange && profile.recurrence.startDate ? new Date(profile.recurrence.startDate).getTime() : null;
+  const rangeUntil = dateRange && profile.recurrence.endDate ? new Date(profile.recurrence.endDate).getTime() : null;
+
+  const windows = [];
+  // Start a day early for windows that run past midnight into the range
+  let date = toZoned(rangeStart, zone).toPlainDate().subtract({ days: 1 });
+  for (; fromWallClock(date.toPlainDateTime(), zone).epochMilliseconds < rangeEnd; date = date.add({ days: 1 })) {
+    if (!days.includes(date.dayOfWeek % 7)) continue;
+
+    const start = fromWallClock(date.toPlainDateTime(startTime), zone).epochMilliseconds;
+    const end = fromWallClock((overnight ? date.add({ days: 1 }) : date).toPlainDateTime(endTime), zone).epochMilliseconds;
+    if (rangeFrom !== null && start < rangeFrom) continue;
+    if (rangeUntil !== null && start > rangeUntil) continue;
+
+    if (end > start && start < rangeEnd && end > rangeStart) {
+      windows.push({ start, end });
+    }
+  }
+  return windows;
+};
+
+/**
+ * Occurrences of a schedule overlapping [from, to), overrides applied and
+ * cancellations left out, sorted by start
+ *
+ * @param {Object} schedule - StatusSchedule document or lean object
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<Object>} - { scheduleId, occurrenceStart, startTime, endTime, status, customStatus, notes, isRecurring, isOverride }
+ */
+const expandOccurrences = (schedule, from, to) => {
+  const rangeStart = new Date(from).getTime();
+  const rangeEnd = new Date(to).getTime();
+  const firstStart = new Date(schedule.startTime).getTime();
+  const exactDurationMs = new Date(schedule.endTime).getTime() - firstStart;
+  if (!(exactDurationMs > 0) || !(rangeEnd > rangeStart)) return [];
+
+  const overlaps = (start, end) => start < rangeEnd && end > rangeStart;
+  const timeZone = timeZoneOf(schedule);
+  const rule = buildRule(schedule, timeZone);
+
+  if (!rule) {
+    const end = firstStart + exactDurationMs;
+    return overlaps(firstStart, end)
+      ? [buildOccurrence(schedule, { originalStart: firstStart, start: firstStart, end, recurring: false })]
+      : [];
+  }
+
+  const wallDuration = toZoned(schedule.startTime, timeZone).toPlainDateTime().until(
+    toZoned(schedule.endTime, timeZone).toPlainDateTime(),
+    { largestUnit: 'days' }
+  );
+
+  const cancelled = new Set(cancelledOccurrenceStarts(schedule).map(date => date.getTime()));
+  const edits = new Map(
+    (schedule.occurrenceOverrides || [])
+      .filter(override => !override.cancelled)
+      .map(override => [new Date(override.occurrenceStart).getTime(), override])
+  );
+
+  const occurrences = [];
+
+  // Occurrences that started shortly before the range may still be running in it
+  const lookbackMs = exactDurationMs + DST_SLACK_MS;
+  for (const generated of ruleStarts(rule, timeZone, rangeStart - lookbackMs, rangeEnd)) {
+    const originalStart = generated.start;
+    // Edited occurrences are placed at their new time below
+    if (cancelled.has(originalStart) || edits.has(originalStart)) continue;
+
+    const end = occurrenceEnd(generated, timeZone, wallDuration, exactDurationMs);
+    if (overlaps(originalStart, end)) {
+      occurrences.push(buildOccurrence(schedule, { originalStart, start: originalStart, end, recurring: true }));
+    }
+    if (occurrences.length >= MAX_OCCURRENCES) break;
+  }
+
+  for (const [originalStart, override] of edits) {
+    const originalEnd = occurrenceEnd(
+      { wallClock: toZoned(originalStart, timeZone).toPlainDateTime(), start: originalStart },
+      timeZone, wallDuration, exactDurationMs
+    );
+    const start = override.startTime ? new Date(override.startTime).getTime() : originalStart;
+    const end = override.endTime
+      ? new Date(override.endTime).getTime()
+      : start + (originalEnd - originalStart);
+    if (end > start && overlaps(start, end)) {
+      occurrences.push(buildOccurrence(schedule, { originalStart, start, end, override, recurring: true }));
+    }
+  }
+
+  return occurrences
+    .sort((a, b) => a.startTime - b.startTime)
+    .slice(0, MAX_OCCURRENCES);
+};
+
+/**
+ * The occurrence running at an instant (the latest-starting one if several overlap)
+ * @param {Object} schedule
+ * @param {Date} at
+ * @returns {Object|null}
+ */
+const occurrenceAt = (schedule, at = new Date()) => {
+  const time = new Date(at).getTime();
+  const running = expandOccurrences(schedule, time, time + 1);
+  return running.length > 0 ? running[running.length - 1] : null;
+};
+
+/**
+ * Occurrences starting in [from, to) - what a scheduler ticking every minute
+ * should apply on this tick
+ * @param {Object} schedule
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<Object>}
+ */
+const occurrencesStartingBetween = (schedule, from, to) => {
+  const rangeStart = new Date(from).getTime();
+  const rangeEnd = new Date(to).getTime();
+  return expandOccurrences(schedule, rangeStart, rangeEnd)
+    .filter(occurrence => occurrence.startTime.getTime() >= rangeStart && occurrence.startTime.getTime() < rangeEnd);
+};
+
+/**
+ * Whether `occurrenceStart` is an original start the schedule generates
+ * (cancelled occurrences included, so they can be restored)
+ * @param {Object} schedule
+ * @param {Date} occurrenceStart
+ * @returns {boolean}
+ */
+const isOccurrence = (schedule, occurrenceStart) => {
+  const time = new Date(occurrenceStart).getTime();
+  if (Number.isNaN(time)) return false;
+
+  const timeZone = timeZoneOf(schedule);
+  const rule = buildRule(schedule, timeZone);
+  if (!rule) return time === new Date(schedule.startTime).getTime();
+
+  return ruleStarts(rule, timeZone, time, time).some(generated => generated.start === time);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  timeZoneOf,
+  offsetTimeZone,
+  toLocalParts,
+  fromLocalTime,
+  changeTimeZone,
+  utcOffsetMinutes,
+  normalizeRRule,
+  validateRRule,
+  legacyRRule,
+  rruleFor,
+  cancelledOccurrenceStarts,
+  expandOccurrences,
+  occurrenceAt,
+  occurrencesStartingBetween,
+  isOccurrence,
+  primaryTimeWindows
+};
@@ -1,6 +1,8 @@
 const User = require('../models/userModel');
 const StatusSchedule = require('../models/statusScheduleModel');
 const StatusHistory = require('../models/statusHistoryModel');
+const recurrence = require('./recurrence');
+const scheduleResolution = require('../services/scheduleResolutionService');
 
 /**
  * Status Scheduler - Handles automatic application of scheduled statuses
@@ -26,9 +28,9 @@ class StatusScheduler {
       console.log(`Found ${schedulesToApply.length} scheduled statuses to apply`);
       
       // Process each schedule
-      for (const schedule of schedulesToApply) {
+      for (const { schedule, occurrence } of schedulesToApply) {
         try {
-          const result = await this.applyScheduledStatus(schedule);
+          const result = await this.applyScheduledStatus(schedule, occurrence);
           if (result) {
             processedSchedules.push(result);
           }
@@ -45,103 +47,53 @@ class StatusScheduler {
   }
   
   /**
-   * Find schedules that need to be applied at the current time
+   * Find schedule occurrences that start in the minute up to the current time
    * @param {Date} currentTime - Current time
-   * @returns {Promise<Array>} - Schedules to apply
+   * @returns {Promise<Array>} - { schedule, occurrence } pairs to apply
    */
   async findSchedulesToApply(currentTime) {
     try {
-      // Get the day of week (0-6, where 0 is Sunday)
-      const dayOfWeek = currentTime.getDay();
-      const currentHour = currentTime.getHours();
-      const currentMinute = currentTime.getMinutes();
+      const windowStart = new Date(currentTime.getTime() - 60000);
       
       // Find all active schedules
-      const activeSchedules = await StatusSchedule.find({ active: true });
-      
-      // Filter schedules that should be applied now
-      return activeSchedules.filter(schedule => {
-        const startTime = new Date(schedule.startTime);
-        const endTime = new Date(schedule.endTime);
+      const activeSchedules = await StatusSchedule.find({ active: true, isTemplate: { $ne: true } });
+      
+      // Occurrences come from the shared recurrence engine, so RRULEs, time
+      // zones, overrides and cancellations are honoured the same way everywhere
+      const due = [];
+      for (const schedule of activeSchedules) {
+        const [occurrence] = recurrence.occurrencesStartingBetween(schedule, windowStart, currentTime);
+        if (!occurrence) continue;
         
-        // Check if recurrence has ended
-        if (schedule.recurrenceConfig?.endDate) {
-          const recurrenceEndDate = new Date(schedule.recurrenceConfig.endDate);
-          if (currentTime > recurrenceEndDate) {
-            return false; // Recurrence has ended
-          }
+        // Only apply it if nothing with higher precedence claims this minute
+        const user = await User.findById(schedule.user);
+        const winner = user ? await scheduleResolution.effectiveAt(user, currentTime) : null;
+        if (winner && winner.sourceId !== String(schedule._id)) {
+          console.log(`Skipping schedule ${schedule._id}: ${winner.source} "${winner.name}" takes precedence`);
+          continue;
         }
         
-        // Handle different repeat patterns
-        switch (schedule.repeat) {
-          case 'none':
-            // One-time schedule - check if it's time to apply and hasn't ended
-            return this.isTimeToApply(currentTime, startTime) && currentTime <= endTime;
-          
-          case 'daily':
-            // Daily schedule - check if the hour and minute match
-            return this.shouldApplyRecurringSchedule(schedule, currentTime, 'daily');
-          
-          case 'weekdays':
-            // Weekday schedule (Monday-Friday)
-            return dayOfWeek >= 1 && dayOfWeek <= 5 && 
-                   this.shouldApplyRecurringSchedule(schedule, currentTime, 'weekdays');
-          
-          case 'weekends':
-            // Weekend schedule (Saturday-Sunday)
-            return (dayOfWeek === 0 || dayOfWeek === 6) && 
-                   this.shouldApplyRecurringSchedule(schedule, currentTime, 'weekends');
-          
-          case 'weekly':
-            // Weekly schedule - check if day of week and time match
-            return dayOfWeek === startTime.getDay() && 
-                   this.shouldApplyRecurringSchedule(schedule, currentTime, 'weekly');
-          
-          case 'biweekly':
-            // Bi-weekly schedule
-            return this.shouldApplyRecurringSchedule(schedule, currentTime, 'biweekly');
-          
-          case 'monthly':
-            // Monthly schedule - check if day of month and time match
-            return currentTime.getDate() === startTime.getDate() && 
-                   this.shouldApplyRecurringSchedule(schedule, currentTime, 'monthly');
-          
-          case 'custom_days':
-            // Custom days schedule
-            const daysOfWeek = schedule.recurrenceConfig?.daysOfWeek || [];
-            return daysOfWeek.includes(dayOfWeek) && 
-                   this.shouldApplyRecurringSchedule(schedule, currentTime, 'custom_days');
-          
-          default:
-            return false;
-        }
-      });
+        due.push({ schedule, occurrence });
+      }
+      return due;
     } catch (error) {
       console.error('Error finding schedules to apply:', error);
       return [];
     }
   }
   
-  /**
-   * Check if it's time to apply a one-time schedule
-   * @param {Date} currentTime - Current time
-   * @param {Date} scheduleTime - Scheduled time
-   * @returns {boolean} - Whether it's time to apply
-   */
-  isTimeToApply(currentTime, scheduleTime) {
-    // For one-time schedules, check if the current time is within 1 minute of the scheduled time
-    // and the schedule hasn't been applied yet (scheduled time is in the past or present)
-    const timeDiff = Math.abs(currentTime - scheduleTime);
-    return timeDiff <= 60000 && currentTime >= scheduleTime;
-  }
-  
   /**
    * Apply a scheduled status to a user
    * @param {Object} schedule - Status schedule to apply
+   * @param {Object} occurrence - The occurrence being applied (from utils/recurrence)
    * @returns {Promise<Object>} - Updated user or null if failed
    */
-  async applyScheduledStatus(schedule) {
+  async applyScheduledStatus(schedule, occurrence = recurrence.occurrenceAt(schedule)) {
     try {
+      if (!occurrence) {
+        return null;
+      }
+      
       // Find the user
       const user = await User.findById(schedule.user);
       
@@ -152,10 +104,10 @@ class StatusScheduler {
       
       console.log(`Applying scheduled status for user ${user.userId}:`, {
         scheduleId: schedule._id,
-        status: schedule.status,
-        customStatus: schedule.customStatus,
-        startTime: schedule.startTime,
-        endTime: schedule.endTime
+        status: occurrence.status,
+        customStatus: occurrence.customStatus,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime
       });
       
       // Validate status
@@ -170,8 +122,8 @@ class StatusScheduler {
         'custom', 'extended', 'pause'
       ];
       
-      if (!validStatuses.includes(schedule.status)) {
-        console.error(`Invalid status type in schedule ${schedule._id}: ${schedule.status}`);
+      if (!validStatuses.includes(occurrence.status)) {
+        console.error(`Invalid status type in schedule ${schedule._id}: ${occurrence.status}`);
         return null;
       }
       
@@ -181,44 +133,47 @@ class StatusScheduler {
       const statusChangeTime = new Date();
       
       // Calculate duration in minutes
-      const duration = Math.round((new Date(schedule.endTime) - statusChangeTime) / (1000 * 60));
+      const duration = Math.round((new Date(occurrence.endTime) - statusChangeTime) / (1000 * 60));
       
       // Update user status
-      user.status = schedule.status;
+      user.status = occurrence.status;
       
       // Update custom status if provided and status is custom
-      if (schedule.status === 'custom' && schedule.customStatus) {
-        user.customStatus = schedule.customStatus;
-      } else if (schedule.status !== 'custom') {
+      if (occurrence.status === 'custom' && occurrence.customStatus) {
+        user.customStatus = occurrence.customStatus;
+      } else if (occurrence.status !== 'custom') {
         user.customStatus = '';
       }
       
-      // Set status expiration to the end time of the schedule
-      user.statusUntil = schedule.endTime;
+      // Set status expiration to the end of this occurrence
+      user.statusUntil = occurrence.endTime;
+      user.statusUpdatedAt = new Date();
+      user.wasAutoApplied = true;
+      user.primaryTimeProfileId = null;
       
       // Save the updated user
       const updatedUser = await user.save();
       
       // Create status history entry if status has changed
-      if (previousStatus !== schedule.status || 
-          (schedule.status === 'custom' && previousCustomStatus !== user.customStatus)) {
+      if (previousStatus !== occurrence.status || 
+          (occurrence.status === 'custom' && previousCustomStatus !== user.customStatus)) {
         
         // Create a new status history entry
         await StatusHistory.create({
           user: user._id,
           userId: user.userId,
-          status: schedule.status,
-          customStatus: schedule.status === 'custom' ? user.customStatus : '',
+          status: occurrence.status,
+          customStatus: occurrence.status === 'custom' ? user.customStatus : '',
           startTime: statusChangeTime,
-          endTime: schedule.endTime,
+          endTime: occurrence.endTime,
           duration: duration > 0 ? duration : 60, // Default to 60 minutes if calculation is negative
         });
       }
       
-      console.log(`Applied scheduled status for user ${user.userId}: ${schedule.status}`);
+      console.log(`Applied scheduled status for user ${user.userId}: ${occurrence.status}`);
       
       // For one-time schedules, mark as inactive after applying
-      if (schedule.repeat === 'none') {
+      if (!occurrence.isRecurring) {
         schedule.active = false;
         await schedule.save();
       }
@@ -236,62 +191,6 @@ class StatusScheduler {
     }
   }
   
-  /**
-   * Check if a recurring schedule should be applied at the current time
-   * @param {Object} schedule - The schedule object
-   * @param {Date} currentTime - Current time
-   * @param {string} repeatType - Type of recurrence
-   * @returns {boolean} - Whether the schedule should be applied
-   */
-  shouldApplyRecurringSchedule(schedule, currentTime, repeatType) {
-    const startTime = new Date(schedule.startTime);
-    const endTime = new Date(schedule.endTime);
-    const currentHour = currentTime.getHours();
-    const currentMinute = currentTime.getMinutes();
-    
-    // Check if current time matches the scheduled time
-    const timeMatches = startTime.getHours() === currentHour && 
-                       startTime.getMinutes() === currentMinute;
-    
-    if (!timeMatches) return false;
-    
-    // Check interval for types that support it
-    const interval = schedule.recurrenceConfig?.interval || 1;
-    
-    switch (repeatType) {
-      case 'daily':
-        if (interval === 1) return true;
-        // For daily with interval > 1, check if current date is correct interval from start
-        const daysDiff = Math.floor((currentTime - startTime) / (1000 * 60 * 60 * 24));
-        return daysDiff >= 0 && daysDiff % interval === 0;
-      
-      case 'weekly':
-      case 'weekdays':
-      case 'weekends':
-        if (interval === 1) return true;
-        // For weekly intervals, check weeks difference
-        const weeksDiff = Math.floor((currentTime - startTime) / (1000 * 60 * 60 * 24 * 7));
-        return weeksDiff >= 0 && weeksDiff % interval === 0;
-      
-      case 'biweekly':
-        const biweeklyDiff = Math.floor((currentTime - startTime) / (1000 * 60 * 60 * 24 * 7));
-        return biweeklyDiff >= 0 && biweeklyDiff % 2 === 0;
-      
-      case 'monthly':
-        if (interval === 1) return true;
-        // For monthly intervals, check months difference
-        const monthsDiff = (currentTime.getFullYear() - startTime.getFullYear()) * 12 + 
-                          (currentTime.getMonth() - startTime.getMonth());
-        return monthsDiff >= 0 && monthsDiff % interval === 0;
-      
-      case 'custom_days':
-        return true; // Day matching is already done in the main filter
-      
-      default:
-        return true;
-    }
-  }
-  
   /**
    * Generate recurring instances for calendar display
    * @param {Object} schedule - The schedule object
@@ -300,115 +199,20 @@ class StatusScheduler {
    * @returns {Array} - Array of recurring instances
    */
   generateRecurringInstances(schedule, startDate, endDate) {
-    const instances = [];
-    const originalStart = new Date(schedule.startTime);
-    const originalEnd = new Date(schedule.endTime);
-    const duration = originalEnd.getTime() - originalStart.getTime();
-    
-    // Safety check for invalid duration
-    if (duration <= 0) {
-      console.error('Invalid schedule duration:', { startTime: schedule.startTime, endTime: schedule.endTime });
-      return instances;
-    }
-    
-    // Get recurrence configuration
-    const config = schedule.recurrenceConfig || {};
-    const interval = Math.max(1, config.interval || 1); // Ensure interval is at least 1
-    const recurrenceEndDate = config.endDate ? new Date(config.endDate) : endDate;
-    const maxOccurrences = config.maxOccurrences || 1000; // Safety limit
-    
-    let currentDate = new Date(Math.max(originalStart.getTime(), startDate.getTime()));
-    let occurrenceCount = 0;
-    let iterationCount = 0; // Safety counter to prevent infinite loops
-    const MAX_ITERATIONS = 10000; // Safety limit
-    
-    while (currentDate <= endDate && currentDate <= recurrenceEndDate && iterationCount < MAX_ITERATIONS) {
-      iterationCount++;
-      
-      if (occurrenceCount >= maxOccurrences) break;
-      
-      let shouldInclude = false;
-      let nextDate = new Date(currentDate); // Create copy for next iteration
-      
-      switch (schedule.repeat) {
-        case 'daily':
-          shouldInclude = true;
-          nextDate.setDate(nextDate.getDate() + interval);
-          break;
-          
-        case 'weekdays':
-          const dayOfWeek = currentDate.getDay();
-          shouldInclude = dayOfWeek >= 1 && dayOfWeek <= 5;
-          nextDate.setDate(nextDate.getDate() + 1);
-          break;
-          
-        case 'weekends':
-          const weekendDay = currentDate.getDay();
-          shouldInclude = weekendDay === 0 || weekendDay === 6;
-          nextDate.setDate(nextDate.getDate() + 1);
-          break;
-          
-        case 'weekly':
-          shouldInclude = currentDate.getDay() === originalStart.getDay();
-          nextDate.setDate(nextDate.getDate() + (7 * interval));
-          break;
-          
-        case 'biweekly':
-          shouldInclude = currentDate.getDay() === originalStart.getDay();
-          nextDate.setDate(nextDate.getDate() + 14);
-          break;
-          
-        case 'monthly':
-          shouldInclude = currentDate.getDate() === originalStart.getDate();
-          nextDate.setMonth(nextDate.getMonth() + interval);
-          break;
-          
-        case 'custom_days':
-          const customDay = currentDate.getDay();
-          shouldInclude = config.daysOfWeek && config.daysOfWeek.includes(customDay);
-          nextDate.setDate(nextDate.getDate() + 1);
-          break;
-          
-        default:
-          // Unknown repeat type - advance by 1 day to prevent infinite loop
-          console.warn('Unknown repeat type:', schedule.repeat);
-          nextDate.setDate(nextDate.getDate() + 1);
-          shouldInclude = false;
-          break;
-      }
-      
-      if (shouldInclude && currentDate >= startDate) {
-        const instanceStart = new Date(currentDate);
-        instanceStart.setHours(originalStart.getHours(), originalStart.getMinutes(), 0, 0);
-        
-        const instanceEnd = new Date(instanceStart.getTime() + duration);
-        
-        instances.push({
-          ...schedule.toObject(),
-          startTime: instanceStart.toISOString(),
-          endTime: instanceEnd.toISOString(),
-          isRecurringInstance: true,
-          originalScheduleId: schedule._id
-        });
-        
-        occurrenceCount++;
-      }
-      
-      // Always advance to next date to prevent infinite loop
-      currentDate = nextDate;
-      
-      // Safety check: if date didn't advance, force advance by 1 day
-      if (currentDate.getTime() === nextDate.getTime() && schedule.repeat !== 'monthly') {
-        console.warn('Date not advancing properly, forcing advance');
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
-    }
-    
-    if (iterationCount >= MAX_ITERATIONS) {
-      console.error('Infinite loop detected in generateRecurringInstances, breaking');
-    }
+    const plain = schedule.toObject ? schedule.toObject() : schedule;
     
-    return instances;
+    return recurrence.expandOccurrences(schedule, startDate, endDate).map(occurrence => ({
+      ...plain,
+      status: occurrence.status,
+      customStatus: occurrence.customStatus,
+      notes: occurrence.notes,
+      startTime: occurrence.startTime.toISOString(),
+      endTime: occurrence.endTime.toISOString(),
+      occurrenceStart: occurrence.occurrenceStart.toISOString(),
+      isRecurringInstance: occurrence.isRecurring,
+      isOverride: occurrence.isOverride,
+      originalScheduleId: schedule._id
+    }));
   }
 }
 